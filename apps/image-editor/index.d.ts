@@ -3,6 +3,12 @@
 
 declare namespace tuiImageEditor {
   type AngleType = number;
+  type AlignType = 'left' | 'center' | 'right' | 'top' | 'middle' | 'bottom';
+  type ResampleAlgorithmType = 'lanczos' | 'bicubic' | 'stepDown';
+  type BrushType = 'pencil' | 'marker' | 'spray' | 'pattern' | 'highlighter';
+  type LineType = 'straight' | 'polyline' | 'curve' | 'freehand';
+  type LineStyleType = 'solid' | 'dashed' | 'dotted';
+  type ArrowDecorateType = 'chevron' | 'triangle';
 
   interface IThemeConfig {
     'common.bi.image'?: string;
@@ -66,16 +72,38 @@ declare namespace tuiImageEditor {
     fill?: string;
     left?: number;
     top?: number;
+    path?: string;
   }
 
+  interface IGradientFillOption {
+    type?: 'linear' | 'radial';
+    angle?: number;
+    colorStops: Array<{ offset: number; color: string }>;
+  }
+
+  interface IPatternFillOption {
+    source: string;
+    repeat?: 'repeat' | 'repeat-x' | 'repeat-y' | 'no-repeat';
+  }
+
+  type IGradientOrPatternFillOption =
+    | { type: 'gradient'; gradient: IGradientFillOption }
+    | { type: 'pattern'; pattern: IPatternFillOption };
+
   interface IShapeOptions {
-    fill?: string;
+    fill?: string | IGradientOrPatternFillOption;
     stroke?: string;
     strokeWidth?: number;
     width?: number;
     height?: number;
     rx?: number;
     ry?: number;
+    sides?: number;
+    innerRadius?: number;
+    arrowType?: {
+      head?: ArrowDecorateType | null;
+      tail?: ArrowDecorateType | null;
+    };
     left?: number;
     top?: number;
     isRegular?: boolean;
@@ -87,6 +115,8 @@ declare namespace tuiImageEditor {
       x: number;
       y: number;
     };
+    autofocus?: boolean;
+    width?: number;
   }
 
   type IFilterOptions =
@@ -99,13 +129,34 @@ declare namespace tuiImageEditor {
     | { maskObjId: number };
 
   interface ITextStyleConfig {
-    fill?: string;
+    fill?: string | IGradientOrPatternFillOption;
     fontFamily?: string;
     fontSize?: number;
     fontStyle?: string;
     fontWeight?: string;
     textAlign?: string;
     textDecoration?: string;
+    lineHeight?: number;
+    charSpacing?: number;
+    stroke?: string | null;
+    strokeWidth?: number;
+    shadow?: ITextShadowConfig | null;
+    backgroundColor?: string;
+    backgroundPadding?: number;
+    backgroundRadius?: number;
+    curve?: number;
+  }
+
+  interface ITextShadowConfig {
+    color: string;
+    blur?: number;
+    offsetX?: number;
+    offsetY?: number;
+  }
+
+  interface ITextRange {
+    start: number;
+    end: number;
   }
 
   interface IRectConfig {
@@ -121,8 +172,27 @@ declare namespace tuiImageEditor {
   }
 
   interface IBrushOptions {
-    width: number;
-    color: string;
+    width?: number;
+    color?: string;
+    type?: BrushType;
+    smoothing?: number;
+    density?: number;
+    dotWidth?: number;
+    source?: HTMLImageElement | HTMLCanvasElement | null;
+    pressure?: boolean;
+    minWidth?: number | null;
+    maxWidth?: number | null;
+    lineType?: LineType;
+    lineStyle?: LineStyleType;
+    arrowType?: {
+      head?: ArrowDecorateType | null;
+      tail?: ArrowDecorateType | null;
+    };
+  }
+
+  interface IEraserOptions {
+    width?: number;
+    eraseBackground?: boolean;
   }
 
   interface IPositionConfig {
@@ -177,6 +247,37 @@ declare namespace tuiImageEditor {
     };
     menuBarPosition?: string;
     usageStatistics?: boolean;
+    crop?: ICropUIOptions;
+    text?: ITextUIOptions;
+  }
+
+  interface IFontConfig {
+    family: string;
+    url?: string;
+    label?: string;
+  }
+
+  interface ITextUIOptions {
+    fonts?: IFontConfig[];
+  }
+
+  interface ICropPreset {
+    label: string;
+    ratio?: number;
+    width?: number;
+    height?: number;
+  }
+
+  interface ICropSizeLimits {
+    minWidth?: number;
+    minHeight?: number;
+    maxWidth?: number;
+    maxHeight?: number;
+  }
+
+  interface ICropUIOptions {
+    presets?: ICropPreset[];
+    sizeLimits?: ICropSizeLimits;
   }
 
   interface ISelectionStyleConfig {
@@ -190,6 +291,27 @@ declare namespace tuiImageEditor {
     rotatingPointOffset?: number;
   }
 
+  type ShortcutAction = string | ((event: KeyboardEvent) => boolean | void);
+
+  interface IShortcut {
+    combo: string;
+    action: ShortcutAction;
+    description: string;
+  }
+
+  interface IShortcuts {
+    register(combo: string, action: ShortcutAction, description?: string): boolean;
+    unregister(combo: string): boolean;
+    list(): IShortcut[];
+  }
+
+  interface ISnappingOptions {
+    grid?: number;
+    objects?: boolean;
+    canvas?: boolean;
+    threshold?: number;
+  }
+
   interface IObjectProps {
     // icon, shape
     fill: string;
@@ -211,11 +333,28 @@ declare namespace tuiImageEditor {
     text: string;
     textAlign: string;
     textDecoration: string;
+    lineHeight: number;
+    charSpacing: number;
+    shadow: ITextShadowConfig | null;
+    backgroundColor: string;
+    backgroundPadding: number;
+    backgroundRadius: number;
+    curve: number;
   }
 
   interface IFilterResolveObject {
+    id?: number;
     type: string;
     action: string;
+    options?: IFilterOptions;
+    index?: number;
+  }
+
+  interface IFilterStackItem {
+    id: number;
+    type: string;
+    options: IFilterOptions;
+    visible: boolean;
   }
 
   interface ICropResolveObject {
@@ -231,12 +370,72 @@ declare namespace tuiImageEditor {
     angle: AngleType;
   }
 
+  interface IFilterState {
+    type: string;
+    options: { [propName: string]: any };
+    visible?: boolean;
+  }
+
+  interface IImageState {
+    src: string;
+    width: number;
+    height: number;
+    flipX: boolean;
+    flipY: boolean;
+    angle: AngleType;
+    filters: IFilterState[];
+  }
+
+  interface IDocumentState {
+    version: number;
+    imageName: string;
+    image: IImageState | null;
+    objects: Array<{ [propName: string]: any }>;
+  }
+
+  interface IExportOptions {
+    format?: 'png' | 'jpeg' | 'webp' | 'svg';
+    quality?: number;
+    multiplier?: number;
+    region?: IRectConfig;
+    background?: boolean | string;
+    includeObjects?: boolean;
+  }
+
+  interface ICropShape {
+    type?: 'rect' | 'ellipse' | 'roundRect' | 'path' | 'icon';
+    radius?: number;
+    path?: string;
+    name?: string;
+  }
+
+  interface ICanvasSizeOptions {
+    anchor?:
+      | 'top-left'
+      | 'top'
+      | 'top-right'
+      | 'left'
+      | 'center'
+      | 'right'
+      | 'bottom-left'
+      | 'bottom'
+      | 'bottom-right';
+    fill?: string;
+  }
+
+  interface IPasteOptions {
+    replaceBackground?: boolean;
+  }
+
   interface IOptions {
     includeUI?: IIncludeUIOptions;
     cssMaxWidth?: number;
     cssMaxHeight?: number;
     usageStatistics?: boolean;
     selectionStyle?: ISelectionStyleConfig;
+    snapping?: boolean | ISnappingOptions;
+    shortcuts?: boolean;
+    menuShortcuts?: boolean;
   }
 
   interface IUIDimension {
@@ -263,68 +462,135 @@ declare namespace tuiImageEditor {
   class ImageEditor {
     constructor(wrapper: string | Element, options: IOptions);
     public ui: UI;
+    public shortcuts: IShortcuts;
 
     public addIcon(type: string, options?: IIconOptions): Promise<IObjectProps>;
     public addImageObject(imgUrl: string): Promise<void>;
     public addShape(type: string, options?: IShapeOptions): Promise<IObjectProps>;
     public addText(text: string, options?: IGenerateTextOptions): Promise<ITextObjectProps>;
+    public alignObjects(
+      ids: number[],
+      align: AlignType,
+      relativeTo?: 'selection' | 'canvas'
+    ): Promise<void>;
+    public bringForward(id: number): Promise<number>;
+    public bringToFront(id: number): Promise<number>;
     public applyFilter(
       type: string,
       options?: IFilterOptions,
       isSilent?: boolean
     ): Promise<IFilterResolveObject>;
     public changeCursor(cursorType: string): void;
-    public changeIconColor(id: number, color: string): Promise<void>;
+    public changeIconColor(id: number, color: string | IGradientOrPatternFillOption): Promise<void>;
     public changeSelectableAll(selectable: boolean): void;
     public changeShape(id: number, options?: IShapeOptions, isSilent?: boolean): Promise<void>;
     public changeText(id: number, text?: string): Promise<void>;
     public changeTextStyle(
       id: number,
       styleObj: ITextStyleConfig,
-      isSilent?: boolean
+      isSilent?: boolean,
+      range?: ITextRange
     ): Promise<void>;
     public clearObjects(): Promise<void>;
     public clearRedoStack(): void;
     public clearUndoStack(): void;
-    public crop(rect: IRectConfig): Promise<ICropResolveObject>;
+    public copyToClipboard(
+      clipboardData?: DataTransfer
+    ): Promise<Array<{ [propName: string]: any }>>;
+    public crop(rect: IRectConfig, outputSize?: ICanvasSize): Promise<ICropResolveObject>;
+    public cutToClipboard(
+      clipboardData?: DataTransfer
+    ): Promise<Array<{ [propName: string]: any }>>;
     public deactivateAll(): void;
     public destroy(): void;
+    public disableSnapping(): void;
     public discardSelection(): void;
+    public distributeObjects(ids: number[], direction: 'horizontal' | 'vertical'): Promise<void>;
+    public enableSnapping(options?: ISnappingOptions): void;
+    public export(options?: IExportOptions): Promise<Blob>;
+    public exportState(): IDocumentState;
     public flipX(): Promise<IFlipXYResolveObject>;
     public flipY(): Promise<IFlipXYResolveObject>;
     public getCanvasSize(): ICanvasSize;
+    public getCropShape(): { type: string; radius: number | null; path: string | null };
     public getCropzoneRect(): IRectConfig;
     public getDrawingMode(): string;
+    public getFilterStack(): IFilterStackItem[];
     public getImageName(): string;
     public getObjectPosition(id: number, originX: string, originY: string): ICanvasSize;
     public getObjectProperties(
       id: number,
       keys: string | string[] | IGraphicObjectProps
     ): IGraphicObjectProps;
+    public getObjectZIndex(id: number): number;
+    public getSnappingOptions(): Required<ISnappingOptions>;
+    public getStraightenAngle(): number;
+    public groupObjects(ids: number[]): Promise<IObjectProps>;
     public hasFilter(type: string): boolean;
+    public hideObject(id: number): Promise<void>;
+    public importState(state: IDocumentState | string): Promise<ICropResolveObject>;
+    public insertFilter(
+      type: string,
+      options?: IFilterOptions,
+      index?: number
+    ): Promise<IFilterResolveObject>;
     public isEmptyRedoStack(): boolean;
     public isEmptyUndoStack(): boolean;
+    public isObjectLocked(id: number): boolean;
+    public isSnappingEnabled(): boolean;
+    public loadFont(font: IFontConfig): Promise<void>;
     public loadImageFromFile(imgFile: File, imageName?: string): Promise<ICropResolveObject>;
     public loadImageFromURL(url: string, imageName?: string): Promise<ICropResolveObject>;
+    public lockObject(id: number): Promise<void>;
+    public moveFilter(id: number, index: number): Promise<IFilterResolveObject>;
+    public pasteFromClipboard(
+      clipboardData?: DataTransfer | null,
+      options?: IPasteOptions
+    ): Promise<IObjectProps[] | ICropResolveObject>;
     public redo(iterationCount: number): Promise<any>;
     public registerIcons(infos: IIconInfo): void;
     public removeActiveObject(): void;
     public removeFilter(type?: string): Promise<IFilterResolveObject>;
+    public removeFilterById(id: number): Promise<IFilterResolveObject>;
     public removeObject(id: number): Promise<void>;
     public resetFlip(): Promise<IFlipXYResolveObject>;
+    public resize(
+      dimensions: Partial<ICanvasSize>,
+      algorithm?: ResampleAlgorithmType
+    ): Promise<void>;
     public resizeCanvasDimension(dimension: ICanvasSize): Promise<void>;
     public rotate(angle: AngleType, isSilent?: boolean): Promise<AngleType>;
+    public sendBackward(id: number): Promise<number>;
+    public sendToBack(id: number): Promise<number>;
     public setAngle(angle: AngleType, isSilent?: boolean): Promise<AngleType>;
-    public setBrush(option: IBrushOptions): void;
-    public setCropzoneRect(mode?: number): void;
+    public setBrush(option: IBrushOptions | IEraserOptions): void;
+    public setCanvasSize(
+      size: ICanvasSize,
+      options?: ICanvasSizeOptions
+    ): Promise<ICropResolveObject>;
+    public setCropShape(shape?: ICropShape): boolean;
+    public setCropSizeLimits(limits: ICropSizeLimits | null): void;
+    public setCropzoneGuide(guide: 'thirds' | 'golden' | 'none' | null): boolean;
+    public setCropzoneRect(mode?: number | IRectConfig): boolean;
     public setDrawingShape(type: string, options?: IShapeOptions): void;
     public setObjectPosition(id: number, posInfo?: IPositionConfig): Promise<void>;
     public setObjectProperties(id: number, keyValue?: IGraphicObjectProps): Promise<void>;
     public setObjectPropertiesQuietly(id: number, keyValue?: IGraphicObjectProps): Promise<void>;
-    public startDrawingMode(mode: string, option?: { width?: number; color?: string }): boolean;
+    public setObjectZIndex(id: number, index: number): Promise<number>;
+    public showObject(id: number): Promise<void>;
+    public startDrawingMode(mode: string, option?: IBrushOptions | IEraserOptions): boolean;
     public stopDrawingMode(): void;
+    public straighten(angle: number): number;
     public toDataURL(options?: IToDataURLOptions): string;
+    public toggleFilter(id: number, visible?: boolean): Promise<IFilterResolveObject>;
     public undo(iterationCount: number): Promise<any>;
+    public ungroupObjects(groupId: number): Promise<IObjectProps[]>;
+    public unlockObject(id: number): Promise<void>;
+    public updateFilter(
+      id: number,
+      options: IFilterOptions,
+      isSilent?: boolean
+    ): Promise<IFilterResolveObject>;
     public on(eventName: string, handler: (...args: any[]) => void): void;
   }
 }
@@ -9,19 +9,31 @@ import '@/command/addObject';
 import '@/command/addShape';
 import '@/command/addText';
 import '@/command/applyFilter';
+import '@/command/arrangeObjects';
 import '@/command/changeIconColor';
+import '@/command/changeObjectLock';
+import '@/command/changeObjectOrder';
+import '@/command/changeObjectVisible';
 import '@/command/changeShape';
 import '@/command/changeText';
 import '@/command/changeTextStyle';
 import '@/command/clearObjects';
+import '@/command/crop';
+import '@/command/cutObject';
+import '@/command/erase';
 import '@/command/flip';
+import '@/command/groupObjects';
 import '@/command/loadImage';
+import '@/command/moveFilter';
 import '@/command/removeFilter';
 import '@/command/removeObject';
 import '@/command/resizeCanvasDimension';
 import '@/command/rotate';
+import '@/command/setCanvasSize';
 import '@/command/setObjectProperties';
 import '@/command/setObjectPosition';
+import '@/command/toggleFilter';
+import '@/command/ungroupObjects';
 import '@/command/changeSelection';
 import '@/command/resize';
 
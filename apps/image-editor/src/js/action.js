@@ -1,7 +1,37 @@
 import extend from 'tui-code-snippet/object/extend';
 import Imagetracer from '@/helper/imagetracer';
-import { isSupportFileApi, base64ToBlob, toInteger, isEmptyCropzone, includes } from '@/util';
-import { eventNames, historyNames, drawingModes, drawingMenuNames, zoomModes } from '@/consts';
+import { makeGradientOrPatternFillOption } from '@/helper/gradientPatternFillHelper';
+import { isSupportFileApi, toInteger, isEmptyCropzone, includes, stamp } from '@/util';
+import {
+  eventNames,
+  historyNames,
+  drawingModes,
+  drawingMenuNames,
+  zoomModes,
+  componentNames,
+  DRAWING_TYPE,
+  SHAPE_TYPE,
+  rejectMessages,
+} from '@/consts';
+
+const LAYER_THUMBNAIL_SIZE = 56;
+
+/**
+ * Make the image element of the blob, the object url is revoked after the image is loaded
+ * @param {Document} doc - document to create the image element in
+ * @param {Blob} blob - image blob
+ * @returns {HTMLImageElement}
+ * @private
+ */
+function makeObjectURLImage(doc, blob) {
+  const image = doc.createElement('img');
+  const url = URL.createObjectURL(blob);
+
+  image.onload = () => URL.revokeObjectURL(url);
+  image.src = url;
+
+  return image;
+}
 
 export default {
   /**
@@ -23,6 +53,8 @@ export default {
       icon: this._iconAction(),
       filter: this._filterAction(),
       history: this._historyAction(),
+      layers: this._layersAction(),
+      align: this._alignAction(),
     };
   },
 
@@ -43,14 +75,14 @@ export default {
         this.ui.rotate.setRangeBarAngle('setAngle', angle);
       }
     };
-    const setFilterStateRangeBarOnAction = (filterOptions) => {
+    const setFilterStackOnAction = () => {
       if (this.ui.submenu === 'filter') {
-        this.ui.filter.setFilterState(filterOptions);
+        this.ui.filter.renderFilterStack(this.getFilterStack());
       }
     };
     const onEndUndoRedo = (result) => {
       setAngleRangeBarOnAction(result);
-      setFilterStateRangeBarOnAction(result);
+      setFilterStackOnAction();
 
       return result;
     };
@@ -78,7 +110,7 @@ export default {
     };
     const initFilterState = () => {
       if (this.ui.filter) {
-        this.ui.filter.initFilterCheckBoxState();
+        this.ui.filter.renderFilterStack(this.getFilterStack());
       }
     };
 
@@ -146,26 +178,42 @@ export default {
             })
             ['catch']((message) => Promise.reject(message));
         },
-        download: () => {
-          const dataURL = this.toDataURL();
-          let imageName = this.getImageName();
-          let blob, type, w;
+        download: (options) =>
+          this['export'](options)
+            .then((blob) => {
+              let imageName = this.getImageName();
+              let type, w;
+
+              if (isSupportFileApi() && window.saveAs) {
+                [type] = blob.type.split('/')[1].split('+');
+                if (imageName.split('.').pop() !== type) {
+                  imageName += `.${type}`;
+                }
+                saveAs(blob, imageName); // eslint-disable-line
+              } else {
+                w = window.open();
+                w.document.body.appendChild(makeObjectURLImage(w.document, blob));
+              }
+            })
+            ['catch']((message) => {
+              // Nothing is downloaded when there is no image or the image is failed to export
+              if (
+                !includes([rejectMessages.loadImage, rejectMessages.exportingImageFailed], message)
+              ) {
+                return Promise.reject(message);
+              }
 
-          if (isSupportFileApi() && window.saveAs) {
-            blob = base64ToBlob(dataURL);
-            type = blob.type.split('/')[1];
-            if (imageName.split('.').pop() !== type) {
-              imageName += `.${type}`;
-            }
-            saveAs(blob, imageName); // eslint-disable-line
-          } else {
-            w = window.open();
-            w.document.body.innerHTML = `<img src='${dataURL}'>`;
-          }
-        },
+              return null;
+            }),
         history: (event) => {
           this.ui.toggleHistoryMenu(event);
         },
+        layers: (event) => {
+          this.ui.toggleLayersMenu(event);
+        },
+        align: (event) => {
+          this.ui.toggleAlignMenu(event);
+        },
         zoomIn: () => {
           this.ui.toggleZoomButtonStatus('zoomIn');
           this.deactivateAll();
@@ -293,13 +341,45 @@ export default {
    * @private
    */
   _textAction() {
+    const changeTextStyle = (styleObj, isSilent) => {
+      if (!this.activeObjectId) {
+        return;
+      }
+
+      const textObj = this._graphics.getObject(this.activeObjectId);
+      const textComp = this._graphics.getComponent(componentNames.TEXT);
+      const range = textObj && textComp.getSelectionRange(textObj);
+
+      if (range) {
+        this.changeTextStyle(this.activeObjectId, styleObj, isSilent, range);
+      } else {
+        this.changeTextStyle(this.activeObjectId, styleObj, isSilent);
+      }
+    };
+
     return extend(
       {
-        changeTextStyle: (styleObj, isSilent) => {
-          if (this.activeObjectId) {
-            this.changeTextStyle(this.activeObjectId, styleObj, isSilent);
-          }
-        },
+        changeTextStyle,
+        changeTextFont: (font) =>
+          this.loadFont(font).then(
+            () => {
+              changeTextStyle({ fontFamily: font.family });
+            },
+            (message) => {
+              const textObj = this._graphics.getObject(this.activeObjectId);
+
+              if (message !== rejectMessages.loadingFontFailed) {
+                return Promise.reject(message);
+              }
+
+              // The font picker goes back to the font of the text when the selected font is not loaded
+              if (textObj) {
+                this.ui.text.fontFamily = textObj.fontFamily;
+              }
+
+              return null;
+            }
+          ),
       },
       this._commonAction()
     );
@@ -341,8 +421,8 @@ export default {
             this.changeShape(this.activeObjectId, changeShapeObject, isSilent);
           }
         },
-        setDrawingShape: (shapeType) => {
-          this.setDrawingShape(shapeType);
+        setDrawingShape: (shapeType, options) => {
+          this.setDrawingShape(shapeType, options);
         },
       },
       this._commonAction()
@@ -357,15 +437,14 @@ export default {
   _cropAction() {
     return extend(
       {
-        crop: () => {
+        crop: (outputSize) => {
           const cropRect = this.getCropzoneRect();
           if (cropRect && !isEmptyCropzone(cropRect)) {
-            this.crop(cropRect)
+            this.crop(cropRect, outputSize)
               .then(() => {
                 this.stopDrawingMode();
                 this.ui.resizeEditor();
                 this.ui.changeMenu('crop');
-                this._invoker.fire(eventNames.EXECUTE_COMMAND, historyNames.CROP);
               })
               ['catch']((message) => Promise.reject(message));
           }
@@ -374,33 +453,26 @@ export default {
           this.stopDrawingMode();
           this.ui.changeMenu('crop');
         },
-        /* eslint-disable */
-        preset: (presetType) => {
-          switch (presetType) {
-            case 'preset-square':
-              this.setCropzoneRect(1 / 1);
-              break;
-            case 'preset-3-2':
-              this.setCropzoneRect(3 / 2);
-              break;
-            case 'preset-4-3':
-              this.setCropzoneRect(4 / 3);
-              break;
-            case 'preset-5-4':
-              this.setCropzoneRect(5 / 4);
-              break;
-            case 'preset-7-5':
-              this.setCropzoneRect(7 / 5);
-              break;
-            case 'preset-16-9':
-              this.setCropzoneRect(16 / 9);
-              break;
-            default:
-              this.setCropzoneRect();
-              this.ui.crop.changeApplyButtonStatus(false);
-              break;
+        straighten: (angle) => {
+          this.straighten(angle);
+        },
+        preset: (ratio) => {
+          this.setCropzoneRect(ratio);
+
+          if (!ratio) {
+            this.ui.crop.changeApplyButtonStatus(false);
           }
         },
+        setRect: (rect) => {
+          const isSet = this.setCropzoneRect(rect);
+
+          if (isSet) {
+            this.ui.crop.changeApplyButtonStatus(true);
+          }
+
+          return isSet;
+        },
+        getRect: () => this.getCropzoneRect(),
       },
       this._commonAction()
     );
@@ -450,12 +522,12 @@ export default {
             this.ui.resize.setHeightValue(dimensions.height);
           }
         },
-        resize: (dimensions = null) => {
+        resize: (dimensions, algorithm) => {
           if (!dimensions) {
             dimensions = this._graphics.getCurrentDimensions();
           }
 
-          this.resize(dimensions)
+          this.resize(dimensions, algorithm)
             .then(() => {
               this._graphics.setOriginalDimensions(dimensions);
               this.stopDrawingMode();
@@ -512,6 +584,12 @@ export default {
             this.removeFilter(type);
           }
         },
+        getFilterStack: () => this.getFilterStack(),
+        insertFilter: (type, options) => this.insertFilter(type, options),
+        updateFilter: (id, options, isSilent) => this.updateFilter(id, options, isSilent),
+        removeFilter: (id) => this.removeFilterById(id),
+        moveFilter: (id, index) => this.moveFilter(id, index),
+        toggleFilter: (id) => this.toggleFilter(id),
       },
       this._commonAction()
     );
@@ -546,10 +624,11 @@ export default {
 
         this.ui.changeHelpButtonEnabled('delete', true);
         this.ui.changeHelpButtonEnabled('deleteAll', true);
+        this.ui.changeHelpButtonEnabled('align', obj.type === 'activeSelection');
 
         if (obj.type === 'cropzone') {
           this.ui.crop.changeApplyButtonStatus(true);
-        } else if (['rect', 'circle', 'triangle'].indexOf(obj.type) > -1) {
+        } else if (includes(SHAPE_TYPE, obj.type)) {
           this.stopDrawingMode();
           if (this.ui.submenu !== 'shape') {
             this.ui.changeMenu('shape', false, false);
@@ -558,15 +637,20 @@ export default {
             strokeColor: obj.stroke,
             strokeWidth: obj.strokeWidth,
             fillColor: obj.fill,
+            fillOption: makeGradientOrPatternFillOption(obj.fill),
+            shapeType: obj.type,
+            rx: obj.rx,
+            sides: obj.sides,
+            innerRadius: obj.innerRadius,
           });
 
           this.ui.shape.setMaxStrokeValue(Math.min(obj.width, obj.height));
-        } else if (obj.type === 'path' || obj.type === 'line') {
+        } else if (includes(DRAWING_TYPE, obj.type)) {
           if (this.ui.submenu !== 'draw') {
             this.ui.changeMenu('draw', false, false);
             this.ui.draw.changeStandbyMode();
           }
-        } else if (['i-text', 'text'].indexOf(obj.type) > -1) {
+        } else if (['i-text', 'text', 'textbox'].indexOf(obj.type) > -1) {
           if (this.ui.submenu !== 'text') {
             this.ui.changeMenu('text', false, false);
           }
@@ -581,29 +665,35 @@ export default {
         }
       },
       /* eslint-enable complexity */
+      textSelectionChanged: ({ styles }) => {
+        if (this.ui.submenu === 'text') {
+          this.ui.text.setTextStyleStateOnAction(styles);
+        }
+      },
       addText: (pos) => {
-        const { textColor: fill, fontSize, fontStyle, fontWeight, underline } = this.ui.text;
-        const fontFamily = 'Noto Sans';
+        const { textColor: fill, fontSize, font, fontStyle, fontWeight, underline } = this.ui.text;
+        const addText = () =>
+          this.addText('Double Click', {
+            position: pos.originPosition,
+            styles: { fill, fontSize, fontFamily: font.family, fontStyle, fontWeight, underline },
+          }).then(() => {
+            this.changeCursor('default');
+          });
 
-        this.addText('Double Click', {
-          position: pos.originPosition,
-          styles: { fill, fontSize, fontFamily, fontStyle, fontWeight, underline },
-        }).then(() => {
-          this.changeCursor('default');
-        });
+        this.loadFont(font).then(addText, addText);
       },
       addObjectAfter: (obj) => {
         if (obj.type === 'icon') {
           this.ui.icon.changeStandbyMode();
-        } else if (['rect', 'circle', 'triangle'].indexOf(obj.type) > -1) {
+        } else if (includes(SHAPE_TYPE, obj.type)) {
           this.ui.shape.setMaxStrokeValue(Math.min(obj.width, obj.height));
           this.ui.shape.changeStandbyMode();
         }
       },
       objectScaled: (obj) => {
-        if (['i-text', 'text'].indexOf(obj.type) > -1) {
+        if (['i-text', 'text', 'textbox'].indexOf(obj.type) > -1) {
           this.ui.text.fontSize = toInteger(obj.fontSize);
-        } else if (['rect', 'circle', 'triangle'].indexOf(obj.type) >= 0) {
+        } else if (includes(SHAPE_TYPE, obj.type)) {
           const { width, height } = obj;
           const strokeValue = this.ui.shape.getStrokeValue();
 
@@ -615,8 +705,14 @@ export default {
           }
         }
       },
+      cropzoneChanged: (rect) => {
+        if (this.ui.crop) {
+          this.ui.crop.setRectValues(rect);
+        }
+      },
       selectionCleared: () => {
         this.activeObjectId = null;
+        this.ui.changeHelpButtonEnabled('align', false);
         if (this.ui.submenu === 'text') {
           this.changeCursor('text');
         } else if (!includes(['draw', 'crop', 'resize'], this.ui.submenu)) {
@@ -638,6 +734,77 @@ export default {
     };
   },
 
+  /**
+   * Layers Action
+   * @returns {Object} layers actions for ui
+   * @private
+   */
+  _layersAction() {
+    const activeObject = () => this._graphics.getActiveObject();
+    const makeLayer = (obj) => {
+      const id = stamp(obj);
+      const { width, height } = obj.getBoundingRect();
+
+      return {
+        id,
+        zIndex: this.getObjectZIndex(id),
+        type: obj.type,
+        thumbnail: obj.toDataURL({
+          multiplier: Math.min(1, LAYER_THUMBNAIL_SIZE / Math.max(width, height, 1)),
+        }),
+        locked: this._graphics.isLockedObject(obj),
+        visible: obj.visible !== false,
+        selected: obj === activeObject(),
+      };
+    };
+
+    return {
+      getLayers: () =>
+        this._graphics
+          .getObjects()
+          .filter((obj) => !obj.isType('cropzone'))
+          .map(makeLayer),
+      select: (id) => {
+        const obj = this._graphics.getObject(id);
+
+        if (obj && obj.selectable && obj.visible) {
+          this._graphics.setActiveObject(obj);
+          this._graphics.renderAll();
+        }
+      },
+      setObjectZIndex: (id, index) => this.setObjectZIndex(id, index),
+      setLock: (id, locked) => (locked ? this.lockObject(id) : this.unlockObject(id)),
+      setVisible: (id, visible) => (visible ? this.showObject(id) : this.hideObject(id)),
+    };
+  },
+
+  /**
+   * Align Action
+   * @returns {Object} align actions for ui
+   * @private
+   */
+  _alignAction() {
+    const arrangeSelection = (arrange) => {
+      const selection = this._graphics.getActiveObjects();
+      const objects = selection ? selection.getObjects() : [];
+
+      if (objects.length < 2) {
+        return;
+      }
+
+      arrange(objects.map((obj) => stamp(obj))).then(() => {
+        this._graphics.setActiveObject(this._graphics.getActiveSelectionFromObjects(objects));
+        this._graphics.renderAll();
+      });
+    };
+
+    return {
+      align: (align, relativeTo) =>
+        arrangeSelection((ids) => this.alignObjects(ids, align, relativeTo)),
+      distribute: (direction) => arrangeSelection((ids) => this.distributeObjects(ids, direction)),
+    };
+  },
+
   /**
    * Common Action
    * @returns {Object} common actions for ui
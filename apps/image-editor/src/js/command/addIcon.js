@@ -14,6 +14,7 @@ const command = {
    *      @param {string} [options.fill] - Icon foreground color
    *      @param {string} [options.left] - Icon x position
    *      @param {string} [options.top] - Icon y position
+   *      @param {string} [options.path] - Icon path used instead of the registered path of the type
    * @returns {Promise}
    */
   execute(graphics, type, options) {
@@ -9,7 +9,7 @@ const command = {
   /**
    * Add a shape
    * @param {Graphics} graphics - Graphics instance
-   * @param {string} type - Shape type (ex: 'rect', 'circle', 'triangle')
+   * @param {string} type - Shape type (ex: 'rect', 'circle', 'star')
    * @param {Object} options - Shape options
    *      @param {string} [options.fill] - Shape foreground color (ex: '#fff', 'transparent')
    *      @param {string} [options.stroke] - Shape outline color
@@ -17,7 +17,13 @@ const command = {
    *      @param {number} [options.width] - Width value (When type option is 'rect', this options can use)
    *      @param {number} [options.height] - Height value (When type option is 'rect', this options can use)
    *      @param {number} [options.rx] - Radius x value (When type option is 'circle', this options can use)
+   *        or corner radius x value (When type option is 'rect' or 'speechBubble', this options can use)
    *      @param {number} [options.ry] - Radius y value (When type option is 'circle', this options can use)
+   *        or corner radius y value (When type option is 'rect' or 'speechBubble', this options can use)
+   *      @param {number} [options.sides] - Count of the sides or the points
+   *        (When type option is 'regularPolygon' or 'star', this options can use)
+   *      @param {number} [options.innerRadius] - Ratio of the inner radius to the outer radius (0 ~ 1)
+   *        (When type option is 'star', this options can use)
    *      @param {number} [options.left] - Shape x position
    *      @param {number} [options.top] - Shape y position
    *      @param {number} [options.isRegular] - Whether resizing shape has 1:1 ratio or not
@@ -1,6 +1,7 @@
 import extend from 'tui-code-snippet/object/extend';
 import commandFactory from '@/factory/command';
 import { componentNames, rejectMessages, commandNames } from '@/consts';
+import { stamp } from '@/util';
 
 const { FILTER } = componentNames;
 
@@ -29,6 +30,42 @@ function makeUndoData(type, prevfilterOption, options) {
   return undoData;
 }
 
+/**
+ * Apply a filter of the stack which is targeted by id or index
+ * @param {Command} command - Command instance
+ * @param {Filter} filterComp - Filter component
+ * @param {Object} filterInfo - filter information
+ *  @param {string} filterInfo.type - Filter type
+ *  @param {Object} filterInfo.options - Filter options
+ *  @param {boolean} filterInfo.isSilent - is silent execution or not
+ *  @param {{id: number, index: number}} filterInfo.target - filter stack target
+ * @returns {Promise}
+ */
+function applyStackFilter(command, filterComp, { type, options, isSilent, target }) {
+  const { id, index } = target;
+
+  if (id) {
+    if (!command.isRedo) {
+      const undoData = { id, options: filterComp.getStack()[filterComp.getIndex(id)].options };
+
+      cachedUndoDataForSilent = command.setUndoData(undoData, cachedUndoDataForSilent, isSilent);
+    }
+
+    return filterComp.update(id, options);
+  }
+
+  if (command.isRedo) {
+    return filterComp.restore(command.undoData.filter, command.undoData.index);
+  }
+
+  return filterComp.insert(type, options, index).then((result) => {
+    command.undoData.filter = filterComp.getFilterById(result.id);
+    command.undoData.index = filterComp.getIndex(result.id);
+
+    return result;
+  });
+}
+
 const command = {
   name: commandNames.APPLY_FILTER,
 
@@ -39,11 +76,19 @@ const command = {
    * @param {Object} options - Filter options
    *  @param {number} options.maskObjId - masking image object id
    * @param {boolean} isSilent - is silent execution or not
+   * @param {Object} [target] - filter of the stack to apply. If it is not given,
+   *   the first filter of the type is changed or a new filter is pushed on top of the stack
+   *  @param {number} [target.id] - id of the filter to change options
+   *  @param {number} [target.index] - index of the stack to insert a new filter
    * @returns {Promise}
    */
-  execute(graphics, type, options, isSilent) {
+  execute(graphics, type, options, isSilent, target) {
     const filterComp = graphics.getComponent(FILTER);
 
+    if (target) {
+      return applyStackFilter(this, filterComp, { type, options, isSilent, target });
+    }
+
     if (type === 'mask') {
       const maskObj = graphics.getObject(options.maskObjId);
 
@@ -72,6 +117,14 @@ const command = {
   undo(graphics, type) {
     const filterComp = graphics.getComponent(FILTER);
 
+    // filter of the stack case
+    if (this.undoData.filter) {
+      return filterComp.removeById(stamp(this.undoData.filter));
+    }
+    if (this.undoData.id) {
+      return filterComp.update(this.undoData.id, this.undoData.options);
+    }
+
     if (type === 'mask') {
       const mask = this.undoData.object;
       graphics.add(mask);
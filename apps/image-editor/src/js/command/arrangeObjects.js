@@ -0,0 +1,103 @@
+import commandFactory from '@/factory/command';
+import { commandNames, rejectMessages } from '@/consts';
+import { makeSelectionUndoDatum } from '@/helper/selectionModifyHelper';
+import {
+  isValidAlign,
+  isValidDistribute,
+  getUnionRect,
+  makeAlignOffsets,
+  makeDistributeOffsets,
+} from '@/helper/alignHelper';
+
+/**
+ * Whether the arrangement is valid
+ * @param {Object} arrangement - arrangement
+ * @returns {boolean}
+ * @private
+ */
+function isValidArrangement({ type, align, relativeTo, direction }) {
+  if (type === 'align') {
+    return isValidAlign(align) && (relativeTo === 'selection' || relativeTo === 'canvas');
+  }
+
+  return type === 'distribute' && isValidDistribute(direction);
+}
+
+/**
+ * Make offsets to move the objects by the arrangement
+ * @param {Graphics} graphics - Graphics instance
+ * @param {Array.<Object>} rects - bounding rects of the objects
+ * @param {Object} arrangement - arrangement
+ * @returns {Array.<{x: number, y: number}>} offsets
+ * @private
+ */
+function makeOffsets(graphics, rects, { type, align, relativeTo, direction }) {
+  if (type === 'distribute') {
+    return makeDistributeOffsets(rects, direction);
+  }
+
+  const { width, height } = graphics.getCanvas();
+  const bounds = relativeTo === 'canvas' ? { left: 0, top: 0, width, height } : getUnionRect(rects);
+
+  return makeAlignOffsets(rects, align, bounds);
+}
+
+const command = {
+  name: commandNames.ARRANGE_OBJECTS,
+
+  /**
+   * Align or distribute objects
+   * @param {Graphics} graphics - Graphics instance
+   * @param {Array.<number>} ids - object ids
+   * @param {Object} arrangement - arrangement
+   *   @param {string} arrangement.type - 'align' or 'distribute'
+   *   @param {string} [arrangement.align] - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+   *   @param {string} [arrangement.relativeTo] - 'selection' or 'canvas' to align to
+   *   @param {string} [arrangement.direction] - 'horizontal' or 'vertical' to distribute
+   * @returns {Promise}
+   */
+  execute(graphics, ids, arrangement) {
+    const objects = ids.map((id) => graphics.getObject(id));
+
+    if (!objects.length || !objects.every((obj) => obj)) {
+      return Promise.reject(rejectMessages.noObject);
+    }
+    if (!isValidArrangement(arrangement)) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    graphics.discardSelection();
+
+    const rects = objects.map((obj) => obj.getBoundingRect(true, true));
+    const offsets = makeOffsets(graphics, rects, arrangement);
+
+    this.undoData.objects = objects.map((obj, index) =>
+      makeSelectionUndoDatum(ids[index], obj, true)
+    );
+
+    objects.forEach((obj, index) => {
+      const { x, y } = offsets[index];
+
+      graphics.setObjectProperties(ids[index], { left: obj.left + x, top: obj.top + y });
+    });
+
+    return Promise.resolve();
+  },
+
+  /**
+   * @param {Graphics} graphics - Graphics instance
+   * @returns {Promise}
+   */
+  undo(graphics) {
+    graphics.discardSelection();
+    this.undoData.objects.forEach((datum) => {
+      graphics.setObjectProperties(datum.id, datum);
+    });
+
+    return Promise.resolve();
+  },
+};
+
+commandFactory.register(command);
+
+export default command;
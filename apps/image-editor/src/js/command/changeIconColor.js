@@ -1,5 +1,9 @@
 import commandFactory from '@/factory/command';
 import { componentNames, rejectMessages, commandNames } from '@/consts';
+import {
+  isGradientOrPatternFillOption,
+  makeGradientOrPatternFill,
+} from '@/helper/gradientPatternFillHelper';
 
 const { ICON } = componentNames;
 
@@ -10,23 +14,29 @@ const command = {
    * Change icon color
    * @param {Graphics} graphics - Graphics instance
    * @param {number} id - object id
-   * @param {string} color - Color for icon
+   * @param {(string | ShapeFillOption)} color - Color for icon or gradient or pattern type fill option
    * @returns {Promise}
    */
   execute(graphics, id, color) {
-    return new Promise((resolve, reject) => {
-      const iconComp = graphics.getComponent(ICON);
-      const targetObj = graphics.getObject(id);
-
-      if (!targetObj) {
-        reject(rejectMessages.noObject);
-      }
-
-      this.undoData.object = targetObj;
-      this.undoData.color = iconComp.getColor(targetObj);
-      iconComp.setColor(color, targetObj);
-      resolve();
-    });
+    const iconComp = graphics.getComponent(ICON);
+    const targetObj = graphics.getObject(id);
+
+    if (!targetObj) {
+      return Promise.reject(rejectMessages.noObject);
+    }
+
+    this.undoData.object = targetObj;
+    this.undoData.color = iconComp.getColor(targetObj);
+
+    if (isGradientOrPatternFillOption(color)) {
+      return makeGradientOrPatternFill(color).then((fill) => {
+        iconComp.setColor(fill, targetObj);
+      });
+    }
+
+    iconComp.setColor(color, targetObj);
+
+    return Promise.resolve();
   },
 
   /**
@@ -0,0 +1,42 @@
+import commandFactory from '@/factory/command';
+import { commandNames, rejectMessages } from '@/consts';
+
+const command = {
+  name: commandNames.CHANGE_OBJECT_LOCK,
+
+  /**
+   * Lock or unlock an object
+   * @param {Graphics} graphics - Graphics instance
+   * @param {number} id - object id
+   * @param {boolean} locked - whether to lock the object
+   * @returns {Promise}
+   */
+  execute(graphics, id, locked) {
+    const targetObj = graphics.getObject(id);
+
+    if (!targetObj) {
+      return Promise.reject(rejectMessages.noObject);
+    }
+
+    this.undoData.locked = graphics.isLockedObject(targetObj);
+
+    graphics.setObjectLock(id, locked);
+
+    return Promise.resolve();
+  },
+
+  /**
+   * @param {Graphics} graphics - Graphics instance
+   * @param {number} id - object id
+   * @returns {Promise}
+   */
+  undo(graphics, id) {
+    graphics.setObjectLock(id, this.undoData.locked);
+
+    return Promise.resolve();
+  },
+};
+
+commandFactory.register(command);
+
+export default command;
@@ -0,0 +1,45 @@
+import commandFactory from '@/factory/command';
+import { commandNames, rejectMessages } from '@/consts';
+
+const command = {
+  name: commandNames.CHANGE_OBJECT_ORDER,
+
+  /**
+   * Change the stacking order of an object
+   * @param {Graphics} graphics - Graphics instance
+   * @param {number} id - object id
+   * @param {number} index - z-index to move the object to, 0 is the bottom
+   * @returns {Promise}
+   */
+  execute(graphics, id, index) {
+    const prevIndex = graphics.getObjectZIndex(id);
+
+    if (prevIndex < 0) {
+      return Promise.reject(rejectMessages.noObject);
+    }
+    if (!(index >= 0 && index < graphics.getObjects().length)) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    this.undoData.index = prevIndex;
+
+    graphics.setObjectZIndex(id, index);
+
+    return Promise.resolve(index);
+  },
+
+  /**
+   * @param {Graphics} graphics - Graphics instance
+   * @param {number} id - object id
+   * @returns {Promise}
+   */
+  undo(graphics, id) {
+    graphics.setObjectZIndex(id, this.undoData.index);
+
+    return Promise.resolve();
+  },
+};
+
+commandFactory.register(command);
+
+export default command;
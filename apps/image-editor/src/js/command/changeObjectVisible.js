@@ -0,0 +1,42 @@
+import commandFactory from '@/factory/command';
+import { commandNames, rejectMessages } from '@/consts';
+
+const command = {
+  name: commandNames.CHANGE_OBJECT_VISIBLE,
+
+  /**
+   * Show or hide an object
+   * @param {Graphics} graphics - Graphics instance
+   * @param {number} id - object id
+   * @param {boolean} visible - whether to show the object
+   * @returns {Promise}
+   */
+  execute(graphics, id, visible) {
+    const targetObj = graphics.getObject(id);
+
+    if (!targetObj) {
+      return Promise.reject(rejectMessages.noObject);
+    }
+
+    this.undoData.visible = targetObj.visible;
+
+    graphics.setObjectVisible(id, visible);
+
+    return Promise.resolve();
+  },
+
+  /**
+   * @param {Graphics} graphics - Graphics instance
+   * @param {number} id - object id
+   * @returns {Promise}
+   */
+  undo(graphics, id) {
+    graphics.setObjectVisible(id, this.undoData.visible);
+
+    return Promise.resolve();
+  },
+};
+
+commandFactory.register(command);
+
+export default command;
@@ -1,8 +1,10 @@
+import { fabric } from 'fabric';
 import forEachOwnProperties from 'tui-code-snippet/collection/forEachOwnProperties';
 import commandFactory from '@/factory/command';
 import { componentNames, rejectMessages, commandNames } from '@/consts';
 
 const { TEXT } = componentNames;
+const TEXT_DECORATION_KEYS = ['underline', 'linethrough', 'overline'];
 
 /**
  * Cached data for undo
@@ -20,10 +22,16 @@ function makeUndoData(styles, targetObj) {
   const undoData = {
     object: targetObj,
     styles: {},
+    charStyles: fabric.util.object.clone(targetObj.styles, true),
   };
   forEachOwnProperties(styles, (value, key) => {
-    const undoValue = targetObj[key];
-    undoData.styles[key] = undoValue;
+    if (key === 'textDecoration') {
+      TEXT_DECORATION_KEYS.forEach((decorationKey) => {
+        undoData.styles[decorationKey] = targetObj[decorationKey];
+      });
+    } else {
+      undoData.styles[key] = targetObj[key];
+    }
   });
 
   return undoData;
@@ -37,17 +45,31 @@ const command = {
    * @param {Graphics} graphics - Graphics instance
    * @param {number} id - object id
    * @param {Object} styles - text styles
-   *     @param {string} [styles.fill] Color
+   *     @param {(string | ShapeFillOption)} [styles.fill] Color or gradient or pattern type fill option
    *     @param {string} [styles.fontFamily] Font type for text
    *     @param {number} [styles.fontSize] Size
    *     @param {string} [styles.fontStyle] Type of inclination (normal / italic)
    *     @param {string} [styles.fontWeight] Type of thicker or thinner looking (normal / bold)
    *     @param {string} [styles.textAlign] Type of text align (left / center / right)
    *     @param {string} [styles.textDecoration] Type of line (underline / line-through / overline)
+   *     @param {number} [styles.lineHeight] Line height relative to the font size
+   *     @param {number} [styles.charSpacing] Letter spacing in thousandths of em
+   *     @param {string} [styles.stroke] Color of the outline
+   *     @param {number} [styles.strokeWidth] Width of the outline
+   *     @param {?Object} [styles.shadow] Drop shadow, null removes it
+   *         @param {string} [styles.shadow.color] Color of the shadow
+   *         @param {number} [styles.shadow.blur] Blur of the shadow
+   *         @param {number} [styles.shadow.offsetX] Horizontal offset of the shadow
+   *         @param {number} [styles.shadow.offsetY] Vertical offset of the shadow
+   *     @param {string} [styles.backgroundColor] Color of the background box
+   *     @param {number} [styles.backgroundPadding] Padding of the background box
+   *     @param {number} [styles.backgroundRadius] Corner radius of the background box
+   *     @param {number} [styles.curve] Angle of the arc along which the text is curved in degrees (-360 ~ 360)
    * @param {boolean} isSilent - is silent execution or not
+   * @param {{start: number, end: number}} [range] - character range to change the styles
    * @returns {Promise}
    */
-  execute(graphics, id, styles, isSilent) {
+  execute(graphics, id, styles, isSilent, range) {
     const textComp = graphics.getComponent(TEXT);
     const targetObj = graphics.getObject(id);
 
@@ -60,7 +82,7 @@ const command = {
       cachedUndoDataForSilent = this.setUndoData(undoData, cachedUndoDataForSilent, isSilent);
     }
 
-    return textComp.setStyle(targetObj, styles);
+    return textComp.setStyle(targetObj, styles, range);
   },
 
   /**
@@ -69,9 +91,9 @@ const command = {
    */
   undo(graphics) {
     const textComp = graphics.getComponent(TEXT);
-    const { object: textObj, styles } = this.undoData;
+    const { object: textObj, styles, charStyles } = this.undoData;
 
-    return textComp.setStyle(textObj, styles);
+    return textComp.restoreStyle(textObj, styles, charStyles);
   },
 };
 
@@ -5,13 +5,13 @@ const command = {
   name: commandNames.CLEAR_OBJECTS,
 
   /**
-   * Clear all objects without background (main) image
+   * Clear all objects without background (main) image and locked objects
    * @param {Graphics} graphics - Graphics instance
    * @returns {Promise}
    */
   execute(graphics) {
     return new Promise((resolve) => {
-      this.undoData.objects = graphics.removeAll();
+      this.undoData.objects = graphics.removeUnlockedObjects();
       resolve();
     });
   },
@@ -0,0 +1,30 @@
+import commandFactory from '@/factory/command';
+import loadImageCommand from '@/command/loadImage';
+import { commandNames } from '@/consts';
+
+const command = {
+  name: commandNames.CROP,
+
+  /**
+   * Replace the background image with the cropped image
+   * @param {Graphics} graphics - Graphics instance
+   * @param {string} imageName - Image name
+   * @param {string} imgUrl - Url of the cropped image
+   * @returns {Promise}
+   */
+  execute(graphics, imageName, imgUrl) {
+    return loadImageCommand.execute.call(this, graphics, imageName, imgUrl);
+  },
+
+  /**
+   * @param {Graphics} graphics - Graphics instance
+   * @returns {Promise}
+   */
+  undo(graphics) {
+    return loadImageCommand.undo.call(this, graphics);
+  },
+};
+
+commandFactory.register(command);
+
+export default command;
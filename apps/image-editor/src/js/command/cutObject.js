@@ -0,0 +1,39 @@
+import commandFactory from '@/factory/command';
+import removeObjectCommand from '@/command/removeObject';
+import { commandNames, rejectMessages } from '@/consts';
+
+const command = {
+  name: commandNames.CUT_OBJECT,
+
+  /**
+   * Remove the objects which are copied to the clipboard
+   * @param {Graphics} graphics - Graphics instance
+   * @param {Array.<number>} ids - object ids
+   * @returns {Promise}
+   */
+  execute(graphics, ids) {
+    return new Promise((resolve, reject) => {
+      // the objects are removed with their own positions, not the positions in the selection
+      graphics.discardSelection();
+      this.undoData.objects = [].concat(...ids.map((id) => graphics.removeObjectById(id)));
+
+      if (this.undoData.objects.length) {
+        resolve();
+      } else {
+        reject(rejectMessages.noObject);
+      }
+    });
+  },
+
+  /**
+   * @param {Graphics} graphics - Graphics instance
+   * @returns {Promise}
+   */
+  undo(graphics) {
+    return removeObjectCommand.undo.call(this, graphics);
+  },
+};
+
+commandFactory.register(command);
+
+export default command;
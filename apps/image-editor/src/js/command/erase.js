@@ -0,0 +1,41 @@
+import commandFactory from '@/factory/command';
+import { componentNames, commandNames, rejectMessages } from '@/consts';
+
+const { ERASER } = componentNames;
+
+const command = {
+  name: commandNames.ERASE,
+
+  /**
+   * Erase the objects under the eraser path
+   * @param {Graphics} graphics - Graphics instance
+   * @param {fabric.Path} path - eraser path
+   * @param {boolean} [eraseBackground] - whether the background image is erased to the transparency
+   * @returns {Promise}
+   */
+  execute(graphics, path, eraseBackground) {
+    const erased = graphics.getComponent(ERASER).erase(path, eraseBackground);
+
+    if (!erased.length) {
+      return Promise.reject(rejectMessages.noObject);
+    }
+
+    this.undoData.erased = erased;
+
+    return Promise.resolve();
+  },
+
+  /**
+   * @param {Graphics} graphics - Graphics instance
+   * @returns {Promise}
+   */
+  undo(graphics) {
+    graphics.getComponent(ERASER).restore(this.undoData.erased);
+
+    return Promise.resolve();
+  },
+};
+
+commandFactory.register(command);
+
+export default command;
@@ -0,0 +1,46 @@
+import commandFactory from '@/factory/command';
+import { commandNames, rejectMessages } from '@/consts';
+
+const command = {
+  name: commandNames.GROUP_OBJECTS,
+
+  /**
+   * Group objects into a persistent group
+   * @param {Graphics} graphics - Graphics instance
+   * @param {Array.<number>} ids - object ids
+   * @returns {Promise}
+   */
+  execute(graphics, ids) {
+    const canvas = graphics.getCanvas();
+    const objects = ids.map((id) => graphics.getObject(id));
+    const isValidObjects = objects.every((obj) => obj && canvas.contains(obj));
+
+    if (objects.length < 2 || !isValidObjects) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    this.undoData.zIndexes = ids
+      .map((id) => ({ id, index: graphics.getObjectZIndex(id) }))
+      .sort((a, b) => a.index - b.index);
+    this.undoData.group = graphics.groupObjects(objects, this.undoData.group);
+
+    return Promise.resolve(graphics.createObjectProperties(this.undoData.group));
+  },
+
+  /**
+   * @param {Graphics} graphics - Graphics instance
+   * @returns {Promise}
+   */
+  undo(graphics) {
+    const { group, zIndexes } = this.undoData;
+
+    graphics.ungroupObjects(group);
+    zIndexes.forEach(({ id, index }) => graphics.setObjectZIndex(id, index));
+
+    return Promise.resolve();
+  },
+};
+
+commandFactory.register(command);
+
+export default command;
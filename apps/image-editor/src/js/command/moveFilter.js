@@ -0,0 +1,38 @@
+import commandFactory from '@/factory/command';
+import { componentNames, commandNames } from '@/consts';
+
+const { FILTER } = componentNames;
+
+const command = {
+  name: commandNames.MOVE_FILTER,
+
+  /**
+   * Move a filter to another index of the filter stack
+   * @param {Graphics} graphics - Graphics instance
+   * @param {number} id - Filter id
+   * @param {number} index - New index of the stack
+   * @returns {Promise}
+   */
+  execute(graphics, id, index) {
+    const filterComp = graphics.getComponent(FILTER);
+
+    this.undoData.index = filterComp.getIndex(id);
+
+    return filterComp.move(id, index);
+  },
+
+  /**
+   * @param {Graphics} graphics - Graphics instance
+   * @param {number} id - Filter id
+   * @returns {Promise}
+   */
+  undo(graphics, id) {
+    const filterComp = graphics.getComponent(FILTER);
+
+    return filterComp.move(id, this.undoData.index);
+  },
+};
+
+commandFactory.register(command);
+
+export default command;
@@ -10,11 +10,20 @@ const command = {
    * Remove a filter from an image
    * @param {Graphics} graphics - Graphics instance
    * @param {string} type - Filter type
+   * @param {Object} [target] - filter of the stack to remove. If it is not given, all filters of the type are removed
+   *  @param {number} [target.id] - id of the filter
    * @returns {Promise}
    */
-  execute(graphics, type) {
+  execute(graphics, type, target) {
     const filterComp = graphics.getComponent(FILTER);
 
+    if (target) {
+      this.undoData.filter = filterComp.getFilterById(target.id);
+      this.undoData.index = filterComp.getIndex(target.id);
+
+      return filterComp.removeById(target.id);
+    }
+
     this.undoData.options = filterComp.getOptions(type);
 
     return filterComp.remove(type);
@@ -27,7 +36,11 @@ const command = {
    */
   undo(graphics, type) {
     const filterComp = graphics.getComponent(FILTER);
-    const { options } = this.undoData;
+    const { options, filter, index } = this.undoData;
+
+    if (filter) {
+      return filterComp.restore(filter, index);
+    }
 
     return filterComp.add(type, options);
   },
@@ -1,28 +1,26 @@
 import commandFactory from '@/factory/command';
 import { componentNames, commandNames } from '@/consts';
 
-const { RESIZE } = componentNames;
+const { RESIZE, FILTER } = componentNames;
 
 const command = {
   name: commandNames.RESIZE_IMAGE,
 
   /**
-   * Resize an image
+   * Resize an image by resampling its pixels
    * @param {Graphics} graphics - Graphics instance
    * @param {object} dimensions - Image Dimensions
+   * @param {string} [algorithm] - Resampling algorithm
    * @returns {Promise}
    */
-  execute(graphics, dimensions) {
+  execute(graphics, dimensions, algorithm) {
     const resizeComp = graphics.getComponent(RESIZE);
 
-    let originalDimensions = resizeComp.getOriginalDimensions();
-    if (!originalDimensions) {
-      originalDimensions = resizeComp.getCurrentDimensions();
-    }
+    return resizeComp.resample(dimensions, algorithm).then((undoData) => {
+      this.undoData = undoData;
 
-    this.undoData.dimensions = originalDimensions;
-
-    return resizeComp.resize(dimensions);
+      return graphics.getComponent(FILTER).reapply();
+    });
   },
 
   /**
@@ -31,8 +29,13 @@ const command = {
    */
   undo(graphics) {
     const resizeComp = graphics.getComponent(RESIZE);
+    const { element, dimensions, objects } = this.undoData;
+
+    resizeComp.restoreObjects(objects);
 
-    return resizeComp.resize(this.undoData.dimensions);
+    return resizeComp
+      .setImageElement(element, dimensions)
+      .then(() => graphics.getComponent(FILTER).reapply());
   },
 };
 
@@ -0,0 +1,83 @@
+import { fabric } from 'fabric';
+import commandFactory from '@/factory/command';
+import { componentNames, commandNames, rejectMessages } from '@/consts';
+import {
+  isValidAnchor,
+  makeAnchorOffset,
+  makeExtendedImageElement,
+} from '@/helper/canvasSizeHelper';
+
+const { IMAGE_LOADER } = componentNames;
+
+/**
+ * Move the objects by the offset
+ * @param {Array.<fabric.Object>} objects - objects to move
+ * @param {{x: number, y: number}} offset - offset
+ * @private
+ */
+function moveObjects(objects, { x, y }) {
+  objects.forEach((obj) => {
+    obj.set({ left: obj.left + x, top: obj.top + y }).setCoords();
+  });
+}
+
+const command = {
+  name: commandNames.SET_CANVAS_SIZE,
+
+  /**
+   * Change the canvas size by adding or trimming the area around the background image
+   * @param {Graphics} graphics - Graphics instance
+   * @param {{width: number, height: number}} size - canvas size
+   * @param {Object} [options] - options
+   *   @param {string} [options.anchor='center'] - anchor of the image
+   *   @param {string} [options.fill='transparent'] - color of the added area
+   * @returns {Promise}
+   */
+  execute(graphics, { width, height }, { anchor = 'center', fill = 'transparent' } = {}) {
+    const loader = graphics.getComponent(IMAGE_LOADER);
+    const canvasImage = loader.getCanvasImage();
+    const size = { width: Math.round(width), height: Math.round(height) };
+
+    if (!canvasImage || !isValidAnchor(anchor) || !(size.width > 0 && size.height > 0)) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    const source = canvasImage.toCanvasElement();
+    const offset = makeAnchorOffset(source, size, anchor);
+    const objects = graphics.getObjects();
+
+    this.undoData = {
+      name: loader.getImageName(),
+      image: canvasImage,
+      objects,
+      offset,
+    };
+    moveObjects(objects, offset);
+
+    const element = makeExtendedImageElement(source, size, offset, fill);
+
+    return loader.load(this.undoData.name, new fabric.Image(element)).then(() => ({
+      oldWidth: source.width,
+      oldHeight: source.height,
+      newWidth: size.width,
+      newHeight: size.height,
+    }));
+  },
+
+  /**
+   * @param {Graphics} graphics - Graphics instance
+   * @returns {Promise}
+   */
+  undo(graphics) {
+    const loader = graphics.getComponent(IMAGE_LOADER);
+    const { name, image, objects, offset } = this.undoData;
+
+    moveObjects(objects, { x: -offset.x, y: -offset.y });
+
+    return loader.load(name, image);
+  },
+};
+
+commandFactory.register(command);
+
+export default command;
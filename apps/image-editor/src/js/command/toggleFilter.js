@@ -0,0 +1,39 @@
+import commandFactory from '@/factory/command';
+import { componentNames, commandNames } from '@/consts';
+
+const { FILTER } = componentNames;
+
+const command = {
+  name: commandNames.TOGGLE_FILTER,
+
+  /**
+   * Show or hide a filter of the filter stack
+   * @param {Graphics} graphics - Graphics instance
+   * @param {number} id - Filter id
+   * @param {boolean} visible - Whether the filter is applied or not
+   * @returns {Promise}
+   */
+  execute(graphics, id, visible) {
+    const filterComp = graphics.getComponent(FILTER);
+    const filterInfo = filterComp.getStack()[filterComp.getIndex(id)];
+
+    this.undoData.visible = filterInfo ? filterInfo.visible : visible;
+
+    return filterComp.setVisible(id, visible);
+  },
+
+  /**
+   * @param {Graphics} graphics - Graphics instance
+   * @param {number} id - Filter id
+   * @returns {Promise}
+   */
+  undo(graphics, id) {
+    const filterComp = graphics.getComponent(FILTER);
+
+    return filterComp.setVisible(id, this.undoData.visible);
+  },
+};
+
+commandFactory.register(command);
+
+export default command;
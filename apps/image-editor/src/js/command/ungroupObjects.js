@@ -0,0 +1,43 @@
+import commandFactory from '@/factory/command';
+import { commandNames, rejectMessages } from '@/consts';
+
+const command = {
+  name: commandNames.UNGROUP_OBJECTS,
+
+  /**
+   * Break a persistent group into its objects
+   * @param {Graphics} graphics - Graphics instance
+   * @param {number} groupId - group id
+   * @returns {Promise}
+   */
+  execute(graphics, groupId) {
+    const group = graphics.getObject(groupId);
+
+    if (!group || !group.isType('group')) {
+      return Promise.reject(rejectMessages.noObject);
+    }
+
+    this.undoData.group = group;
+    this.undoData.objects = graphics.ungroupObjects(group);
+
+    return Promise.resolve(
+      this.undoData.objects.map((obj) => graphics.createObjectProperties(obj))
+    );
+  },
+
+  /**
+   * @param {Graphics} graphics - Graphics instance
+   * @returns {Promise}
+   */
+  undo(graphics) {
+    const { group, objects } = this.undoData;
+
+    graphics.groupObjects(objects, group);
+
+    return Promise.resolve();
+  },
+};
+
+commandFactory.register(command);
+
+export default command;
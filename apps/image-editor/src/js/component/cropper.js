@@ -1,11 +1,16 @@
 import { fabric } from 'fabric';
 import extend from 'tui-code-snippet/object/extend';
+import isObject from 'tui-code-snippet/type/isObject';
 import Component from '@/interface/component';
 import Cropzone from '@/extension/cropzone';
-import { keyCodes, componentNames, CROPZONE_DEFAULT_OPTIONS } from '@/consts';
-import { clamp, fixFloatingPoint } from '@/util';
+import { keyCodes, componentNames, eventNames as events, CROPZONE_DEFAULT_OPTIONS } from '@/consts';
+import { clamp, fixFloatingPoint, isEmptyCropzone } from '@/util';
+import { makeCropShape, clipImageWithCropShape } from '@/helper/cropShapeHelper';
+import { resampleCanvasElement } from '@/helper/exportHelper';
 
 const MOUSE_MOVE_THRESHOLD = 10;
+const MAX_STRAIGHTEN_ANGLE = 45;
+const CROPZONE_GUIDES = ['thirds', 'golden', 'none'];
 const DEFAULT_OPTION = {
   presetRatio: null,
   top: -10,
@@ -14,6 +19,74 @@ const DEFAULT_OPTION = {
   width: 1,
 };
 
+/**
+ * Whether the rect has the real area in the canvas
+ * @param {{left: number, top: number, width: number, height: number}} rect - rect
+ * @param {fabric.Canvas} canvas - fabric canvas
+ * @returns {boolean}
+ * @private
+ */
+function isRectInCanvas({ left, top, width, height }, canvas) {
+  const isValidValue = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+  const isInCanvas = left + width <= canvas.getWidth() && top + height <= canvas.getHeight();
+
+  return [left, top, width, height].every(isValidValue) && width * height > 0 && isInCanvas;
+}
+
+/**
+ * Get the largest rect which keeps the center and the ratio of the rect inside the rotated image.
+ * The rect is moved to the center of the image when its center is out of the image.
+ * @param {{left: number, top: number, width: number, height: number}} rect - rect to fit
+ * @param {fabric.Image} image - rotated image whose origin is the center
+ * @returns {{left: number, top: number, width: number, height: number}} fitted rect
+ * @private
+ */
+export function fitRectInImage(rect, image) {
+  const imageCenter = image.getCenterPoint();
+  const halfImageWidth = image.getScaledWidth() / 2;
+  const halfImageHeight = image.getScaledHeight() / 2;
+  const radian = fabric.util.degreesToRadians(-image.angle);
+  const toImageCoord = (x, y) => fabric.util.rotateVector({ x, y }, radian);
+  let center = toImageCoord(
+    rect.left + rect.width / 2 - imageCenter.x,
+    rect.top + rect.height / 2 - imageCenter.y
+  );
+  let scale = 1;
+
+  if (Math.abs(center.x) > halfImageWidth || Math.abs(center.y) > halfImageHeight) {
+    center = { x: 0, y: 0 };
+  }
+
+  [
+    [-1, -1],
+    [1, -1],
+    [1, 1],
+    [-1, 1],
+  ].forEach(([signX, signY]) => {
+    const corner = toImageCoord((signX * rect.width) / 2, (signY * rect.height) / 2);
+
+    [
+      [corner.x, center.x, halfImageWidth],
+      [corner.y, center.y, halfImageHeight],
+    ].forEach(([offset, position, limit]) => {
+      if (offset) {
+        scale = Math.min(scale, (limit - (offset > 0 ? position : -position)) / Math.abs(offset));
+      }
+    });
+  });
+
+  const width = rect.width * scale;
+  const height = rect.height * scale;
+  const canvasCenter = fabric.util.rotateVector(center, -radian);
+
+  return {
+    left: imageCenter.x + canvasCenter.x - width / 2,
+    top: imageCenter.y + canvasCenter.y - height / 2,
+    width,
+    height,
+  };
+}
+
 /**
  * Cropper components
  * @param {Graphics} graphics - Graphics instance
@@ -53,6 +126,35 @@ class Cropper extends Component {
      */
     this._withShiftKey = false;
 
+    /**
+     * Straighten state with the angle of the image before straightening,
+     * the cropzone rect to fit and the fitted rect
+     * @type {?{imageAngle: number, angle: number, baseRect: Object, fittedRect: Object}}
+     * @private
+     */
+    this._straighten = null;
+
+    /**
+     * Shape of the cropped area
+     * @type {Object}
+     * @private
+     */
+    this._cropShape = makeCropShape();
+
+    /**
+     * Min and max size of the cropzone
+     * @type {?{minWidth: number, minHeight: number, maxWidth: number, maxHeight: number}}
+     * @private
+     */
+    this._sizeLimits = null;
+
+    /**
+     * Guide lines of the cropzone, null draws the rule of thirds with the crop selection style
+     * @type {?string}
+     * @private
+     */
+    this._guide = null;
+
     /**
      * Listeners
      * @type {object.<string, function>}
@@ -64,6 +166,7 @@ class Cropper extends Component {
       mousedown: this._onFabricMouseDown.bind(this),
       mousemove: this._onFabricMouseMove.bind(this),
       mouseup: this._onFabricMouseUp.bind(this),
+      cropzoneChanged: this._fireCropzoneChanged.bind(this),
     };
   }
 
@@ -93,12 +196,20 @@ class Cropper extends Component {
           cornerSize: 10,
           cornerColor: 'black',
           fill: 'transparent',
+          cropShape: this._cropShape,
+          sizeLimits: this._sizeLimits,
+          guide: this._guide,
         },
         CROPZONE_DEFAULT_OPTIONS,
         this.graphics.cropSelectionStyle
       )
     );
 
+    this._cropzone.on({
+      moving: this._listeners.cropzoneChanged,
+      scaling: this._listeners.cropzoneChanged,
+    });
+
     canvas.discardActiveObject();
     canvas.add(this._cropzone);
     canvas.on('mouse:down', this._listeners.mousedown);
@@ -119,6 +230,7 @@ class Cropper extends Component {
     if (!cropzone) {
       return;
     }
+    this.resetStraighten();
     canvas.remove(cropzone);
     canvas.selection = true;
     canvas.defaultCursor = 'default';
@@ -180,10 +292,13 @@ class Cropper extends Component {
 
     if (Math.abs(x - this._startX) + Math.abs(y - this._startY) > MOUSE_MOVE_THRESHOLD) {
       canvas.remove(cropzone);
-      cropzone.set(this._calcRectDimensionFromPoint(x, y, cropzone.presetRatio));
+      cropzone.set(
+        this._limitDrawnRect(this._calcRectDimensionFromPoint(x, y, cropzone.presetRatio), x, y)
+      );
 
       canvas.add(cropzone);
       canvas.setActiveObject(cropzone);
+      this._fireCropzoneChanged();
     }
   }
 
@@ -260,6 +375,29 @@ class Cropper extends Component {
     };
   }
 
+  /**
+   * Limit the size of the rect drawn from the start point
+   * @param {{left: number, top: number, width: number, height: number}} rect - drawn rect
+   * @param {number} x - Canvas-Mouse-Position x
+   * @param {number} y - Canvas-Mouse-Position Y
+   * @returns {{left: number, top: number, width: number, height: number}}
+   * @private
+   */
+  _limitDrawnRect(rect, x, y) {
+    const canvas = this.getCanvas();
+    const startX = this._startX;
+    const startY = this._startY;
+    const isLeftward = startX >= x;
+    const isUpward = startY >= y;
+
+    return this._cropzone.limitSize(rect, {
+      leftMaker: (width) => (isLeftward ? startX - width : startX),
+      topMaker: (height) => (isUpward ? startY - height : startY),
+      maxWidth: isLeftward ? startX : canvas.getWidth() - startX,
+      maxHeight: isUpward ? startY : canvas.getHeight() - startY,
+    });
+  }
+
   /**
    * onMouseup handler in fabric canvas
    * @private
@@ -269,6 +407,9 @@ class Cropper extends Component {
     const listeners = this._listeners;
     const canvas = this.getCanvas();
 
+    if (this._straighten && this.getCropzoneRect()) {
+      this._fitCropzoneToImage();
+    }
     canvas.setActiveObject(cropzone);
     canvas.off({
       'mouse:move': listeners.mousemove,
@@ -283,9 +424,10 @@ class Cropper extends Component {
    *  @param {Number} cropRect.top top position
    *  @param {Number} cropRect.width width
    *  @param {Number} cropRect.height height
+   * @param {{width: number, height: number}} [outputSize] - resample the cropped image to the size
    * @returns {?{imageName: string, url: string}} cropped Image data
    */
-  getCroppedImageData(cropRect) {
+  getCroppedImageData(cropRect, outputSize) {
     const canvas = this.getCanvas();
     const containsCropzone = canvas.contains(this._cropzone);
     if (!cropRect) {
@@ -298,7 +440,7 @@ class Cropper extends Component {
 
     const imageData = {
       imageName: this.getImageName(),
-      url: canvas.toDataURL(cropRect),
+      url: this._getCroppedDataURL(cropRect, outputSize),
     };
 
     if (containsCropzone) {
@@ -308,6 +450,84 @@ class Cropper extends Component {
     return imageData;
   }
 
+  /**
+   * Get the data url of the cropped area, the outside of the crop shape is transparent
+   * @param {Object} cropRect - cropzone rect
+   * @param {{width: number, height: number}} [outputSize] - resample the cropped image to the size
+   * @returns {string} data url
+   * @private
+   */
+  _getCroppedDataURL(cropRect, outputSize) {
+    const canvas = this.getCanvas();
+    const isRect = this._cropShape.type === 'rect';
+
+    if (isRect && !outputSize) {
+      return canvas.toDataURL(cropRect);
+    }
+
+    let canvasElement = canvas.toCanvasElement(1, cropRect);
+
+    if (!isRect) {
+      canvasElement = clipImageWithCropShape(canvasElement, this._cropShape);
+    }
+    if (outputSize) {
+      canvasElement = resampleCanvasElement(canvasElement, outputSize);
+    }
+
+    return canvasElement.toDataURL('image/png');
+  }
+
+  /**
+   * Set the shape of the cropped area
+   * @param {Object} [shape] - crop shape options
+   *  @param {string} [shape.type='rect'] - 'rect', 'ellipse', 'roundRect' or 'path'
+   *  @param {number} [shape.radius] - corner radius of 'roundRect'
+   *  @param {string} [shape.path] - svg path of 'path'
+   * @returns {boolean} whether the shape is set or not
+   */
+  setCropShape(shape) {
+    const cropShape = makeCropShape(shape);
+
+    if (!cropShape) {
+      return false;
+    }
+
+    this._cropShape = cropShape;
+
+    if (this._cropzone) {
+      this._cropzone.set({ cropShape });
+      this.getCanvas().renderAll();
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the shape of the cropped area
+   * @returns {{type: string, radius: ?number, path: ?string}} crop shape
+   */
+  getCropShape() {
+    const { type, radius = null, path = null } = this._cropShape;
+
+    return { type, radius, path };
+  }
+
+  /**
+   * Set the min and max size of the cropzone
+   * @param {?Object} limits - size limits, null removes the limits
+   *  @param {number} [limits.minWidth] - min width
+   *  @param {number} [limits.minHeight] - min height
+   *  @param {number} [limits.maxWidth] - max width
+   *  @param {number} [limits.maxHeight] - max height
+   */
+  setSizeLimits(limits) {
+    this._sizeLimits = limits ? extend({}, limits) : null;
+
+    if (this._cropzone) {
+      this._cropzone.set({ sizeLimits: this._sizeLimits });
+    }
+  }
+
   /**
    * Get cropped rect
    * @returns {Object} rect
@@ -329,24 +549,181 @@ class Cropper extends Component {
 
   /**
    * Set a cropzone square
-   * @param {number} [presetRatio] - preset ratio
+   * @param {number|Object} [presetRatio] - preset ratio or the rect in the canvas which frees the ratio
+   * @returns {boolean} whether the cropzone is set, false if the rect is out of the canvas
    */
   setCropzoneRect(presetRatio) {
     const canvas = this.getCanvas();
     const cropzone = this._cropzone;
 
+    if (isObject(presetRatio)) {
+      return this._setCropzoneRectValues(presetRatio);
+    }
+
     canvas.discardActiveObject();
     canvas.selection = false;
     canvas.remove(cropzone);
 
     cropzone.set(presetRatio ? this._getPresetPropertiesForCropSize(presetRatio) : DEFAULT_OPTION);
 
+    if (presetRatio && this._sizeLimits) {
+      cropzone.set(this._limitPresetRect());
+    }
+
     canvas.add(cropzone);
     canvas.selection = true;
 
     if (presetRatio) {
       canvas.setActiveObject(cropzone);
     }
+    this._fireCropzoneChanged();
+
+    return true;
+  }
+
+  /**
+   * Set the cropzone to the rect
+   * @param {{left: number, top: number, width: number, height: number}} rect - rect in the canvas
+   * @returns {boolean} whether the cropzone is set
+   * @private
+   */
+  _setCropzoneRectValues({ left, top, width, height }) {
+    const rect = { left, top, width, height };
+
+    if (!isRectInCanvas(rect, this.getCanvas())) {
+      return false;
+    }
+
+    this._updateCropzone(extend({ presetRatio: null }, rect));
+
+    return true;
+  }
+
+  /**
+   * Move the cropzone in the canvas
+   * @param {number} x - distance to move horizontally
+   * @param {number} y - distance to move vertically
+   * @returns {boolean} whether the cropzone is moved
+   */
+  moveCropzone(x, y) {
+    const rect = this._getAdjustableCropzoneRect();
+
+    if (!rect) {
+      return false;
+    }
+
+    const canvas = this.getCanvas();
+
+    this._updateCropzone({
+      left: clamp(rect.left + x, 0, canvas.getWidth() - rect.width),
+      top: clamp(rect.top + y, 0, canvas.getHeight() - rect.height),
+    });
+
+    return true;
+  }
+
+  /**
+   * Resize the cropzone from the top left corner keeping the preset ratio and the size limits
+   * @param {number} x - width to add
+   * @param {number} y - height to add
+   * @returns {boolean} whether the cropzone is resized
+   */
+  resizeCropzone(x, y) {
+    const rect = this._getAdjustableCropzoneRect();
+
+    if (!rect) {
+      return false;
+    }
+
+    const canvas = this.getCanvas();
+    const resizeInfo = {
+      width: rect.width + x,
+      height: rect.height + y,
+      leftMaker: () => rect.left,
+      topMaker: () => rect.top,
+      maxWidth: canvas.getWidth() - rect.left,
+      maxHeight: canvas.getHeight() - rect.top,
+      scaleTo: x ? 'width' : 'height',
+    };
+    const cropzone = this._cropzone;
+
+    this._updateCropzone(
+      cropzone.limitSize(cropzone.adjustRatioCropzoneSize(resizeInfo), resizeInfo)
+    );
+
+    return true;
+  }
+
+  /**
+   * Get the cropzone rect which is adjustable by the keyboard
+   * @returns {?{left: number, top: number, width: number, height: number}}
+   * @private
+   */
+  _getAdjustableCropzoneRect() {
+    const rect = this._cropzone && this.getCropzoneRect();
+
+    return rect && !isEmptyCropzone(rect) ? rect : null;
+  }
+
+  /**
+   * Update the cropzone and notify the change
+   * @param {Object} props - cropzone properties
+   * @private
+   */
+  _updateCropzone(props) {
+    this._cropzone.set(props).setCoords();
+    this.getCanvas().renderAll();
+    this._fireCropzoneChanged();
+  }
+
+  /**
+   * Fire the change of the cropzone rect, the rect is null if the cropzone is invalid
+   * @private
+   */
+  _fireCropzoneChanged() {
+    this.fire(events.CROPZONE_CHANGED, this.getCropzoneRect());
+  }
+
+  /**
+   * Set the guide lines of the cropzone
+   * @param {?string} guide - 'thirds', 'golden' or 'none', null draws the rule of thirds with the crop selection style
+   * @returns {boolean} whether the guide is set or not
+   */
+  setGuide(guide) {
+    if (guide !== null && CROPZONE_GUIDES.indexOf(guide) < 0) {
+      return false;
+    }
+
+    this._guide = guide;
+
+    if (this._cropzone) {
+      this._cropzone.set({ guide });
+      this.getCanvas().renderAll();
+    }
+
+    return true;
+  }
+
+  /**
+   * Limit the size of the preset rect in the center of the canvas
+   * @returns {{left: number, top: number, width: number, height: number}}
+   * @private
+   */
+  _limitPresetRect() {
+    const canvas = this.getCanvas();
+    const canvasWidth = canvas.getWidth();
+    const canvasHeight = canvas.getHeight();
+    const { width, height } = this._cropzone;
+
+    return this._cropzone.limitSize(
+      { width, height },
+      {
+        leftMaker: (newWidth) => (canvasWidth - newWidth) / 2,
+        topMaker: (newHeight) => (canvasHeight - newHeight) / 2,
+        maxWidth: canvasWidth,
+        maxHeight: canvasHeight,
+      }
+    );
   }
 
   /**
@@ -381,6 +758,78 @@ class Cropper extends Component {
     };
   }
 
+  /**
+   * Rotate the image under the cropzone and shrink the cropzone to exclude the transparent corners
+   * @param {number} angle - straighten angle between -45 and 45
+   * @returns {number} applied straighten angle
+   */
+  straighten(angle) {
+    const canvasImage = this.getCanvasImage();
+
+    if (!this._cropzone || !canvasImage) {
+      return 0;
+    }
+
+    angle = clamp(angle, -MAX_STRAIGHTEN_ANGLE, MAX_STRAIGHTEN_ANGLE);
+    if (!this._straighten) {
+      this._straighten = { imageAngle: canvasImage.angle, angle: 0 };
+    }
+    this._straighten.angle = angle;
+    canvasImage.set({ angle: this._straighten.imageAngle + angle }).setCoords();
+
+    this._fitCropzoneToImage();
+    this.getCanvas().setActiveObject(this._cropzone);
+
+    return angle;
+  }
+
+  /**
+   * Get the straighten angle
+   * @returns {number}
+   */
+  getStraightenAngle() {
+    return this._straighten ? this._straighten.angle : 0;
+  }
+
+  /**
+   * Restore the angle of the straightened image
+   */
+  resetStraighten() {
+    const canvasImage = this.getCanvasImage();
+
+    if (this._straighten && canvasImage) {
+      canvasImage.set({ angle: this._straighten.imageAngle }).setCoords();
+      this.getCanvas().renderAll();
+    }
+    this._straighten = null;
+  }
+
+  /**
+   * Fit the cropzone inside the straightened image.
+   * The cropzone changed by the user becomes the new rect to fit.
+   * @private
+   */
+  _fitCropzoneToImage() {
+    const canvas = this.getCanvas();
+    const straighten = this._straighten;
+    const cropzoneRect = this.getCropzoneRect();
+    const rect =
+      cropzoneRect && !isEmptyCropzone(cropzoneRect)
+        ? cropzoneRect
+        : { left: 0, top: 0, width: canvas.getWidth(), height: canvas.getHeight() };
+    const { fittedRect } = straighten;
+    const isChanged =
+      !fittedRect ||
+      ['left', 'top', 'width', 'height'].some((key) => Math.abs(fittedRect[key] - rect[key]) > 0.5);
+
+    if (isChanged) {
+      straighten.baseRect = rect;
+    }
+    straighten.fittedRect = fitRectInImage(straighten.baseRect, this.getCanvasImage());
+
+    this._updateCropzone(straighten.fittedRect);
+  }
+
   /**
    * Keydown event handler
    * @param {KeyboardEvent} e - Event object
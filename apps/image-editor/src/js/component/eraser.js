@@ -0,0 +1,226 @@
+import { fabric } from 'fabric';
+import isUndefined from 'tui-code-snippet/type/isUndefined';
+import Component from '@/interface/component';
+import EraserBrush from '@/extension/eraserBrush';
+import { componentNames, eventNames } from '@/consts';
+
+const BRUSH_COLOR = 'rgba(128, 128, 128, 0.5)';
+
+/**
+ * Whether the bounding rects are overlapped
+ * @param {{left: number, top: number, width: number, height: number}} rect1 - bounding rect
+ * @param {{left: number, top: number, width: number, height: number}} rect2 - bounding rect
+ * @returns {boolean}
+ * @private
+ */
+function isOverlapped(rect1, rect2) {
+  return (
+    rect1.left < rect2.left + rect2.width &&
+    rect2.left < rect1.left + rect1.width &&
+    rect1.top < rect2.top + rect2.height &&
+    rect2.top < rect1.top + rect1.height
+  );
+}
+
+/**
+ * Make the path of an eraser stroke
+ * @param {Object} stroke - eraser stroke
+ * @returns {fabric.Path}
+ * @private
+ */
+function makeStrokePath({ path, strokeWidth, strokeLineCap, strokeLineJoin, matrix }) {
+  const strokePath = new fabric.Path(path, {
+    fill: null,
+    stroke: '#000',
+    strokeWidth,
+    strokeLineCap,
+    strokeLineJoin,
+  });
+
+  fabric.util.applyTransformToObject(strokePath, matrix);
+
+  return strokePath;
+}
+
+/**
+ * Make the paths of the strokes erased before from the clip path of an object.
+ * The strokes are read from the serializable objects of the clip path,
+ * so they are kept in the copied, duplicated and restored objects.
+ * @param {?fabric.Object} clipPath - clip path of the object
+ * @returns {Array.<fabric.Path>} paths in the coordinates of the object
+ * @private
+ */
+function makeErasedStrokePaths(clipPath) {
+  if (!clipPath || !clipPath.inverted || clipPath.type !== 'group') {
+    return [];
+  }
+
+  const groupMatrix = clipPath.calcTransformMatrix();
+
+  return clipPath.getObjects().map((strokePath) =>
+    makeStrokePath({
+      path: strokePath.path,
+      strokeWidth: strokePath.strokeWidth,
+      strokeLineCap: strokePath.strokeLineCap,
+      strokeLineJoin: strokePath.strokeLineJoin,
+      matrix: fabric.util.multiplyTransformMatrices(groupMatrix, strokePath.calcOwnMatrix()),
+    })
+  );
+}
+
+/**
+ * Eraser
+ * @class Eraser
+ * @param {Graphics} graphics - Graphics instance
+ * @extends {Component}
+ * @ignore
+ */
+class Eraser extends Component {
+  constructor(graphics) {
+    super(componentNames.ERASER, graphics);
+
+    /**
+     * Brush width
+     * @type {number}
+     */
+    this.width = 12;
+
+    /**
+     * Whether the background image is erased to the transparency
+     * @type {boolean}
+     */
+    this.eraseBackground = false;
+
+    /**
+     * Free drawing brush replaced while erasing
+     * @type {?fabric.BaseBrush}
+     * @private
+     */
+    this._previousBrush = null;
+  }
+
+  /**
+   * Start eraser mode
+   * @param {{width: ?number, eraseBackground: ?boolean}} [setting] - Brush width & whether to erase the background
+   */
+  start(setting) {
+    const canvas = this.getCanvas();
+
+    this._previousBrush = canvas.freeDrawingBrush;
+    canvas.freeDrawingBrush = new EraserBrush(canvas, (path) => {
+      this.fire(eventNames.ERASER_PATH_CREATED, {
+        path,
+        eraseBackground: this.eraseBackground,
+      });
+    });
+    canvas.discardActiveObject();
+    canvas.isDrawingMode = true;
+    this.setBrush(setting);
+  }
+
+  /**
+   * Set brush
+   * @param {{width: ?number, eraseBackground: ?boolean}} [setting] - Brush width & whether to erase the background
+   */
+  setBrush(setting) {
+    const brush = this.getCanvas().freeDrawingBrush;
+
+    setting = setting || {};
+    this.width = setting.width || this.width;
+    if (!isUndefined(setting.eraseBackground)) {
+      this.eraseBackground = !!setting.eraseBackground;
+    }
+    brush.width = this.width;
+    brush.color = BRUSH_COLOR;
+  }
+
+  /**
+   * End eraser mode
+   */
+  end() {
+    const canvas = this.getCanvas();
+
+    canvas.isDrawingMode = false;
+    canvas.freeDrawingBrush = this._previousBrush;
+    this._previousBrush = null;
+  }
+
+  /**
+   * Erase the objects under the path,
+   * the erased area is cut off by the inverted clip path of each object
+   * @param {fabric.Path} path - eraser path
+   * @param {boolean} [eraseBackground] - whether the background image is erased to the transparency
+   * @returns {Array.<{object: fabric.Object, clipPath: ?fabric.Object}>} erased objects and their clip paths before erasing
+   */
+  erase(path, eraseBackground) {
+    const canvasImage = this.getCanvasImage();
+    const pathRect = path.getBoundingRect(true, true);
+    const targets = this.graphics
+      .getObjects()
+      .filter(
+        (obj) =>
+          obj.visible &&
+          !this.graphics.isLockedObject(obj) &&
+          isOverlapped(obj.getBoundingRect(true, true), pathRect)
+      );
+    const stroke = {
+      path: path.path,
+      strokeWidth: path.strokeWidth,
+      strokeLineCap: path.strokeLineCap,
+      strokeLineJoin: path.strokeLineJoin,
+      matrix: path.calcTransformMatrix(),
+    };
+
+    if (eraseBackground && canvasImage) {
+      targets.unshift(canvasImage);
+    }
+
+    const erased = targets.map((obj) => {
+      const { clipPath } = obj;
+
+      this._addStroke(obj, stroke);
+
+      return { object: obj, clipPath };
+    });
+
+    this.getCanvas().renderAll();
+
+    return erased;
+  }
+
+  /**
+   * Restore the clip paths of the erased objects
+   * @param {Array.<{object: fabric.Object, clipPath: ?fabric.Object}>} erased - erased objects and their clip paths
+   */
+  restore(erased) {
+    erased.forEach(({ object, clipPath }) => {
+      object.set({ clipPath, dirty: true });
+    });
+
+    this.getCanvas().renderAll();
+  }
+
+  /**
+   * Add the stroke to the clip path of the object
+   * @param {fabric.Object} obj - object to erase
+   * @param {Object} stroke - eraser stroke on the canvas
+   * @private
+   */
+  _addStroke(obj, stroke) {
+    const { clipPath } = obj;
+    const matrix = fabric.util.multiplyTransformMatrices(
+      fabric.util.invertTransform(obj.calcTransformMatrix()),
+      stroke.matrix
+    );
+    const strokePaths = makeErasedStrokePaths(clipPath).concat(
+      makeStrokePath({ ...stroke, matrix })
+    );
+
+    // a group renders the strokes of its paths while clipping, a single path renders only its fill
+    const eraserClipPath = new fabric.Group(strokePaths, { inverted: true });
+
+    obj.set({ clipPath: eraserClipPath, dirty: true });
+  }
+}
+
+export default Eraser;
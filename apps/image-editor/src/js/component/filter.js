@@ -4,6 +4,7 @@ import forEach from 'tui-code-snippet/collection/forEach';
 import { fabric } from 'fabric';
 import Component from '@/interface/component';
 import { rejectMessages, componentNames } from '@/consts';
+import { stamp, setCustomProperty } from '@/util';
 import Mask from '@/extension/mask';
 import Sharpen from '@/extension/sharpen';
 import Emboss from '@/extension/emboss';
@@ -52,6 +53,7 @@ class Filter extends Component {
       this._apply(sourceImg, () => {
         canvas.renderAll();
         resolve({
+          id: stamp(imgFilter),
           type,
           action: 'add',
           options,
@@ -112,6 +114,217 @@ class Filter extends Component {
     return extend({}, imgFilter.options);
   }
 
+  /**
+   * Get the filter stack of source image in applying order
+   * @returns {Array.<{id: number, type: string, options: Object, visible: boolean}>} filter stack
+   */
+  getStack() {
+    const sourceImg = this._getSourceImage();
+
+    if (!sourceImg) {
+      return [];
+    }
+
+    return sourceImg.filters.map((imgFilter) => ({
+      id: stamp(imgFilter),
+      type: this._getFilterTypeFromFabric(imgFilter.type),
+      options: extend({}, imgFilter.options),
+      visible: this._isVisible(imgFilter),
+    }));
+  }
+
+  /**
+   * Get the filter instance in the stack by id
+   * @param {number} id - Filter id
+   * @returns {Object} Fabric object of filter or null if there is no that filter
+   */
+  getFilterById(id) {
+    const sourceImg = this._getSourceImage();
+    const [imgFilter] = sourceImg ? sourceImg.filters.filter((item) => stamp(item) === id) : [];
+
+    return imgFilter || null;
+  }
+
+  /**
+   * Get the index of filter in the stack
+   * @param {number} id - Filter id
+   * @returns {number} index or -1 if there is no that filter
+   */
+  getIndex(id) {
+    const imgFilter = this.getFilterById(id);
+
+    return imgFilter ? this._getSourceImage().filters.indexOf(imgFilter) : -1;
+  }
+
+  /**
+   * Insert a new filter into the stack even if the same type of filter is already applied
+   * @param {string} type - Filter type
+   * @param {Object} options - Options of filter
+   * @param {number} [index] - Index of the stack, the filter is pushed on top of the stack by default
+   * @returns {Promise}
+   */
+  insert(type, options, index) {
+    const sourceImg = this._getSourceImage();
+    const imgFilter = sourceImg && this._createFilter(sourceImg, type, options, index);
+
+    if (!imgFilter) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    return this._applyStack(sourceImg, {
+      id: stamp(imgFilter),
+      type,
+      action: 'add',
+      options,
+    });
+  }
+
+  /**
+   * Put the filter instance which was removed from the stack back
+   * @param {Object} imgFilter - Fabric object of filter
+   * @param {number} index - Index of the stack
+   * @returns {Promise}
+   */
+  restore(imgFilter, index) {
+    const sourceImg = this._getSourceImage();
+
+    sourceImg.filters.splice(index, 0, imgFilter);
+
+    return this._applyStack(sourceImg, {
+      id: stamp(imgFilter),
+      type: this._getFilterTypeFromFabric(imgFilter.type),
+      action: 'add',
+      options: extend({}, imgFilter.options),
+    });
+  }
+
+  /**
+   * Change options of the filter in the stack
+   * @param {number} id - Filter id
+   * @param {Object} options - Options of filter
+   * @returns {Promise}
+   */
+  update(id, options) {
+    const imgFilter = this.getFilterById(id);
+
+    if (!imgFilter || !options) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    this._changeFilterValues(imgFilter, options);
+
+    return this._applyStack(this._getSourceImage(), {
+      id,
+      type: this._getFilterTypeFromFabric(imgFilter.type),
+      action: 'add',
+      options: extend({}, imgFilter.options),
+    });
+  }
+
+  /**
+   * Remove the filter from the stack
+   * @param {number} id - Filter id
+   * @returns {Promise}
+   */
+  removeById(id) {
+    const sourceImg = this._getSourceImage();
+    const imgFilter = this.getFilterById(id);
+
+    if (!imgFilter) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    sourceImg.filters = sourceImg.filters.filter((item) => item !== imgFilter);
+
+    return this._applyStack(sourceImg, {
+      id,
+      type: this._getFilterTypeFromFabric(imgFilter.type),
+      action: 'remove',
+      options: extend({}, imgFilter.options),
+    });
+  }
+
+  /**
+   * Move the filter to another index of the stack
+   * @param {number} id - Filter id
+   * @param {number} index - New index of the stack
+   * @returns {Promise}
+   */
+  move(id, index) {
+    const sourceImg = this._getSourceImage();
+    const imgFilter = this.getFilterById(id);
+
+    if (!imgFilter || index < 0 || index >= sourceImg.filters.length) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    sourceImg.filters.splice(sourceImg.filters.indexOf(imgFilter), 1);
+    sourceImg.filters.splice(index, 0, imgFilter);
+
+    return this._applyStack(sourceImg, {
+      id,
+      type: this._getFilterTypeFromFabric(imgFilter.type),
+      action: 'move',
+      index,
+    });
+  }
+
+  /**
+   * Show or hide the filter in the stack without removing it
+   * @param {number} id - Filter id
+   * @param {boolean} visible - Whether the filter is applied or not
+   * @returns {Promise}
+   */
+  setVisible(id, visible) {
+    const imgFilter = this.getFilterById(id);
+
+    if (!imgFilter) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    setCustomProperty(imgFilter, { visible });
+
+    return this._applyStack(this._getSourceImage(), {
+      id,
+      type: this._getFilterTypeFromFabric(imgFilter.type),
+      action: visible ? 'show' : 'hide',
+    });
+  }
+
+  /**
+   * Apply the filter stack again, the element of the source image is replaced
+   * @returns {Promise}
+   */
+  reapply() {
+    return this._applyStack(this._getSourceImage());
+  }
+
+  /**
+   * Apply the filter stack and render canvas
+   * @param {fabric.Image} sourceImg - Source image to apply filter
+   * @param {Object} result - Value to resolve
+   * @returns {Promise}
+   * @private
+   */
+  _applyStack(sourceImg, result) {
+    return new Promise((resolve) => {
+      this._apply(sourceImg, () => {
+        this.getCanvas().renderAll();
+        resolve(result);
+      });
+    });
+  }
+
+  /**
+   * Whether the filter is applied to the image or hidden
+   * @param {Object} imgFilter - Fabric object of filter
+   * @returns {boolean}
+   * @private
+   */
+  _isVisible(imgFilter) {
+    return !imgFilter.customProps || imgFilter.customProps.visible !== false;
+  }
+
   /**
    * Change filter values
    * @param {Object} imgFilter object of filter
@@ -139,7 +352,9 @@ class Filter extends Component {
    */
   _apply(sourceImg, callback) {
     sourceImg.filters.push();
-    const result = sourceImg.applyFilters();
+    const result = sourceImg.applyFilters(
+      sourceImg.filters.filter((imgFilter) => this._isVisible(imgFilter))
+    );
     if (result) {
       callback();
     }
@@ -159,10 +374,11 @@ class Filter extends Component {
    * @param {fabric.Image} sourceImg - Source image to apply filter
    * @param {string} type - Filter type
    * @param {Object} [options] - Options of filter
+   * @param {number} [index] - Index of the stack to insert, the filter is pushed by default
    * @returns {Object} Fabric object of filter
    * @private
    */
-  _createFilter(sourceImg, type, options) {
+  _createFilter(sourceImg, type, options, index = sourceImg.filters.length) {
     let filterObj;
     // capitalize first letter for matching with fabric image filter name
     const fabricType = this._getFabricFilterType(type);
@@ -170,7 +386,8 @@ class Filter extends Component {
     if (ImageFilter) {
       filterObj = new ImageFilter(options);
       filterObj.options = options;
-      sourceImg.filters.push(filterObj);
+      stamp(filterObj);
+      sourceImg.filters.splice(index, 0, filterObj);
     }
 
     return filterObj;
@@ -224,6 +441,18 @@ class Filter extends Component {
   _getFabricFilterType(type) {
     return type.charAt(0).toUpperCase() + type.slice(1);
   }
+
+  /**
+   * Change fabric's filter class name to filter type, especially uncapitalizing first letter
+   * @param {string} fabricType - Fabric filter class name
+   * @example
+   * 'Grayscale' -> 'grayscale'
+   * @returns {string} Filter type
+   * @private
+   */
+  _getFilterTypeFromFabric(fabricType) {
+    return fabricType.charAt(0).toLowerCase() + fabricType.slice(1);
+  }
 }
 
 export default Filter;
@@ -1,6 +1,28 @@
 import { fabric } from 'fabric';
+import extend from 'tui-code-snippet/object/extend';
 import Component from '@/interface/component';
-import { componentNames } from '@/consts';
+import HighlighterBrush from '@/extension/highlighterBrush';
+import PressureBrush from '@/extension/pressureBrush';
+import { brushTypes, componentNames } from '@/consts';
+import { includes } from '@/util';
+
+/**
+ * Brush classes by brush type
+ * @type {Object.<string, Function>}
+ * @private
+ */
+const brushClasses = {
+  pencil: fabric.PencilBrush,
+  marker: fabric.PencilBrush,
+  spray: fabric.SprayBrush,
+  pattern: fabric.PatternBrush,
+  highlighter: HighlighterBrush,
+};
+
+const MARKER_STYLE = {
+  strokeLineCap: 'square',
+  strokeLineJoin: 'bevel',
+};
 
 /**
  * FreeDrawing
@@ -24,33 +46,82 @@ class FreeDrawing extends Component {
      * @type {fabric.Color}
      */
     this.oColor = new fabric.Color('rgba(0, 0, 0, 0.5)');
+
+    /**
+     * Brush type
+     * @type {string}
+     */
+    this.type = brushTypes[0];
+
+    /**
+     * Brush specific options
+     * @type {Object}
+     */
+    this.brushOptions = {
+      smoothing: 0.4,
+      density: 20,
+      dotWidth: 2,
+      source: null,
+      pressure: false,
+      minWidth: null,
+      maxWidth: null,
+    };
+
+    /**
+     * Listener to keep the last pointer event for the pressure
+     * @type {Function}
+     * @private
+     */
+    this._onPointerEvent = (event) => {
+      this.getCanvas().freeDrawingBrush.pointerEvent = event;
+    };
   }
 
   /**
    * Start free drawing mode
-   * @param {{width: ?number, color: ?string}} [setting] - Brush width & color
+   * @param {Object} [setting] - Brush setting, see {@link FreeDrawing#setBrush}
    */
   start(setting) {
     const canvas = this.getCanvas();
 
     canvas.isDrawingMode = true;
     this.setBrush(setting);
+
+    // fabric draws with the mouse events which have no pressure
+    canvas.upperCanvasEl.addEventListener('pointerdown', this._onPointerEvent);
+    canvas.upperCanvasEl.addEventListener('pointermove', this._onPointerEvent);
   }
 
   /**
    * Set brush
-   * @param {{width: ?number, color: ?string}} [setting] - Brush width & color
+   * @param {Object} [setting] - Brush setting
+   *   @param {number} [setting.width] - brush width
+   *   @param {string} [setting.color] - brush color
+   *   @param {string} [setting.type] - 'pencil', 'marker', 'spray', 'pattern' or 'highlighter'
+   *   @param {number} [setting.smoothing] - distance to decimate the points of the stroke
+   *   @param {number} [setting.density] - dots per a spray chunk of the 'spray' brush
+   *   @param {number} [setting.dotWidth] - dot width of the 'spray' brush
+   *   @param {?(HTMLImageElement|HTMLCanvasElement)} [setting.source] - pattern of the 'pattern' brush
+   *   @param {boolean} [setting.pressure] - whether the width of the 'pencil' brush follows the pressure and the tilt of the pointer
+   *   @param {?number} [setting.minWidth] - width at no pressure, a quarter of the brush width by default
+   *   @param {?number} [setting.maxWidth] - width at the full pressure, the brush width by default
    */
   setBrush(setting) {
-    const brush = this.getCanvas().freeDrawingBrush;
-
     setting = setting || {};
+    if (includes(brushTypes, setting.type)) {
+      this.type = setting.type;
+    }
     this.width = setting.width || this.width;
     if (setting.color) {
       this.oColor = new fabric.Color(setting.color);
     }
-    brush.width = this.width;
-    brush.color = this.oColor.toRgba();
+    Object.keys(this.brushOptions).forEach((key) => {
+      if (setting.hasOwnProperty(key)) {
+        this.brushOptions[key] = setting[key];
+      }
+    });
+
+    this._applyBrushSetting(this._getBrush());
   }
 
   /**
@@ -60,6 +131,82 @@ class FreeDrawing extends Component {
     const canvas = this.getCanvas();
 
     canvas.isDrawingMode = false;
+    canvas.upperCanvasEl.removeEventListener('pointerdown', this._onPointerEvent);
+    canvas.upperCanvasEl.removeEventListener('pointermove', this._onPointerEvent);
+  }
+
+  /**
+   * Get the brush class of the current type
+   * @returns {Function}
+   * @private
+   */
+  _getBrushClass() {
+    if (this.type === 'pencil' && this.brushOptions.pressure) {
+      return PressureBrush;
+    }
+
+    return brushClasses[this.type];
+  }
+
+  /**
+   * Get the brush of the current type, the brush of the canvas is replaced if it is another type
+   * @returns {fabric.BaseBrush}
+   * @private
+   */
+  _getBrush() {
+    const canvas = this.getCanvas();
+    const BrushClass = this._getBrushClass();
+    const brush = canvas.freeDrawingBrush;
+
+    if (brush.brushType !== this.type || brush.constructor !== BrushClass) {
+      canvas.freeDrawingBrush = this._createBrush(BrushClass);
+    }
+
+    return canvas.freeDrawingBrush;
+  }
+
+  /**
+   * Create the brush of the current type
+   * @param {Function} BrushClass - brush class
+   * @returns {fabric.BaseBrush}
+   * @private
+   */
+  _createBrush(BrushClass) {
+    const brush = new BrushClass(this.getCanvas());
+
+    brush.brushType = this.type;
+    if (this.type === 'marker') {
+      extend(brush, MARKER_STYLE);
+    }
+
+    return brush;
+  }
+
+  /**
+   * Apply the brush setting to the brush
+   * @param {fabric.BaseBrush} brush - brush of the current type
+   * @private
+   */
+  _applyBrushSetting(brush) {
+    const { smoothing, density, dotWidth, source, minWidth, maxWidth } = this.brushOptions;
+
+    brush.width = this.width;
+    brush.color = this.oColor.toRgba();
+
+    if (brush instanceof PressureBrush) {
+      extend(brush, { minWidth, maxWidth });
+    }
+
+    if (this.type === 'spray') {
+      extend(brush, { density, dotWidth });
+    } else {
+      brush.decimate = smoothing;
+    }
+
+    if (this.type === 'pattern') {
+      // the default pattern of fabric can not be loaded as a source of the path, so it is drawn here
+      brush.source = source || brush.getPatternSrc();
+    }
   }
 }
 
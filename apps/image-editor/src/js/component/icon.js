@@ -101,12 +101,14 @@ class Icon extends Component {
    *      @param {string} [options.fill] - Icon foreground color
    *      @param {string} [options.left] - Icon x position
    *      @param {string} [options.top] - Icon y position
+   *      @param {string} [options.path] - Icon path used instead of the registered path of the type
    * @returns {Promise}
    */
   add(type, options) {
     return new Promise((resolve, reject) => {
       const canvas = this.getCanvas();
-      const path = this._pathMap[type];
+      const iconOptions = extend({}, options);
+      const path = iconOptions.path || this._pathMap[type];
       const selectionStyle = fObjectOptions.SELECTION_STYLE;
       const icon = path ? this._createIcon(path) : null;
       this._icon = icon;
@@ -115,6 +117,8 @@ class Icon extends Component {
         reject(rejectMessages.invalidParameters);
       }
 
+      // the path option is a string, not the path commands of fabric.Path
+      delete iconOptions.path;
       icon.set(
         extend(
           {
@@ -122,7 +126,7 @@ class Icon extends Component {
             fill: this._oColor,
           },
           selectionStyle,
-          options,
+          iconOptions,
           this.graphics.controlStyle
         )
       );
@@ -147,6 +151,15 @@ class Icon extends Component {
     );
   }
 
+  /**
+   * Get the registered icon path
+   * @param {string} type - Icon type
+   * @returns {?string} path
+   */
+  getPath(type) {
+    return this._pathMap[type] || null;
+  }
+
   /**
    * Set icon object color
    * @param {string} color - Color to set
@@ -2,7 +2,41 @@ import { fabric } from 'fabric';
 import extend from 'tui-code-snippet/object/extend';
 import Component from '@/interface/component';
 import ArrowLine from '@/extension/arrowLine';
-import { eventNames, componentNames, fObjectOptions } from '@/consts';
+import ArrowPolyline from '@/extension/arrowPolyline';
+import ArrowCurve from '@/extension/arrowCurve';
+import { eventNames, componentNames, fObjectOptions, lineTypes, lineStyles } from '@/consts';
+import { includes } from '@/util';
+
+/**
+ * Make the stroke properties of the line style
+ * @param {string} lineStyle - 'solid', 'dashed' or 'dotted'
+ * @param {number} width - stroke width
+ * @returns {{strokeDashArray: ?Array.<number>, strokeLineCap: string}}
+ * @private
+ */
+function makeLineStyleProperties(lineStyle, width) {
+  switch (lineStyle) {
+    case 'dashed':
+      return { strokeDashArray: [width * 3, width * 2], strokeLineCap: 'butt' };
+    case 'dotted':
+      return { strokeDashArray: [0, width * 2], strokeLineCap: 'round' };
+    default:
+      return { strokeDashArray: null, strokeLineCap: 'butt' };
+  }
+}
+
+/**
+ * Remove the points at the same position as the previous point
+ * @param {Array.<{x: number, y: number}>} points - points
+ * @returns {Array.<{x: number, y: number}>}
+ * @private
+ */
+function removeDuplicatedPoints(points) {
+  return points.filter(
+    (point, index) =>
+      index === 0 || point.x !== points[index - 1].x || point.y !== points[index - 1].y
+  );
+}
 
 /**
  * Line
@@ -29,6 +63,20 @@ class Line extends Component {
      */
     this._oColor = new fabric.Color('rgba(0, 0, 0, 0.5)');
 
+    /**
+     * Line type, 'straight', 'polyline', 'curve' or 'freehand'
+     * @type {string}
+     * @private
+     */
+    this._lineType = lineTypes[0];
+
+    /**
+     * Stroke style, 'solid', 'dashed' or 'dotted'
+     * @type {string}
+     * @private
+     */
+    this._lineStyle = lineStyles[0];
+
     /**
      * Listeners
      * @type {object.<string, function>}
@@ -38,6 +86,7 @@ class Line extends Component {
       mousedown: this._onFabricMouseDown.bind(this),
       mousemove: this._onFabricMouseMove.bind(this),
       mouseup: this._onFabricMouseUp.bind(this),
+      dblclick: this._onFabricDoubleClick.bind(this),
     };
   }
 
@@ -58,7 +107,12 @@ class Line extends Component {
 
   /**
    * Start drawing line mode
-   * @param {{width: ?number, color: ?string}} [setting] - Brush width & color
+   * @param {Object} [setting] - Brush width, color, line type & line style
+   *   @param {number} [setting.width] - Brush width
+   *   @param {string} [setting.color] - Brush color
+   *   @param {string} [setting.lineType] - 'straight', 'polyline', 'curve' or 'freehand'
+   *   @param {string} [setting.lineStyle] - 'solid', 'dashed' or 'dotted'
+   *   @param {Object} [setting.arrowType] - head & tail types of the line
    */
   start(setting = {}) {
     const canvas = this.getCanvas();
@@ -77,18 +131,24 @@ class Line extends Component {
 
     canvas.on({
       'mouse:down': this._listeners.mousedown,
+      'mouse:dblclick': this._listeners.dblclick,
     });
   }
 
   /**
    * Set brush
-   * @param {{width: ?number, color: ?string}} [setting] - Brush width & color
+   * @param {Object} [setting] - Brush width, color, line type & line style
+   *   @param {number} [setting.width] - Brush width
+   *   @param {string} [setting.color] - Brush color
+   *   @param {string} [setting.lineType] - 'straight', 'polyline', 'curve' or 'freehand'
+   *   @param {string} [setting.lineStyle] - 'solid', 'dashed' or 'dotted'
    */
   setBrush(setting) {
     const brush = this.getCanvas().freeDrawingBrush;
 
     setting = setting || {};
     this._width = setting.width || this._width;
+    this._setLineOptions(setting);
 
     if (setting.color) {
       this._oColor = new fabric.Color(setting.color);
@@ -97,12 +157,29 @@ class Line extends Component {
     brush.color = this._oColor.toRgba();
   }
 
+  /**
+   * Set the line type & the line style
+   * @param {{lineType: ?string, lineStyle: ?string}} setting - line type & line style
+   * @private
+   */
+  _setLineOptions({ lineType, lineStyle }) {
+    if (includes(lineTypes, lineType) && lineType !== this._lineType) {
+      this._finishPolyline();
+      this._lineType = lineType;
+    }
+    if (includes(lineStyles, lineStyle)) {
+      this._lineStyle = lineStyle;
+    }
+  }
+
   /**
    * End drawing line mode
    */
   end() {
     const canvas = this.getCanvas();
 
+    this._finishPolyline();
+
     canvas.defaultCursor = 'default';
     canvas.selection = true;
 
@@ -112,7 +189,10 @@ class Line extends Component {
       });
     });
 
-    canvas.off('mouse:down', this._listeners.mousedown);
+    canvas.off({
+      'mouse:down': this._listeners.mousedown,
+      'mouse:dblclick': this._listeners.dblclick,
+    });
   }
 
   /**
@@ -122,26 +202,84 @@ class Line extends Component {
    */
   _onFabricMouseDown(fEvent) {
     const canvas = this.getCanvas();
-    const { x, y } = canvas.getPointer(fEvent.e);
-    const points = [x, y, x, y];
-
-    this._line = new ArrowLine(points, {
-      stroke: this._oColor.toRgba(),
-      strokeWidth: this._width,
-      arrowType: this._arrowType,
-      evented: false,
-    });
+    const pointer = canvas.getPointer(fEvent.e);
+
+    if (this._lineType === 'polyline' && this._line) {
+      this._addPolylinePoint(pointer);
+
+      return;
+    }
 
-    this._line.set(fObjectOptions.SELECTION_STYLE);
+    this._line = this._createLine(pointer);
 
     canvas.add(this._line);
 
-    canvas.on({
-      'mouse:move': this._listeners.mousemove,
-      'mouse:up': this._listeners.mouseup,
-    });
+    canvas.on('mouse:move', this._listeners.mousemove);
 
-    this.fire(eventNames.ADD_OBJECT, this._createLineEventObjectProperties());
+    // the polyline is added when it is finished by the double click
+    if (this._lineType === 'polyline') {
+      return;
+    }
+
+    canvas.on('mouse:up', this._listeners.mouseup);
+
+    // the freehand line is added when it is straightened by the mouse up
+    if (this._lineType !== 'freehand') {
+      this.fire(eventNames.ADD_OBJECT, this._createLineEventObjectProperties());
+    }
+  }
+
+  /**
+   * Make the options of the line object by the brush and the line style
+   * @returns {Object} options
+   * @private
+   */
+  _makeLineOptions() {
+    return extend(
+      {},
+      fObjectOptions.SELECTION_STYLE,
+      {
+        stroke: this._oColor.toRgba(),
+        strokeWidth: this._width,
+        arrowType: this._arrowType,
+        evented: false,
+      },
+      makeLineStyleProperties(this._lineStyle, this._width)
+    );
+  }
+
+  /**
+   * Create the line object of the line type starting at the pointer,
+   * the freehand line is drawn as a polyline following the pointer path
+   * @param {{x: number, y: number}} pointer - pointer position
+   * @returns {fabric.Object}
+   * @private
+   */
+  _createLine({ x, y }) {
+    const options = this._makeLineOptions();
+
+    switch (this._lineType) {
+      case 'freehand':
+      case 'polyline':
+        return new ArrowPolyline(
+          [
+            { x, y },
+            { x, y },
+          ],
+          options
+        );
+      case 'curve':
+        return new ArrowCurve(
+          [
+            { x, y },
+            { x, y },
+            { x, y },
+          ],
+          options
+        );
+      default:
+        return new ArrowLine([x, y, x, y], options);
+    }
   }
 
   /**
@@ -153,24 +291,136 @@ class Line extends Component {
     const canvas = this.getCanvas();
     const pointer = canvas.getPointer(fEvent.e);
 
-    this._line.set({
-      x2: pointer.x,
-      y2: pointer.y,
-    });
+    this._setLineEndPoint(pointer);
 
     this._line.setCoords();
 
     canvas.renderAll();
   }
 
+  /**
+   * Move the end point of the line to the pointer,
+   * the control point of the curve is kept at the middle of the curve while drawing
+   * @param {{x: number, y: number}} pointer - pointer position
+   * @private
+   */
+  _setLineEndPoint({ x, y }) {
+    const line = this._line;
+
+    if (this._lineType === 'straight') {
+      line.set({ x2: x, y2: y });
+
+      return;
+    }
+
+    const [start] = line.points;
+    let points = line.points.slice(0, -1);
+
+    if (this._lineType === 'curve') {
+      points = [start, { x: (start.x + x) / 2, y: (start.y + y) / 2 }];
+    } else if (this._lineType === 'freehand') {
+      points = line.points;
+    }
+
+    line.set({ points: points.concat({ x, y }) });
+    line._setPositionDimensions({});
+  }
+
+  /**
+   * Fix the end point of the polyline at the pointer and add the next point following the pointer
+   * @param {{x: number, y: number}} pointer - pointer position
+   * @private
+   */
+  _addPolylinePoint({ x, y }) {
+    const line = this._line;
+
+    line.set({ points: line.points.slice(0, -1).concat({ x, y }, { x, y }) });
+    line._setPositionDimensions({});
+    line.setCoords();
+
+    this.getCanvas().renderAll();
+  }
+
+  /**
+   * Double click event handler in fabric canvas
+   * @private
+   */
+  _onFabricDoubleClick() {
+    this._finishPolyline();
+  }
+
+  /**
+   * Finish the polyline being drawn,
+   * the polyline is removed if it has less than two points
+   * @private
+   */
+  _finishPolyline() {
+    const canvas = this.getCanvas();
+    const line = this._line;
+
+    if (this._lineType !== 'polyline' || !line) {
+      return;
+    }
+
+    canvas.off('mouse:move', this._listeners.mousemove);
+
+    // the last point follows the pointer and it is not fixed by the click
+    const points = removeDuplicatedPoints(line.points.slice(0, -1));
+
+    if (points.length < 2) {
+      canvas.remove(line);
+    } else {
+      line.set({ points });
+      line._setPositionDimensions({});
+      line.setCoords();
+
+      const objectProperties = this._createLineEventObjectProperties();
+
+      this.fire(eventNames.ADD_OBJECT, objectProperties);
+      this.fire(eventNames.OBJECT_ADDED, objectProperties);
+    }
+
+    this._line = null;
+    canvas.renderAll();
+  }
+
+  /**
+   * Replace the freehand line being drawn with the straight line from its first point to its last point,
+   * the line is removed if the points are at the same position
+   * @returns {?fabric.Object} straight line
+   * @private
+   */
+  _straightenFreehandLine() {
+    const canvas = this.getCanvas();
+    const { points } = this._line;
+    const [start] = points;
+    const end = points[points.length - 1];
+
+    canvas.remove(this._line);
+    this._line = null;
+
+    if (start.x === end.x && start.y === end.y) {
+      return null;
+    }
+
+    this._line = new ArrowLine([start.x, start.y, end.x, end.y], this._makeLineOptions());
+    canvas.add(this._line);
+    this.fire(eventNames.ADD_OBJECT, this._createLineEventObjectProperties());
+
+    return this._line;
+  }
+
   /**
    * Mouseup event handler in fabric canvas
    * @private
    */
   _onFabricMouseUp() {
     const canvas = this.getCanvas();
+    const line = this._lineType === 'freehand' ? this._straightenFreehandLine() : this._line;
 
-    this.fire(eventNames.OBJECT_ADDED, this._createLineEventObjectProperties());
+    if (line) {
+      this.fire(eventNames.OBJECT_ADDED, this._createLineEventObjectProperties());
+    }
 
     this._line = null;
 
@@ -186,8 +436,18 @@ class Line extends Component {
    * @private
    */
   _createLineEventObjectProperties() {
-    const params = this.graphics.createObjectProperties(this._line);
-    const { x1, x2, y1, y2 } = this._line;
+    const line = this._line;
+    const params = this.graphics.createObjectProperties(line);
+    const { points } = line;
+
+    if (points) {
+      return extend({}, params, {
+        startPosition: extend({}, points[0]),
+        endPosition: extend({}, points[points.length - 1]),
+      });
+    }
+
+    const { x1, x2, y1, y2 } = line;
 
     return extend({}, params, {
       startPosition: {
@@ -1,5 +1,7 @@
 import Component from '@/interface/component';
-import { componentNames } from '@/consts';
+import { componentNames, rejectMessages, resampleAlgorithms } from '@/consts';
+import { includes } from '@/util';
+import { resampleImage } from '@/helper/resampleHelper';
 
 /**
  * Resize components
@@ -86,6 +88,91 @@ class Resize extends Component {
     return Promise.resolve();
   }
 
+  /**
+   * Resample the pixels of the image to the dimensions and scale the objects proportionally
+   * @param {Object} dimensions - Resize dimensions
+   * @param {string} [algorithm='lanczos'] - 'lanczos', 'bicubic' or 'stepDown'
+   * @returns {Promise<Object>} data to undo the resampling
+   */
+  resample(dimensions, algorithm = resampleAlgorithms[0]) {
+    if (!includes(resampleAlgorithms, algorithm)) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    const canvasImage = this.getCanvasImage();
+    const element = canvasImage._originalElement || canvasImage.getElement();
+    const size = {
+      width: Math.max(Math.round(dimensions.width || canvasImage.getScaledWidth()), 1),
+      height: Math.max(Math.round(dimensions.height || canvasImage.getScaledHeight()), 1),
+    };
+    const undoData = {
+      element,
+      dimensions: { width: canvasImage.width, height: canvasImage.height },
+    };
+    const before = canvasImage.set({ scaleX: 1, scaleY: 1 }).getBoundingRect(true, true);
+
+    return this.setImageElement(resampleImage(element, size, algorithm)).then(() => {
+      const after = canvasImage.getBoundingRect(true, true);
+
+      undoData.objects = this.scaleObjects(
+        after.width / before.width,
+        after.height / before.height
+      );
+
+      return undoData;
+    });
+  }
+
+  /**
+   * Replace the element of the image
+   * @param {HTMLImageElement|HTMLCanvasElement} element - Image element
+   * @param {Object} [dimensions] - Dimensions to scale the image to, the size of the element by default
+   * @returns {Promise}
+   */
+  setImageElement(element, dimensions = {}) {
+    const canvasImage = this.getCanvasImage();
+
+    canvasImage.setElement(element).set({ scaleX: 1, scaleY: 1 });
+    this._dimensions = null;
+
+    return this.resize(dimensions);
+  }
+
+  /**
+   * Scale the positions and the sizes of the objects on the canvas
+   * @param {number} ratioX - Horizontal ratio
+   * @param {number} ratioY - Vertical ratio
+   * @returns {Array.<Object>} objects with the properties before scaling
+   */
+  scaleObjects(ratioX, ratioY) {
+    return this.getCanvas()
+      .getObjects()
+      .map((object) => {
+        const { left, top, scaleX, scaleY } = object;
+
+        object
+          .set({
+            left: left * ratioX,
+            top: top * ratioY,
+            scaleX: scaleX * ratioX,
+            scaleY: scaleY * ratioY,
+          })
+          .setCoords();
+
+        return { object, props: { left, top, scaleX, scaleY } };
+      });
+  }
+
+  /**
+   * Restore the properties of the objects scaled by scaleObjects
+   * @param {Array.<Object>} objects - objects with the properties before scaling
+   */
+  restoreObjects(objects) {
+    objects.forEach(({ object, props }) => {
+      object.set(props).setCoords();
+    });
+  }
+
   /**
    * Start resizing
    */
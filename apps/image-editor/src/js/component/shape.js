@@ -1,6 +1,11 @@
 import { fabric } from 'fabric';
 import extend from 'tui-code-snippet/object/extend';
 import Component from '@/interface/component';
+import RegularPolygon from '@/extension/regularPolygon';
+import Star from '@/extension/star';
+import BlockArrow from '@/extension/blockArrow';
+import SpeechBubble from '@/extension/speechBubble';
+import CappedLine from '@/extension/cappedLine';
 import resizeHelper from '@/helper/shapeResizeHelper';
 import {
   getFillImageFromShape,
@@ -10,11 +15,18 @@ import {
   makeFilterOptionFromFabricImage,
   resetFillPatternCanvas,
 } from '@/helper/shapeFilterFillHelper';
+import {
+  makeGradient,
+  loadPattern,
+  makeGradientOrPatternFillOption,
+} from '@/helper/gradientPatternFillHelper';
 import {
   changeOrigin,
   getCustomProperty,
   getFillTypeFromOption,
   getFillTypeFromObject,
+  getProperties,
+  includes,
   isShape,
 } from '@/util';
 import {
@@ -40,6 +52,23 @@ const SHAPE_INIT_OPTIONS = extend(
   SHAPE_DEFAULT_OPTIONS
 );
 const DEFAULT_TYPE = 'rect';
+const SHAPE_CLASSES = {
+  rect: fabric.Rect,
+  triangle: fabric.Triangle,
+  regularPolygon: RegularPolygon,
+  star: Star,
+  blockArrow: BlockArrow,
+  speechBubble: SpeechBubble,
+  cappedLine: CappedLine,
+};
+const SHAPE_PROPERTY_KEYS = {
+  rect: ['rx', 'ry'],
+  circle: ['rx', 'ry'],
+  regularPolygon: ['sides'],
+  star: ['sides', 'innerRadius'],
+  speechBubble: ['rx', 'ry', 'tailX', 'tailY'],
+  cappedLine: ['arrowType'],
+};
 const DEFAULT_WIDTH = 20;
 const DEFAULT_HEIGHT = 20;
 
@@ -64,6 +93,8 @@ function makeFabricFillOption(options, canvasImage, createStaticCanvas) {
   if (fillType === 'filter') {
     const newStaticCanvas = createStaticCanvas();
     extOption = makeFillPatternForFilter(canvasImage, fillOption.filter, newStaticCanvas);
+  } else if (fillType === SHAPE_FILL_TYPE.GRADIENT) {
+    extOption = { fill: makeGradient(fillOption.gradient) };
   } else {
     extOption = { fill };
   }
@@ -110,6 +141,13 @@ export default class Shape extends Component {
      */
     this._isSelected = false;
 
+    /**
+     * Whether the drawing shape is being added or not, the shape with the pattern is added after loading the image
+     * @type {boolean}
+     * @private
+     */
+    this._isAdding = false;
+
     /**
      * Pointer for drawing shape (x, y)
      * @type {Object}
@@ -182,7 +220,7 @@ export default class Shape extends Component {
   /**
    * Set states of the current drawing shape
    * @ignore
-   * @param {string} type - Shape type (ex: 'rect', 'circle')
+   * @param {string} type - Shape type (ex: 'rect', 'circle', 'star')
    * @param {Object} [options] - Shape options
    *      @param {(ShapeFillOption | string)} [options.fill] - {@link ShapeFillOption} or
    *        Shape foreground color (ex: '#fff', 'transparent')
@@ -191,7 +229,13 @@ export default class Shape extends Component {
    *      @param {number} [options.width] - Width value (When type option is 'rect', this options can use)
    *      @param {number} [options.height] - Height value (When type option is 'rect', this options can use)
    *      @param {number} [options.rx] - Radius x value (When type option is 'circle', this options can use)
+   *        or corner radius x value (When type option is 'rect' or 'speechBubble', this options can use)
    *      @param {number} [options.ry] - Radius y value (When type option is 'circle', this options can use)
+   *        or corner radius y value (When type option is 'rect' or 'speechBubble', this options can use)
+   *      @param {number} [options.sides] - Count of the sides or the points
+   *        (When type option is 'regularPolygon' or 'star', this options can use)
+   *      @param {number} [options.innerRadius] - Ratio of the inner radius to the outer radius (0 ~ 1)
+   *        (When type option is 'star', this options can use)
    */
   setStates(type, options) {
     this._type = type;
@@ -204,7 +248,7 @@ export default class Shape extends Component {
   /**
    * Add the shape
    * @ignore
-   * @param {string} type - Shape type (ex: 'rect', 'circle')
+   * @param {string} type - Shape type (ex: 'rect', 'circle', 'star')
    * @param {Object} options - Shape options
    *      @param {(ShapeFillOption | string)} [options.fill] - ShapeFillOption or Shape foreground color (ex: '#fff', 'transparent') or ShapeFillOption object
    *      @param {string} [options.stroke] - Shape outline color
@@ -212,11 +256,26 @@ export default class Shape extends Component {
    *      @param {number} [options.width] - Width value (When type option is 'rect', this options can use)
    *      @param {number} [options.height] - Height value (When type option is 'rect', this options can use)
    *      @param {number} [options.rx] - Radius x value (When type option is 'circle', this options can use)
+   *        or corner radius x value (When type option is 'rect' or 'speechBubble', this options can use)
    *      @param {number} [options.ry] - Radius y value (When type option is 'circle', this options can use)
+   *        or corner radius y value (When type option is 'rect' or 'speechBubble', this options can use)
+   *      @param {number} [options.sides] - Count of the sides or the points
+   *        (When type option is 'regularPolygon' or 'star', this options can use)
+   *      @param {number} [options.innerRadius] - Ratio of the inner radius to the outer radius (0 ~ 1)
+   *        (When type option is 'star', this options can use)
    *      @param {number} [options.isRegular] - Whether scaling shape has 1:1 ratio or not
    * @returns {Promise}
    */
   add(type, options) {
+    const { fill: fillOption } = extend({}, this._options, options);
+
+    // The shape is added after the pattern image is loaded, so it is not added when the loading fails
+    if (getFillTypeFromOption(fillOption) === SHAPE_FILL_TYPE.PATTERN) {
+      return loadPattern(fillOption.pattern).then((fill) =>
+        this.add(type, extend({}, options, { fill }))
+      );
+    }
+
     return new Promise((resolve) => {
       const canvas = this.getCanvas();
       const extendOption = this._extendOptions(options);
@@ -246,16 +305,30 @@ export default class Shape extends Component {
    *      @param {number} [options.width] - Width value (When type option is 'rect', this options can use)
    *      @param {number} [options.height] - Height value (When type option is 'rect', this options can use)
    *      @param {number} [options.rx] - Radius x value (When type option is 'circle', this options can use)
+   *        or corner radius x value (When type option is 'rect' or 'speechBubble', this options can use)
    *      @param {number} [options.ry] - Radius y value (When type option is 'circle', this options can use)
+   *        or corner radius y value (When type option is 'rect' or 'speechBubble', this options can use)
+   *      @param {number} [options.sides] - Count of the sides or the points
+   *        (When type option is 'regularPolygon' or 'star', this options can use)
+   *      @param {number} [options.innerRadius] - Ratio of the inner radius to the outer radius (0 ~ 1)
+   *        (When type option is 'star', this options can use)
    *      @param {number} [options.isRegular] - Whether scaling shape has 1:1 ratio or not
    * @returns {Promise}
    */
   change(shapeObj, options) {
+    const fillType = getFillTypeFromOption(options.fill);
+
+    if (fillType === SHAPE_FILL_TYPE.PATTERN && isShape(shapeObj)) {
+      return loadPattern(options.fill.pattern).then((fill) =>
+        this.change(shapeObj, extend({}, options, { fill }))
+      );
+    }
+
     return new Promise((resolve, reject) => {
       if (!isShape(shapeObj)) {
         reject(rejectMessages.unsupportedType);
       }
-      const hasFillOption = getFillTypeFromOption(options.fill) === 'filter';
+      const hasFillOption = includes([SHAPE_FILL_TYPE.FILTER, SHAPE_FILL_TYPE.GRADIENT], fillType);
       const { canvasImage, createStaticCanvas } = this.graphics;
 
       shapeObj.set(
@@ -286,6 +359,8 @@ export default class Shape extends Component {
 
       fillProp.type = fillType;
       fillProp.filter = filterOption;
+    } else if (fillType !== SHAPE_FILL_TYPE.COLOR) {
+      extend(fillProp, makeGradientOrPatternFillOption(shapeObj.fill));
     } else {
       fillProp.type = SHAPE_FILL_TYPE.COLOR;
       fillProp.color = shapeObj.fill || 'transparent';
@@ -294,6 +369,15 @@ export default class Shape extends Component {
     return fillProp;
   }
 
+  /**
+   * make the properties of the shape type for user event
+   * @param {fabric.Object} shapeObj - fabric object
+   * @returns {Object}
+   */
+  makeShapePropertiesForUserEvent(shapeObj) {
+    return getProperties(shapeObj, SHAPE_PROPERTY_KEYS[shapeObj.type] || []);
+  }
+
   /**
    * Copy object handling.
    * @param {fabric.Object} shapeObj - Shape object
@@ -302,7 +386,7 @@ export default class Shape extends Component {
   processForCopiedObject(shapeObj, originalShapeObj) {
     this._bindEventOnShape(shapeObj);
 
-    if (getFillTypeFromObject(shapeObj) === 'filter') {
+    if (getFillTypeFromObject(originalShapeObj) === 'filter') {
       const fillImage = getFillImageFromShape(originalShapeObj);
       const filterOption = makeFilterOptionFromFabricImage(fillImage);
       const newStaticCanvas = this.graphics.createStaticCanvas();
@@ -322,27 +406,22 @@ export default class Shape extends Component {
    * @private
    */
   _createInstance(type, options) {
+    const ShapeClass = SHAPE_CLASSES[type];
     let instance;
 
-    switch (type) {
-      case 'rect':
-        instance = new fabric.Rect(options);
-        break;
-      case 'circle':
-        instance = new fabric.Ellipse(
-          extend(
-            {
-              type: 'circle',
-            },
-            options
-          )
-        );
-        break;
-      case 'triangle':
-        instance = new fabric.Triangle(options);
-        break;
-      default:
-        instance = {};
+    if (type === 'circle') {
+      instance = new fabric.Ellipse(
+        extend(
+          {
+            type: 'circle',
+          },
+          options
+        )
+      );
+    } else if (ShapeClass) {
+      instance = new ShapeClass(options);
+    } else {
+      instance = {};
     }
 
     return instance;
@@ -454,13 +533,11 @@ export default class Shape extends Component {
     const shape = this._shapeObj;
 
     if (!shape) {
-      this.add(this._type, {
+      this._addDrawingShape({
         left: startPointX,
         top: startPointY,
         width,
         height,
-      }).then((objectProps) => {
-        this.fire(eventNames.ADD_OBJECT, objectProps);
       });
     } else {
       this._shapeObj.set({
@@ -485,13 +562,11 @@ export default class Shape extends Component {
     const shape = this._shapeObj;
 
     if (!shape) {
-      this.add(this._type, {
+      this._addDrawingShape({
         left: startPointX,
         top: startPointY,
         width: DEFAULT_WIDTH,
         height: DEFAULT_HEIGHT,
-      }).then((objectProps) => {
-        this.fire(eventNames.ADD_OBJECT, objectProps);
       });
     } else if (shape) {
       resizeHelper.adjustOriginToCenter(shape);
@@ -504,6 +579,31 @@ export default class Shape extends Component {
     });
   }
 
+  /**
+   * Add the drawing shape unless the previous one is being added
+   * @param {Object} options - Shape options
+   * @private
+   */
+  _addDrawingShape(options) {
+    if (this._isAdding) {
+      return;
+    }
+
+    this._isAdding = true;
+    this.add(this._type, options).then(
+      (objectProps) => {
+        this._isAdding = false;
+        this.fire(eventNames.ADD_OBJECT, objectProps);
+      },
+      (message) => {
+        this._isAdding = false;
+
+        // The shape is not added when its pattern image is failed to load
+        return message === rejectMessages.loadingImageFailed ? null : Promise.reject(message);
+      }
+    );
+  }
+
   /**
    * Keydown event handler on document
    * @param {KeyboardEvent} e - Event object
@@ -0,0 +1,447 @@
+import extend from 'tui-code-snippet/object/extend';
+import Component from '@/interface/component';
+import { componentNames } from '@/consts';
+
+const DEFAULT_SNAPPING_OPTIONS = {
+  grid: 0,
+  objects: true,
+  canvas: true,
+  threshold: 5,
+};
+const GUIDE_LINE_STYLE = {
+  color: '#ff00ff',
+  lineWidth: 1,
+};
+const SCALE_RATIO_EPSILON = 0.0001;
+const SCALING_EDGE_KEYS = {
+  x: ['l', 'r'],
+  y: ['t', 'b'],
+};
+
+/**
+ * Get the edges and the center of a bounding rect on each axis
+ * @param {{left: number, top: number, width: number, height: number}} rect - bounding rect
+ * @returns {{x: Array.<number>, y: Array.<number>}} lines
+ * @private
+ */
+function getRectLines({ left, top, width, height }) {
+  return {
+    x: [left, left + width / 2, left + width],
+    y: [top, top + height / 2, top + height],
+  };
+}
+
+/**
+ * Find the closest snap line of the target lines in the threshold
+ * @param {Array.<number>} targetLines - lines of the moving object
+ * @param {Array.<number>} snapLines - lines to snap to
+ * @param {number} threshold - snap threshold
+ * @returns {?{delta: number, line: number}} delta to move and the snapped line
+ * @private
+ */
+function findSnap(targetLines, snapLines, threshold) {
+  let snap = null;
+
+  targetLines.forEach((targetLine) => {
+    snapLines.forEach((line) => {
+      const delta = line - targetLine;
+
+      if (Math.abs(delta) <= threshold && (!snap || Math.abs(delta) < Math.abs(snap.delta))) {
+        snap = { delta, line };
+      }
+    });
+  });
+
+  return snap;
+}
+
+/**
+ * Get the closest grid lines of the values
+ * @param {Array.<number>} values - values on an axis
+ * @param {number} grid - grid size
+ * @returns {Array.<number>} grid lines
+ * @private
+ */
+function getGridLines(values, grid) {
+  return values.reduce(
+    (lines, value) => lines.concat(Math.floor(value / grid) * grid, Math.ceil(value / grid) * grid),
+    []
+  );
+}
+
+/**
+ * Get the ratios to multiply the scales of the object for the snaps
+ * @param {{x: ?Object, y: ?Object}} snaps - snaps of the scaling edges
+ * @param {{width: number, height: number}} rect - bounding rect of the object
+ * @param {boolean} uniform - whether the scaling keeps the ratio
+ * @returns {{x: number, y: number}} ratios
+ * @private
+ */
+function getScaleRatios({ x, y }, { width, height }, uniform) {
+  const ratioX = x ? 1 + x.growth / width : 1;
+  const ratioY = y ? 1 + y.growth / height : 1;
+
+  return uniform ? { x: ratioX * ratioY, y: ratioX * ratioY } : { x: ratioX, y: ratioY };
+}
+
+/**
+ * Snapping component
+ * @class Snapping
+ * @extends {Component}
+ * @param {Graphics} graphics - Graphics instance
+ * @ignore
+ */
+class Snapping extends Component {
+  constructor(graphics) {
+    super(componentNames.SNAPPING, graphics);
+
+    /**
+     * Snapping options
+     * @type {{grid: number, objects: boolean, canvas: boolean, threshold: number}}
+     * @private
+     */
+    this._options = extend({}, DEFAULT_SNAPPING_OPTIONS);
+
+    /**
+     * Whether the snapping is enabled
+     * @type {boolean}
+     * @private
+     */
+    this._enabled = false;
+
+    /**
+     * Guide lines rendered while transforming an object
+     * @type {{x: Array.<number>, y: Array.<number>}}
+     * @private
+     */
+    this._guides = { x: [], y: [] };
+
+    /**
+     * Listeners
+     * @type {Object.<string, Function>}
+     * @private
+     */
+    this._listeners = {
+      renderGuides: this._renderGuides.bind(this),
+      clearGuides: this.clearGuides.bind(this),
+    };
+  }
+
+  /**
+   * Enable the snapping
+   * @param {Object} [options] - snapping options
+   *   @param {number} [options.grid] - grid size, 0 does not snap to the grid
+   *   @param {boolean} [options.objects] - whether to snap to the edges and centers of other objects
+   *   @param {boolean} [options.canvas] - whether to snap to the edges and center of the canvas
+   *   @param {number} [options.threshold] - distance in screen pixels to snap
+   */
+  enable(options) {
+    extend(this._options, options);
+
+    if (!this._enabled) {
+      this.getCanvas().on({
+        'after:render': this._listeners.renderGuides,
+        'mouse:up': this._listeners.clearGuides,
+      });
+      this._enabled = true;
+    }
+  }
+
+  /**
+   * Disable the snapping
+   */
+  disable() {
+    if (this._enabled) {
+      this.getCanvas().off({
+        'after:render': this._listeners.renderGuides,
+        'mouse:up': this._listeners.clearGuides,
+      });
+      this._enabled = false;
+      this.clearGuides();
+    }
+  }
+
+  /**
+   * Whether the snapping is enabled
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this._enabled;
+  }
+
+  /**
+   * Get the snapping options
+   * @returns {{grid: number, objects: boolean, canvas: boolean, threshold: number}}
+   */
+  getOptions() {
+    return extend({}, this._options);
+  }
+
+  /**
+   * Snap the moving object to the grid, the canvas and the other objects
+   * @param {fabric.Object} target - moving object
+   */
+  snapMovingObject(target) {
+    if (!this._isSnappable(target)) {
+      return;
+    }
+
+    const rect = target.getBoundingRect(true, true);
+    const { x: targetX, y: targetY } = getRectLines(rect);
+    const snapX = this._findSnap(targetX, 'x', target);
+    const snapY = this._findSnap(targetY, 'y', target);
+
+    target.set({
+      left: target.left + (snapX ? snapX.delta : 0),
+      top: target.top + (snapY ? snapY.delta : 0),
+    });
+    target.setCoords();
+
+    this._setGuides(snapX, snapY);
+  }
+
+  /**
+   * Snap the scaling edges of the object to the grid, the canvas and the other objects
+   * @param {fabric.Object} target - scaling object
+   * @param {Object} transform - fabric transform of the scaling
+   *   @param {string} transform.corner - control which scales the object (ex: 'tl', 'mr')
+   *   @param {string} transform.originX - horizontal origin which does not move while scaling
+   *   @param {string} transform.originY - vertical origin which does not move while scaling
+   *   @param {Object} transform.original - properties of the object when the scaling started
+   */
+  snapScalingObject(target, transform) {
+    if (!this._isSnappable(target) || target.angle % 360) {
+      return;
+    }
+
+    const { corner, originX, originY } = transform;
+    const rect = target.getBoundingRect(true, true);
+    const uniform = this._isUniformScaling(target, transform);
+    const snaps = this._findScalingSnaps(corner, getRectLines(rect), target, uniform);
+    const ratios = getScaleRatios(snaps, rect, uniform);
+    const anchor = target.translateToOriginPoint(target.getCenterPoint(), originX, originY);
+
+    target.set({
+      scaleX: target.scaleX * ratios.x,
+      scaleY: target.scaleY * ratios.y,
+    });
+    target.setPositionByOrigin(anchor, originX, originY);
+    target.setCoords();
+
+    this._setGuides(snaps.x, snaps.y);
+  }
+
+  /**
+   * Remove the guide lines
+   */
+  clearGuides() {
+    const hadGuides = this._guides.x.length || this._guides.y.length;
+
+    this._guides = { x: [], y: [] };
+
+    if (hadGuides) {
+      this.getCanvas().requestRenderAll();
+    }
+  }
+
+  /**
+   * Get the guide lines
+   * @returns {{x: Array.<number>, y: Array.<number>}} guide lines
+   */
+  getGuides() {
+    return {
+      x: this._guides.x.slice(),
+      y: this._guides.y.slice(),
+    };
+  }
+
+  /**
+   * Whether the object can be snapped
+   * @param {fabric.Object} target - object
+   * @returns {boolean}
+   * @private
+   */
+  _isSnappable(target) {
+    return this._enabled && !!target && target.type !== 'cropzone';
+  }
+
+  /**
+   * Whether the object keeps the ratio of its scales while scaling with a corner control
+   * @param {fabric.Object} target - scaling object
+   * @param {{corner: string, original: Object}} transform - fabric transform of the scaling
+   * @returns {boolean}
+   * @private
+   */
+  _isUniformScaling(target, { corner, original }) {
+    const ratio = target.scaleX / target.scaleY;
+
+    return (
+      corner.length === 2 &&
+      Math.abs(ratio - original.scaleX / original.scaleY) < SCALE_RATIO_EPSILON
+    );
+  }
+
+  /**
+   * Find the snaps of the bounding rect edges which move while scaling
+   * @param {string} corner - control which scales the object
+   * @param {{x: Array.<number>, y: Array.<number>}} lines - lines of the bounding rect
+   * @param {fabric.Object} target - scaling object
+   * @param {boolean} uniform - whether the scaling keeps the ratio, only the closer snap is used
+   * @returns {{x: ?Object, y: ?Object}} snaps on each axis
+   * @private
+   */
+  _findScalingSnaps(corner, lines, target, uniform) {
+    const x = this._findScalingSnap(corner, 'x', lines.x, target);
+    const y = this._findScalingSnap(corner, 'y', lines.y, target);
+
+    if (!uniform || !x || !y) {
+      return { x, y };
+    }
+
+    return Math.abs(x.delta) <= Math.abs(y.delta) ? { x, y: null } : { x: null, y };
+  }
+
+  /**
+   * Find the snap of the bounding rect edge which moves while scaling
+   * @param {string} corner - control which scales the object
+   * @param {string} axis - 'x' or 'y'
+   * @param {Array.<number>} lines - lines of the bounding rect on the axis
+   * @param {fabric.Object} target - scaling object
+   * @returns {?{delta: number, line: number, growth: number}} snap with the size to grow
+   * @private
+   */
+  _findScalingSnap(corner, axis, lines, target) {
+    const [startKey, endKey] = SCALING_EDGE_KEYS[axis];
+    let snap = null;
+
+    if (corner.indexOf(startKey) > -1) {
+      snap = this._findSnap([lines[0]], axis, target);
+      snap = snap && extend(snap, { growth: -snap.delta });
+    } else if (corner.indexOf(endKey) > -1) {
+      snap = this._findSnap([lines[2]], axis, target);
+      snap = snap && extend(snap, { growth: snap.delta });
+    }
+
+    return snap;
+  }
+
+  /**
+   * Find the closest snap of the target lines on an axis
+   * @param {Array.<number>} targetLines - lines of the object on the axis
+   * @param {string} axis - 'x' or 'y'
+   * @param {fabric.Object} target - transforming object
+   * @returns {?{delta: number, line: number}} delta to move and the snapped line
+   * @private
+   */
+  _findSnap(targetLines, axis, target) {
+    const { grid } = this._options;
+    const snapLines = this._getSnapLines(axis, target);
+
+    if (grid) {
+      snapLines.push(...getGridLines(targetLines, grid));
+    }
+
+    return findSnap(targetLines, snapLines, this._getThreshold());
+  }
+
+  /**
+   * Get the snap threshold in the canvas coordinates
+   * @returns {number}
+   * @private
+   */
+  _getThreshold() {
+    return this._options.threshold / this.getCanvas().getZoom();
+  }
+
+  /**
+   * Get the rect of the canvas image in the canvas coordinates, it is not changed by the zoom
+   * @returns {{left: number, top: number, width: number, height: number}} rect
+   * @private
+   */
+  _getCanvasRect() {
+    const canvas = this.getCanvas();
+    const canvasImage = this.getCanvasImage();
+
+    if (canvasImage) {
+      return canvasImage.getBoundingRect(true, true);
+    }
+
+    // The canvas can not be zoomed without the canvas image
+    return { left: 0, top: 0, width: canvas.getWidth(), height: canvas.getHeight() };
+  }
+
+  /**
+   * Get the lines of the canvas and the other objects on an axis
+   * @param {string} axis - 'x' or 'y'
+   * @param {fabric.Object} target - transforming object
+   * @returns {Array.<number>} lines
+   * @private
+   */
+  _getSnapLines(axis, target) {
+    const canvas = this.getCanvas();
+    const lines = [];
+
+    if (this._options.canvas) {
+      lines.push(...getRectLines(this._getCanvasRect())[axis]);
+    }
+
+    if (this._options.objects) {
+      const excludedObjects = target.type === 'activeSelection' ? target.getObjects() : [];
+
+      canvas.getObjects().forEach((obj) => {
+        if (obj !== target && obj.visible && excludedObjects.indexOf(obj) < 0) {
+          lines.push(...getRectLines(obj.getBoundingRect(true, true))[axis]);
+        }
+      });
+    }
+
+    return lines;
+  }
+
+  /**
+   * Set the guide lines of the snaps
+   * @param {?{line: number}} snapX - snap on the x axis
+   * @param {?{line: number}} snapY - snap on the y axis
+   * @private
+   */
+  _setGuides(snapX, snapY) {
+    this._guides = {
+      x: snapX ? [snapX.line] : [],
+      y: snapY ? [snapY.line] : [],
+    };
+  }
+
+  /**
+   * "after:render" canvas event handler to render the guide lines
+   * @private
+   */
+  _renderGuides() {
+    const { x, y } = this._guides;
+
+    if (!x.length && !y.length) {
+      return;
+    }
+
+    const canvas = this.getCanvas();
+    const ctx = canvas.getContext();
+    const { left, top, width, height } = this._getCanvasRect();
+
+    ctx.save();
+    ctx.transform(...canvas.viewportTransform);
+    ctx.strokeStyle = GUIDE_LINE_STYLE.color;
+    ctx.lineWidth = GUIDE_LINE_STYLE.lineWidth / canvas.getZoom();
+    ctx.beginPath();
+    x.forEach((line) => {
+      ctx.moveTo(line, top);
+      ctx.lineTo(line, top + height);
+    });
+    y.forEach((line) => {
+      ctx.moveTo(left, line);
+      ctx.lineTo(left + width, line);
+    });
+    ctx.stroke();
+    ctx.restore();
+  }
+}
+
+export default Snapping;
@@ -1,13 +1,21 @@
 import { fabric } from 'fabric';
 import extend from 'tui-code-snippet/object/extend';
 import isExisty from 'tui-code-snippet/type/isExisty';
+import isNumber from 'tui-code-snippet/type/isNumber';
 import forEach from 'tui-code-snippet/collection/forEach';
 import Component from '@/interface/component';
-import { stamp } from '@/util';
-import { componentNames, eventNames as events, fObjectOptions } from '@/consts';
+import { EffectIText, EffectTextbox } from '@/extension/textEffect';
+import { loadWebFont } from '@/helper/fontHelper';
+import {
+  isGradientOrPatternFillOption,
+  makeGradientOrPatternFill,
+} from '@/helper/gradientPatternFillHelper';
+import { stamp, includes } from '@/util';
+import { componentNames, eventNames as events, fObjectOptions, rejectMessages } from '@/consts';
 
 const defaultStyles = {
   fill: '#000000',
+  paintFirst: 'stroke',
   left: 0,
   top: 0,
 };
@@ -19,6 +27,40 @@ const resetStyles = {
   underline: false,
 };
 const DBCLICK_TIME = 500;
+const FONT_LOADING_DONE = 'loadingdone';
+
+/**
+ * Styles which are applied to the whole text object even if the character range is given
+ * @type {Array.<string>}
+ */
+const OBJECT_STYLE_KEYS = [
+  'textAlign',
+  'lineHeight',
+  'charSpacing',
+  'shadow',
+  'backgroundColor',
+  'backgroundPadding',
+  'backgroundRadius',
+  'curve',
+];
+
+/**
+ * Styles which are set as they are even if the same value is set again
+ * @type {Array.<string>}
+ */
+const UNTOGGLED_STYLE_KEYS = ['fontSize', 'fontFamily'];
+
+/**
+ * Whether the style is turned off when the same value is set again,
+ * the numeric styles like the size and the spacing are set as they are
+ * @param {string} key - style key
+ * @param {*} value - style value
+ * @returns {boolean}
+ * @private
+ */
+function isToggleStyle(key, value) {
+  return !includes(UNTOGGLED_STYLE_KEYS, key) && !isNumber(value);
+}
 
 /**
  * Text
@@ -65,6 +107,8 @@ class Text extends Component {
       selectClear: this._onFabricSelectClear.bind(this),
       scaling: this._onFabricScaling.bind(this),
       textChanged: this._onFabricTextChanged.bind(this),
+      textSelectionChanged: this._onFabricTextSelectionChanged.bind(this),
+      fontLoadingDone: this._onFontLoadingDone.bind(this),
     };
 
     /**
@@ -113,10 +157,11 @@ class Text extends Component {
       'before:selection:cleared': this._listeners.selectClear,
       'object:scaling': this._listeners.scaling,
       'text:changed': this._listeners.textChanged,
+      'text:selection:changed': this._listeners.textSelectionChanged,
     });
 
     canvas.forEachObject((obj) => {
-      if (obj.type === 'i-text') {
+      if (obj instanceof fabric.IText) {
         this.adjustOriginPosition(obj, 'start');
       }
     });
@@ -134,7 +179,7 @@ class Text extends Component {
     canvas.defaultCursor = 'default';
 
     canvas.forEachObject((obj) => {
-      if (obj.type === 'i-text') {
+      if (obj instanceof fabric.IText) {
         if (obj.text === '') {
           canvas.remove(obj);
         } else {
@@ -151,9 +196,65 @@ class Text extends Component {
       'object:selected': this._listeners.select,
       'object:scaling': this._listeners.scaling,
       'text:changed': this._listeners.textChanged,
+      'text:selection:changed': this._listeners.textSelectionChanged,
     });
   }
 
+  /**
+   * Attach the event re-measuring the text objects when the fonts of the document finish loading
+   */
+  attachFontLoadEvents() {
+    if (document.fonts) {
+      fabric.util.addListener(document.fonts, FONT_LOADING_DONE, this._listeners.fontLoadingDone);
+    }
+  }
+
+  /**
+   * Detach the font loading event
+   */
+  detachFontLoadEvents() {
+    if (document.fonts) {
+      fabric.util.removeListener(
+        document.fonts,
+        FONT_LOADING_DONE,
+        this._listeners.fontLoadingDone
+      );
+    }
+  }
+
+  /**
+   * Load the font and re-measure the text objects with it
+   * @param {Object} font - font to load
+   *   @param {string} font.family - font family
+   *   @param {string} [font.url] - url of the font file, the font declared in the stylesheet is loaded without it
+   * @returns {Promise}
+   */
+  loadFont(font) {
+    return loadWebFont(font).then(
+      () => this.refreshTextObjects(font.family),
+      () => Promise.reject(rejectMessages.loadingFontFailed)
+    );
+  }
+
+  /**
+   * Re-measure and re-render the text objects, the text which was measured with the fallback font
+   * gets its dimensions of the loaded font
+   * @param {string} [fontFamily] - font family of which the measuring cache is cleared,
+   *   the cache of all fonts is cleared without it
+   */
+  refreshTextObjects(fontFamily) {
+    const canvas = this.getCanvas();
+
+    fabric.util.clearFabricFontCache(fontFamily);
+    canvas.forEachObject((obj) => {
+      if (obj instanceof fabric.Text) {
+        obj.initDimensions();
+        obj.setCoords();
+      }
+    });
+    canvas.renderAll();
+  }
+
   /**
    * Adjust the origin position
    * @param {fabric.Object} text - text object
@@ -180,17 +281,39 @@ class Text extends Component {
    * @param {string} text - Initial input text
    * @param {Object} options - Options for generating text
    *     @param {Object} [options.styles] Initial styles
-   *         @param {string} [options.styles.fill] Color
+   *         @param {(string | ShapeFillOption)} [options.styles.fill] Color or gradient or pattern type fill option
    *         @param {string} [options.styles.fontFamily] Font type for text
    *         @param {number} [options.styles.fontSize] Size
    *         @param {string} [options.styles.fontStyle] Type of inclination (normal / italic)
    *         @param {string} [options.styles.fontWeight] Type of thicker or thinner looking (normal / bold)
    *         @param {string} [options.styles.textAlign] Type of text align (left / center / right)
    *         @param {string} [options.styles.textDecoration] Type of line (underline / line-through / overline)
+   *         @param {number} [options.styles.lineHeight] Line height relative to the font size
+   *         @param {number} [options.styles.charSpacing] Letter spacing in thousandths of em
+   *         @param {string} [options.styles.stroke] Color of the outline
+   *         @param {number} [options.styles.strokeWidth] Width of the outline
+   *         @param {?Object} [options.styles.shadow] Drop shadow, null removes it
+   *             @param {string} [options.styles.shadow.color] Color of the shadow
+   *             @param {number} [options.styles.shadow.blur] Blur of the shadow
+   *             @param {number} [options.styles.shadow.offsetX] Horizontal offset of the shadow
+   *             @param {number} [options.styles.shadow.offsetY] Vertical offset of the shadow
+   *         @param {string} [options.styles.backgroundColor] Color of the background box
+   *         @param {number} [options.styles.backgroundPadding] Padding of the background box
+   *         @param {number} [options.styles.backgroundRadius] Corner radius of the background box
+   *         @param {number} [options.styles.curve] Angle of the arc along which the text is curved in degrees (-360 ~ 360)
    *     @param {{x: number, y: number}} [options.position] - Initial position
+   *     @param {number} [options.width] - Width of the text box wrapping the text, the text is not wrapped without it
    * @returns {Promise}
    */
   add(text, options) {
+    const fillOption = options.styles && options.styles.fill;
+
+    if (isGradientOrPatternFillOption(fillOption)) {
+      return makeGradientOrPatternFill(fillOption).then((fill) =>
+        this.add(text, extend({}, options, { styles: extend({}, options.styles, { fill }) }))
+      );
+    }
+
     return new Promise((resolve) => {
       const canvas = this.getCanvas();
       let newText = null;
@@ -207,7 +330,9 @@ class Text extends Component {
         options.autofocus = true;
       }
 
-      newText = new fabric.IText(text, styles);
+      newText = isNumber(options.width)
+        ? new EffectTextbox(text, extend({}, styles, { width: options.width }))
+        : new EffectIText(text, styles);
       selectionStyle = extend({}, selectionStyle, {
         originX: 'left',
         originY: 'top',
@@ -253,38 +378,158 @@ class Text extends Component {
    * Set style
    * @param {Object} activeObj - Current selected text object
    * @param {Object} styleObj - Initial styles
-   *     @param {string} [styleObj.fill] Color
+   *     @param {(string | ShapeFillOption)} [styleObj.fill] Color or gradient or pattern type fill option
    *     @param {string} [styleObj.fontFamily] Font type for text
    *     @param {number} [styleObj.fontSize] Size
    *     @param {string} [styleObj.fontStyle] Type of inclination (normal / italic)
    *     @param {string} [styleObj.fontWeight] Type of thicker or thinner looking (normal / bold)
    *     @param {string} [styleObj.textAlign] Type of text align (left / center / right)
    *     @param {string} [styleObj.textDecoration] Type of line (underline / line-through / overline)
+   *     @param {number} [styleObj.lineHeight] Line height relative to the font size
+   *     @param {number} [styleObj.charSpacing] Letter spacing in thousandths of em
+   *     @param {string} [styleObj.stroke] Color of the outline
+   *     @param {number} [styleObj.strokeWidth] Width of the outline
+   *     @param {?Object} [styleObj.shadow] Drop shadow, null removes it
+   *         @param {string} [styleObj.shadow.color] Color of the shadow
+   *         @param {number} [styleObj.shadow.blur] Blur of the shadow
+   *         @param {number} [styleObj.shadow.offsetX] Horizontal offset of the shadow
+   *         @param {number} [styleObj.shadow.offsetY] Vertical offset of the shadow
+   *     @param {string} [styleObj.backgroundColor] Color of the background box
+   *     @param {number} [styleObj.backgroundPadding] Padding of the background box
+   *     @param {number} [styleObj.backgroundRadius] Corner radius of the background box
+   *     @param {number} [styleObj.curve] Angle of the arc along which the text is curved in degrees (-360 ~ 360)
+   * @param {{start: number, end: number}} [range] - Character range to apply the styles,
+   *   the styles of the whole text are changed without it
    * @returns {Promise}
    */
-  setStyle(activeObj, styleObj) {
-    return new Promise((resolve) => {
-      forEach(
-        styleObj,
-        (val, key) => {
-          if (activeObj[key] === val && key !== 'fontSize') {
-            styleObj[key] = resetStyles[key] || '';
-          }
-        },
-        this
+  setStyle(activeObj, styleObj, range) {
+    if (isGradientOrPatternFillOption(styleObj.fill)) {
+      return makeGradientOrPatternFill(styleObj.fill).then((fill) =>
+        this.setStyle(activeObj, extend({}, styleObj, { fill }), range)
       );
+    }
 
-      if ('textDecoration' in styleObj) {
-        extend(styleObj, this._getTextDecorationAdaptObject(styleObj.textDecoration));
+    return new Promise((resolve) => {
+      if (range) {
+        this._setSelectionStyle(activeObj, styleObj, range);
+      } else {
+        this._setObjectStyle(activeObj, styleObj);
       }
 
-      activeObj.set(styleObj);
+      this.getCanvas().renderAll();
+      resolve();
+    });
+  }
+
+  /**
+   * Restore the styles of the text object and the styles of its characters
+   * @param {Object} activeObj - text object
+   * @param {Object} styleObj - styles of the text object
+   * @param {Object} charStyles - styles of the characters (fabric.Text#styles)
+   * @returns {Promise}
+   */
+  restoreStyle(activeObj, styleObj, charStyles) {
+    return new Promise((resolve) => {
+      activeObj.set(extend({}, styleObj, { styles: fabric.util.object.clone(charStyles, true) }));
 
       this.getCanvas().renderAll();
       resolve();
     });
   }
 
+  /**
+   * Get the style under the cursor or of the first character of the selection
+   * @param {fabric.IText} activeObj - text object
+   * @returns {Object} styles of the character with the styles of the whole text
+   */
+  getSelectionStyle(activeObj) {
+    const { selectionStart, selectionEnd } = activeObj;
+    const position =
+      selectionStart === selectionEnd ? Math.max(selectionStart - 1, 0) : selectionStart;
+    const objectStyle = {};
+
+    OBJECT_STYLE_KEYS.forEach((key) => {
+      objectStyle[key] = activeObj[key];
+    });
+
+    return extend(objectStyle, activeObj.getStyleAtPosition(position, true));
+  }
+
+  /**
+   * Get the range of the selected characters of the text object being edited
+   * @param {fabric.IText} activeObj - text object
+   * @returns {?{start: number, end: number}} selected range, null if nothing is selected
+   */
+  getSelectionRange(activeObj) {
+    const { isEditing, selectionStart: start, selectionEnd: end } = activeObj;
+
+    return isEditing && start !== end ? { start, end } : null;
+  }
+
+  /**
+   * Set the styles of the whole text, the styles of the characters are replaced by them
+   * @param {Object} activeObj - text object
+   * @param {Object} styleObj - styles
+   * @private
+   */
+  _setObjectStyle(activeObj, styleObj) {
+    forEach(
+      styleObj,
+      (val, key) => {
+        if (activeObj[key] === val && isToggleStyle(key, val)) {
+          styleObj[key] = resetStyles[key] || '';
+        }
+      },
+      this
+    );
+
+    if ('textDecoration' in styleObj) {
+      extend(styleObj, this._getTextDecorationAdaptObject(styleObj.textDecoration));
+    }
+
+    forEach(styleObj, (val, key) => {
+      activeObj.removeStyle(key);
+    });
+    activeObj.set(styleObj);
+  }
+
+  /**
+   * Set the styles of the characters in the range,
+   * a style is turned off when all characters in the range already have it
+   * @param {Object} activeObj - text object
+   * @param {Object} styleObj - styles
+   * @param {{start: number, end: number}} range - character range
+   * @private
+   */
+  _setSelectionStyle(activeObj, styleObj, { start, end }) {
+    const charStyles = activeObj.getSelectionStyles(start, end, true);
+    const selectionStyle = {};
+    const objectStyle = {};
+
+    if ('textDecoration' in styleObj) {
+      styleObj = extend({}, styleObj, this._getTextDecorationAdaptObject(styleObj.textDecoration));
+      delete styleObj.textDecoration;
+    }
+
+    forEach(styleObj, (val, key) => {
+      if (includes(OBJECT_STYLE_KEYS, key)) {
+        objectStyle[key] = val;
+      } else {
+        const isApplied =
+          isToggleStyle(key, val) && charStyles.every((style) => style[key] === val);
+
+        selectionStyle[key] = isApplied ? resetStyles[key] || '' : val;
+      }
+    });
+
+    if (Object.keys(selectionStyle).length) {
+      activeObj.setSelectionStyles(selectionStyle, start, end);
+    }
+    activeObj.set(objectStyle);
+    activeObj.initDimensions();
+    activeObj.setCoords();
+  }
+
   /**
    * Get the text
    * @param {Object} activeObj - Current selected text object
@@ -449,6 +694,9 @@ class Text extends Component {
     const obj = fEvent.target;
 
     obj.fontSize = obj.fontSize * obj.scaleY;
+    if (obj.isType('textbox')) {
+      obj.width = obj.width * obj.scaleX;
+    }
     obj.scaleX = 1;
     obj.scaleY = 1;
   }
@@ -462,6 +710,27 @@ class Text extends Component {
     this.fire(events.TEXT_CHANGED, props.target);
   }
 
+  /**
+   * 'text:selection:changed' event handler in fabric canvas
+   * @param {{target: fabric.IText}} fEvent - Fabric event
+   * @private
+   */
+  _onFabricTextSelectionChanged({ target }) {
+    this.fire(events.TEXT_SELECTION_CHANGED, {
+      id: stamp(target),
+      range: { start: target.selectionStart, end: target.selectionEnd },
+      styles: this.getSelectionStyle(target),
+    });
+  }
+
+  /**
+   * 'loadingdone' event handler of the fonts of the document
+   * @private
+   */
+  _onFontLoadingDone() {
+    this.refreshTextObjects();
+  }
+
   /**
    * onSelectClear handler in fabric canvas
    * @param {{target: fabric.Object, e: MouseEvent}} fEvent - Fabric event
@@ -10,7 +10,7 @@ export const ZOOM_HELP_MENUS = ['zoomIn', 'zoomOut', 'hand'];
  * Help features for command
  * @type {Array.<string>}
  */
-export const COMMAND_HELP_MENUS = ['history', 'undo', 'redo', 'reset'];
+export const COMMAND_HELP_MENUS = ['history', 'layers', 'align', 'undo', 'redo', 'reset'];
 
 /**
  * Help features for delete
@@ -31,13 +31,30 @@ export const HELP_MENUS = [...ZOOM_HELP_MENUS, ...COMMAND_HELP_MENUS, ...DELETE_
 export const SHAPE_FILL_TYPE = {
   FILTER: 'filter',
   COLOR: 'color',
+  GRADIENT: 'gradient',
+  PATTERN: 'pattern',
 };
 
 /**
  * Shape type list
  * @type {Array.<string>}
  */
-export const SHAPE_TYPE = ['rect', 'circle', 'triangle'];
+export const SHAPE_TYPE = [
+  'rect',
+  'circle',
+  'triangle',
+  'regularPolygon',
+  'star',
+  'blockArrow',
+  'speechBubble',
+  'cappedLine',
+];
+
+/**
+ * Drawing object type list
+ * @type {Array.<string>}
+ */
+export const DRAWING_TYPE = ['path', 'line', 'arrowPolyline', 'arrowCurve'];
 
 /**
  * Object type
@@ -77,7 +94,9 @@ export const componentNames = keyMirror(
   'FILTER',
   'SHAPE',
   'ZOOM',
-  'RESIZE'
+  'RESIZE',
+  'SNAPPING',
+  'ERASER'
 );
 
 /**
@@ -111,12 +130,17 @@ export const CROPZONE_DEFAULT_OPTIONS = {
 export const commandNames = {
   CLEAR_OBJECTS: 'clearObjects',
   LOAD_IMAGE: 'loadImage',
+  CROP: 'crop',
   FLIP_IMAGE: 'flip',
   ROTATE_IMAGE: 'rotate',
   ADD_OBJECT: 'addObject',
   REMOVE_OBJECT: 'removeObject',
+  CUT_OBJECT: 'cutObject',
+  PASTE_OBJECTS: 'pasteObjects',
   APPLY_FILTER: 'applyFilter',
   REMOVE_FILTER: 'removeFilter',
+  MOVE_FILTER: 'moveFilter',
+  TOGGLE_FILTER: 'toggleFilter',
   ADD_ICON: 'addIcon',
   CHANGE_ICON_COLOR: 'changeIconColor',
   ADD_SHAPE: 'addShape',
@@ -128,8 +152,16 @@ export const commandNames = {
   RESIZE_CANVAS_DIMENSION: 'resizeCanvasDimension',
   SET_OBJECT_PROPERTIES: 'setObjectProperties',
   SET_OBJECT_POSITION: 'setObjectPosition',
+  CHANGE_OBJECT_ORDER: 'changeObjectOrder',
+  CHANGE_OBJECT_LOCK: 'changeObjectLock',
+  CHANGE_OBJECT_VISIBLE: 'changeObjectVisible',
+  GROUP_OBJECTS: 'groupObjects',
+  UNGROUP_OBJECTS: 'ungroupObjects',
+  ARRANGE_OBJECTS: 'arrangeObjects',
   CHANGE_SELECTION: 'changeSelection',
   RESIZE_IMAGE: 'resize',
+  SET_CANVAS_SIZE: 'setCanvasSize',
+  ERASE: 'erase',
 };
 
 /**
@@ -146,6 +178,7 @@ export const eventNames = {
   OBJECT_MODIFIED: 'objectModified',
   TEXT_EDITING: 'textEditing',
   TEXT_CHANGED: 'textChanged',
+  TEXT_SELECTION_CHANGED: 'textSelectionChanged',
   ICON_CREATE_RESIZE: 'iconCreateResize',
   ICON_CREATE_END: 'iconCreateEnd',
   ADD_TEXT: 'addText',
@@ -172,6 +205,8 @@ export const eventNames = {
   FOCUS: 'focus',
   BLUR: 'blur',
   IMAGE_RESIZED: 'imageResized',
+  CROPZONE_CHANGED: 'cropzoneChanged',
+  ERASER_PATH_CREATED: 'eraserPathCreated',
 };
 
 /**
@@ -193,14 +228,26 @@ export const historyNames = {
   ADD_IMAGE_OBJECT: 'Mask',
   CROP: 'Crop',
   RESIZE: 'Resize',
+  SET_CANVAS_SIZE: 'Canvas',
   APPLY_FILTER: 'Filter',
   REMOVE_FILTER: 'Filter',
+  MOVE_FILTER: 'Filter',
+  TOGGLE_FILTER: 'Filter',
   CHANGE_SHAPE: 'Shape',
   CHANGE_ICON_COLOR: 'Icon',
   ADD_TEXT: 'Text',
   CHANGE_TEXT_STYLE: 'Text',
   REMOVE_OBJECT: 'Delete',
+  CUT_OBJECT: 'Delete',
+  PASTE_OBJECTS: 'Paste',
   CLEAR_OBJECTS: 'Delete',
+  CHANGE_OBJECT_ORDER: 'Layers',
+  CHANGE_OBJECT_LOCK: 'Layers',
+  CHANGE_OBJECT_VISIBLE: 'Layers',
+  GROUP_OBJECTS: 'Group',
+  UNGROUP_OBJECTS: 'Group',
+  ARRANGE_OBJECTS: 'Align',
+  ERASE: 'Draw',
 };
 
 /**
@@ -216,7 +263,8 @@ export const drawingModes = keyMirror(
   'SHAPE',
   'ICON',
   'ZOOM',
-  'RESIZE'
+  'RESIZE',
+  'ERASER'
 );
 
 /**
@@ -253,11 +301,89 @@ export const keyCodes = {
   SHIFT: 16,
   BACKSPACE: 8,
   DEL: 46,
+  ESC: 27,
+  ARROW_LEFT: 37,
+  ARROW_RIGHT: 39,
   ARROW_DOWN: 40,
   ARROW_UP: 38,
   SPACE: 32,
   DIGIT_0: 48,
   DIGIT_9: 57,
+  SLASH: 191,
+};
+
+/**
+ * Default keyboard shortcuts, combo to the name of the action
+ * @type {Object.<string, string>}
+ */
+export const defaultShortcuts = {
+  'mod+c': 'copy',
+  'mod+x': 'cut',
+  'mod+v': 'paste',
+  'mod+z': 'undo',
+  'mod+y': 'redo',
+  'mod+shift+z': 'redo',
+  delete: 'remove',
+  backspace: 'remove',
+  arrowleft: 'nudgeLeft',
+  arrowright: 'nudgeRight',
+  arrowup: 'nudgeUp',
+  arrowdown: 'nudgeDown',
+  'shift+arrowleft': 'nudgeLeftLarge',
+  'shift+arrowright': 'nudgeRightLarge',
+  'shift+arrowup': 'nudgeUpLarge',
+  'shift+arrowdown': 'nudgeDownLarge',
+  'mod+d': 'duplicate',
+  'mod+a': 'selectAll',
+  escape: 'deselect',
+};
+
+/**
+ * Default keyboard shortcuts of the ui, combo to the name of the action
+ * @type {Object.<string, string>}
+ */
+export const defaultUIShortcuts = {
+  'shift+/': 'help',
+};
+
+/**
+ * Single letter keyboard shortcuts changing the menu of the ui, registered by the menuShortcuts option
+ * @type {Object.<string, string>}
+ */
+export const defaultMenuShortcuts = {
+  c: 'menu:crop',
+  f: 'menu:flip',
+  r: 'menu:rotate',
+  d: 'menu:draw',
+  s: 'menu:shape',
+  i: 'menu:icon',
+  t: 'menu:text',
+  m: 'menu:mask',
+};
+
+/**
+ * Descriptions of the shortcut actions
+ * @type {Object.<string, string>}
+ */
+export const shortcutDescriptions = {
+  copy: 'Copy',
+  cut: 'Cut',
+  paste: 'Paste',
+  undo: 'Undo',
+  redo: 'Redo',
+  remove: 'Delete',
+  nudgeLeft: 'Move left',
+  nudgeRight: 'Move right',
+  nudgeUp: 'Move up',
+  nudgeDown: 'Move down',
+  nudgeLeftLarge: 'Move left 10px or narrow the cropzone',
+  nudgeRightLarge: 'Move right 10px or widen the cropzone',
+  nudgeUpLarge: 'Move up 10px or shorten the cropzone',
+  nudgeDownLarge: 'Move down 10px or lengthen the cropzone',
+  duplicate: 'Duplicate',
+  selectAll: 'Select all',
+  deselect: 'Deselect',
+  help: 'Keyboard shortcuts',
 };
 
 /**
@@ -281,11 +407,13 @@ export const fObjectOptions = {
  */
 export const rejectMessages = {
   addedObject: 'The object is already added.',
+  exportingImageFailed: 'The image is not exported.',
   flip: 'The flipX and flipY setting values are not changed.',
   invalidDrawingMode: 'This operation is not supported in the drawing mode.',
   invalidParameters: 'Invalid parameters.',
   isLock: 'The executing command state is locked.',
   loadImage: 'The background image is empty.',
+  loadingFontFailed: 'The font is not loaded.',
   loadingImageFailed: 'Invalid image loaded.',
   noActiveObject: 'There is no active object.',
   noObject: 'The object is not in canvas.',
@@ -325,6 +453,27 @@ export const defaultRotateRangeValues = {
   value: 0,
 };
 
+/**
+ * Default crop presets, the ratio is width / height and the preset without the ratio is free
+ * @type {Array.<{label: string, ratio: number}>}
+ */
+export const defaultCropPresets = [
+  { label: 'Custom' },
+  { label: 'Square', ratio: 1 },
+  { label: '3:2', ratio: 3 / 2 },
+  { label: '4:3', ratio: 4 / 3 },
+  { label: '5:4', ratio: 5 / 4 },
+  { label: '7:5', ratio: 7 / 5 },
+  { label: '16:9', ratio: 16 / 9 },
+];
+
+export const defaultStraightenRangeValues = {
+  realTimeEvent: true,
+  min: -45,
+  max: 45,
+  value: 0,
+};
+
 export const defaultDrawRangeValues = {
   min: 5,
   max: 30,
@@ -338,6 +487,34 @@ export const defaultShapeStrokeValues = {
   value: 3,
 };
 
+export const defaultGradientAngleValues = {
+  realTimeEvent: true,
+  min: 0,
+  max: 360,
+  value: 0,
+};
+
+export const defaultShapeCornerRadiusValues = {
+  realTimeEvent: true,
+  min: 0,
+  max: 100,
+  value: 0,
+};
+
+export const defaultShapeSidesValues = {
+  realTimeEvent: true,
+  min: 3,
+  max: 12,
+  value: 5,
+};
+
+export const defaultShapeInnerRadiusValues = {
+  realTimeEvent: true,
+  min: 10,
+  max: 90,
+  value: 50,
+};
+
 export const defaultTextRangeValues = {
   realTimeEvent: true,
   min: 10,
@@ -345,6 +522,64 @@ export const defaultTextRangeValues = {
   value: 50,
 };
 
+export const defaultLineHeightRangeValues = {
+  realTimeEvent: true,
+  min: 0.5,
+  max: 3,
+  value: 1.16,
+  useDecimal: true,
+};
+
+export const defaultCharSpacingRangeValues = {
+  realTimeEvent: true,
+  min: -200,
+  max: 1000,
+  value: 0,
+};
+
+export const defaultTextFonts = [
+  { family: 'Noto Sans' },
+  { family: 'Arial' },
+  { family: 'Georgia' },
+  { family: 'Times New Roman' },
+  { family: 'Courier New' },
+];
+
+export const defaultTextStrokeRangeValues = {
+  realTimeEvent: true,
+  min: 0,
+  max: 20,
+  value: 1,
+};
+
+export const defaultTextShadowRangeValues = {
+  realTimeEvent: true,
+  min: 0,
+  max: 50,
+  value: 10,
+};
+
+export const defaultTextPaddingRangeValues = {
+  realTimeEvent: true,
+  min: 0,
+  max: 50,
+  value: 0,
+};
+
+export const defaultTextRadiusRangeValues = {
+  realTimeEvent: true,
+  min: 0,
+  max: 50,
+  value: 0,
+};
+
+export const defaultTextCurveRangeValues = {
+  realTimeEvent: true,
+  min: -360,
+  max: 360,
+  value: 0,
+};
+
 export const defaultFilterRangeValues = {
   tintOpacityRange: {
     realTimeEvent: true,
@@ -402,3 +637,27 @@ export const defaultResizePixelValues = {
   realTimeEvent: true,
   min: 32,
 };
+
+/**
+ * Pixel resampling algorithms of the resize, the first one is the default
+ * @type {Array.<string>}
+ */
+export const resampleAlgorithms = ['lanczos', 'bicubic', 'stepDown'];
+
+/**
+ * Brush types of the free drawing, the first one is the default
+ * @type {Array.<string>}
+ */
+export const brushTypes = ['pencil', 'marker', 'spray', 'pattern', 'highlighter'];
+
+/**
+ * Line types of the line drawing, the first one is the default
+ * @type {Array.<string>}
+ */
+export const lineTypes = ['straight', 'polyline', 'curve', 'freehand'];
+
+/**
+ * Stroke styles of the line drawing, the first one is the default
+ * @type {Array.<string>}
+ */
+export const lineStyles = ['solid', 'dashed', 'dotted'];
@@ -0,0 +1,160 @@
+import { fabric } from 'fabric';
+import extend from 'tui-code-snippet/object/extend';
+import ArrowPolyline, { makeSegmentPosition } from '@/extension/arrowPolyline';
+
+const CONTROL_POINT_INDEX = 1;
+
+/**
+ * Whether the points are at the same position
+ * @param {{x: number, y: number}} point1 - point
+ * @param {{x: number, y: number}} point2 - point
+ * @returns {boolean}
+ * @private
+ */
+function isSamePoint(point1, point2) {
+  return point1.x === point2.x && point1.y === point2.y;
+}
+
+/**
+ * Transform the point of the curve to the canvas coordinates
+ * @param {ArrowCurve} curve - curve
+ * @param {{x: number, y: number}} point - point of the curve
+ * @param {Array} [viewportTransform] - viewport transform to apply
+ * @returns {fabric.Point}
+ * @private
+ */
+function toCanvasPoint(curve, point, viewportTransform) {
+  const { pathOffset } = curve;
+  const matrix = viewportTransform
+    ? fabric.util.multiplyTransformMatrices(viewportTransform, curve.calcTransformMatrix())
+    : curve.calcTransformMatrix();
+
+  return fabric.util.transformPoint(
+    new fabric.Point(point.x - pathOffset.x, point.y - pathOffset.y),
+    matrix
+  );
+}
+
+/**
+ * Position handler of the control point handle
+ * @param {Object} dim - dimensions of the object
+ * @param {Array} finalMatrix - transform matrix of the control
+ * @param {ArrowCurve} curve - curve
+ * @returns {fabric.Point}
+ * @private
+ */
+function positionControlPoint(dim, finalMatrix, curve) {
+  return toCanvasPoint(curve, curve.points[CONTROL_POINT_INDEX], curve.getViewportTransform());
+}
+
+/**
+ * Action handler moving the control point to the pointer,
+ * the start point of the curve keeps its position on the canvas
+ * @param {MouseEvent} eventData - mouse event
+ * @param {Object} transform - current transform
+ * @param {number} x - pointer x on the canvas
+ * @param {number} y - pointer y on the canvas
+ * @returns {boolean} whether the curve is changed
+ * @private
+ */
+function moveControlPoint(eventData, { target: curve }, x, y) {
+  const [start, , end] = curve.points;
+  const fixedPoint = toCanvasPoint(curve, start);
+  const localPoint = fabric.util.transformPoint(
+    new fabric.Point(x, y),
+    fabric.util.invertTransform(curve.calcTransformMatrix())
+  );
+
+  curve.set({
+    points: [
+      start,
+      { x: localPoint.x + curve.pathOffset.x, y: localPoint.y + curve.pathOffset.y },
+      end,
+    ],
+  });
+  curve._setPositionDimensions({});
+
+  const movedPoint = toCanvasPoint(curve, start);
+
+  curve.set({
+    left: curve.left + fixedPoint.x - movedPoint.x,
+    top: curve.top + fixedPoint.y - movedPoint.y,
+  });
+  curve.setCoords();
+
+  return true;
+}
+
+/**
+ * Quadratic curve with the head and the tail decorators.
+ * The points are the start point, the control point and the end point
+ * and the control point is moved by its handle.
+ * @class ArrowCurve
+ * @extends {ArrowPolyline}
+ * @ignore
+ */
+const ArrowCurve = fabric.util.createClass(
+  ArrowPolyline,
+  /** @lends ArrowCurve.prototype */ {
+    /**
+     * Curve type
+     * @param {String} type
+     * @default
+     */
+    type: 'arrowCurve',
+
+    /**
+     * Properties changed by the control point handle, they are kept in the undo data of the modification
+     * @type {Array.<string>}
+     */
+    handleProperties: ['points', 'pathOffset'],
+
+    /**
+     * Controls of the curve, the control point handle is added to the default controls
+     * @type {Object.<string, fabric.Control>}
+     */
+    controls: extend({}, fabric.Object.prototype.controls, {
+      curve: new fabric.Control({
+        positionHandler: positionControlPoint,
+        actionHandler: moveControlPoint,
+        actionName: 'modifyCurve',
+        cursorStyle: 'pointer',
+      }),
+    }),
+
+    /**
+     * Render ArrowCurve
+     * @param {CanvasRenderingContext2D} ctx - context to render on
+     * @private
+     * @override
+     */
+    _render(ctx) {
+      const [start, control, end] = this.getLocalPoints();
+      const headTarget = isSamePoint(start, control) ? end : control;
+      const tailSource = isSamePoint(control, end) ? start : control;
+
+      this.ctx = ctx;
+      ctx.lineWidth = this.strokeWidth;
+
+      ctx.beginPath();
+      ctx.moveTo(start.x, start.y);
+      ctx.quadraticCurveTo(control.x, control.y, end.x, end.y);
+      this._renderDecoratedStroke(
+        ctx,
+        makeSegmentPosition(start, headTarget),
+        makeSegmentPosition(tailSource, end)
+      );
+    },
+  }
+);
+
+/**
+ * Create an ArrowCurve from its object representation
+ * @param {Object} object - object representation
+ * @param {Function} callback - callback called with the created object
+ */
+ArrowCurve.fromObject = (object, callback) => {
+  callback(new ArrowCurve(object.points, object));
+};
+
+export default ArrowCurve;
@@ -0,0 +1,143 @@
+const ARROW_ANGLE = 30;
+const CHEVRON_SIZE_RATIO = 2.7;
+const TRIANGLE_SIZE_RATIO = 1.7;
+const RADIAN_CONVERSION_VALUE = 180;
+
+/**
+ * Methods drawing the head and the tail decorators of the line objects.
+ * The decorators are drawn on `this.ctx` by the `arrowType` of the object.
+ * @mixin
+ * @ignore
+ */
+const arrowDecorator = {
+  /**
+   * Render the stroke of the line path with the decorators,
+   * the decorators are drawn with the solid stroke even if the line has the dash array
+   * @param {CanvasRenderingContext2D} ctx - context to render on
+   * @param {Object} headPosition - position of the first segment, the head is drawn at the start
+   * @param {Object} [tailPosition] - position of the last segment, the tail is drawn at the end
+   * @private
+   */
+  _renderDecoratedStroke(ctx, headPosition, tailPosition) {
+    const { strokeDashArray } = this;
+
+    if (!strokeDashArray || !strokeDashArray.length) {
+      this._drawDecoratorPath(headPosition, tailPosition);
+      this._renderStroke(ctx);
+
+      return;
+    }
+
+    this._renderStroke(ctx);
+    ctx.beginPath();
+    this._drawDecoratorPath(headPosition, tailPosition);
+    this.strokeDashArray = null;
+    this._renderStroke(ctx);
+    this.strokeDashArray = strokeDashArray;
+  },
+
+  /**
+   * Render Arrow Head
+   * @param {Object} headPosition - position of the segment where the head is drawn
+   *  @param {number} option.fromX - line start position x
+   *  @param {number} option.fromY - line start position y
+   *  @param {number} option.toX - line end position x
+   *  @param {number} option.toY - line end position y
+   * @param {Object} [tailPosition=headPosition] - position of the segment where the tail is drawn
+   * @private
+   */
+  _drawDecoratorPath(headPosition, tailPosition = headPosition) {
+    this._drawDecoratorPathType('head', headPosition);
+    this._drawDecoratorPathType('tail', tailPosition);
+  },
+
+  /**
+   * Render Arrow Head
+   * @param {string} type - 'head' or 'tail'
+   * @param {Object} linePosition - line position
+   *  @param {number} option.fromX - line start position x
+   *  @param {number} option.fromY - line start position y
+   *  @param {number} option.toX - line end position x
+   *  @param {number} option.toY - line end position y
+   * @private
+   */
+  _drawDecoratorPathType(type, linePosition) {
+    switch ((this.arrowType || {})[type]) {
+      case 'triangle':
+        this._drawTrianglePath(type, linePosition);
+        break;
+      case 'chevron':
+        this._drawChevronPath(type, linePosition);
+        break;
+      default:
+        break;
+    }
+  },
+
+  /**
+   * Render Triangle Head
+   * @param {string} type - 'head' or 'tail'
+   * @param {Object} linePosition - line position
+   *  @param {number} option.fromX - line start position x
+   *  @param {number} option.fromY - line start position y
+   *  @param {number} option.toX - line end position x
+   *  @param {number} option.toY - line end position y
+   * @private
+   */
+  _drawTrianglePath(type, linePosition) {
+    const decorateSize = this.ctx.lineWidth * TRIANGLE_SIZE_RATIO;
+
+    this._drawChevronPath(type, linePosition, decorateSize);
+    this.ctx.closePath();
+  },
+
+  /**
+   * Render Chevron Head
+   * @param {string} type - 'head' or 'tail'
+   * @param {Object} linePosition - line position
+   *  @param {number} option.fromX - line start position x
+   *  @param {number} option.fromY - line start position y
+   *  @param {number} option.toX - line end position x
+   *  @param {number} option.toY - line end position y
+   * @param {number} decorateSize - decorate size
+   * @private
+   */
+  _drawChevronPath(type, { fromX, fromY, toX, toY }, decorateSize) {
+    const { ctx } = this;
+    if (!decorateSize) {
+      decorateSize = this.ctx.lineWidth * CHEVRON_SIZE_RATIO;
+    }
+
+    const [standardX, standardY] = type === 'head' ? [fromX, fromY] : [toX, toY];
+    const [compareX, compareY] = type === 'head' ? [toX, toY] : [fromX, fromY];
+
+    const angle =
+      (Math.atan2(compareY - standardY, compareX - standardX) * RADIAN_CONVERSION_VALUE) / Math.PI;
+    const rotatedPosition = (changeAngle) =>
+      this.getRotatePosition(decorateSize, changeAngle, {
+        x: standardX,
+        y: standardY,
+      });
+
+    ctx.moveTo(...rotatedPosition(angle + ARROW_ANGLE));
+    ctx.lineTo(standardX, standardY);
+    ctx.lineTo(...rotatedPosition(angle - ARROW_ANGLE));
+  },
+
+  /**
+   * return position from change angle.
+   * @param {number} distance - change distance
+   * @param {number} angle - change angle
+   * @param {Object} referencePosition - reference position
+   * @returns {Array}
+   * @private
+   */
+  getRotatePosition(distance, angle, referencePosition) {
+    const radian = (angle * Math.PI) / RADIAN_CONVERSION_VALUE;
+    const { x, y } = referencePosition;
+
+    return [distance * Math.cos(radian) + x, distance * Math.sin(radian) + y];
+  },
+};
+
+export default arrowDecorator;
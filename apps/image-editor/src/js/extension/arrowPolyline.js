@@ -0,0 +1,112 @@
+import { fabric } from 'fabric';
+import extend from 'tui-code-snippet/object/extend';
+import arrowDecorator from '@/extension/arrowDecorator';
+
+/**
+ * Make the position of the segment between the points
+ * @param {{x: number, y: number}} from - start point
+ * @param {{x: number, y: number}} to - end point
+ * @returns {{fromX: number, fromY: number, toX: number, toY: number}}
+ * @private
+ */
+export function makeSegmentPosition(from, to) {
+  return {
+    fromX: from.x,
+    fromY: from.y,
+    toX: to.x,
+    toY: to.y,
+  };
+}
+
+/**
+ * Line of the connected segments with the head and the tail decorators
+ * @class ArrowPolyline
+ * @extends {fabric.Polyline}
+ * @ignore
+ */
+const ArrowPolyline = fabric.util.createClass(
+  fabric.Polyline,
+  /** @lends ArrowPolyline.prototype */ {
+    /**
+     * Polyline type
+     * @param {String} type
+     * @default
+     */
+    type: 'arrowPolyline',
+
+    /**
+     * The line is not filled
+     * @type {?string}
+     */
+    fill: null,
+
+    /**
+     * Constructor
+     * @param {Array.<{x: number, y: number}>} points - points of the line
+     * @param {Object} [options] Options object
+     * @override
+     */
+    initialize(points, options = {}) {
+      this.callSuper('initialize', points, options);
+
+      this.arrowType = options.arrowType;
+    },
+
+    /**
+     * Render ArrowPolyline
+     * @param {CanvasRenderingContext2D} ctx - context to render on
+     * @private
+     * @override
+     */
+    _render(ctx) {
+      if (!this.commonRender(ctx)) {
+        return;
+      }
+
+      const points = this.getLocalPoints();
+      const lastIndex = points.length - 1;
+
+      this.ctx = ctx;
+      ctx.lineWidth = this.strokeWidth;
+
+      this._renderDecoratedStroke(
+        ctx,
+        makeSegmentPosition(points[0], points[Math.min(1, lastIndex)]),
+        makeSegmentPosition(points[Math.max(lastIndex - 1, 0)], points[lastIndex])
+      );
+    },
+
+    /**
+     * Returns object representation of the instance with the head & tail types
+     * @param {Array} [propertiesToInclude] - any properties that you might want to additionally include in the output
+     * @returns {Object}
+     * @override
+     */
+    toObject(propertiesToInclude = []) {
+      return this.callSuper('toObject', ['arrowType'].concat(propertiesToInclude));
+    },
+
+    /**
+     * Get the points relative to the center of the object
+     * @returns {Array.<{x: number, y: number}>}
+     */
+    getLocalPoints() {
+      const { x, y } = this.pathOffset;
+
+      return this.points.map((point) => ({ x: point.x - x, y: point.y - y }));
+    },
+  }
+);
+
+extend(ArrowPolyline.prototype, arrowDecorator);
+
+/**
+ * Create an ArrowPolyline from its object representation
+ * @param {Object} object - object representation
+ * @param {Function} callback - callback called with the created object
+ */
+ArrowPolyline.fromObject = (object, callback) => {
+  callback(new ArrowPolyline(object.points, object));
+};
+
+export default ArrowPolyline;
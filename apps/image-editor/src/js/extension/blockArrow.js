@@ -0,0 +1,65 @@
+import { fabric } from 'fabric';
+import PolygonShape from '@/extension/polygonShape';
+
+/**
+ * Ratio of the shaft thickness to the height of the arrow
+ * @type {number}
+ */
+const SHAFT_RATIO = 0.5;
+
+/**
+ * Max ratio of the head length to the width of the arrow
+ * @type {number}
+ */
+const MAX_HEAD_RATIO = 0.5;
+
+/**
+ * Arrow shape pointing to the right, it is rotated to point the other directions
+ * @class BlockArrow
+ * @extends {PolygonShape}
+ * @ignore
+ */
+const BlockArrow = fabric.util.createClass(
+  PolygonShape,
+  /** @lends BlockArrow.prototype */ {
+    /**
+     * Shape type
+     * @param {String} type
+     * @default
+     */
+    type: 'blockArrow',
+
+    /**
+     * Get the vertices of the arrow relative to the center
+     * @returns {Array.<{x: number, y: number}>}
+     * @override
+     */
+    getLocalPoints() {
+      const halfWidth = this.width / 2;
+      const halfHeight = this.height / 2;
+      const halfShaft = halfHeight * SHAFT_RATIO;
+      const neckX = halfWidth - Math.min(this.width * MAX_HEAD_RATIO, this.height);
+
+      return [
+        { x: -halfWidth, y: -halfShaft },
+        { x: neckX, y: -halfShaft },
+        { x: neckX, y: -halfHeight },
+        { x: halfWidth, y: 0 },
+        { x: neckX, y: halfHeight },
+        { x: neckX, y: halfShaft },
+        { x: -halfWidth, y: halfShaft },
+      ];
+    },
+  }
+);
+
+/**
+ * Create a BlockArrow from its object representation
+ * @param {Object} object - object representation
+ * @param {Function} callback - callback called with the created object
+ */
+BlockArrow.fromObject = (object, callback) => {
+  callback(new BlockArrow(object));
+};
+
+export default BlockArrow;
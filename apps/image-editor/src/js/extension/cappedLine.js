@@ -0,0 +1,48 @@
+import { fabric } from 'fabric';
+import ArrowLine from '@/extension/arrowLine';
+
+/**
+ * Line shape with the caps at the ends, it is drawn and resized in its box like the other shapes.
+ * The line goes from the top left corner to the bottom right corner of the box
+ * and it is flipped to go the other directions.
+ * @class CappedLine
+ * @extends {ArrowLine}
+ * @ignore
+ */
+const CappedLine = fabric.util.createClass(
+  ArrowLine,
+  /** @lends CappedLine.prototype */ {
+    /**
+     * Shape type
+     * @param {String} type
+     * @default
+     */
+    type: 'cappedLine',
+
+    /**
+     * Constructor
+     * @param {Object} [options] - Options object, the points are made from the width and the height
+     *   when the options do not have them
+     * @override
+     */
+    initialize(options = {}) {
+      const width = Math.abs(options.width || 0);
+      const height = Math.abs(options.height || 0);
+      const { x1 = 0, y1 = 0, x2 = width, y2 = height } = options;
+
+      this.callSuper('initialize', [x1, y1, x2, y2], options);
+    },
+  }
+);
+
+/**
+ * Create the capped line from the object
+ * @param {Object} object - Object to create the capped line
+ * @param {Function} callback - Callback to invoke when the capped line is created
+ * @ignore
+ */
+CappedLine.fromObject = (object, callback) => {
+  callback(new CappedLine(object));
+};
+
+export default CappedLine;
@@ -1,6 +1,7 @@
 import { fabric } from 'fabric';
 import extend from 'tui-code-snippet/object/extend';
 import { clamp } from '@/util';
+import { traceCropShape } from '@/helper/cropShapeHelper';
 import { eventNames as events, keyCodes } from '@/consts';
 
 const CORNER_TYPE_TOP_LEFT = 'tl';
@@ -23,6 +24,15 @@ const CORNER_TYPE_LIST = [
 ];
 const NOOP_FUNCTION = () => {};
 
+/**
+ * Ratio of the first guide line from the edge of the cropzone
+ * @type {Object.<string, number>}
+ */
+const GUIDE_RATIOS = {
+  thirds: 1 / 3,
+  golden: 1 - 2 / (1 + Math.sqrt(5)),
+};
+
 /**
  * Align with cropzone ratio
  * @param {string} selectedCorner - selected corner type
@@ -114,8 +124,12 @@ const Cropzone = fabric.util.createClass(
       // Render outer rect
       this._fillOuterRect(ctx, 'rgba(0, 0, 0, 0.5)');
 
+      const guideRatio = this._getGuideRatio();
+      if (guideRatio) {
+        this._fillInnerRect(ctx, guideRatio);
+      }
+
       if (this.options.lineWidth) {
-        this._fillInnerRect(ctx);
         this._strokeBorder(ctx, 'rgb(255, 255, 255)', {
           lineWidth: this.options.lineWidth,
         });
@@ -188,31 +202,43 @@ const Cropzone = fabric.util.createClass(
       ctx.lineTo(x[0] - 1, y[0] - 1);
       ctx.closePath();
 
-      // Inner rectangle
-      ctx.moveTo(x[1], y[1]);
-      ctx.lineTo(x[1], y[2]);
-      ctx.lineTo(x[2], y[2]);
-      ctx.lineTo(x[2], y[1]);
-      ctx.lineTo(x[1], y[1]);
-      ctx.closePath();
+      // Inner shape, the rectangle by default
+      traceCropShape(ctx, this.cropShape || { type: 'rect' }, {
+        left: x[1],
+        top: y[1],
+        width: x[2] - x[1],
+        height: y[2] - y[1],
+      });
 
-      ctx.fill();
+      ctx.fill('evenodd');
       ctx.restore();
     },
 
+    /**
+     * Get the ratio of the guide lines, the rule of thirds is drawn with the line width by default
+     * @returns {?number} ratio of the first line from the edge, null if there are no guide lines
+     * @private
+     */
+    _getGuideRatio() {
+      const guide = this.guide || (this.options.lineWidth ? 'thirds' : 'none');
+
+      return GUIDE_RATIOS[guide] || null;
+    },
+
     /**
      * Draw Inner grid line
      * @param {CanvasRenderingContext2D} ctx - Context
+     * @param {number} [guideRatio] - ratio of the first line from the edge, the rule of thirds by default
      * @private
      */
-    _fillInnerRect(ctx) {
+    _fillInnerRect(ctx, guideRatio = GUIDE_RATIOS.thirds) {
       const { x: outerX, y: outerY } = this._getCoordinates();
-      const x = this._caculateInnerPosition(outerX, (outerX[2] - outerX[1]) / 3);
-      const y = this._caculateInnerPosition(outerY, (outerY[2] - outerY[1]) / 3);
+      const x = this._caculateInnerPosition(outerX, (outerX[2] - outerX[1]) * guideRatio);
+      const y = this._caculateInnerPosition(outerY, (outerY[2] - outerY[1]) * guideRatio);
 
       ctx.save();
       ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
-      ctx.lineWidth = this.options.lineWidth;
+      ctx.lineWidth = this.options.lineWidth || 1;
       ctx.beginPath();
 
       ctx.moveTo(x[0], y[1]);
@@ -243,7 +269,7 @@ const Cropzone = fabric.util.createClass(
       const position = [];
       position[0] = outer[1];
       position[1] = outer[1] + size;
-      position[2] = outer[1] + size * 2;
+      position[2] = outer[2] - size;
       position[3] = outer[2];
 
       return position;
@@ -530,7 +556,71 @@ const Cropzone = fabric.util.createClass(
         },
       };
 
-      return this.adjustRatioCropzoneSize(resizeInfoMap[corner]);
+      const resizeInfo = resizeInfoMap[corner];
+
+      return this.limitSize(this.adjustRatioCropzoneSize(resizeInfo), resizeInfo);
+    },
+
+    /**
+     * Limit the size to the size limits keeping the preset ratio
+     * @param {{width: number, height: number}} size - cropzone size
+     * @param {Object} resizeInfo - resize info
+     *  @param {Function} resizeInfo.leftMaker - make left from the width
+     *  @param {Function} resizeInfo.topMaker - make top from the height
+     *  @param {number} resizeInfo.maxWidth - max width in the canvas
+     *  @param {number} resizeInfo.maxHeight - max height in the canvas
+     * @returns {{left: number, top: number, width: number, height: number}}
+     */
+    limitSize(size, { leftMaker, topMaker, maxWidth, maxHeight }) {
+      if (!this.sizeLimits) {
+        return size;
+      }
+
+      const limits = this._getSizeLimits(maxWidth, maxHeight);
+      let { width, height } = size;
+
+      if (this.presetRatio) {
+        const minScale = Math.max(limits.minWidth / width, limits.minHeight / height);
+        const maxScale = Math.min(limits.maxWidth / width, limits.maxHeight / height);
+        const scale = Math.min(Math.max(1, minScale), maxScale);
+
+        width *= scale;
+        height *= scale;
+      } else {
+        width = clamp(width, limits.minWidth, limits.maxWidth);
+        height = clamp(height, limits.minHeight, limits.maxHeight);
+      }
+
+      return {
+        width,
+        height,
+        left: leftMaker(width),
+        top: topMaker(height),
+      };
+    },
+
+    /**
+     * Get the size limits in the max size of the canvas
+     * @param {number} maxWidth - max width in the canvas
+     * @param {number} maxHeight - max height in the canvas
+     * @returns {{minWidth: number, minHeight: number, maxWidth: number, maxHeight: number}}
+     * @private
+     */
+    _getSizeLimits(maxWidth, maxHeight) {
+      const limits = extend(
+        { minWidth: 0, minHeight: 0, maxWidth: Infinity, maxHeight: Infinity },
+        this.sizeLimits
+      );
+
+      maxWidth = Math.min(limits.maxWidth, maxWidth);
+      maxHeight = Math.min(limits.maxHeight, maxHeight);
+
+      return {
+        minWidth: Math.min(limits.minWidth, maxWidth),
+        minHeight: Math.min(limits.minHeight, maxHeight),
+        maxWidth,
+        maxHeight,
+      };
     },
 
     /**
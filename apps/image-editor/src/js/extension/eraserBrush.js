@@ -0,0 +1,51 @@
+import { fabric } from 'fabric';
+
+/**
+ * Brush which passes the drawn path to the callback instead of adding it to the canvas
+ * @class EraserBrush
+ * @extends {fabric.PencilBrush}
+ * @ignore
+ */
+const EraserBrush = fabric.util.createClass(
+  fabric.PencilBrush,
+  /** @lends EraserBrush.prototype */ {
+    /**
+     * Constructor
+     * @param {fabric.Canvas} canvas - fabric canvas
+     * @param {Function} onErase - callback called with the drawn path
+     * @override
+     */
+    initialize(canvas, onErase) {
+      this.callSuper('initialize', canvas);
+
+      this.onErase = onErase;
+    },
+
+    /**
+     * Pass the drawn path to the callback
+     * @private
+     * @override
+     */
+    _finalizeAndAddPath() {
+      const { canvas } = this;
+
+      canvas.contextTop.closePath();
+      if (this.decimate) {
+        this._points = this.decimatePoints(this._points, this.decimate);
+      }
+
+      const pathData = this.convertPointsToSVGPath(this._points);
+
+      canvas.clearContext(canvas.contextTop);
+      if (this._isEmptySVGPath(pathData)) {
+        canvas.requestRenderAll();
+
+        return;
+      }
+
+      this.onErase(this.createPath(pathData));
+    },
+  }
+);
+
+export default EraserBrush;
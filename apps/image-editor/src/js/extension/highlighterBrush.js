@@ -0,0 +1,40 @@
+import { fabric } from 'fabric';
+
+/**
+ * Brush of which the strokes do not darken each other when they are overlapped.
+ * The path is drawn with the opaque color mixed with white by the alpha of the brush color,
+ * and 'darken' composite operation keeps the darker one of the overlapped colors.
+ * @class HighlighterBrush
+ * @extends {fabric.PencilBrush}
+ * @ignore
+ */
+const HighlighterBrush = fabric.util.createClass(
+  fabric.PencilBrush,
+  /** @lends HighlighterBrush.prototype */ {
+    /**
+     * Create the highlighter path
+     * @param {string} pathData - path data
+     * @returns {fabric.Path}
+     * @override
+     */
+    createPath(pathData) {
+      const path = this.callSuper('createPath', pathData);
+      const [red, green, blue, alpha] = new fabric.Color(this.color).getSource();
+      const mixWithWhite = (value) => Math.round(255 - (255 - value) * alpha);
+
+      path.set({
+        stroke: fabric.Color.fromSource([
+          mixWithWhite(red),
+          mixWithWhite(green),
+          mixWithWhite(blue),
+          1,
+        ]).toRgba(),
+        globalCompositeOperation: 'darken',
+      });
+
+      return path;
+    },
+  }
+);
+
+export default HighlighterBrush;
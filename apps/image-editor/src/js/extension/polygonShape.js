@@ -0,0 +1,74 @@
+import { fabric } from 'fabric';
+
+/**
+ * Shape drawn as a closed polygon in its width and height.
+ * The sub classes make the points of the polygon from the dimension of the shape.
+ * @class PolygonShape
+ * @extends {fabric.Object}
+ * @ignore
+ */
+const PolygonShape = fabric.util.createClass(
+  fabric.Object,
+  /** @lends PolygonShape.prototype */ {
+    /**
+     * Properties which make the points of the polygon, they are serialized with the shape
+     * @type {Array.<string>}
+     */
+    shapeProperties: [],
+
+    /**
+     * Get the points of the polygon relative to the center of the shape
+     * @returns {Array.<{x: number, y: number}>}
+     * @abstract
+     */
+    getLocalPoints() {
+      return [];
+    },
+
+    /**
+     * Return object representation of the shape
+     * @param {Array} [propertiesToInclude] - any properties that you might want to additionally include in the output
+     * @returns {Object} object representation of an instance
+     * @override
+     */
+    toObject(propertiesToInclude = []) {
+      return this.callSuper('toObject', this.shapeProperties.concat(propertiesToInclude));
+    },
+
+    /**
+     * Render the polygon
+     * @param {CanvasRenderingContext2D} ctx - context to render on
+     * @private
+     * @override
+     */
+    _render(ctx) {
+      ctx.beginPath();
+      this.getLocalPoints().forEach(({ x, y }, index) => {
+        if (index) {
+          ctx.lineTo(x, y);
+        } else {
+          ctx.moveTo(x, y);
+        }
+      });
+      ctx.closePath();
+
+      this._renderPaintInOrder(ctx);
+    },
+
+    /**
+     * Return the svg representation of the polygon
+     * @returns {Array} svg markup parts
+     * @private
+     * @override
+     */
+    _toSVG() {
+      const points = this.getLocalPoints()
+        .map(({ x, y }) => `${x},${y}`)
+        .join(' ');
+
+      return ['<polygon ', 'COMMON_PARTS', `points="${points}" />\n`];
+    },
+  }
+);
+
+export default PolygonShape;
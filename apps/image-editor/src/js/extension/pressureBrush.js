@@ -0,0 +1,264 @@
+import { fabric } from 'fabric';
+import isNumber from 'tui-code-snippet/type/isNumber';
+
+const DEFAULT_PRESSURE = 0.5;
+const MAX_TILT = 90;
+const TILT_WIDTH_RATIO = 0.5;
+const DEFAULT_MIN_WIDTH_RATIO = 0.25;
+
+/**
+ * Whether the event has the pressure of the pointer
+ * @param {Event} e - pointer, mouse or touch event
+ * @returns {boolean}
+ * @private
+ */
+function hasPressure(e) {
+  return !!e && isNumber(e.pressure);
+}
+
+/**
+ * Make the offset points on both sides of the samples
+ * @param {Array.<{x: number, y: number, width: number}>} samples - stroke samples
+ * @returns {{left: Array.<{x: number, y: number}>, right: Array.<{x: number, y: number}>}}
+ * @private
+ */
+function makeSidePoints(samples) {
+  const left = [];
+  const right = [];
+  const lastIndex = samples.length - 1;
+
+  samples.forEach(({ x, y, width }, index) => {
+    const prev = samples[Math.max(index - 1, 0)];
+    const next = samples[Math.min(index + 1, lastIndex)];
+    const dx = next.x - prev.x;
+    const dy = next.y - prev.y;
+    const ratio = width / 2 / (Math.sqrt(dx * dx + dy * dy) || 1);
+
+    left.push({ x: x - dy * ratio, y: y + dx * ratio });
+    right.push({ x: x + dy * ratio, y: y - dx * ratio });
+  });
+
+  return { left, right };
+}
+
+/**
+ * Make the path data of the filled outline of the variable width stroke
+ * @param {Array.<{x: number, y: number, width: number}>} samples - stroke samples
+ * @returns {string} path data
+ * @private
+ */
+function makeOutlinePathData(samples) {
+  const [first] = samples;
+  const last = samples[samples.length - 1];
+  const startRadius = first.width / 2;
+  const endRadius = last.width / 2;
+
+  if (samples.length === 1) {
+    return [
+      `M ${first.x - startRadius} ${first.y}`,
+      `A ${startRadius} ${startRadius} 0 1 0 ${first.x + startRadius} ${first.y}`,
+      `A ${startRadius} ${startRadius} 0 1 0 ${first.x - startRadius} ${first.y}`,
+      'Z',
+    ].join(' ');
+  }
+
+  const { left, right } = makeSidePoints(samples);
+  const lineTo = ({ x, y }) => `L ${x} ${y}`;
+  const end = right[right.length - 1];
+
+  return [
+    `M ${left[0].x} ${left[0].y}`,
+    ...left.slice(1).map(lineTo),
+    `A ${endRadius} ${endRadius} 0 0 0 ${end.x} ${end.y}`,
+    ...right.slice(0, -1).reverse().map(lineTo),
+    `A ${startRadius} ${startRadius} 0 0 0 ${left[0].x} ${left[0].y}`,
+    'Z',
+  ].join(' ');
+}
+
+/**
+ * Brush which draws the stroke of which the width follows the pressure and the tilt of the pointer.
+ * The stroke is added as a filled outline path.
+ * @class PressureBrush
+ * @extends {fabric.PencilBrush}
+ * @ignore
+ */
+const PressureBrush = fabric.util.createClass(
+  fabric.PencilBrush,
+  /** @lends PressureBrush.prototype */ {
+    /**
+     * Width of the stroke at no pressure, a quarter of the brush width if it is null
+     * @type {?number}
+     */
+    minWidth: null,
+
+    /**
+     * Width of the stroke at the full pressure, the brush width if it is null
+     * @type {?number}
+     */
+    maxWidth: null,
+
+    /**
+     * Last pointer event on the canvas, it is used when the drawing event has no pressure
+     * @type {?PointerEvent}
+     */
+    pointerEvent: null,
+
+    /**
+     * Constructor
+     * @param {fabric.Canvas} canvas - fabric canvas
+     * @override
+     */
+    initialize(canvas) {
+      this.callSuper('initialize', canvas);
+
+      this._samples = [];
+    },
+
+    /**
+     * Start the stroke
+     * @param {fabric.Point} pointer - pointer position
+     * @param {{e: Event}} options - event options
+     * @override
+     */
+    onMouseDown(pointer, { e }) {
+      if (!this.canvas._isMainEvent(e)) {
+        return;
+      }
+
+      this._samples = [];
+      this._addSample(pointer, e);
+      this._render();
+    },
+
+    /**
+     * Add the sample to the stroke
+     * @param {fabric.Point} pointer - pointer position
+     * @param {{e: Event}} options - event options
+     * @override
+     */
+    onMouseMove(pointer, { e }) {
+      if (!this.canvas._isMainEvent(e)) {
+        return;
+      }
+      if (this.limitedToCanvasSize === true && this._isOutSideCanvas(pointer)) {
+        return;
+      }
+
+      if (this._addSample(pointer, e)) {
+        this._render();
+      }
+    },
+
+    /**
+     * Finish the stroke
+     * @param {{e: Event}} options - event options
+     * @returns {boolean} whether the drawing continues
+     * @override
+     */
+    onMouseUp({ e }) {
+      if (!this.canvas._isMainEvent(e)) {
+        return true;
+      }
+
+      this._finalizeAndAddPath();
+
+      return false;
+    },
+
+    /**
+     * Get the width of the stroke at the pointer
+     * @param {Event} e - drawing event
+     * @returns {number}
+     */
+    getSampleWidth(e) {
+      const pointerEvent = hasPressure(e) ? e : this.pointerEvent || {};
+      const pressure = hasPressure(pointerEvent) ? pointerEvent.pressure : DEFAULT_PRESSURE;
+      const { tiltX = 0, tiltY = 0 } = pointerEvent;
+      const tilt = Math.min(Math.sqrt(tiltX * tiltX + tiltY * tiltY) / MAX_TILT, 1);
+      const minWidth = isNumber(this.minWidth)
+        ? this.minWidth
+        : this.width * DEFAULT_MIN_WIDTH_RATIO;
+      const maxWidth = isNumber(this.maxWidth) ? this.maxWidth : this.width;
+      const width = minWidth + (maxWidth - minWidth) * pressure;
+
+      return width * (1 + tilt * TILT_WIDTH_RATIO);
+    },
+
+    /**
+     * Add the sample of the pointer, the sample closer than the decimation is skipped
+     * @param {fabric.Point} pointer - pointer position
+     * @param {Event} e - drawing event
+     * @returns {boolean} whether the sample is added
+     * @private
+     */
+    _addSample(pointer, e) {
+      const last = this._samples[this._samples.length - 1];
+
+      if (last && pointer.distanceFrom(last) <= Math.max(this.decimate, 0)) {
+        return false;
+      }
+
+      this._samples.push({ x: pointer.x, y: pointer.y, width: this.getSampleWidth(e) });
+
+      return true;
+    },
+
+    /**
+     * Render the stroke on the top context
+     * @private
+     * @override
+     */
+    _render() {
+      const { contextTop: ctx } = this.canvas;
+      const samples = this._samples;
+
+      this.canvas.clearContext(ctx);
+      this._saveAndTransform(ctx);
+      ctx.strokeStyle = this.color;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      samples.forEach((sample, index) => {
+        const prev = samples[Math.max(index - 1, 0)];
+
+        ctx.beginPath();
+        ctx.lineWidth = (prev.width + sample.width) / 2;
+        ctx.moveTo(prev.x, prev.y);
+        ctx.lineTo(sample.x, sample.y);
+        ctx.stroke();
+      });
+      ctx.restore();
+    },
+
+    /**
+     * Add the outline path of the stroke to the canvas
+     * @private
+     * @override
+     */
+    _finalizeAndAddPath() {
+      const { canvas } = this;
+
+      canvas.clearContext(canvas.contextTop);
+      if (!this._samples.length) {
+        canvas.requestRenderAll();
+
+        return;
+      }
+
+      const path = new fabric.Path(makeOutlinePathData(this._samples), {
+        fill: this.color,
+        stroke: null,
+        strokeWidth: 0,
+      });
+
+      this._samples = [];
+      canvas.fire('before:path:created', { path });
+      canvas.add(path);
+      canvas.requestRenderAll();
+      path.setCoords();
+      canvas.fire('path:created', { path });
+    },
+  }
+);
+
+export default PressureBrush;
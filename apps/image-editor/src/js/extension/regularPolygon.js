@@ -0,0 +1,78 @@
+import { fabric } from 'fabric';
+import PolygonShape from '@/extension/polygonShape';
+
+/**
+ * Make the points on the ellipse in the dimension, the first point is on the top
+ * @param {number} count - count of the points
+ * @param {number} width - width of the ellipse
+ * @param {number} height - height of the ellipse
+ * @param {Function} [getRadiusRatio] - ratio of the radius at the index of the point
+ * @returns {Array.<{x: number, y: number}>}
+ * @private
+ */
+export function makePointsOnEllipse(count, width, height, getRadiusRatio = () => 1) {
+  const points = [];
+
+  for (let index = 0; index < count; index += 1) {
+    const angle = (Math.PI * 2 * index) / count - Math.PI / 2;
+    const ratio = getRadiusRatio(index);
+
+    points.push({
+      x: (Math.cos(angle) * width * ratio) / 2,
+      y: (Math.sin(angle) * height * ratio) / 2,
+    });
+  }
+
+  return points;
+}
+
+/**
+ * Regular polygon with N sides inscribed in the ellipse of its width and height
+ * @class RegularPolygon
+ * @extends {PolygonShape}
+ * @ignore
+ */
+const RegularPolygon = fabric.util.createClass(
+  PolygonShape,
+  /** @lends RegularPolygon.prototype */ {
+    /**
+     * Shape type
+     * @param {String} type
+     * @default
+     */
+    type: 'regularPolygon',
+
+    /**
+     * Count of the sides
+     * @type {number}
+     * @default
+     */
+    sides: 5,
+
+    /**
+     * Properties which make the points of the polygon
+     * @type {Array.<string>}
+     */
+    shapeProperties: ['sides'],
+
+    /**
+     * Get the vertices of the polygon relative to the center
+     * @returns {Array.<{x: number, y: number}>}
+     * @override
+     */
+    getLocalPoints() {
+      return makePointsOnEllipse(this.sides, this.width, this.height);
+    },
+  }
+);
+
+/**
+ * Create a RegularPolygon from its object representation
+ * @param {Object} object - object representation
+ * @param {Function} callback - callback called with the created object
+ */
+RegularPolygon.fromObject = (object, callback) => {
+  callback(new RegularPolygon(object));
+};
+
+export default RegularPolygon;
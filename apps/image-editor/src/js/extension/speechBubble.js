@@ -0,0 +1,303 @@
+import { fabric } from 'fabric';
+import extend from 'tui-code-snippet/object/extend';
+
+/**
+ * Ratio of the half width of the tail base to the shorter side of the body
+ * @type {number}
+ */
+const TAIL_BASE_RATIO = 0.1;
+
+/**
+ * Corners of the body in the clockwise order, each edge of the body ends at the corner
+ * @type {Array.<{x: number, y: number}>}
+ */
+const CORNER_DIRECTIONS = [
+  { x: 1, y: -1 },
+  { x: 1, y: 1 },
+  { x: -1, y: 1 },
+  { x: -1, y: -1 },
+];
+
+/**
+ * Indexes of the edges of the body
+ * @type {Object.<string, number>}
+ */
+const EDGE_INDEX = {
+  TOP: 0,
+  RIGHT: 1,
+  BOTTOM: 2,
+  LEFT: 3,
+};
+
+/**
+ * Clamp the value between the min and the max, the middle of them is used when the range is empty
+ * @param {number} value - value
+ * @param {number} min - min value
+ * @param {number} max - max value
+ * @returns {number}
+ * @private
+ */
+function clamp(value, min, max) {
+  if (min > max) {
+    return (min + max) / 2;
+  }
+
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Get the index of the edge which the tail comes out of
+ * @param {number} tailX - x ratio of the tail tip to the width
+ * @param {number} tailY - y ratio of the tail tip to the height
+ * @returns {number}
+ * @private
+ */
+function getTailEdgeIndex(tailX, tailY) {
+  if (Math.abs(tailY) >= Math.abs(tailX)) {
+    return tailY < 0 ? EDGE_INDEX.TOP : EDGE_INDEX.BOTTOM;
+  }
+
+  return tailX > 0 ? EDGE_INDEX.RIGHT : EDGE_INDEX.LEFT;
+}
+
+/**
+ * Get the tail tip point of the bubble in the canvas coordinates
+ * @param {SpeechBubble} bubble - speech bubble
+ * @param {Array} [viewportTransform] - viewport transform to apply
+ * @returns {fabric.Point}
+ * @private
+ */
+function toCanvasTailPoint(bubble, viewportTransform) {
+  const matrix = viewportTransform
+    ? fabric.util.multiplyTransformMatrices(viewportTransform, bubble.calcTransformMatrix())
+    : bubble.calcTransformMatrix();
+  const { x, y } = bubble.getTailPoint();
+
+  return fabric.util.transformPoint(new fabric.Point(x, y), matrix);
+}
+
+/**
+ * Position handler of the tail handle
+ * @param {Object} dim - dimensions of the object
+ * @param {Array} finalMatrix - transform matrix of the control
+ * @param {SpeechBubble} bubble - speech bubble
+ * @returns {fabric.Point}
+ * @private
+ */
+function positionTail(dim, finalMatrix, bubble) {
+  return toCanvasTailPoint(bubble, bubble.getViewportTransform());
+}
+
+/**
+ * Action handler moving the tail tip to the pointer
+ * @param {MouseEvent} eventData - mouse event
+ * @param {Object} transform - current transform
+ * @param {number} x - pointer x on the canvas
+ * @param {number} y - pointer y on the canvas
+ * @returns {boolean} whether the tail is moved
+ * @private
+ */
+function moveTail(eventData, { target: bubble }, x, y) {
+  const { width, height } = bubble;
+  const localPoint = fabric.util.transformPoint(
+    new fabric.Point(x, y),
+    fabric.util.invertTransform(bubble.calcTransformMatrix())
+  );
+
+  if (!width || !height) {
+    return false;
+  }
+
+  bubble.set({
+    tailX: localPoint.x / width,
+    tailY: localPoint.y / height,
+  });
+
+  return true;
+}
+
+/**
+ * Callout shape which has the rounded body and the tail pointing to the target.
+ * The tail tip is kept as the ratios to the dimension, so it follows the body when the body is resized
+ * and it is moved by its handle.
+ * @class SpeechBubble
+ * @extends {fabric.Object}
+ * @ignore
+ */
+const SpeechBubble = fabric.util.createClass(
+  fabric.Object,
+  /** @lends SpeechBubble.prototype */ {
+    /**
+     * Shape type
+     * @param {String} type
+     * @default
+     */
+    type: 'speechBubble',
+
+    /**
+     * Horizontal radius of the corners of the body
+     * @type {number}
+     * @default
+     */
+    rx: 0,
+
+    /**
+     * Vertical radius of the corners of the body
+     * @type {number}
+     * @default
+     */
+    ry: 0,
+
+    /**
+     * Ratio of the x position of the tail tip from the center to the width
+     * @type {number}
+     * @default
+     */
+    tailX: -0.25,
+
+    /**
+     * Ratio of the y position of the tail tip from the center to the height
+     * @type {number}
+     * @default
+     */
+    tailY: 0.9,
+
+    /**
+     * Properties changed by the tail handle, they are kept in the undo data of the modification
+     * @type {Array.<string>}
+     */
+    handleProperties: ['tailX', 'tailY'],
+
+    /**
+     * Controls of the bubble, the tail handle is added to the default controls
+     * @type {Object.<string, fabric.Control>}
+     */
+    controls: extend({}, fabric.Object.prototype.controls, {
+      tail: new fabric.Control({
+        positionHandler: positionTail,
+        actionHandler: moveTail,
+        actionName: 'modifyTail',
+        cursorStyle: 'pointer',
+      }),
+    }),
+
+    /**
+     * Get the tail tip point relative to the center
+     * @returns {{x: number, y: number}}
+     */
+    getTailPoint() {
+      return {
+        x: this.tailX * this.width,
+        y: this.tailY * this.height,
+      };
+    },
+
+    /**
+     * Make the path commands of the outline, the corners are the quadratic curves
+     * and the tail is inserted into the edge which it comes out of
+     * @returns {Array.<Array>} path commands (ex: [['M', 0, 0], ['L', 10, 10]])
+     */
+    makePathCommands() {
+      const halfWidth = this.width / 2;
+      const halfHeight = this.height / 2;
+      const rx = clamp(this.rx, 0, halfWidth);
+      const ry = clamp(this.ry, 0, halfHeight);
+      const tailBase = Math.min(this.width, this.height) * TAIL_BASE_RATIO;
+      const tail = this.getTailPoint();
+      const tailEdgeIndex = getTailEdgeIndex(this.tailX, this.tailY);
+      const commands = [['M', -halfWidth + rx, -halfHeight]];
+
+      CORNER_DIRECTIONS.forEach((corner, index) => {
+        const prevCorner = CORNER_DIRECTIONS[(index + 3) % 4];
+        const nextCorner = CORNER_DIRECTIONS[(index + 1) % 4];
+        const dx = (corner.x - prevCorner.x) / 2;
+        const dy = (corner.y - prevCorner.y) / 2;
+        const ex = (nextCorner.x - corner.x) / 2;
+        const ey = (nextCorner.y - corner.y) / 2;
+        const cornerX = corner.x * halfWidth;
+        const cornerY = corner.y * halfHeight;
+
+        if (index === tailEdgeIndex) {
+          const baseX = dx
+            ? clamp(tail.x, -halfWidth + rx + tailBase, halfWidth - rx - tailBase)
+            : cornerX;
+          const baseY = dy
+            ? clamp(tail.y, -halfHeight + ry + tailBase, halfHeight - ry - tailBase)
+            : cornerY;
+
+          commands.push(
+            ['L', baseX - dx * tailBase, baseY - dy * tailBase],
+            ['L', tail.x, tail.y],
+            ['L', baseX + dx * tailBase, baseY + dy * tailBase]
+          );
+        }
+
+        commands.push(
+          ['L', cornerX - dx * rx, cornerY - dy * ry],
+          ['Q', cornerX, cornerY, cornerX + ex * rx, cornerY + ey * ry]
+        );
+      });
+      commands.push(['Z']);
+
+      return commands;
+    },
+
+    /**
+     * Return object representation of the bubble
+     * @param {Array} [propertiesToInclude] - any properties that you might want to additionally include in the output
+     * @returns {Object} object representation of an instance
+     * @override
+     */
+    toObject(propertiesToInclude = []) {
+      return this.callSuper('toObject', ['rx', 'ry', 'tailX', 'tailY'].concat(propertiesToInclude));
+    },
+
+    /**
+     * Render the bubble
+     * @param {CanvasRenderingContext2D} ctx - context to render on
+     * @private
+     * @override
+     */
+    _render(ctx) {
+      ctx.beginPath();
+      this.makePathCommands().forEach(([command, ...values]) => {
+        if (command === 'M') {
+          ctx.moveTo(...values);
+        } else if (command === 'L') {
+          ctx.lineTo(...values);
+        } else if (command === 'Q') {
+          ctx.quadraticCurveTo(...values);
+        } else {
+          ctx.closePath();
+        }
+      });
+
+      this._renderPaintInOrder(ctx);
+    },
+
+    /**
+     * Return the svg representation of the bubble
+     * @returns {Array} svg markup parts
+     * @private
+     * @override
+     */
+    _toSVG() {
+      const pathData = this.makePathCommands()
+        .map((pathCommand) => pathCommand.join(' '))
+        .join(' ');
+
+      return ['<path ', 'COMMON_PARTS', `d="${pathData}" />\n`];
+    },
+  }
+);
+
+/**
+ * Create a SpeechBubble from its object representation
+ * @param {Object} object - object representation
+ * @param {Function} callback - callback called with the created object
+ */
+SpeechBubble.fromObject = (object, callback) => {
+  callback(new SpeechBubble(object));
+};
+
+export default SpeechBubble;
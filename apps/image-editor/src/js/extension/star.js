@@ -0,0 +1,63 @@
+import { fabric } from 'fabric';
+import PolygonShape from '@/extension/polygonShape';
+import { makePointsOnEllipse } from '@/extension/regularPolygon';
+
+/**
+ * Star with N points inscribed in the ellipse of its width and height
+ * @class Star
+ * @extends {PolygonShape}
+ * @ignore
+ */
+const Star = fabric.util.createClass(
+  PolygonShape,
+  /** @lends Star.prototype */ {
+    /**
+     * Shape type
+     * @param {String} type
+     * @default
+     */
+    type: 'star',
+
+    /**
+     * Count of the points
+     * @type {number}
+     * @default
+     */
+    sides: 5,
+
+    /**
+     * Ratio of the inner radius to the outer radius (0 ~ 1)
+     * @type {number}
+     * @default
+     */
+    innerRadius: 0.5,
+
+    /**
+     * Properties which make the points of the polygon
+     * @type {Array.<string>}
+     */
+    shapeProperties: ['sides', 'innerRadius'],
+
+    /**
+     * Get the outer and the inner vertices of the star relative to the center
+     * @returns {Array.<{x: number, y: number}>}
+     * @override
+     */
+    getLocalPoints() {
+      return makePointsOnEllipse(this.sides * 2, this.width, this.height, (index) =>
+        index % 2 ? this.innerRadius : 1
+      );
+    },
+  }
+);
+
+/**
+ * Create a Star from its object representation
+ * @param {Object} object - object representation
+ * @param {Function} callback - callback called with the created object
+ */
+Star.fromObject = (object, callback) => {
+  callback(new Star(object));
+};
+
+export default Star;
@@ -0,0 +1,203 @@
+import { fabric } from 'fabric';
+import extend from 'tui-code-snippet/object/extend';
+
+const MAX_CURVE_ANGLE = 360;
+const RADIAN_CONVERSION_VALUE = 180;
+const TEXT_EFFECT_KEYS = ['curve', 'backgroundPadding', 'backgroundRadius'];
+
+/**
+ * Make the path data of the arc of which the length is the given length.
+ * The arc bends upward with the positive angle and downward with the negative angle.
+ * @param {number} length - length of the arc
+ * @param {number} angle - angle of the arc in degrees
+ * @returns {string} path data
+ * @private
+ */
+function makeArcPathData(length, angle) {
+  const direction = angle > 0 ? 1 : -1;
+  const sweep = (Math.min(Math.abs(angle), MAX_CURVE_ANGLE) * Math.PI) / RADIAN_CONVERSION_VALUE;
+  const radius = length / sweep;
+  const centerAngle = (-direction * Math.PI) / 2;
+  const [start, middle, end] = [-0.5, 0, 0.5].map((ratio) => {
+    const pointAngle = centerAngle + direction * sweep * ratio;
+
+    return `${radius * Math.cos(pointAngle)} ${radius * Math.sin(pointAngle)}`;
+  });
+  const arcTo = (point) => `A ${radius} ${radius} 0 0 ${direction > 0 ? 1 : 0} ${point}`;
+
+  return `M ${start} ${arcTo(middle)} ${arcTo(end)}`;
+}
+
+/**
+ * Make the path of the rectangle with the rounded corners
+ * @param {CanvasRenderingContext2D} ctx - context to render on
+ * @param {number} width - width of the rectangle
+ * @param {number} height - height of the rectangle
+ * @param {number} radius - radius of the corners
+ * @private
+ */
+function makeRoundedRectPath(ctx, width, height, radius) {
+  const [left, top, right, bottom] = [-width / 2, -height / 2, width / 2, height / 2];
+
+  ctx.beginPath();
+  ctx.moveTo(left + radius, top);
+  ctx.arcTo(right, top, right, bottom, radius);
+  ctx.arcTo(right, bottom, left, bottom, radius);
+  ctx.arcTo(left, bottom, left, top, radius);
+  ctx.arcTo(left, top, right, top, radius);
+  ctx.closePath();
+}
+
+/**
+ * Properties and methods of the text effects which fabric.Text does not support.
+ * The text is curved along the arc and the background is drawn as a padded box with the rounded corners.
+ * @mixin
+ * @ignore
+ */
+const textEffect = {
+  /**
+   * Angle of the arc along which the text is curved in degrees,
+   * the text is curved upward with the positive angle and goes around the circle at 360
+   * @type {number}
+   */
+  curve: 0,
+
+  /**
+   * Padding between the text and the edges of the background
+   * @type {number}
+   */
+  backgroundPadding: 0,
+
+  /**
+   * Radius of the corners of the background
+   * @type {number}
+   */
+  backgroundRadius: 0,
+
+  /**
+   * Initialize or update text dimensions with the path of the curve
+   * @override
+   */
+  initDimensions() {
+    if (!this.__skipDimension && (this.curve || this._isCurvePath())) {
+      this._setCurvePath();
+    }
+
+    this.callSuper('initDimensions');
+  },
+
+  /**
+   * Returns object representation of the instance with the text effects,
+   * the path of the curve is not included since it is made from the curve
+   * @param {Array} [propertiesToInclude] - any properties that you might want to additionally include in the output
+   * @returns {Object}
+   * @override
+   */
+  toObject(propertiesToInclude = []) {
+    const obj = this.callSuper('toObject', TEXT_EFFECT_KEYS.concat(propertiesToInclude));
+
+    if (this._isCurvePath()) {
+      obj.path = null;
+    }
+
+    return obj;
+  },
+
+  /**
+   * Draw the background as the padded box with the rounded corners
+   * @param {CanvasRenderingContext2D} ctx - context to render on
+   * @private
+   * @override
+   */
+  _renderBackground(ctx) {
+    if (!this.backgroundColor) {
+      return;
+    }
+
+    const padding = this.backgroundPadding * 2;
+    const { x, y } = this._getNonTransformedDimensions();
+    const [width, height] = [x + padding, y + padding];
+
+    ctx.fillStyle = this.backgroundColor;
+    makeRoundedRectPath(ctx, width, height, Math.min(this.backgroundRadius, width / 2, height / 2));
+    ctx.fill();
+    this._removeShadow(ctx);
+  },
+
+  /**
+   * Set the path of the arc which has the length of the text, the path is removed without the curve
+   * @private
+   */
+  _setCurvePath() {
+    this.path = null;
+
+    if (this.curve) {
+      this.callSuper('initDimensions');
+      this.path = new fabric.Path(makeArcPathData(this.width, this.curve));
+      this.setPathInfo();
+    }
+
+    this._curvePath = this.path;
+  },
+
+  /**
+   * Whether the path of the text is made from the curve
+   * @returns {boolean}
+   * @private
+   */
+  _isCurvePath() {
+    return !!this.path && this.path === this._curvePath;
+  },
+};
+
+/**
+ * Create the text class which has the text effects
+ * @param {Function} TextClass - fabric text class to extend
+ * @param {boolean} curvable - whether the text is curved or not
+ * @returns {Function} text class
+ * @private
+ */
+function createTextEffectClass(TextClass, curvable) {
+  const { _dimensionAffectingProps, cacheProperties, initDimensions } = TextClass.prototype;
+  const TextEffectClass = fabric.util.createClass(
+    TextClass,
+    extend({}, textEffect, {
+      _dimensionAffectingProps: curvable
+        ? _dimensionAffectingProps.concat('curve')
+        : _dimensionAffectingProps,
+      cacheProperties: cacheProperties.concat('backgroundPadding', 'backgroundRadius'),
+      initDimensions: curvable ? textEffect.initDimensions : initDimensions,
+    })
+  );
+
+  /**
+   * Create the text from its object representation, it is used to clone the text with the effects
+   * @param {Object} object - object representation
+   * @param {Function} callback - callback called with the created text
+   */
+  TextEffectClass.fromObject = (object, callback) => {
+    const options = fabric.util.object.clone(object, true);
+
+    callback(new TextEffectClass(options.text, options));
+  };
+
+  return TextEffectClass;
+}
+
+/**
+ * Editable text which has the text effects, its type is 'i-text' as fabric.IText
+ * @class EffectIText
+ * @extends {fabric.IText}
+ * @mixes textEffect
+ * @ignore
+ */
+export const EffectIText = createTextEffectClass(fabric.IText, true);
+
+/**
+ * Text box which wraps the text and has the text effects except the curve, its type is 'textbox' as fabric.Textbox
+ * @class EffectTextbox
+ * @extends {fabric.Textbox}
+ * @mixes textEffect
+ * @ignore
+ */
+export const EffectTextbox = createTextEffectClass(fabric.Textbox, false);
@@ -16,6 +16,8 @@ import Icon from '@/component/icon';
 import Filter from '@/component/filter';
 import Shape from '@/component/shape';
 import Zoom from '@/component/zoom';
+import Snapping from '@/component/snapping';
+import Eraser from '@/component/eraser';
 import CropperDrawingMode from '@/drawingMode/cropper';
 import FreeDrawingMode from '@/drawingMode/freeDrawing';
 import LineDrawingMode from '@/drawingMode/lineDrawing';
@@ -23,12 +25,13 @@ import ShapeDrawingMode from '@/drawingMode/shape';
 import TextDrawingMode from '@/drawingMode/text';
 import IconDrawingMode from '@/drawingMode/icon';
 import ZoomDrawingMode from '@/drawingMode/zoom';
+import EraserDrawingMode from '@/drawingMode/eraser';
 import {
   makeSelectionUndoData,
   makeSelectionUndoDatum,
   setCachedUndoDataForDimension,
 } from '@/helper/selectionModifyHelper';
-import { getProperties, includes, isShape, stamp } from '@/util';
+import { getProperties, includes, isShape, setCustomProperty, stamp } from '@/util';
 import {
   componentNames as components,
   eventNames as events,
@@ -36,6 +39,8 @@ import {
   fObjectOptions,
 } from '@/consts';
 import Resize from '@/component/resize';
+import { exportMimeTypes, makeBlobFromCanvasElement, makeSVGBlob } from '@/helper/exportHelper';
+import { makeGradientOrPatternFillOption } from '@/helper/gradientPatternFillHelper';
 import ResizeDrawingMode from '@/drawingMode/resize';
 
 const DEFAULT_CSS_MAX_WIDTH = 1000;
@@ -157,6 +162,7 @@ class Graphics {
     this._createComponents();
     this._attachCanvasEvents();
     this._attachZoomEvents();
+    this._attachFontLoadEvents();
   }
 
   /**
@@ -170,6 +176,7 @@ class Graphics {
     wrapperEl.parentNode.removeChild(wrapperEl);
 
     this._detachZoomEvents();
+    this._detachFontLoadEvents();
   }
 
   /**
@@ -190,6 +197,20 @@ class Graphics {
     zoom.detachKeyboardZoomEvents();
   }
 
+  /**
+   * Attach font loading events
+   */
+  _attachFontLoadEvents() {
+    this.getComponent(components.TEXT).attachFontLoadEvents();
+  }
+
+  /**
+   * Detach font loading events
+   */
+  _detachFontLoadEvents() {
+    this.getComponent(components.TEXT).detachFontLoadEvents();
+  }
+
   /**
    * Deactivates all objects on canvas
    * @returns {Graphics} this
@@ -276,6 +297,17 @@ class Graphics {
     return objects;
   }
 
+  /**
+   * Removes all objects except the locked ones
+   * @returns {Array} objects array which is removed
+   */
+  removeUnlockedObjects() {
+    const objects = this._canvas.getObjects().filter((obj) => !this.isLockedObject(obj));
+    this._canvas.remove(...objects);
+
+    return objects;
+  }
+
   /**
    * Removes an object or group by id
    * @param {number} id - object id
@@ -285,7 +317,9 @@ class Graphics {
     const objects = [];
     const canvas = this._canvas;
     const target = this.getObject(id);
-    const isValidGroup = target && target.isType('group') && !target.isEmpty();
+    // a group of the objects on the canvas, not a persistent group, is removed with its objects
+    const isValidGroup =
+      target && target.isType('group') && !target.isEmpty() && canvas.contains(target.item(0));
 
     if (isValidGroup) {
       canvas.discardActiveObject(); // restore states for each objects
@@ -337,7 +371,8 @@ class Graphics {
     const isSelection = type === 'activeSelection';
 
     if (isSelection) {
-      const group = new fabric.Group([...activeObject.getObjects()], {
+      const objects = activeObject.getObjects().filter((obj) => !this.isLockedObject(obj));
+      const group = new fabric.Group(objects, {
         left,
         top,
       });
@@ -355,7 +390,7 @@ class Graphics {
   isReadyRemoveObject() {
     const activeObject = this.getActiveObject();
 
-    return activeObject && !activeObject.isEditing;
+    return activeObject && !activeObject.isEditing && !this.isLockedObject(activeObject);
   }
 
   /**
@@ -375,8 +410,9 @@ class Graphics {
    */
   getActiveSelectionFromObjects(objects) {
     const canvas = this.getCanvas();
+    const selectableObjects = objects.filter((obj) => this.isSelectableObject(obj));
 
-    return new fabric.ActiveSelection(objects, { canvas });
+    return new fabric.ActiveSelection(selectableObjects, { canvas });
   }
 
   /**
@@ -414,10 +450,11 @@ class Graphics {
 
   /**
    * Start a drawing mode. If the current mode is not 'NORMAL', 'stopDrawingMode()' will be called first.
-   * @param {String} mode Can be one of <I>'CROPPER', 'FREE_DRAWING', 'LINE', 'TEXT', 'SHAPE'</I>
-   * @param {Object} [option] parameters of drawing mode, it's available with 'FREE_DRAWING', 'LINE_DRAWING'
+   * @param {String} mode Can be one of <I>'CROPPER', 'FREE_DRAWING', 'LINE', 'TEXT', 'SHAPE', 'ERASER'</I>
+   * @param {Object} [option] parameters of drawing mode, it's available with 'FREE_DRAWING', 'LINE_DRAWING', 'ERASER'
    *  @param {Number} [option.width] brush width
    *  @param {String} [option.color] brush color
+   *  @param {Boolean} [option.eraseBackground] whether the eraser erases the background image to the transparency
    * @returns {boolean} true if success or false
    */
   startDrawingMode(mode, option) {
@@ -528,6 +565,49 @@ class Graphics {
     zoom.resetZoom();
   }
 
+  /**
+   * Enable snapping of the objects while moving and scaling
+   * @param {Object} [options] - snapping options
+   *   @param {number} [options.grid] - grid size, 0 does not snap to the grid
+   *   @param {boolean} [options.objects] - whether to snap to the edges and centers of other objects
+   *   @param {boolean} [options.canvas] - whether to snap to the edges and center of the canvas
+   *   @param {number} [options.threshold] - distance in screen pixels to snap
+   */
+  enableSnapping(options) {
+    const snapping = this.getComponent(components.SNAPPING);
+
+    snapping.enable(options);
+  }
+
+  /**
+   * Disable snapping of the objects
+   */
+  disableSnapping() {
+    const snapping = this.getComponent(components.SNAPPING);
+
+    snapping.disable();
+  }
+
+  /**
+   * Whether snapping of the objects is enabled
+   * @returns {boolean}
+   */
+  isSnappingEnabled() {
+    const snapping = this.getComponent(components.SNAPPING);
+
+    return snapping.isEnabled();
+  }
+
+  /**
+   * Get the snapping options
+   * @returns {{grid: number, objects: boolean, canvas: boolean, threshold: number}}
+   */
+  getSnappingOptions() {
+    const snapping = this.getComponent(components.SNAPPING);
+
+    return snapping.getOptions();
+  }
+
   /**
    * To data url from canvas
    * @param {Object} options - options for toDataURL
@@ -550,6 +630,81 @@ class Graphics {
     return dataUrl;
   }
 
+  /**
+   * Export the canvas as a blob
+   * @param {Object} [options] - export options
+   *   @param {string} [options.format='png'] - 'png', 'jpeg', 'webp' or 'svg'
+   *   @param {number} [options.quality=1] - quality level (0..1) of jpeg and webp
+   *   @param {number} [options.multiplier=1] - multiplier to scale by
+   *   @param {{left: number, top: number, width: number, height: number}} [options.region] - region to export
+   *   @param {boolean|string} [options.background=true] - whether to include the background image,
+   *     a color fills behind the background image
+   *   @param {boolean} [options.includeObjects=true] - whether to include the objects
+   * @returns {Promise<Blob>}
+   */
+  exportImage({
+    format = 'png',
+    quality = 1,
+    multiplier = 1,
+    region,
+    background = true,
+    includeObjects = true,
+  } = {}) {
+    const canvas = this._canvas;
+    const restore = this._prepareExport(format, background, includeObjects);
+    let exporting;
+
+    try {
+      exporting =
+        format === 'svg'
+          ? Promise.resolve(makeSVGBlob(canvas, region, multiplier))
+          : makeBlobFromCanvasElement(
+              canvas.toCanvasElement(multiplier, region),
+              exportMimeTypes[format],
+              quality
+            );
+    } finally {
+      restore();
+    }
+
+    return exporting;
+  }
+
+  /**
+   * Hide the cropzone and the excluded layers and reset the zoom before exporting
+   * @param {string} format - export format
+   * @param {boolean|string} background - whether to include the background image or a background color
+   * @param {boolean} includeObjects - whether to include the objects
+   * @returns {Function} function to restore the canvas
+   * @private
+   */
+  _prepareExport(format, background, includeObjects) {
+    const canvas = this._canvas;
+    const cropper = this.getComponent(components.CROPPER);
+    const { backgroundImage, backgroundColor, viewportTransform } = canvas;
+    const objects = canvas.getObjects();
+    const visibilities = objects.map(({ visible }) => visible);
+    const defaultColor = format === 'jpeg' ? '#ffffff' : backgroundColor;
+
+    cropper.changeVisibility(false);
+    canvas.viewportTransform = [1, 0, 0, 1, 0, 0];
+    canvas.backgroundColor = isString(background) ? background : defaultColor;
+    if (background === false) {
+      canvas.backgroundImage = null;
+    }
+    if (!includeObjects) {
+      objects.forEach((obj) => obj.set('visible', false));
+    }
+
+    return () => {
+      objects.forEach((obj, index) => obj.set('visible', visibilities[index]));
+      canvas.backgroundImage = backgroundImage;
+      canvas.backgroundColor = backgroundColor;
+      canvas.viewportTransform = viewportTransform;
+      cropper.changeVisibility(true);
+    };
+  }
+
   /**
    * Save image(background) of canvas
    * @param {string} name - Name of image
@@ -700,6 +855,15 @@ class Graphics {
     return this._canvas.getCenter();
   }
 
+  /**
+   * Load the font and re-measure the text objects with it
+   * @param {{family: string, url: ?string}} font - font family and the url of the font file
+   * @returns {Promise}
+   */
+  loadFont(font) {
+    return this.getComponent(components.TEXT).loadFont(font);
+  }
+
   /**
    * Get cropped rect
    * @returns {Object} rect
@@ -710,10 +874,40 @@ class Graphics {
 
   /**
    * Get cropped rect
-   * @param {number} [mode] cropzone rect mode
+   * @param {number|Object} [mode] cropzone rect ratio or rect
+   * @returns {boolean} whether the cropzone is set
    */
   setCropzoneRect(mode) {
-    this.getComponent(components.CROPPER).setCropzoneRect(mode);
+    return this.getComponent(components.CROPPER).setCropzoneRect(mode);
+  }
+
+  /**
+   * Move the cropzone
+   * @param {number} x - distance to move horizontally
+   * @param {number} y - distance to move vertically
+   * @returns {boolean} whether the cropzone is moved
+   */
+  moveCropzone(x, y) {
+    return this.getComponent(components.CROPPER).moveCropzone(x, y);
+  }
+
+  /**
+   * Resize the cropzone
+   * @param {number} x - width to add
+   * @param {number} y - height to add
+   * @returns {boolean} whether the cropzone is resized
+   */
+  resizeCropzone(x, y) {
+    return this.getComponent(components.CROPPER).resizeCropzone(x, y);
+  }
+
+  /**
+   * Set the guide lines of the cropzone
+   * @param {?string} guide - 'thirds', 'golden' or 'none'
+   * @returns {boolean} whether the guide is set or not
+   */
+  setCropzoneGuide(guide) {
+    return this.getComponent(components.CROPPER).setGuide(guide);
   }
 
   /**
@@ -723,10 +917,68 @@ class Graphics {
    *  @param {Number} cropRect.top top position
    *  @param {Number} cropRect.width width
    *  @param {Number} cropRect.height height
+   * @param {{width: number, height: number}} [outputSize] - resample the cropped image to the size
    * @returns {?{imageName: string, url: string}} cropped Image data
    */
-  getCroppedImageData(cropRect) {
-    return this.getComponent(components.CROPPER).getCroppedImageData(cropRect);
+  getCroppedImageData(cropRect, outputSize) {
+    return this.getComponent(components.CROPPER).getCroppedImageData(cropRect, outputSize);
+  }
+
+  /**
+   * Set the min and max size of the cropzone
+   * @param {?Object} limits - size limits, null removes the limits
+   */
+  setCropSizeLimits(limits) {
+    this.getComponent(components.CROPPER).setSizeLimits(limits);
+  }
+
+  /**
+   * Straighten the image under the cropzone
+   * @param {number} angle - straighten angle between -45 and 45
+   * @returns {number} applied straighten angle
+   */
+  straighten(angle) {
+    return this.getComponent(components.CROPPER).straighten(angle);
+  }
+
+  /**
+   * Get the straighten angle of the image in the cropper
+   * @returns {number}
+   */
+  getStraightenAngle() {
+    return this.getComponent(components.CROPPER).getStraightenAngle();
+  }
+
+  /**
+   * Restore the angle of the straightened image
+   */
+  resetStraighten() {
+    this.getComponent(components.CROPPER).resetStraighten();
+  }
+
+  /**
+   * Set the shape of the cropped area
+   * @param {Object} [shape] - crop shape options
+   *  @param {string} [shape.type='rect'] - 'rect', 'ellipse', 'roundRect', 'path' or 'icon'
+   *  @param {number} [shape.radius] - corner radius of 'roundRect'
+   *  @param {string} [shape.path] - svg path of 'path'
+   *  @param {string} [shape.name] - registered icon type of 'icon'
+   * @returns {boolean} whether the shape is set or not
+   */
+  setCropShape(shape = {}) {
+    if (shape.type === 'icon') {
+      shape = { type: 'path', path: this.getComponent(components.ICON).getPath(shape.name) };
+    }
+
+    return this.getComponent(components.CROPPER).setCropShape(shape);
+  }
+
+  /**
+   * Get the shape of the cropped area
+   * @returns {{type: string, radius: ?number, path: ?string}} crop shape
+   */
+  getCropShape() {
+    return this.getComponent(components.CROPPER).getCropShape();
   }
 
   /**
@@ -734,6 +986,7 @@ class Graphics {
    * @param {Object} option brush option
    *  @param {Number} option.width width
    *  @param {String} option.color color like 'FFFFFF', 'rgba(0, 0, 0, 0.5)'
+   *  @param {Boolean} option.eraseBackground whether the eraser erases the background image
    */
   setBrush(option) {
     const drawingMode = this._drawingMode;
@@ -741,6 +994,8 @@ class Graphics {
 
     if (drawingMode === drawingModes.LINE_DRAWING) {
       compName = components.LINE;
+    } else if (drawingMode === drawingModes.ERASER) {
+      compName = components.ERASER;
     }
 
     this.getComponent(compName).setBrush(option);
@@ -748,7 +1003,7 @@ class Graphics {
 
   /**
    * Set states of current drawing shape
-   * @param {string} type - Shape type (ex: 'rect', 'circle', 'triangle')
+   * @param {string} type - Shape type (ex: 'rect', 'circle', 'star')
    * @param {Object} [options] - Shape options
    *      @param {(ShapeFillOption | string)} [options.fill] - {@link ShapeFillOption} or
    *        Shape foreground color (ex: '#fff', 'transparent')
@@ -757,7 +1012,13 @@ class Graphics {
    *      @param {number} [options.width] - Width value (When type option is 'rect', this options can use)
    *      @param {number} [options.height] - Height value (When type option is 'rect', this options can use)
    *      @param {number} [options.rx] - Radius x value (When type option is 'circle', this options can use)
+   *        or corner radius x value (When type option is 'rect' or 'speechBubble', this options can use)
    *      @param {number} [options.ry] - Radius y value (When type option is 'circle', this options can use)
+   *        or corner radius y value (When type option is 'rect' or 'speechBubble', this options can use)
+   *      @param {number} [options.sides] - Count of the sides or the points
+   *        (When type option is 'regularPolygon' or 'star', this options can use)
+   *      @param {number} [options.innerRadius] - Ratio of the inner radius to the outer radius (0 ~ 1)
+   *        (When type option is 'star', this options can use)
    *      @param {number} [options.isRegular] - Whether resizing shape has 1:1 ratio or not
    */
   setDrawingShape(type, options) {
@@ -802,6 +1063,14 @@ class Graphics {
     return this.getComponent(components.FILTER).hasFilter(type);
   }
 
+  /**
+   * Get the filter stack of canvas image
+   * @returns {Array.<Object>} filter stack
+   */
+  getFilterStack() {
+    return this.getComponent(components.FILTER).getStack();
+  }
+
   /**
    * Set selection style of fabric object by init option
    * @param {Object} styles - Selection styles
@@ -861,6 +1130,190 @@ class Graphics {
     return props;
   }
 
+  /**
+   * Get the stacking order of an object
+   * @param {number} id - object id
+   * @returns {number} z-index of the object, 0 is the bottom, or -1 if the id is invalid
+   */
+  getObjectZIndex(id) {
+    const targetObj = this.getObject(id);
+
+    return targetObj ? this.getObjects().indexOf(targetObj) : -1;
+  }
+
+  /**
+   * Set the stacking order of an object
+   * @param {number} id - object id
+   * @param {number} index - z-index to move the object to, 0 is the bottom
+   * @returns {boolean} true if target id is valid or false
+   */
+  setObjectZIndex(id, index) {
+    const targetObj = this.getObject(id);
+
+    if (!targetObj) {
+      return false;
+    }
+
+    this._canvas.moveTo(targetObj, index);
+    this._canvas.renderAll();
+
+    return true;
+  }
+
+  /**
+   * Make a persistent group of objects.
+   * The group takes the place of the top-most object in the stacking order.
+   * @param {Array.<fabric.Object>} objects - fabric objects on the canvas
+   * @param {fabric.Group} [group] - empty group to reuse
+   * @returns {fabric.Group} group
+   */
+  groupObjects(objects, group) {
+    const canvasObjects = this.getObjects();
+    const sortedObjects = canvasObjects.filter((obj) => includes(objects, obj));
+    const topObject = sortedObjects[sortedObjects.length - 1];
+    const index = canvasObjects.indexOf(topObject) - sortedObjects.length + 1;
+
+    this.discardSelection();
+    this._canvas.remove(...sortedObjects);
+
+    if (group) {
+      sortedObjects.forEach((obj) => group.addWithUpdate(obj));
+    } else {
+      group = new fabric.Group(sortedObjects, fObjectOptions.SELECTION_STYLE);
+    }
+
+    this._canvas.insertAt(group, index);
+    this._canvas.renderAll();
+
+    return group;
+  }
+
+  /**
+   * Break a persistent group into its objects.
+   * The objects take the place of the group in the stacking order and the group becomes empty.
+   * @param {fabric.Group} group - group on the canvas
+   * @returns {Array.<fabric.Object>} objects of the group
+   */
+  ungroupObjects(group) {
+    const index = this.getObjects().indexOf(group);
+    const objects = group.getObjects();
+
+    this.discardSelection();
+    group.destroy();
+    group.remove(...objects);
+    this._canvas.remove(group);
+
+    objects.forEach((obj, order) => {
+      obj.set('dirty', true);
+      this._canvas.insertAt(obj, index + order);
+    });
+    this._canvas.renderAll();
+
+    return objects;
+  }
+
+  /**
+   * Whether the object is locked
+   * @param {fabric.Object} obj - fabric object
+   * @returns {boolean}
+   */
+  isLockedObject(obj) {
+    return !!(obj.customProps && obj.customProps.locked);
+  }
+
+  /**
+   * Lock or unlock an object. A locked object can not be selected or removed by the user.
+   * @param {number} id - object id
+   * @param {boolean} locked - whether to lock the object
+   * @returns {boolean} true if target id is valid or false
+   */
+  setObjectLock(id, locked) {
+    const targetObj = this.getObject(id);
+
+    if (!targetObj) {
+      return false;
+    }
+
+    if (locked) {
+      this._discardSelectionOf(targetObj);
+    }
+    this._setLockState(targetObj, locked);
+
+    return true;
+  }
+
+  /**
+   * Show or hide an object
+   * @param {number} id - object id
+   * @param {boolean} visible - whether to show the object
+   * @returns {boolean} true if target id is valid or false
+   */
+  setObjectVisible(id, visible) {
+    const targetObj = this.getObject(id);
+
+    if (!targetObj) {
+      return false;
+    }
+
+    if (!visible) {
+      this._discardSelectionOf(targetObj);
+    }
+    targetObj.set('visible', visible);
+    this._canvas.renderAll();
+
+    return true;
+  }
+
+  /**
+   * Whether the object can be selected by the API, the locked and hidden objects are not selected.
+   * It does not depend on the selectable state which is changed by the drawing modes.
+   * @param {fabric.Object} obj - fabric object
+   * @returns {boolean}
+   */
+  isSelectableObject(obj) {
+    return !this.isLockedObject(obj) && obj.visible;
+  }
+
+  /**
+   * Set the lock state to an object, the selectable state before locking is restored on unlocking
+   * @param {fabric.Object} obj - fabric object
+   * @param {boolean} locked - whether to lock the object
+   * @private
+   */
+  _setLockState(obj, locked) {
+    const { unlockedState } = obj.customProps || {};
+
+    if (locked) {
+      setCustomProperty(obj, {
+        locked,
+        unlockedState: unlockedState || {
+          selectable: obj.selectable,
+          hoverCursor: obj.hoverCursor,
+        },
+      });
+      obj.set({ selectable: false, hoverCursor: 'default' });
+    } else {
+      setCustomProperty(obj, { locked, unlockedState: null });
+      obj.set(unlockedState || { selectable: true, hoverCursor: 'move' });
+    }
+  }
+
+  /**
+   * Discard the active object if it is or contains the object
+   * @param {fabric.Object} obj - fabric object
+   * @private
+   */
+  _discardSelectionOf(obj) {
+    const activeObject = this.getActiveObject();
+    const isSelected =
+      activeObject === obj ||
+      (activeObject && activeObject.type === 'activeSelection' && activeObject.contains(obj));
+
+    if (isSelected) {
+      this.discardSelection();
+    }
+  }
+
   /**
    * Get object position by originX, originY
    * @param {number} id - object id
@@ -994,6 +1447,7 @@ class Graphics {
     this._register(this._drawingModeMap, new IconDrawingMode());
     this._register(this._drawingModeMap, new ZoomDrawingMode());
     this._register(this._drawingModeMap, new ResizeDrawingMode());
+    this._register(this._drawingModeMap, new EraserDrawingMode());
   }
 
   /**
@@ -1013,6 +1467,8 @@ class Graphics {
     this._register(this._componentMap, new Shape(this));
     this._register(this._componentMap, new Zoom(this));
     this._register(this._componentMap, new Resize(this));
+    this._register(this._componentMap, new Snapping(this));
+    this._register(this._componentMap, new Eraser(this));
   }
 
   /**
@@ -1112,17 +1568,26 @@ class Graphics {
     const originPointer = this._canvas.getPointer(event);
 
     if (target) {
-      const { type } = target;
-      const undoData = makeSelectionUndoData(target, (item) =>
-        makeSelectionUndoDatum(this.getObjectId(item), item, type === 'activeSelection')
-      );
-
-      setCachedUndoDataForDimension(undoData);
+      this._cacheUndoDataForDimension(target);
     }
 
     this.fire(events.MOUSE_DOWN, event, originPointer);
   }
 
+  /**
+   * Cache the undo data of the object before it is moved or transformed
+   * @param {fabric.Object} target - fabric object
+   * @private
+   */
+  _cacheUndoDataForDimension(target) {
+    const { type } = target;
+    const undoData = makeSelectionUndoData(target, (item) =>
+      makeSelectionUndoDatum(this.getObjectId(item), item, type === 'activeSelection')
+    );
+
+    setCachedUndoDataForDimension(undoData);
+  }
+
   /**
    * "object:added" canvas event handler
    * @param {{target: fabric.Object, e: MouseEvent}} fEvent - Fabric event
@@ -1154,6 +1619,7 @@ class Graphics {
    * @private
    */
   _onObjectMoved(fEvent) {
+    this.getComponent(components.SNAPPING).snapMovingObject(fEvent.target);
     this._lazyFire(
       events.OBJECT_MOVED,
       (object) => this.createObjectProperties(object),
@@ -1167,6 +1633,9 @@ class Graphics {
    * @private
    */
   _onObjectScaled(fEvent) {
+    if (fEvent.transform) {
+      this.getComponent(components.SNAPPING).snapScalingObject(fEvent.target, fEvent.transform);
+    }
     this._lazyFire(
       events.OBJECT_SCALED,
       (object) => this.createObjectProperties(object),
@@ -1294,8 +1763,14 @@ class Graphics {
    */
   changeSelectableAll(selectable) {
     this._canvas.forEachObject((obj) => {
-      obj.selectable = selectable;
-      obj.hoverCursor = selectable ? 'move' : 'crosshair';
+      const state = { selectable, hoverCursor: selectable ? 'move' : 'crosshair' };
+
+      // The locked object is changed on unlocking
+      if (this.isLockedObject(obj)) {
+        setCustomProperty(obj, { unlockedState: state });
+      } else {
+        extend(obj, state);
+      }
     });
   }
 
@@ -1323,11 +1798,16 @@ class Graphics {
 
     extend(props, getProperties(obj, predefinedKeys));
 
-    if (includes(['i-text', 'text'], obj.type)) {
+    const gradientOrPatternFillOption = makeGradientOrPatternFillOption(obj.fill);
+    if (gradientOrPatternFillOption) {
+      props.fill = gradientOrPatternFillOption;
+    }
+
+    if (includes(['i-text', 'text', 'textbox'], obj.type)) {
       extend(props, this._createTextProperties(obj, props));
-    } else if (includes(['rect', 'triangle', 'circle'], obj.type)) {
+    } else if (isShape(obj)) {
       const shapeComp = this.getComponent(components.SHAPE);
-      extend(props, {
+      extend(props, shapeComp.makeShapePropertiesForUserEvent(obj), {
         fill: shapeComp.makeFillPropertyForUserEvent(obj),
       });
     }
@@ -1350,8 +1830,17 @@ class Graphics {
       'textAlign',
       'textDecoration',
       'fontWeight',
+      'lineHeight',
+      'charSpacing',
+      'backgroundColor',
+      'backgroundPadding',
+      'backgroundRadius',
+      'curve',
     ];
-    const props = {};
+    const { shadow } = obj;
+    const props = {
+      shadow: shadow ? getProperties(shadow, ['color', 'blur', 'offsetX', 'offsetY']) : null,
+    };
     extend(props, getProperties(obj, predefinedKeys));
 
     return props;
@@ -1388,6 +1877,68 @@ class Graphics {
     }
   }
 
+  /**
+   * Move the active object as if it is dragged
+   * @param {number} x - distance to move horizontally
+   * @param {number} y - distance to move vertically
+   * @returns {boolean} whether the active object is moved
+   */
+  moveActiveObject(x, y) {
+    const target = this.getActiveObject();
+
+    if (!this.isReadyRemoveObject() || target.type === 'cropzone') {
+      return false;
+    }
+
+    this._cacheUndoDataForDimension(target);
+    target.set({
+      left: target.left + x,
+      top: target.top + y,
+    });
+    target.setCoords();
+    this._canvas.renderAll();
+    this._canvas.fire('object:modified', { target });
+
+    return true;
+  }
+
+  /**
+   * Select all selectable and visible objects
+   * @returns {boolean} whether any object is selected
+   */
+  selectAllObjects() {
+    const objects = this.getObjects().filter(
+      (obj) => obj.selectable && obj.visible && obj.type !== 'cropzone'
+    );
+
+    if (!objects.length) {
+      return false;
+    }
+
+    this.discardSelection();
+    this.setActiveObject(
+      objects.length > 1 ? this.getActiveSelectionFromObjects(objects) : objects[0]
+    );
+    this._canvas.renderAll();
+
+    return true;
+  }
+
+  /**
+   * Duplicate the active object without changing the object to paste
+   * @returns {Promise}
+   */
+  duplicateActiveObject() {
+    const { targetObjectForCopyPaste } = this;
+
+    this.targetObjectForCopyPaste = null;
+    this.resetTargetObjectForCopyPaste();
+
+    return this.pasteObject().then(() => {
+      this.targetObjectForCopyPaste = targetObjectForCopyPaste;
+    });
+  }
+
   /**
    * Paste fabric object
    * @returns {Promise}
@@ -1405,13 +1956,17 @@ class Graphics {
     this.discardSelection();
 
     return this._cloneObject(targetObjects).then((addedObjects) => {
-      if (addedObjects.length > 1) {
-        newTargetObject = this.getActiveSelectionFromObjects(addedObjects);
+      const selectableObjects = addedObjects.filter((obj) => this.isSelectableObject(obj));
+
+      if (selectableObjects.length > 1) {
+        newTargetObject = this.getActiveSelectionFromObjects(selectableObjects);
       } else {
-        [newTargetObject] = addedObjects;
+        [newTargetObject] = selectableObjects;
+      }
+      if (newTargetObject) {
+        this.targetObjectForCopyPaste = newTargetObject;
+        this.setActiveObject(newTargetObject);
       }
-      this.targetObjectForCopyPaste = newTargetObject;
-      this.setActiveObject(newTargetObject);
     });
   }
 
@@ -1481,18 +2036,48 @@ class Graphics {
    * @private
    */
   _copyFabricObject(targetObject) {
+    if (targetObject.isType('group')) {
+      return this._copyFabricGroup(targetObject);
+    }
+
     return new Promise((resolve) => {
       targetObject.clone((cloned) => {
         const shapeComp = this.getComponent(components.SHAPE);
         if (isShape(cloned)) {
           shapeComp.processForCopiedObject(cloned, targetObject);
         }
+        if (this.isLockedObject(targetObject)) {
+          this._setLockState(cloned, true);
+        }
 
         resolve(cloned);
       });
     });
   }
 
+  /**
+   * Copy fabric group with copying each object of the group
+   * @param {fabric.Group} targetGroup - fabric group
+   * @returns {Promise}
+   * @private
+   */
+  _copyFabricGroup(targetGroup) {
+    const copyingObjects = targetGroup.getObjects().map((obj) => this._copyFabricObject(obj));
+
+    return Promise.all(copyingObjects).then((clonedObjects) => {
+      const props = targetGroup.toObject();
+      delete props.objects;
+      delete props.type;
+
+      const clonedGroup = new fabric.Group(clonedObjects, props, true);
+      if (this.isLockedObject(targetGroup)) {
+        this._setLockState(clonedGroup, true);
+      }
+
+      return clonedGroup;
+    });
+  }
+
   /**
    * Get current dimensions
    * @returns {object}
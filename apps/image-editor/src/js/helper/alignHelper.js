@@ -0,0 +1,103 @@
+/**
+ * Offset makers to align a rect to the bounds, by align type
+ * @type {Object.<string, Function>}
+ */
+const alignOffsetMakers = {
+  left: (rect, bounds) => ({ x: bounds.left - rect.left, y: 0 }),
+  center: (rect, bounds) => ({
+    x: bounds.left + bounds.width / 2 - (rect.left + rect.width / 2),
+    y: 0,
+  }),
+  right: (rect, bounds) => ({ x: bounds.left + bounds.width - (rect.left + rect.width), y: 0 }),
+  top: (rect, bounds) => ({ x: 0, y: bounds.top - rect.top }),
+  middle: (rect, bounds) => ({
+    x: 0,
+    y: bounds.top + bounds.height / 2 - (rect.top + rect.height / 2),
+  }),
+  bottom: (rect, bounds) => ({ x: 0, y: bounds.top + bounds.height - (rect.top + rect.height) }),
+};
+
+/**
+ * Keys of the rect to distribute rects, by direction
+ * @type {Object.<string, Object>}
+ */
+const distributeKeys = {
+  horizontal: { axis: 'x', start: 'left', size: 'width' },
+  vertical: { axis: 'y', start: 'top', size: 'height' },
+};
+
+/**
+ * Whether the align type is valid
+ * @param {string} align - align type
+ * @returns {boolean}
+ * @private
+ */
+export function isValidAlign(align) {
+  return alignOffsetMakers.hasOwnProperty(align);
+}
+
+/**
+ * Whether the distribute direction is valid
+ * @param {string} direction - distribute direction
+ * @returns {boolean}
+ * @private
+ */
+export function isValidDistribute(direction) {
+  return distributeKeys.hasOwnProperty(direction);
+}
+
+/**
+ * Get the rect which contains all of the rects
+ * @param {Array.<Object>} rects - rects having left, top, width and height
+ * @returns {Object} union rect
+ * @private
+ */
+export function getUnionRect(rects) {
+  const left = Math.min(...rects.map((rect) => rect.left));
+  const top = Math.min(...rects.map((rect) => rect.top));
+  const right = Math.max(...rects.map((rect) => rect.left + rect.width));
+  const bottom = Math.max(...rects.map((rect) => rect.top + rect.height));
+
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Make offsets to align the rects to the bounds
+ * @param {Array.<Object>} rects - rects having left, top, width and height
+ * @param {string} align - align type ('left', 'center', 'right', 'top', 'middle' or 'bottom')
+ * @param {Object} bounds - rect to align to
+ * @returns {Array.<{x: number, y: number}>} offsets in order of the rects
+ * @private
+ */
+export function makeAlignOffsets(rects, align, bounds) {
+  return rects.map((rect) => alignOffsetMakers[align](rect, bounds));
+}
+
+/**
+ * Make offsets to space the rects evenly between the first and the last rect
+ * @param {Array.<Object>} rects - rects having left, top, width and height
+ * @param {string} direction - 'horizontal' or 'vertical'
+ * @returns {Array.<{x: number, y: number}>} offsets in order of the rects
+ * @private
+ */
+export function makeDistributeOffsets(rects, direction) {
+  const { axis, start, size } = distributeKeys[direction];
+  const offsets = rects.map(() => ({ x: 0, y: 0 }));
+
+  if (rects.length < 2) {
+    return offsets;
+  }
+
+  const bounds = getUnionRect(rects);
+  const totalSize = rects.reduce((sum, rect) => sum + rect[size], 0);
+  const gap = (bounds[size] - totalSize) / (rects.length - 1);
+  const order = rects.map((rect, index) => index).sort((a, b) => rects[a][start] - rects[b][start]);
+  let position = bounds[start];
+
+  order.forEach((index) => {
+    offsets[index][axis] = position - rects[index][start];
+    position += rects[index][size] + gap;
+  });
+
+  return offsets;
+}
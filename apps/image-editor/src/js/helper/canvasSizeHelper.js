@@ -0,0 +1,70 @@
+import { fabric } from 'fabric';
+
+/**
+ * Position ratios of the image in the changed canvas, by anchor
+ * @type {Object.<string, {x: number, y: number}>}
+ */
+const anchorRatios = {
+  'top-left': { x: 0, y: 0 },
+  top: { x: 0.5, y: 0 },
+  'top-right': { x: 1, y: 0 },
+  left: { x: 0, y: 0.5 },
+  center: { x: 0.5, y: 0.5 },
+  right: { x: 1, y: 0.5 },
+  'bottom-left': { x: 0, y: 1 },
+  bottom: { x: 0.5, y: 1 },
+  'bottom-right': { x: 1, y: 1 },
+};
+
+/**
+ * Whether the anchor is valid
+ * @param {string} anchor - anchor of the image
+ * @returns {boolean}
+ * @private
+ */
+export function isValidAnchor(anchor) {
+  return anchorRatios.hasOwnProperty(anchor);
+}
+
+/**
+ * Make the offset to move the image and the objects into the changed canvas
+ * @param {{width: number, height: number}} from - canvas size before changing
+ * @param {{width: number, height: number}} to - canvas size after changing
+ * @param {string} anchor - anchor of the image
+ * @returns {{x: number, y: number}} offset
+ * @private
+ */
+export function makeAnchorOffset(from, to, anchor) {
+  const { x, y } = anchorRatios[anchor];
+
+  return {
+    x: Math.round((to.width - from.width) * x),
+    y: Math.round((to.height - from.height) * y),
+  };
+}
+
+/**
+ * Draw the image on a canvas element of the size, the rest of the canvas is filled with the color
+ * @param {HTMLCanvasElement} source - image to draw
+ * @param {{width: number, height: number}} size - size of the canvas element
+ * @param {{x: number, y: number}} offset - position of the image
+ * @param {?string} fill - color of the rest, it is transparent if the color is empty or 'transparent'
+ * @returns {HTMLCanvasElement}
+ * @private
+ */
+export function makeExtendedImageElement(source, { width, height }, offset, fill) {
+  const canvasElement = fabric.util.createCanvasElement();
+  const ctx = canvasElement.getContext('2d');
+
+  canvasElement.width = width;
+  canvasElement.height = height;
+
+  if (fill && fill !== 'transparent') {
+    ctx.fillStyle = fill;
+    ctx.fillRect(0, 0, width, height);
+    ctx.clearRect(offset.x, offset.y, source.width, source.height);
+  }
+  ctx.drawImage(source, offset.x, offset.y);
+
+  return canvasElement;
+}
@@ -0,0 +1,145 @@
+import { DOCUMENT_STATE_VERSION } from '@/helper/documentStateHelper';
+
+/**
+ * Type of the clipboard text which contains the serialized objects
+ * @type {string}
+ */
+const CLIPBOARD_OBJECTS_TYPE = 'tui-image-editor/objects';
+
+/**
+ * Make the clipboard text of the object states
+ * @param {Array.<Object>} objectStates - object states
+ * @returns {string} clipboard text
+ * @private
+ */
+export function makeClipboardText(objectStates) {
+  return JSON.stringify({
+    type: CLIPBOARD_OBJECTS_TYPE,
+    version: DOCUMENT_STATE_VERSION,
+    objects: objectStates,
+  });
+}
+
+/**
+ * Get the object states from the clipboard text
+ * @param {string} text - clipboard text
+ * @returns {?Array.<Object>} object states or null if the text is not made by the editor
+ * @private
+ */
+export function parseClipboardText(text) {
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+
+  return data && data.type === CLIPBOARD_OBJECTS_TYPE && Array.isArray(data.objects)
+    ? data.objects
+    : null;
+}
+
+/**
+ * Read the text and the image file of the DataTransfer of a clipboard event
+ * @param {DataTransfer} dataTransfer - clipboard data
+ * @returns {{text: string, image: ?Blob}} clipboard contents
+ * @private
+ */
+export function readDataTransfer(dataTransfer) {
+  const items = Array.prototype.slice.call(dataTransfer.items || []);
+  const [imageItem] = items.filter(({ kind, type }) => kind === 'file' && /^image\//.test(type));
+
+  return {
+    text: dataTransfer.getData('text/plain'),
+    image: imageItem ? imageItem.getAsFile() : null,
+  };
+}
+
+/**
+ * Read the text and the image of the system clipboard
+ * @returns {Promise<{text: string, image: ?Blob}>} clipboard contents
+ * @private
+ */
+export function readClipboard() {
+  const { clipboard } = navigator;
+
+  if (!clipboard || !clipboard.read) {
+    return Promise.resolve({ text: '', image: null });
+  }
+
+  return clipboard.read().then((clipboardItems) => {
+    const [textItem] = clipboardItems.filter(({ types }) => types.indexOf('text/plain') > -1);
+    const [imageItem] = clipboardItems.filter(({ types }) =>
+      types.some((type) => /^image\//.test(type))
+    );
+
+    return Promise.all([
+      textItem ? textItem.getType('text/plain').then((blob) => blob.text()) : '',
+      imageItem
+        ? imageItem.getType(imageItem.types.filter((type) => /^image\//.test(type))[0])
+        : null,
+    ]).then(([text, image]) => ({ text, image }));
+  });
+}
+
+/**
+ * Write the text and the png image to the system clipboard
+ * @param {string} text - clipboard text
+ * @param {?Blob} image - png image
+ * @returns {Promise}
+ * @private
+ */
+export function writeClipboard(text, image) {
+  const clipboard = navigator.clipboard || {};
+  const { ClipboardItem } = window;
+
+  if (clipboard.write && ClipboardItem && image) {
+    return clipboard.write([
+      new ClipboardItem({
+        'text/plain': new Blob([text], { type: 'text/plain' }),
+        'image/png': image,
+      }),
+    ]);
+  }
+
+  if (clipboard.writeText) {
+    return clipboard.writeText(text);
+  }
+
+  return Promise.resolve();
+}
+
+/**
+ * Render a fabric object as a png image
+ * @param {fabric.Object} obj - fabric object
+ * @returns {Promise<?Blob>} png image or null if the browser can not make it
+ * @private
+ */
+export function makePNGBlob(obj) {
+  const canvas = obj.toCanvasElement();
+
+  return new Promise((resolve) => {
+    if (canvas.toBlob) {
+      canvas.toBlob(resolve, 'image/png');
+    } else {
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Read a blob as a data url
+ * @param {Blob} blob - blob to read
+ * @returns {Promise<string>} data url
+ * @private
+ */
+export function readBlobAsDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
@@ -0,0 +1,198 @@
+import { fabric } from 'fabric';
+
+/**
+ * Bezier control point ratio to draw a quarter of an ellipse
+ * @type {number}
+ */
+const KAPPA = 0.5522848;
+
+/**
+ * Context methods tracing the path commands, fabric.js simplifies the path to these commands since 4.3
+ * @type {Object.<string, string>}
+ */
+const PATH_COMMAND_METHODS = {
+  M: 'moveTo',
+  L: 'lineTo',
+  C: 'bezierCurveTo',
+  Q: 'quadraticCurveTo',
+  Z: 'closePath',
+  z: 'closePath',
+};
+
+/**
+ * Trace a rectangle, it is traced counterclockwise to be a hole in a clockwise rectangle
+ * @param {CanvasRenderingContext2D} ctx - context
+ * @param {{left: number, top: number, width: number, height: number}} rect - rect to trace
+ * @private
+ */
+function traceRect(ctx, { left, top, width, height }) {
+  ctx.moveTo(left, top);
+  ctx.lineTo(left, top + height);
+  ctx.lineTo(left + width, top + height);
+  ctx.lineTo(left + width, top);
+  ctx.closePath();
+}
+
+/**
+ * Trace an ellipse inscribed in the rect
+ * @param {CanvasRenderingContext2D} ctx - context
+ * @param {{left: number, top: number, width: number, height: number}} rect - rect to trace
+ * @private
+ */
+function traceEllipse(ctx, { left, top, width, height }) {
+  const rx = width / 2;
+  const ry = height / 2;
+  const cx = left + rx;
+  const cy = top + ry;
+  const ox = rx * KAPPA;
+  const oy = ry * KAPPA;
+
+  ctx.moveTo(cx - rx, cy);
+  ctx.bezierCurveTo(cx - rx, cy + oy, cx - ox, cy + ry, cx, cy + ry);
+  ctx.bezierCurveTo(cx + ox, cy + ry, cx + rx, cy + oy, cx + rx, cy);
+  ctx.bezierCurveTo(cx + rx, cy - oy, cx + ox, cy - ry, cx, cy - ry);
+  ctx.bezierCurveTo(cx - ox, cy - ry, cx - rx, cy - oy, cx - rx, cy);
+  ctx.closePath();
+}
+
+/**
+ * Trace a rectangle with the rounded corners
+ * @param {CanvasRenderingContext2D} ctx - context
+ * @param {{left: number, top: number, width: number, height: number}} rect - rect to trace
+ * @param {number} radius - corner radius
+ * @private
+ */
+function traceRoundRect(ctx, { left, top, width, height }, radius) {
+  const right = left + width;
+  const bottom = top + height;
+
+  radius = Math.min(radius, width / 2, height / 2);
+
+  ctx.moveTo(left, top + radius);
+  ctx.arcTo(left, bottom, right, bottom, radius);
+  ctx.arcTo(right, bottom, right, top, radius);
+  ctx.arcTo(right, top, left, top, radius);
+  ctx.arcTo(left, top, left, bottom, radius);
+  ctx.closePath();
+}
+
+/**
+ * Trace the simplified path commands scaled to the rect
+ * @param {CanvasRenderingContext2D} ctx - context
+ * @param {{left: number, top: number, width: number, height: number}} rect - rect to trace
+ * @param {{commands: Array, bounds: Object}} shape - path shape
+ * @private
+ */
+function tracePath(ctx, rect, { commands, bounds }) {
+  const scaleX = rect.width / bounds.width;
+  const scaleY = rect.height / bounds.height;
+  const toX = (x) => rect.left + (x - bounds.left) * scaleX;
+  const toY = (y) => rect.top + (y - bounds.top) * scaleY;
+
+  commands.forEach(([command, ...values]) => {
+    const points = values.map((value, index) => (index % 2 ? toY(value) : toX(value)));
+
+    ctx[PATH_COMMAND_METHODS[command]](...points);
+  });
+}
+
+/**
+ * Make a crop shape of the svg path with its commands and bounds
+ * @param {string} path - svg path
+ * @returns {?Object} path shape or null if the path is empty or has the commands which are not traced
+ * @private
+ */
+function makePathShape(path) {
+  const pathObject = path ? new fabric.Path(path) : null;
+
+  if (!pathObject || !pathObject.width || !pathObject.height) {
+    return null;
+  }
+  if (pathObject.path.some(([command]) => !PATH_COMMAND_METHODS.hasOwnProperty(command))) {
+    return null;
+  }
+
+  const { pathOffset, width, height } = pathObject;
+
+  return {
+    type: 'path',
+    path,
+    commands: pathObject.path,
+    bounds: {
+      left: pathOffset.x - width / 2,
+      top: pathOffset.y - height / 2,
+      width,
+      height,
+    },
+  };
+}
+
+/**
+ * Make a crop shape
+ * @param {Object} [shape] - shape options
+ *  @param {string} [shape.type='rect'] - 'rect', 'ellipse', 'roundRect' or 'path'
+ *  @param {number} [shape.radius] - corner radius of 'roundRect'
+ *  @param {string} [shape.path] - svg path of 'path'
+ * @returns {?Object} crop shape or null if the options are invalid
+ * @private
+ */
+export function makeCropShape({ type = 'rect', radius = 0, path } = {}) {
+  switch (type) {
+    case 'rect':
+    case 'ellipse':
+      return { type };
+    case 'roundRect':
+      return { type, radius: Math.max(radius, 0) };
+    case 'path':
+      return makePathShape(path);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Trace the crop shape in the rect as a sub path of the context
+ * @param {CanvasRenderingContext2D} ctx - context
+ * @param {Object} shape - crop shape made by makeCropShape
+ * @param {{left: number, top: number, width: number, height: number}} rect - rect to trace
+ * @private
+ */
+export function traceCropShape(ctx, shape, rect) {
+  switch (shape.type) {
+    case 'ellipse':
+      traceEllipse(ctx, rect);
+      break;
+    case 'roundRect':
+      traceRoundRect(ctx, rect, shape.radius);
+      break;
+    case 'path':
+      tracePath(ctx, rect, shape);
+      break;
+    default:
+      traceRect(ctx, rect);
+      break;
+  }
+}
+
+/**
+ * Clip the image with the crop shape, the outside of the shape is transparent
+ * @param {HTMLCanvasElement} source - image to clip
+ * @param {Object} shape - crop shape made by makeCropShape
+ * @returns {HTMLCanvasElement} clipped image
+ * @private
+ */
+export function clipImageWithCropShape(source, shape) {
+  const { width, height } = source;
+  const canvasElement = fabric.util.createCanvasElement();
+  const ctx = canvasElement.getContext('2d');
+
+  canvasElement.width = width;
+  canvasElement.height = height;
+
+  ctx.beginPath();
+  traceCropShape(ctx, shape, { left: 0, top: 0, width, height });
+  ctx.clip();
+  ctx.drawImage(source, 0, 0);
+
+  return canvasElement;
+}
@@ -0,0 +1,231 @@
+import { fabric } from 'fabric';
+import extend from 'tui-code-snippet/object/extend';
+import ArrowLine from '@/extension/arrowLine';
+import ArrowPolyline from '@/extension/arrowPolyline';
+import ArrowCurve from '@/extension/arrowCurve';
+import { componentNames, fObjectOptions, SHAPE_FILL_TYPE } from '@/consts';
+import { isShape, getFillTypeFromObject } from '@/util';
+import { makeSelectionUndoData } from '@/helper/selectionModifyHelper';
+import { makeGradientOrPatternFillOption } from '@/helper/gradientPatternFillHelper';
+
+/**
+ * Version of the serialized editor state
+ * @type {number}
+ */
+export const DOCUMENT_STATE_VERSION = 1;
+
+/**
+ * Keys which are not the properties of an object to restore,
+ * they are created by fabric.js serialization or restored by the editor
+ * @type {Array.<string>}
+ */
+const OMITTED_OBJECT_KEYS = ['type', 'version', 'locked'];
+
+/**
+ * Make a data url of the original(not filtered) element of an image
+ * @param {fabric.Image} fabricImage - fabric image
+ * @returns {string} data url
+ * @private
+ */
+export function makeImageDataURL(fabricImage) {
+  const element = fabricImage._originalElement || fabricImage.getElement();
+  const canvas = fabric.util.createCanvasElement();
+
+  canvas.width = element.naturalWidth || element.width;
+  canvas.height = element.naturalHeight || element.height;
+  canvas.getContext('2d').drawImage(element, 0, 0);
+
+  return canvas.toDataURL();
+}
+
+/**
+ * Make a path string from the path commands of fabric.Path
+ * @param {Array.<Array>} pathCommands - path commands (ex: [['M', 0, 0], ['L', 10, 10]])
+ * @returns {string} path string (ex: 'M 0 0 L 10 10')
+ * @private
+ */
+function makePathString(pathCommands) {
+  return pathCommands.map((pathCommand) => pathCommand.join(' ')).join(' ');
+}
+
+/**
+ * Make the state of the head & tail types of a line object
+ * @param {fabric.Object} obj - line object
+ * @returns {{arrowType: ?Object}}
+ * @private
+ */
+function makeArrowTypeState(obj) {
+  return { arrowType: obj.arrowType ? extend({}, obj.arrowType) : null };
+}
+
+/**
+ * Makers of the state which fabric.js serialization does not cover, by object type
+ * @type {Object.<string, Function>}
+ */
+const customStateMakers = {
+  icon: (obj) => ({ path: makePathString(obj.path) }),
+  line: makeArrowTypeState,
+  arrowPolyline: makeArrowTypeState,
+  arrowCurve: makeArrowTypeState,
+  image: (obj) => ({ src: makeImageDataURL(obj) }),
+  group: (obj, graphics) => ({
+    objects: obj.getObjects().map((childObj) => makeObjectState(graphics, childObj)),
+  }),
+};
+
+/**
+ * Make the fill option of an object which is not kept by fabric.js serialization
+ * @param {Graphics} graphics - Graphics instance
+ * @param {fabric.Object} obj - fabric object
+ * @returns {?ShapeFillOption} fill option, null when the fill is the color
+ * @private
+ */
+function makeFillState(graphics, obj) {
+  if (!isShape(obj)) {
+    return makeGradientOrPatternFillOption(obj.fill);
+  }
+  if (getFillTypeFromObject(obj) === SHAPE_FILL_TYPE.COLOR) {
+    return null;
+  }
+
+  return graphics.getComponent(componentNames.SHAPE).makeFillPropertyForUserEvent(obj);
+}
+
+/**
+ * Make the serializable state of an object
+ * @param {Graphics} graphics - Graphics instance
+ * @param {fabric.Object} obj - fabric object
+ * @returns {Object} object state
+ * @private
+ */
+export function makeObjectState(graphics, obj) {
+  const state = obj.toObject();
+  const makeCustomState = customStateMakers[obj.type];
+  const fillState = makeFillState(graphics, obj);
+
+  if (fillState) {
+    state.fill = fillState;
+  }
+
+  if (makeCustomState) {
+    extend(state, makeCustomState(obj, graphics));
+  }
+  if (graphics.isLockedObject(obj)) {
+    state.locked = true;
+  }
+
+  return state;
+}
+
+/**
+ * Make the serializable states of an object or the objects in an active selection
+ * @param {Graphics} graphics - Graphics instance
+ * @param {fabric.Object} target - fabric object or active selection
+ * @returns {Array.<Object>} object states with the positions on the canvas
+ * @private
+ */
+export function makeSelectionObjectStates(graphics, target) {
+  return makeSelectionUndoData(target, (obj) => makeObjectState(graphics, obj));
+}
+
+/**
+ * Make the serializable states of the filter stack of the canvas image
+ * @param {Graphics} graphics - Graphics instance
+ * @returns {Array.<Object>} filter states
+ * @private
+ */
+function makeFilterStates(graphics) {
+  return graphics.getFilterStack().map(({ type, options, visible }) => {
+    if (options.mask) {
+      options.mask = makeObjectState(graphics, options.mask);
+    }
+
+    return { type, options, visible };
+  });
+}
+
+/**
+ * Make the serializable state of the whole document
+ * @param {Graphics} graphics - Graphics instance
+ * @returns {Object} document state
+ * @private
+ */
+export function makeDocumentState(graphics) {
+  const canvasImage = graphics.getCanvasImage();
+  const objects = graphics
+    .getObjects()
+    .filter((obj) => obj.type !== 'cropzone')
+    .map((obj) => makeObjectState(graphics, obj));
+  let image = null;
+
+  if (canvasImage) {
+    const { width, height, scaleX, scaleY, flipX, flipY, angle } = canvasImage;
+
+    image = {
+      src: makeImageDataURL(canvasImage),
+      width: width * scaleX,
+      height: height * scaleY,
+      flipX,
+      flipY,
+      angle,
+      filters: makeFilterStates(graphics),
+    };
+  }
+
+  return {
+    version: DOCUMENT_STATE_VERSION,
+    imageName: graphics.getImageName(),
+    image,
+    objects,
+  };
+}
+
+/**
+ * Make the properties to restore an object from its state
+ * @param {Object} state - object state
+ * @param {Array.<string>} [omittedKeys] - keys which are restored in other ways
+ * @returns {Object} properties
+ * @private
+ */
+export function makeObjectPropertiesFromState(state, omittedKeys = []) {
+  const props = extend({}, state);
+
+  OMITTED_OBJECT_KEYS.concat(omittedKeys).forEach((key) => {
+    delete props[key];
+  });
+
+  return props;
+}
+
+/**
+ * Classes of the line objects created from their points, by object type
+ * @type {Object.<string, Function>}
+ */
+const pointsLineClasses = {
+  arrowPolyline: ArrowPolyline,
+  arrowCurve: ArrowCurve,
+};
+
+/**
+ * Create a fabric object from its state
+ * @param {Object} state - object state
+ * @returns {Promise<fabric.Object>}
+ * @private
+ */
+export function enlivenObjectState(state) {
+  return new Promise((resolve) => {
+    const PointsLine = pointsLineClasses[state.type];
+
+    if (state.type === 'line') {
+      const { x1, y1, x2, y2 } = state;
+
+      resolve(new ArrowLine([x1, y1, x2, y2], makeObjectPropertiesFromState(state)));
+    } else if (PointsLine) {
+      resolve(new PointsLine(state.points, makeObjectPropertiesFromState(state, ['points'])));
+    } else {
+      const props = extend(makeObjectPropertiesFromState(state), { type: state.type });
+
+      fabric.util.enlivenObjects([props], ([obj]) => resolve(obj));
+    }
+  }).then((obj) => obj.set(fObjectOptions.SELECTION_STYLE));
+}
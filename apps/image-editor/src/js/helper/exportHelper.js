@@ -0,0 +1,76 @@
+import { fabric } from 'fabric';
+import { base64ToBlob } from '@/util';
+import { rejectMessages } from '@/consts';
+
+/**
+ * Mime types of the export formats
+ * @type {Object.<string, string>}
+ */
+export const exportMimeTypes = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+
+/**
+ * Make a blob of the canvas element
+ * @param {HTMLCanvasElement} canvasElement - canvas element
+ * @param {string} type - mime type
+ * @param {number} quality - quality level (0..1) of jpeg and webp
+ * @returns {Promise<Blob, ErrorMsg>}
+ * @private
+ */
+export function makeBlobFromCanvasElement(canvasElement, type, quality) {
+  if (!canvasElement.toBlob) {
+    return Promise.resolve(base64ToBlob(canvasElement.toDataURL(type, quality)));
+  }
+
+  // The blob is null when the canvas can not be exported (ex: too large canvas)
+  return new Promise((resolve, reject) => {
+    canvasElement.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(rejectMessages.exportingImageFailed)),
+      type,
+      quality
+    );
+  });
+}
+
+/**
+ * Make a svg blob of the fabric canvas
+ * @param {fabric.Canvas} canvas - fabric canvas
+ * @param {{left: number, top: number, width: number, height: number}} [region] - region to export
+ * @param {number} multiplier - multiplier to scale by
+ * @returns {Blob}
+ * @private
+ */
+export function makeSVGBlob(canvas, region, multiplier) {
+  const { left = 0, top = 0, width = canvas.width, height = canvas.height } = region || {};
+  const svg = canvas.toSVG({
+    width: width * multiplier,
+    height: height * multiplier,
+    viewBox: { x: left, y: top, width, height },
+  });
+
+  return new Blob([svg], { type: exportMimeTypes.svg });
+}
+
+/**
+ * Resample the canvas element to the size
+ * @param {HTMLCanvasElement} source - canvas element to resample
+ * @param {{width: number, height: number}} size - size of the resampled canvas element
+ * @returns {HTMLCanvasElement} resampled canvas element
+ * @private
+ */
+export function resampleCanvasElement(source, { width, height }) {
+  const canvasElement = fabric.util.createCanvasElement();
+  const ctx = canvasElement.getContext('2d');
+
+  canvasElement.width = width;
+  canvasElement.height = height;
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(source, 0, 0, source.width, source.height, 0, 0, width, height);
+
+  return canvasElement;
+}
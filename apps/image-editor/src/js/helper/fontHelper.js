@@ -0,0 +1,53 @@
+/**
+ * Promises of the fonts which are loaded or being loaded, by the family and the url
+ * @type {Object.<string, Promise>}
+ */
+const fontLoadings = {};
+
+/**
+ * Size of the font which is used to load the font declared in the stylesheet
+ * @type {string}
+ */
+const FONT_LOAD_SIZE = '16px';
+
+/**
+ * Load the font through the FontFace API, the font declared in the stylesheet is loaded without the url
+ * @param {string} family - font family
+ * @param {string} [url] - url of the font file
+ * @returns {Promise}
+ * @private
+ */
+function requestFont(family, url) {
+  const { fonts } = document;
+
+  if (!fonts) {
+    return Promise.resolve();
+  }
+  if (url && typeof FontFace !== 'undefined') {
+    return new FontFace(family, `url(${url})`).load().then((fontFace) => {
+      fonts.add(fontFace);
+    });
+  }
+
+  return fonts.load(`${FONT_LOAD_SIZE} "${family}"`);
+}
+
+/**
+ * Load the web font once, the font which failed to load is requested again on the next call
+ * @param {{family: string, url: ?string}} font - font family and the url of the font file
+ * @returns {Promise} resolved when the font is loaded
+ * @private
+ */
+export function loadWebFont({ family, url }) {
+  const key = `${family}|${url || ''}`;
+
+  if (!fontLoadings[key]) {
+    fontLoadings[key] = requestFont(family, url)['catch']((error) => {
+      delete fontLoadings[key];
+
+      return Promise.reject(error);
+    });
+  }
+
+  return fontLoadings[key];
+}
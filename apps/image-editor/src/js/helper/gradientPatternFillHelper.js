@@ -0,0 +1,163 @@
+import { fabric } from 'fabric';
+import extend from 'tui-code-snippet/object/extend';
+import isString from 'tui-code-snippet/type/isString';
+import { getFillTypeFromOption, includes } from '@/util';
+import { rejectMessages, SHAPE_FILL_TYPE } from '@/consts';
+
+const RADIAN_CONVERSION_VALUE = 180;
+const FULL_ANGLE = 360;
+const DEFAULT_GRADIENT_TYPE = 'linear';
+const DEFAULT_PATTERN_REPEAT = 'repeat';
+
+/**
+ * Coordinates of the radial gradient in the object, from the center to the edge
+ * @type {Object}
+ */
+const RADIAL_GRADIENT_COORDS = {
+  x1: 0.5,
+  y1: 0.5,
+  r1: 0,
+  x2: 0.5,
+  y2: 0.5,
+  r2: 0.5,
+};
+
+/**
+ * Make the coordinates of the linear gradient which passes through the center of the object
+ * @param {number} angle - angle of the gradient direction in degrees, 0 is from the left to the right
+ * @returns {{x1: number, y1: number, x2: number, y2: number}} coordinates in the ratio of the object size
+ * @private
+ */
+function makeLinearGradientCoords(angle) {
+  const radian = (angle * Math.PI) / RADIAN_CONVERSION_VALUE;
+  const dx = Math.cos(radian) / 2;
+  const dy = Math.sin(radian) / 2;
+
+  return {
+    x1: 0.5 - dx,
+    y1: 0.5 - dy,
+    x2: 0.5 + dx,
+    y2: 0.5 + dy,
+  };
+}
+
+/**
+ * Get the angle of the linear gradient from its coordinates
+ * @param {fabric.Gradient} gradient - linear gradient
+ * @returns {number} angle in degrees (0 ~ 359)
+ * @private
+ */
+function getLinearGradientAngle({ coords: { x1, y1, x2, y2 } }) {
+  const angle = Math.round((Math.atan2(y2 - y1, x2 - x1) * RADIAN_CONVERSION_VALUE) / Math.PI);
+
+  return (angle + FULL_ANGLE) % FULL_ANGLE;
+}
+
+/**
+ * Whether the fill is the pattern of an image or not
+ * @param {*} fill - fill of the object
+ * @returns {boolean}
+ * @private
+ */
+function isImagePattern(fill) {
+  return !!(fill && fill.source && isString(fill.source.src));
+}
+
+/**
+ * Make the gradient which is sized to the object
+ * @param {Object} gradientOption - gradient option
+ *   @param {string} [gradientOption.type] - 'linear' or 'radial'
+ *   @param {number} [gradientOption.angle] - angle of the linear gradient in degrees
+ *   @param {Array.<{offset: number, color: string}>} gradientOption.colorStops - color stops (offset: 0 ~ 1)
+ * @returns {fabric.Gradient}
+ */
+export function makeGradient({ type = DEFAULT_GRADIENT_TYPE, angle = 0, colorStops }) {
+  return new fabric.Gradient({
+    type,
+    gradientUnits: 'percentage',
+    coords:
+      type === 'radial' ? extend({}, RADIAL_GRADIENT_COORDS) : makeLinearGradientCoords(angle),
+    colorStops: colorStops.map(({ offset, color }) => ({ offset, color })),
+  });
+}
+
+/**
+ * Load the image and make the pattern of it
+ * @param {Object} patternOption - pattern option
+ *   @param {string} patternOption.source - url of the image
+ *   @param {string} [patternOption.repeat] - 'repeat', 'repeat-x', 'repeat-y' or 'no-repeat'
+ * @returns {Promise<fabric.Pattern, ErrorMsg>}
+ */
+export function loadPattern({ source, repeat = DEFAULT_PATTERN_REPEAT }) {
+  return new Promise((resolve, reject) => {
+    fabric.util.loadImage(
+      source,
+      (image, isError) => {
+        if (isError || !image) {
+          reject(rejectMessages.loadingImageFailed);
+        } else {
+          resolve(new fabric.Pattern({ source: image, repeat }));
+        }
+      },
+      null,
+      'anonymous'
+    );
+  });
+}
+
+/**
+ * Whether the fill option is the gradient or the pattern type or not
+ * @param {(ShapeFillOption | string)} fillOption - fill option
+ * @returns {boolean}
+ */
+export function isGradientOrPatternFillOption(fillOption) {
+  const fillType = getFillTypeFromOption(fillOption);
+
+  // fabric.Pattern also has the 'pattern' type, the fill option has the option of its type
+  return (
+    includes([SHAPE_FILL_TYPE.GRADIENT, SHAPE_FILL_TYPE.PATTERN], fillType) &&
+    !!fillOption[fillType]
+  );
+}
+
+/**
+ * Make the fabric fill from the gradient or the pattern type fill option
+ * @param {ShapeFillOption} fillOption - gradient or pattern type fill option
+ * @returns {Promise<(fabric.Gradient | fabric.Pattern), ErrorMsg>}
+ */
+export function makeGradientOrPatternFill(fillOption) {
+  if (getFillTypeFromOption(fillOption) === SHAPE_FILL_TYPE.GRADIENT) {
+    return Promise.resolve(makeGradient(fillOption.gradient));
+  }
+
+  return loadPattern(fillOption.pattern);
+}
+
+/**
+ * Make the fill option from the gradient or the image pattern of the object
+ * @param {*} fill - fill of the object
+ * @returns {?ShapeFillOption} fill option, null when the fill is not the gradient or the image pattern
+ */
+export function makeGradientOrPatternFillOption(fill) {
+  if (fill && fill.colorStops) {
+    return {
+      type: SHAPE_FILL_TYPE.GRADIENT,
+      gradient: {
+        type: fill.type,
+        angle: fill.type === 'radial' ? 0 : getLinearGradientAngle(fill),
+        colorStops: fill.colorStops.map(({ offset, color }) => ({ offset, color })),
+      },
+    };
+  }
+  if (isImagePattern(fill)) {
+    return {
+      type: SHAPE_FILL_TYPE.PATTERN,
+      pattern: {
+        source: fill.source.src,
+        repeat: fill.repeat,
+      },
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,233 @@
+import { fabric } from 'fabric';
+
+/**
+ * Normalized sinc function
+ * @param {number} x - value
+ * @returns {number}
+ * @private
+ */
+function sinc(x) {
+  if (x === 0) {
+    return 1;
+  }
+
+  x *= Math.PI;
+
+  return Math.sin(x) / x;
+}
+
+/**
+ * Convolution kernels of the pixel resampling algorithms
+ * @type {Object.<string, {support: number, kernel: Function}>}
+ * @private
+ */
+const kernels = {
+  lanczos: {
+    support: 3,
+    kernel: (x) => (Math.abs(x) < 3 ? sinc(x) * sinc(x / 3) : 0),
+  },
+  bicubic: {
+    support: 2,
+    kernel: (x) => {
+      // Catmull-Rom spline (a = -0.5)
+      x = Math.abs(x);
+      if (x < 1) {
+        return 1.5 * x * x * x - 2.5 * x * x + 1;
+      }
+
+      return x < 2 ? -0.5 * x * x * x + 2.5 * x * x - 4 * x + 2 : 0;
+    },
+  },
+};
+
+/**
+ * Create a canvas element of the size
+ * @param {number} width - width of the canvas element
+ * @param {number} height - height of the canvas element
+ * @returns {HTMLCanvasElement}
+ * @private
+ */
+function createCanvasElement(width, height) {
+  const canvasElement = fabric.util.createCanvasElement();
+
+  canvasElement.width = width;
+  canvasElement.height = height;
+
+  return canvasElement;
+}
+
+/**
+ * Draw the whole image to a new canvas element
+ * @param {HTMLImageElement|HTMLCanvasElement} source - image to draw
+ * @param {number} width - width of the canvas element
+ * @param {number} height - height of the canvas element
+ * @param {boolean} [smoothing] - whether the image is drawn with the bilinear smoothing
+ * @returns {HTMLCanvasElement}
+ * @private
+ */
+function drawToCanvasElement(source, width, height, smoothing = false) {
+  const canvasElement = createCanvasElement(width, height);
+  const ctx = canvasElement.getContext('2d');
+
+  ctx.imageSmoothingEnabled = smoothing;
+  ctx.drawImage(source, 0, 0, width, height);
+
+  return canvasElement;
+}
+
+/**
+ * Make the normalized kernel weights of each destination pixel on an axis
+ * @param {number} srcLength - length of the source
+ * @param {number} dstLength - length of the destination
+ * @param {{support: number, kernel: Function}} filter - convolution kernel
+ * @returns {Array.<{start: number, values: Array.<number>}>}
+ * @private
+ */
+function makeWeights(srcLength, dstLength, { support, kernel }) {
+  const scale = dstLength / srcLength;
+  const filterScale = Math.max(1 / scale, 1);
+  const radius = support * filterScale;
+  const weights = [];
+
+  for (let i = 0; i < dstLength; i += 1) {
+    const center = (i + 0.5) / scale;
+    const start = Math.max(Math.floor(center - radius), 0);
+    const end = Math.min(Math.ceil(center + radius), srcLength);
+    const values = [];
+    let sum = 0;
+
+    for (let j = start; j < end; j += 1) {
+      const value = kernel((j + 0.5 - center) / filterScale);
+
+      values.push(value);
+      sum += value;
+    }
+
+    weights.push({ start, values: values.map((value) => value / sum) });
+  }
+
+  return weights;
+}
+
+/**
+ * Resample the rows of rgba pixels and transpose the result,
+ * so resampling twice resamples both axes
+ * @param {ArrayLike<number>} data - rgba pixels
+ * @param {number} width - width of the pixels
+ * @param {number} height - height of the pixels
+ * @param {number} dstWidth - width to resample the rows to
+ * @param {{support: number, kernel: Function}} filter - convolution kernel
+ * @returns {Float32Array} transposed pixels of which the width is height and the height is dstWidth
+ * @private
+ */
+function resampleRowsTransposed(data, width, height, dstWidth, filter) {
+  const weights = makeWeights(width, dstWidth, filter);
+  const result = new Float32Array(dstWidth * height * 4);
+
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < dstWidth; x += 1) {
+      const { start, values } = weights[x];
+      const dst = (x * height + y) * 4;
+
+      for (let i = 0; i < values.length; i += 1) {
+        const src = (y * width + start + i) * 4;
+        const weight = values[i];
+
+        result[dst] += data[src] * weight;
+        result[dst + 1] += data[src + 1] * weight;
+        result[dst + 2] += data[src + 2] * weight;
+        result[dst + 3] += data[src + 3] * weight;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Multiply or divide the colors by the alpha,
+ * the colors of transparent pixels should not bleed into the neighbors
+ * @param {ArrayLike<number>} data - rgba pixels to change
+ * @param {boolean} premultiply - whether the colors are multiplied or divided
+ * @private
+ */
+function premultiplyAlpha(data, premultiply) {
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3] / 255;
+    const ratio = premultiply ? alpha : 1 / (alpha || 1);
+
+    data[i] *= ratio;
+    data[i + 1] *= ratio;
+    data[i + 2] *= ratio;
+  }
+}
+
+/**
+ * Resample the image with the separable convolution kernel
+ * @param {HTMLImageElement|HTMLCanvasElement} source - image to resample
+ * @param {{width: number, height: number}} size - resampled size
+ * @param {{support: number, kernel: Function}} filter - convolution kernel
+ * @returns {HTMLCanvasElement}
+ * @private
+ */
+function resampleWithKernel(source, { width, height }, filter) {
+  const { width: srcWidth, height: srcHeight } = source;
+  const sourceCanvas = drawToCanvasElement(source, srcWidth, srcHeight);
+  const sourceData = Float32Array.from(
+    sourceCanvas.getContext('2d').getImageData(0, 0, srcWidth, srcHeight).data
+  );
+
+  premultiplyAlpha(sourceData, true);
+  const rows = resampleRowsTransposed(sourceData, srcWidth, srcHeight, width, filter);
+  const pixels = resampleRowsTransposed(rows, srcHeight, width, height, filter);
+  premultiplyAlpha(pixels, false);
+
+  const canvasElement = createCanvasElement(width, height);
+  const ctx = canvasElement.getContext('2d');
+  const imageData = ctx.createImageData(width, height);
+
+  // Uint8ClampedArray clamps and rounds the overshoot of the kernels
+  imageData.data.set(pixels);
+  ctx.putImageData(imageData, 0, 0);
+
+  return canvasElement;
+}
+
+/**
+ * Resample the image by halving the size with the bilinear smoothing until the size is reached,
+ * a single bilinear step aliases when the image is downscaled below half
+ * @param {HTMLImageElement|HTMLCanvasElement} source - image to resample
+ * @param {{width: number, height: number}} size - resampled size
+ * @returns {HTMLCanvasElement}
+ * @private
+ */
+function resampleWithStepDown(source, { width, height }) {
+  let current = source;
+
+  while (current.width / 2 >= width && current.height / 2 >= height) {
+    current = drawToCanvasElement(
+      current,
+      Math.floor(current.width / 2),
+      Math.floor(current.height / 2),
+      true
+    );
+  }
+
+  return drawToCanvasElement(current, width, height, true);
+}
+
+/**
+ * Resample the pixels of the image to the size
+ * @param {HTMLImageElement|HTMLCanvasElement} source - image to resample
+ * @param {{width: number, height: number}} size - resampled size
+ * @param {string} [algorithm='lanczos'] - 'lanczos', 'bicubic' or 'stepDown'
+ * @returns {HTMLCanvasElement} resampled canvas element
+ * @private
+ */
+export function resampleImage(source, size, algorithm = 'lanczos') {
+  if (algorithm === 'stepDown') {
+    return resampleWithStepDown(source, size);
+  }
+
+  return resampleWithKernel(source, size, kernels[algorithm]);
+}
@@ -62,6 +62,23 @@ export function makeSelectionUndoData(obj, undoDatumMaker) {
   return undoData;
 }
 
+/**
+ * Make the snapshot of the properties changed by the custom handles of the object,
+ * they are copied because the handles can change them in place while dragging
+ * @param {fabric.Object} obj - selection object
+ * @returns {Object} copied properties
+ * @private
+ */
+function makeHandlePropertiesSnapshot(obj) {
+  const snapshot = {};
+
+  (obj.handleProperties || []).forEach((key) => {
+    snapshot[key] = fabric.util.object.clone(obj[key], true);
+  });
+
+  return snapshot;
+}
+
 /**
  * Make undo datum
  * @param {number} id - object id
@@ -71,7 +88,7 @@ export function makeSelectionUndoData(obj, undoDatumMaker) {
  * @private
  */
 export function makeSelectionUndoDatum(id, obj, isSelection) {
-  return isSelection
+  const undoDatum = isSelection
     ? {
         id,
         width: obj.width,
@@ -83,4 +100,6 @@ export function makeSelectionUndoDatum(id, obj, isSelection) {
         scaleY: obj.scaleY,
       }
     : extend({ id }, obj);
+
+  return extend(undoDatum, makeHandlePropertiesSnapshot(obj));
 }
@@ -2,21 +2,30 @@ const DIVISOR = {
   rect: 1,
   circle: 2,
   triangle: 1,
+  regularPolygon: 1,
+  star: 1,
+  blockArrow: 1,
+  speechBubble: 1,
+  cappedLine: 1,
+};
+const BOX_DIMENSION_KEYS = {
+  w: 'width',
+  h: 'height',
 };
 const DIMENSION_KEYS = {
-  rect: {
-    w: 'width',
-    h: 'height',
-  },
+  rect: BOX_DIMENSION_KEYS,
   circle: {
     w: 'rx',
     h: 'ry',
   },
-  triangle: {
-    w: 'width',
-    h: 'height',
-  },
+  triangle: BOX_DIMENSION_KEYS,
+  regularPolygon: BOX_DIMENSION_KEYS,
+  star: BOX_DIMENSION_KEYS,
+  blockArrow: BOX_DIMENSION_KEYS,
+  speechBubble: BOX_DIMENSION_KEYS,
+  cappedLine: BOX_DIMENSION_KEYS,
 };
+const FLIPPED_TYPES = ['cappedLine'];
 
 /**
  * Set the start point value to the shape object
@@ -104,6 +113,25 @@ function adjustOriginByMovingPointer(pointer, shape) {
   shape.setCoords();
 }
 
+/**
+ * Flip the shape going from the start point to the moving pointer, like the line
+ * @param {{x: number, y: number}} pointer - Pointer value
+ * @param {fabric.Object} shape - Shape object
+ * @ignore
+ */
+function adjustFlipByMovingPointer(pointer, shape) {
+  if (FLIPPED_TYPES.indexOf(shape.type) < 0) {
+    return;
+  }
+
+  const { originX, originY } = getPositionsOfRotatedOrigin(shape.startPoint, pointer, -shape.angle);
+
+  shape.set({
+    flipX: originX === 'right',
+    flipY: originY === 'bottom',
+  });
+}
+
 /**
  * Adjust the dimension of shape on firing scaling event
  * @param {fabric.Object} shape - Shape object
@@ -207,6 +235,7 @@ module.exports = {
       adjustDimensionOnScaling(shape, pointer);
     } else {
       adjustDimensionOnMouseMove(pointer, shape);
+      adjustFlipByMovingPointer(pointer, shape);
     }
 
     adjustOriginByMovingPointer(pointer, shape);
@@ -1,6 +1,7 @@
 import { fabric } from 'fabric';
 import extend from 'tui-code-snippet/object/extend';
 import isUndefined from 'tui-code-snippet/type/isUndefined';
+import isString from 'tui-code-snippet/type/isString';
 import forEach from 'tui-code-snippet/collection/forEach';
 import CustomEvents from 'tui-code-snippet/customEvents/customEvents';
 import Invoker from '@/invoker';
@@ -8,14 +9,39 @@ import UI from '@/ui';
 import action from '@/action';
 import commandFactory from '@/factory/command';
 import Graphics from '@/graphics';
+import Shortcuts, { isEditingEvent } from '@/shortcuts';
 import { makeSelectionUndoData, makeSelectionUndoDatum } from '@/helper/selectionModifyHelper';
-import { sendHostName, getObjectType } from '@/util';
+import {
+  makeDocumentState,
+  makeObjectPropertiesFromState,
+  makeSelectionObjectStates,
+  enlivenObjectState,
+} from '@/helper/documentStateHelper';
+import {
+  makeClipboardText,
+  parseClipboardText,
+  readDataTransfer,
+  readClipboard,
+  writeClipboard,
+  makePNGBlob,
+  readBlobAsDataURL,
+} from '@/helper/clipboardHelper';
+import { exportMimeTypes } from '@/helper/exportHelper';
+import {
+  isGradientOrPatternFillOption,
+  makeGradientOrPatternFill,
+} from '@/helper/gradientPatternFillHelper';
+import { sendHostName, getObjectType, includes, toStartOfCapital } from '@/util';
 import {
   eventNames as events,
   commandNames as commands,
-  keyCodes,
+  defaultShortcuts,
+  defaultUIShortcuts,
+  defaultMenuShortcuts,
+  shortcutDescriptions,
   rejectMessages,
   OBJ_TYPE,
+  SHAPE_TYPE,
 } from '@/consts';
 
 const {
@@ -30,13 +56,18 @@ const {
   ADD_OBJECT,
   TEXT_EDITING,
   TEXT_CHANGED,
+  TEXT_SELECTION_CHANGED,
   ICON_CREATE_RESIZE,
   ICON_CREATE_END,
   SELECTION_CLEARED,
   SELECTION_CREATED,
   ADD_OBJECT_AFTER,
+  CROPZONE_CHANGED,
+  ERASER_PATH_CREATED,
 } = events;
 
+const NUDGE_LARGE_DISTANCE = 10;
+
 /**
  * Image filter result
  * @typedef {object} FilterResult
@@ -44,6 +75,15 @@ const {
  * @property {string} action - action type like 'add', 'remove'
  */
 
+/**
+ * Item of the filter stack
+ * @typedef {object} FilterStackItem
+ * @property {number} id - filter id
+ * @property {string} type - filter type like 'grayscale', 'blur' and so on
+ * @property {object} options - filter options
+ * @property {boolean} visible - whether the filter is applied or hidden
+ */
+
 /**
  * Flip status
  * @typedef {object} FlipStatus
@@ -98,11 +138,45 @@ const {
 /**
  * Shape filter option
  * @typedef {object} ShapeFillOption - fill option of shape
- * @property {string} type - fill type ('color' or 'filter')
+ * @property {string} type - fill type ('color', 'filter', 'gradient' or 'pattern')
  * @property {Array.<ShapeFillFilterOption>} [filter] - {@link ShapeFilterOption} List.
  *  only applies to filter types
  *  (ex: \[\{pixelate: 20\}, \{blur: 0.3\}\])
  * @property {string} [color] - Shape foreground color (ex: '#fff', 'transparent')
+ * @property {GradientFillOption} [gradient] - gradient option, only applies to gradient types
+ * @property {PatternFillOption} [pattern] - pattern option, only applies to pattern types
+ */
+
+/**
+ * Gradient fill option
+ * @typedef {object} GradientFillOption
+ * @property {string} [type] - gradient type ('linear' or 'radial', default 'linear')
+ * @property {number} [angle] - direction of the linear gradient in degrees, 0 is from the left to the right
+ * @property {Array.<{offset: number, color: string}>} colorStops - color stops, offset is 0 ~ 1
+ *  (ex: \[\{offset: 0, color: '#ff0000'\}, \{offset: 1, color: '#0000ff'\}\])
+ */
+
+/**
+ * Pattern fill option
+ * @typedef {object} PatternFillOption
+ * @property {string} source - url of the pattern image
+ * @property {string} [repeat] - 'repeat', 'repeat-x', 'repeat-y' or 'no-repeat' (default 'repeat')
+ */
+
+/**
+ * Serializable editor state
+ * @typedef {object} DocumentState
+ * @property {number} version - version of the state format
+ * @property {string} imageName - image name
+ * @property {object} image - background image state
+ *  @property {string} image.src - data url of the original image
+ *  @property {number} image.width - resized width
+ *  @property {number} image.height - resized height
+ *  @property {boolean} image.flipX - x axis flip
+ *  @property {boolean} image.flipY - y axis flip
+ *  @property {number} image.angle - angle
+ *  @property {Array.<{type: string, options: object, visible: boolean}>} image.filters - filter stack in applying order
+ * @property {Array.<object>} objects - serialized objects in stacking order
  */
 
 /**
@@ -121,6 +195,11 @@ const {
  *      @param {string} options.includeUI.uiSize.width - width of ui
  *      @param {string} options.includeUI.uiSize.height - height of ui
  *    @param {string} [options.includeUI.menuBarPosition=bottom] - Menu bar position('top', 'bottom', 'left', 'right')
+ *    @param {Object} [options.includeUI.crop] - Crop menu options
+ *      @param {Array.<Object>} [options.includeUI.crop.presets] - Preset buttons like {label: '1.91:1', ratio: 1.91} or {label: 'Card', width: 1200, height: 630} which crops to the fixed size. The preset without the ratio and the size is free.
+ *      @param {Object} [options.includeUI.crop.sizeLimits] - min and max size of the cropzone, see {@link ImageEditor#setCropSizeLimits}
+ *    @param {Object} [options.includeUI.text] - Text menu options
+ *      @param {Array.<Object>} [options.includeUI.text.fonts] - Fonts of the font picker like {family: 'Lobster', url: '/fonts/lobster.woff2', label: 'Lobster'}. The font is loaded by {@link ImageEditor#loadFont} when it is picked, the font without the url should be declared in the stylesheet or installed.
  *  @param {number} options.cssMaxWidth - Canvas css-max-width
  *  @param {number} options.cssMaxHeight - Canvas css-max-height
  *  @param {Object} [options.selectionStyle] - selection style
@@ -132,6 +211,14 @@ const {
  *  @param {number} [options.selectionStyle.lineWidth] - selection line width
  *  @param {string} [options.selectionStyle.borderColor] - selection border color
  *  @param {number} [options.selectionStyle.rotatingPointOffset] - selection rotating point length
+ *  @param {boolean|Object} [options.snapping=false] - snap the objects while moving and scaling, true uses the default options
+ *  @param {number} [options.snapping.grid=0] - grid size, 0 does not snap to the grid
+ *  @param {boolean} [options.snapping.objects=true] - whether to snap to the edges and centers of other objects
+ *  @param {boolean} [options.snapping.canvas=true] - whether to snap to the edges and center of the canvas
+ *  @param {number} [options.snapping.threshold=5] - distance in screen pixels to snap
+ *  @param {boolean} [options.shortcuts=true] - Register the default keyboard shortcuts. See {@link ImageEditor#shortcuts}
+ *  @param {boolean} [options.menuShortcuts=false] - Register the single letter shortcuts changing the menu of the ui
+ *    (c: crop, f: flip, r: rotate, d: draw, s: shape, i: icon, t: text, m: mask)
  *  @param {Boolean} [options.usageStatistics=true] - Let us know the hostname. If you don't want to send the hostname, please set to false.
  * @example
  * var ImageEditor = require('tui-image-editor');
@@ -202,6 +289,21 @@ class ImageEditor {
       cssMaxHeight: options.cssMaxHeight,
     });
 
+    /**
+     * Clipboard text of the objects copied in this editor
+     * @type {string}
+     * @private
+     */
+    this._clipboardText = null;
+
+    /**
+     * Whether the editor has the keyboard focus.
+     * The editor gets it when it is clicked and loses it when the other part of the page is clicked.
+     * @type {boolean}
+     * @private
+     */
+    this._hasFocus = false;
+
     /**
      * Event handler list
      * @type {Object}
@@ -209,6 +311,10 @@ class ImageEditor {
      */
     this._handlers = {
       keydown: this._onKeyDown.bind(this),
+      documentMouseDown: this._onDocumentMouseDown.bind(this),
+      copy: this._onCopy.bind(this),
+      cut: this._onCut.bind(this),
+      paste: this._onPaste.bind(this),
       mousedown: this._onMouseDown.bind(this),
       objectActivated: this._onObjectActivated.bind(this),
       objectMoved: this._onObjectMoved.bind(this),
@@ -221,10 +327,13 @@ class ImageEditor {
       addObject: this._onAddObject.bind(this),
       textEditing: this._onTextEditing.bind(this),
       textChanged: this._onTextChanged.bind(this),
+      textSelectionChanged: this._onTextSelectionChanged.bind(this),
       iconCreateResize: this._onIconCreateResize.bind(this),
       iconCreateEnd: this._onIconCreateEnd.bind(this),
       selectionCleared: this._selectionCleared.bind(this),
       selectionCreated: this._selectionCreated.bind(this),
+      cropzoneChanged: this._onCropzoneChanged.bind(this),
+      eraserPathCreated: this._onEraserPathCreated.bind(this),
     };
 
     this._attachInvokerEvents();
@@ -234,12 +343,15 @@ class ImageEditor {
       applyCropSelectionStyle: options.applyCropSelectionStyle,
       applyGroupSelectionStyle: options.applyGroupSelectionStyle,
     });
+    this._setSnapping(options.snapping);
+    this._setShortcuts(options.shortcuts, options.menuShortcuts);
 
     if (options.usageStatistics) {
       sendHostName();
     }
 
     if (this.ui) {
+      this.setCropSizeLimits(this.ui.options.crop.sizeLimits);
       this.ui.initCanvas();
       this.setReAction();
       this._attachColorPickerInputBoxEvents();
@@ -247,6 +359,17 @@ class ImageEditor {
     fabric.enableGLFiltering = false;
   }
 
+  /**
+   * Set snapping by init option
+   * @param {boolean|Object} snapping - snapping options, true uses the default options
+   * @private
+   */
+  _setSnapping(snapping) {
+    if (snapping) {
+      this.enableSnapping(snapping === true ? {} : snapping);
+    }
+  }
+
   _attachColorPickerInputBoxEvents() {
     this.ui.on(events.INPUT_BOX_EDITING_STARTED, () => {
       this.isColorPickerInputBoxEditing = true;
@@ -352,10 +475,13 @@ class ImageEditor {
       [ADD_OBJECT]: this._handlers.addObject,
       [TEXT_EDITING]: this._handlers.textEditing,
       [TEXT_CHANGED]: this._handlers.textChanged,
+      [TEXT_SELECTION_CHANGED]: this._handlers.textSelectionChanged,
       [ICON_CREATE_RESIZE]: this._handlers.iconCreateResize,
       [ICON_CREATE_END]: this._handlers.iconCreateEnd,
       [SELECTION_CLEARED]: this._handlers.selectionCleared,
       [SELECTION_CREATED]: this._handlers.selectionCreated,
+      [CROPZONE_CHANGED]: this._handlers.cropzoneChanged,
+      [ERASER_PATH_CREATED]: this._handlers.eraserPathCreated,
     });
   }
 
@@ -365,7 +491,12 @@ class ImageEditor {
    */
   _attachDomEvents() {
     // ImageEditor supports IE 9 higher
+    document.addEventListener('mousedown', this._handlers.documentMouseDown, true);
+    document.addEventListener('touchstart', this._handlers.documentMouseDown, true);
     document.addEventListener('keydown', this._handlers.keydown);
+    document.addEventListener('copy', this._handlers.copy);
+    document.addEventListener('cut', this._handlers.cut);
+    document.addEventListener('paste', this._handlers.paste);
   }
 
   /**
@@ -374,7 +505,12 @@ class ImageEditor {
    */
   _detachDomEvents() {
     // ImageEditor supports IE 9 higher
+    document.removeEventListener('mousedown', this._handlers.documentMouseDown, true);
+    document.removeEventListener('touchstart', this._handlers.documentMouseDown, true);
     document.removeEventListener('keydown', this._handlers.keydown);
+    document.removeEventListener('copy', this._handlers.copy);
+    document.removeEventListener('cut', this._handlers.cut);
+    document.removeEventListener('paste', this._handlers.paste);
   }
 
   /**
@@ -382,44 +518,441 @@ class ImageEditor {
    * @param {KeyboardEvent} e - Event object
    * @private
    */
-  /* eslint-disable complexity */
   _onKeyDown(e) {
-    const { ctrlKey, keyCode, metaKey } = e;
-    const isModifierKey = ctrlKey || metaKey;
-
-    if (isModifierKey) {
-      if (keyCode === keyCodes.C) {
-        this._graphics.resetTargetObjectForCopyPaste();
-      } else if (keyCode === keyCodes.V) {
-        this._graphics.pasteObject();
-        this.clearRedoStack();
-      } else if (keyCode === keyCodes.Z) {
-        // There is no error message on shortcut when it's empty
+    if (this._isEditorEvent(e)) {
+      this.shortcuts.handle(e);
+    }
+  }
+
+  /**
+   * Mousedown event handler of the document which moves the keyboard focus into or out of the editor
+   * @param {Event} e - Mouse or touch event
+   * @private
+   */
+  _onDocumentMouseDown(e) {
+    this._hasFocus = this._containsElement(e.target);
+  }
+
+  /**
+   * Get the root element of the editor
+   * @returns {HTMLElement}
+   * @private
+   */
+  _getRootElement() {
+    return this.ui ? this.ui.getRootElement() : this._graphics.getCanvas().wrapperEl;
+  }
+
+  /**
+   * Whether the element is in the editor
+   * @param {?Node} element - element
+   * @returns {boolean}
+   * @private
+   */
+  _containsElement(element) {
+    return !!element && this._getRootElement().contains(element);
+  }
+
+  /**
+   * Whether the keyboard or clipboard event is for the editor, which has the focus or contains the target
+   * @param {Event} e - Keyboard or clipboard event
+   * @returns {boolean}
+   * @private
+   */
+  _isEditorEvent(e) {
+    return this._hasFocus || this._containsElement(e.target);
+  }
+
+  /**
+   * Whether the clipboard event should be handled by the editor
+   * @param {ClipboardEvent} e - Event object
+   * @returns {boolean}
+   * @private
+   */
+  _isClipboardEventTarget(e) {
+    return (
+      this._isEditorEvent(e) &&
+      !isEditingEvent(e) &&
+      !String(window.getSelection ? window.getSelection() : '')
+    );
+  }
+
+  /**
+   * Copy event handler
+   * @param {ClipboardEvent} e - Event object
+   * @private
+   */
+  _onCopy(e) {
+    if (!this._isClipboardEventTarget(e) || !this._getClipboardTarget()) {
+      return;
+    }
+
+    e.preventDefault();
+    this.copyToClipboard(e.clipboardData)['catch'](() => {});
+  }
+
+  /**
+   * Cut event handler
+   * @param {ClipboardEvent} e - Event object
+   * @private
+   */
+  _onCut(e) {
+    if (!this._isClipboardEventTarget(e) || !this._getClipboardTarget(true)) {
+      return;
+    }
+
+    e.preventDefault();
+    this.cutToClipboard(e.clipboardData)['catch'](() => {});
+  }
+
+  /**
+   * Paste event handler
+   * @param {ClipboardEvent} e - Event object
+   * @private
+   */
+  _onPaste(e) {
+    if (!this._isClipboardEventTarget(e) || !e.clipboardData) {
+      return;
+    }
+
+    const contents = readDataTransfer(e.clipboardData);
+
+    if (!this._canPasteClipboardContents(contents)) {
+      return;
+    }
+
+    e.preventDefault();
+    this._pasteClipboardContents(contents)['catch'](() => {});
+  }
+
+  /**
+   * Make the built-in actions of the keyboard shortcuts.
+   * An action returns false when the default action of the event should not be prevented.
+   * @returns {Object.<string, Function>} actions
+   * @private
+   */
+  _makeShortcutActions() {
+    const graphics = this._graphics;
+    const nudgeDirections = { Left: [-1, 0], Right: [1, 0], Up: [0, -1], Down: [0, 1] };
+    const actions = {
+      // The clipboard events fired by the browser do copy, cut and paste
+      copy: () => false,
+      cut: () => false,
+      paste: () => false,
+      // There is no error message on shortcut when it's empty
+      undo: () => {
         this.undo()['catch'](() => {});
-      } else if (keyCode === keyCodes.Y) {
-        // There is no error message on shortcut when it's empty
+      },
+      redo: () => {
         this.redo()['catch'](() => {});
-      }
+      },
+      remove: () => {
+        if (this.isColorPickerInputBoxEditing || !graphics.isReadyRemoveObject()) {
+          return false;
+        }
+        this.removeActiveObject();
+
+        return true;
+      },
+      duplicate: () => {
+        if (!graphics.isReadyRemoveObject()) {
+          return false;
+        }
+        graphics.duplicateActiveObject();
+        this.clearRedoStack();
+
+        return true;
+      },
+      selectAll: () => graphics.selectAllObjects(),
+      deselect: () => {
+        if (this.ui && (this.ui.closeShortcutsHelp() || this.ui.closeExportDialog())) {
+          return true;
+        }
+        if (!graphics.getActiveObject() || graphics.getActiveObject().type === 'cropzone') {
+          return false;
+        }
+        this.discardSelection();
+
+        return true;
+      },
+      help: () => {
+        if (!this.ui) {
+          return false;
+        }
+        this.ui.toggleShortcutsHelp(this.shortcuts.list());
+
+        return true;
+      },
+    };
+
+    // The cropzone is moved by the arrow keys and resized with the shift key in the cropper
+    forEach(nudgeDirections, ([x, y], direction) => {
+      actions[`nudge${direction}`] = () =>
+        graphics.moveActiveObject(x, y) || graphics.moveCropzone(x, y);
+      actions[`nudge${direction}Large`] = () =>
+        graphics.moveActiveObject(x * NUDGE_LARGE_DISTANCE, y * NUDGE_LARGE_DISTANCE) ||
+        graphics.resizeCropzone(x, y);
+    });
+
+    return actions;
+  }
+
+  /**
+   * Make the actions to change the ui menu by the keyboard shortcuts
+   * @param {Object.<string, Function>} actions - actions to add the menu actions
+   * @param {Object.<string, string>} descriptions - descriptions to add the menu action descriptions
+   * @private
+   */
+  _addMenuShortcutActions(actions, descriptions) {
+    forEach(this.ui.options.menu, (menuName) => {
+      const actionName = `menu:${menuName}`;
+
+      actions[actionName] = () => {
+        if (!this.ui.isMenuEventActivated()) {
+          return false;
+        }
+        this.ui.changeMenu(menuName);
+
+        return true;
+      };
+      descriptions[actionName] = toStartOfCapital(menuName);
+    });
+  }
+
+  /**
+   * Create the keyboard shortcuts and register the default shortcuts by init option
+   * @param {boolean} useDefaultShortcuts - whether to register the default shortcuts
+   * @param {boolean} useMenuShortcuts - whether to register the shortcuts changing the menu
+   * @private
+   */
+  _setShortcuts(useDefaultShortcuts, useMenuShortcuts) {
+    const actions = this._makeShortcutActions();
+    const descriptions = extend({}, shortcutDescriptions);
+    const shortcuts = extend({}, defaultShortcuts);
+
+    if (this.ui) {
+      this._addMenuShortcutActions(actions, descriptions);
+      extend(shortcuts, defaultUIShortcuts, useMenuShortcuts ? defaultMenuShortcuts : {});
     }
 
-    const isDeleteKey = keyCode === keyCodes.BACKSPACE || keyCode === keyCodes.DEL;
-    const isRemoveReady = this._graphics.isReadyRemoveObject();
+    /**
+     * Keyboard shortcuts registry
+     * @type {Shortcuts}
+     * @example
+     * imageEditor.shortcuts.register('mod+e', () => exportImage(), 'Export');
+     * imageEditor.shortcuts.register('shift+delete', 'remove');
+     * imageEditor.shortcuts.unregister('mod+a');
+     * imageEditor.shortcuts.list(); // [{combo: 'mod+c', action: 'copy', description: 'Copy'}, ...]
+     */
+    this.shortcuts = new Shortcuts(actions, descriptions);
 
-    if (!this.isColorPickerInputBoxEditing && isRemoveReady && isDeleteKey) {
-      e.preventDefault();
-      this.removeActiveObject();
+    if (useDefaultShortcuts !== false) {
+      forEach(shortcuts, (actionName, combo) => this.shortcuts.register(combo, actionName));
     }
   }
 
   /**
-   * Remove Active Object
+   * Remove Active Object except the locked objects
    */
   removeActiveObject() {
+    const activeObject = this._graphics.getActiveObject();
+
+    if (!activeObject || this._graphics.isLockedObject(activeObject)) {
+      return;
+    }
+
     const activeObjectId = this._graphics.getActiveObjectIdForRemove();
 
     this.removeObject(activeObjectId);
   }
 
+  /**
+   * Get the active object to copy or cut
+   * @param {boolean} [isCut] - whether the object is removed after copying
+   * @returns {?fabric.Object} active object
+   * @private
+   */
+  _getClipboardTarget(isCut) {
+    const graphics = this._graphics;
+    const target = graphics.getActiveObject();
+
+    if (!target || target.type === 'cropzone' || target.isEditing) {
+      return null;
+    }
+
+    return !isCut || graphics.isReadyRemoveObject() ? target : null;
+  }
+
+  /**
+   * Copy the active object to the system clipboard as the serialized object states and a png image.
+   * The object can be pasted to the other editors by {@link ImageEditor#pasteFromClipboard}.
+   * @param {DataTransfer} [clipboardData] - clipboard data of a copy event to set the object states synchronously
+   * @returns {Promise<Array.<Object>, ErrorMsg>} copied object states
+   * @example
+   * imageEditor.copyToClipboard().then(objectStates => {
+   *     console.log(objectStates.length);
+   * });
+   */
+  copyToClipboard(clipboardData) {
+    const graphics = this._graphics;
+    const target = this._getClipboardTarget();
+
+    if (!target) {
+      return Promise.reject(rejectMessages.noActiveObject);
+    }
+
+    const objectStates = makeSelectionObjectStates(graphics, target);
+    const text = makeClipboardText(objectStates);
+
+    graphics.resetTargetObjectForCopyPaste();
+    this._clipboardText = text;
+
+    if (clipboardData) {
+      clipboardData.setData('text/plain', text);
+    }
+
+    return makePNGBlob(target)
+      .then((image) => writeClipboard(text, image))
+      ['catch']((error) => {
+        // the clipboard data of the event already has the object states
+        if (!clipboardData) {
+          throw error;
+        }
+      })
+      .then(() => objectStates);
+  }
+
+  /**
+   * Copy the active object to the system clipboard and remove it. The removal can be undone.
+   * @param {DataTransfer} [clipboardData] - clipboard data of a cut event to set the object states synchronously
+   * @returns {Promise<Array.<Object>, ErrorMsg>} cut object states
+   * @example
+   * imageEditor.cutToClipboard().then(objectStates => {
+   *     console.log(objectStates.length);
+   * });
+   */
+  cutToClipboard(clipboardData) {
+    const graphics = this._graphics;
+    const target = this._getClipboardTarget(true);
+
+    if (!target) {
+      return Promise.reject(rejectMessages.noActiveObject);
+    }
+
+    const copying = this.copyToClipboard(clipboardData);
+    const targetObjects = target.type === 'activeSelection' ? target.getObjects() : [target];
+    const ids = targetObjects
+      .filter((obj) => !graphics.isLockedObject(obj))
+      .map((obj) => graphics.getObjectId(obj));
+
+    // the cut objects are pasted from the object states at the same position
+    graphics.targetObjectForCopyPaste = null;
+
+    return Promise.all([copying, this.execute(commands.CUT_OBJECT, ids)]).then(
+      ([objectStates]) => objectStates
+    );
+  }
+
+  /**
+   * Paste from the system clipboard.
+   * The objects copied by the editors are added as the objects,
+   * an image is added as an image object or loaded as the background image when there is no background image.
+   * The object copied in this editor is pasted when the system clipboard can not be read.
+   * @param {DataTransfer} [clipboardData] - clipboard data of a paste event, the system clipboard is read without it
+   * @param {Object} [options] - options
+   *  @param {boolean} [options.replaceBackground] - whether an image replaces the background image
+   * @returns {Promise<Array.<ObjectProps>|SizeChange, ErrorMsg>} properties of the pasted objects or size change of the background image
+   * @example
+   * imageEditor.pasteFromClipboard().then(result => {
+   *     console.log(result);
+   * });
+   * imageEditor.pasteFromClipboard(null, {replaceBackground: true});
+   */
+  pasteFromClipboard(clipboardData, { replaceBackground = false } = {}) {
+    const reading = clipboardData
+      ? Promise.resolve(readDataTransfer(clipboardData))
+      : readClipboard()['catch'](() => ({ text: '', image: null }));
+
+    return reading.then((contents) => {
+      if (!this._canPasteClipboardContents(contents)) {
+        return Promise.reject(rejectMessages.invalidParameters);
+      }
+
+      return this._pasteClipboardContents(contents, replaceBackground);
+    });
+  }
+
+  /**
+   * Whether the contents of the clipboard can be pasted
+   * @param {{text: string, image: ?Blob}} contents - clipboard contents
+   * @returns {boolean}
+   * @private
+   */
+  _canPasteClipboardContents({ text, image }) {
+    return !!(parseClipboardText(text) || image || this._graphics.targetObjectForCopyPaste);
+  }
+
+  /**
+   * Paste the contents of the clipboard
+   * @param {{text: string, image: ?Blob}} contents - clipboard contents
+   * @param {boolean} [replaceBackground] - whether an image replaces the background image
+   * @returns {Promise<Array.<ObjectProps>|SizeChange, ErrorMsg>}
+   * @private
+   */
+  _pasteClipboardContents({ text, image }, replaceBackground) {
+    const graphics = this._graphics;
+    const objectStates = parseClipboardText(text);
+    const isCopiedHere = text === this._clipboardText && graphics.targetObjectForCopyPaste;
+
+    if (objectStates && !isCopiedHere) {
+      return this._invoker.executeBatch(commands.PASTE_OBJECTS, () =>
+        this._pasteObjectStates(objectStates)
+      );
+    }
+    if (image && !objectStates) {
+      return readBlobAsDataURL(image).then((dataURL) =>
+        replaceBackground || !graphics.getCanvasImage()
+          ? this.loadImageFromURL(dataURL, image.name || 'image')
+          : this.addImageObject(dataURL)
+      );
+    }
+
+    return this._invoker
+      .executeBatch(commands.PASTE_OBJECTS, () => graphics.pasteObject())
+      .then(() => {
+        this.clearRedoStack();
+
+        return [];
+      });
+  }
+
+  /**
+   * Add the objects from the object states and select them
+   * @param {Array.<Object>} objectStates - object states
+   * @returns {Promise<Array.<ObjectProps>, ErrorMsg>}
+   * @private
+   */
+  _pasteObjectStates(objectStates) {
+    const graphics = this._graphics;
+    const pastedObjectProps = [];
+
+    this.discardSelection();
+
+    return this._restoreSequentially(objectStates, (objectState) =>
+      this._restoreObject(objectState).then((objectProps) => pastedObjectProps.push(objectProps))
+    ).then(() => {
+      const objects = pastedObjectProps.map(({ id }) => graphics.getObject(id));
+      const selectableObjects = objects.filter((obj) => graphics.isSelectableObject(obj));
+
+      if (selectableObjects.length > 1) {
+        graphics.setActiveObject(graphics.getActiveSelectionFromObjects(selectableObjects));
+      } else if (selectableObjects.length) {
+        graphics.setActiveObject(selectableObjects[0]);
+      }
+
+      return pastedObjectProps;
+    });
+  }
+
   /**
    * mouse down event handler
    * @param {Event} event - mouse down event
@@ -536,6 +1069,40 @@ class ImageEditor {
     this.fire(events.OBJECT_SCALED, props);
   }
 
+  /**
+   * 'cropzoneChanged' event handler
+   * @param {?Object} rect - cropzone rect
+   * @private
+   */
+  _onCropzoneChanged(rect) {
+    /**
+     * The event when the cropzone is drawn, moved, scaled or set in the cropper drawing mode
+     * @event ImageEditor#cropzoneChanged
+     * @param {?{left: number, top: number, width: number, height: number}} rect - cropzone rect, null if the cropzone is empty
+     * @example
+     * imageEditor.on('cropzoneChanged', function(rect) {
+     *     console.log(rect);
+     * });
+     */
+    this.fire(events.CROPZONE_CHANGED, rect);
+  }
+
+  /**
+   * 'eraserPathCreated' event handler
+   * @param {{path: fabric.Path, eraseBackground: boolean}} eraser - eraser path and whether to erase the background
+   * @private
+   */
+  _onEraserPathCreated({ path, eraseBackground }) {
+    this.execute(commands.ERASE, path, eraseBackground)['catch']((message) => {
+      // It is not an error that the path is not over any object or the other command is running
+      if (!includes([rejectMessages.noObject, rejectMessages.isLock], message)) {
+        return Promise.reject(message);
+      }
+
+      return null;
+    });
+  }
+
   /**
    * 'objectRotated' event handler
    * @param {ObjectProps} props - object properties
@@ -576,7 +1143,7 @@ class ImageEditor {
   }
 
   /**
-   * Clear all objects
+   * Clear all objects except the locked objects
    * @returns {Promise}
    * @example
    * imageEditor.clearObjects();
@@ -711,6 +1278,43 @@ class ImageEditor {
     this._graphics.resetZoom();
   }
 
+  /**
+   * Enable snapping of the objects to the grid, the canvas and the other objects while moving and scaling
+   * @param {Object} [options] - snapping options, the omitted options keep the previous values
+   *   @param {number} [options.grid=0] - grid size, 0 does not snap to the grid
+   *   @param {boolean} [options.objects=true] - whether to snap to the edges and centers of other objects
+   *   @param {boolean} [options.canvas=true] - whether to snap to the edges and center of the canvas
+   *   @param {number} [options.threshold=5] - distance in screen pixels to snap
+   * @example
+   * imageEditor.enableSnapping({ grid: 20, threshold: 8 });
+   */
+  enableSnapping(options) {
+    this._graphics.enableSnapping(options);
+  }
+
+  /**
+   * Disable snapping of the objects
+   */
+  disableSnapping() {
+    this._graphics.disableSnapping();
+  }
+
+  /**
+   * Whether snapping of the objects is enabled
+   * @returns {boolean}
+   */
+  isSnappingEnabled() {
+    return this._graphics.isSnappingEnabled();
+  }
+
+  /**
+   * Get the snapping options
+   * @returns {{grid: number, objects: boolean, canvas: boolean, threshold: number}}
+   */
+  getSnappingOptions() {
+    return this._graphics.getSnappingOptions();
+  }
+
   /**
    * Load image from file
    * @param {File} imgFile - Image file
@@ -775,10 +1379,18 @@ class ImageEditor {
 
   /**
    * Start a drawing mode. If the current mode is not 'NORMAL', 'stopDrawingMode()' will be called first.
-   * @param {String} mode Can be one of <I>'CROPPER', 'FREE_DRAWING', 'LINE_DRAWING', 'TEXT', 'SHAPE'</I>
-   * @param {Object} [option] parameters of drawing mode, it's available with 'FREE_DRAWING', 'LINE_DRAWING'
+   * @param {String} mode Can be one of <I>'CROPPER', 'FREE_DRAWING', 'LINE_DRAWING', 'TEXT', 'SHAPE', 'ERASER'</I>
+   * @param {Object} [option] parameters of drawing mode, it's available with 'FREE_DRAWING', 'LINE_DRAWING', 'ERASER'
    *  @param {Number} [option.width] brush width
    *  @param {String} [option.color] brush color
+   *  @param {String} [option.type] brush type of 'FREE_DRAWING', see {@link ImageEditor#setBrush} for the brush options
+   *  @param {Boolean} [option.eraseBackground] whether the eraser erases the background image to the transparency,
+   *    otherwise it erases only the objects
+   *  @param {String} [option.lineType] line type of 'LINE_DRAWING'. 'straight', 'polyline', 'curve' or 'freehand'.
+   *    The polyline adds a point by a click and is finished by a double click,
+   *    the curve has the handle to move its control point after it is drawn,
+   *    the freehand line follows the pointer and is straightened from its start to its end on the mouse up
+   *  @param {String} [option.lineStyle] stroke style of 'LINE_DRAWING'. 'solid', 'dashed' or 'dotted'
    *  @param {Object} [option.arrowType] arrow decorate
    *    @param {string} [option.arrowType.tail] arrow decorate for tail. 'chevron' or 'triangle'
    *    @param {string} [option.arrowType.head] arrow decorate for head. 'chevron' or 'triangle'
@@ -795,6 +1407,17 @@ class ImageEditor {
    *          tail: 'chevron' // triangle
    *      }
    * });
+   * imageEditor.startDrawingMode('LINE_DRAWING', {
+   *      lineType: 'polyline',
+   *      lineStyle: 'dashed',
+   *      arrowType: {
+   *          tail: 'triangle'
+   *      }
+   * });
+   * imageEditor.startDrawingMode('ERASER', {
+   *      width: 20,
+   *      eraseBackground: true
+   * });
    *
    */
   startDrawingMode(mode, option) {
@@ -817,33 +1440,136 @@ class ImageEditor {
    *  @param {Number} rect.top top position
    *  @param {Number} rect.width width
    *  @param {Number} rect.height height
+   * @param {Object} [outputSize] - resample the cropped image to the exact size
+   *  @param {Number} outputSize.width - output width
+   *  @param {Number} outputSize.height - output height
    * @returns {Promise}
    * @example
    * imageEditor.crop(imageEditor.getCropzoneRect());
+   * @example
+   * imageEditor.setCropzoneRect(1200 / 630);
+   * imageEditor.crop(imageEditor.getCropzoneRect(), {width: 1200, height: 630});
    */
-  crop(rect) {
-    const data = this._graphics.getCroppedImageData(rect);
+  crop(rect, outputSize) {
+    if (outputSize && !(outputSize.width > 0 && outputSize.height > 0)) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    const data = this._graphics.getCroppedImageData(rect, outputSize);
     if (!data) {
       return Promise.reject(rejectMessages.invalidParameters);
     }
 
-    return this.loadImageFromURL(data.url, data.imageName);
+    // the previous image is kept for undo without the straighten angle
+    this._graphics.resetStraighten();
+
+    return this.execute(commands.CROP, data.imageName, data.url);
   }
 
   /**
-   * Get the cropping rect
-   * @returns {Object}  {{left: number, top: number, width: number, height: number}} rect
-   */
+   * Rotate the image freely under the cropzone in the cropper drawing mode.
+   * The cropzone shrinks to exclude the transparent corners and the result is applied by {@link ImageEditor#crop}.
+   * @param {number} angle - straighten angle between -45 and 45
+   * @returns {number} applied straighten angle
+   * @example
+   * imageEditor.startDrawingMode('CROPPER');
+   * imageEditor.straighten(5);
+   * imageEditor.crop(imageEditor.getCropzoneRect());
+   */
+  straighten(angle) {
+    return this._graphics.straighten(angle);
+  }
+
+  /**
+   * Get the straighten angle of the image in the cropper drawing mode
+   * @returns {number}
+   */
+  getStraightenAngle() {
+    return this._graphics.getStraightenAngle();
+  }
+
+  /**
+   * Set the shape of the cropped area. The cropzone previews the shape and
+   * {@link ImageEditor#crop} makes the outside of the shape transparent.
+   * Use the 'ellipse' type with the square preset to crop a circle.
+   * @param {Object} [shape] - crop shape options
+   *  @param {string} [shape.type='rect'] - 'rect', 'ellipse', 'roundRect', 'path' or 'icon'
+   *  @param {number} [shape.radius] - corner radius of 'roundRect'
+   *  @param {string} [shape.path] - svg path of 'path'
+   *  @param {string} [shape.name] - registered icon type of 'icon'
+   * @returns {boolean} whether the shape is set or not
+   * @example
+   * imageEditor.startDrawingMode('CROPPER');
+   * imageEditor.setCropzoneRect(1);
+   * imageEditor.setCropShape({type: 'ellipse'});
+   * imageEditor.crop(imageEditor.getCropzoneRect());
+   * @example
+   * imageEditor.setCropShape({type: 'roundRect', radius: 20});
+   * imageEditor.setCropShape({type: 'icon', name: 'arrow'});
+   */
+  setCropShape(shape) {
+    return this._graphics.setCropShape(shape);
+  }
+
+  /**
+   * Get the shape of the cropped area
+   * @returns {{type: string, radius: ?number, path: ?string}} crop shape
+   */
+  getCropShape() {
+    return this._graphics.getCropShape();
+  }
+
+  /**
+   * Get the cropping rect
+   * @returns {Object}  {{left: number, top: number, width: number, height: number}} rect
+   */
   getCropzoneRect() {
     return this._graphics.getCropzoneRect();
   }
 
   /**
-   * Set the cropping rect
-   * @param {number} [mode] crop rect mode [1, 1.5, 1.3333333333333333, 1.25, 1.7777777777777777]
+   * Set the cropping rect. The ratio stays locked while the cropzone is drawn or scaled
+   * until the cropping rect is set without the ratio.
+   * The rect sets the exact cropzone in the canvas and frees the ratio.
+   * @param {number|Object} [mode] crop rect ratio (width / height), e.g. 1, 16 / 9, 1.91, 9 / 16
+   *  @param {number} mode.left - left of the rect
+   *  @param {number} mode.top - top of the rect
+   *  @param {number} mode.width - width of the rect
+   *  @param {number} mode.height - height of the rect
+   * @returns {boolean} whether the cropzone is set, false if the rect is out of the canvas
+   * @example
+   * imageEditor.setCropzoneRect(9 / 16); // lock the ratio of stories
+   * imageEditor.setCropzoneRect(); // free the ratio
+   * imageEditor.setCropzoneRect({left: 10, top: 10, width: 200, height: 100});
    */
   setCropzoneRect(mode) {
-    this._graphics.setCropzoneRect(mode);
+    return this._graphics.setCropzoneRect(mode);
+  }
+
+  /**
+   * Set the guide lines drawn in the cropzone
+   * @param {?string} guide - 'thirds' for the rule of thirds, 'golden' for the golden ratio or 'none'.
+   *  null draws the rule of thirds only with the crop selection style.
+   * @returns {boolean} whether the guide is set or not
+   * @example
+   * imageEditor.setCropzoneGuide('golden');
+   */
+  setCropzoneGuide(guide) {
+    return this._graphics.setCropzoneGuide(guide);
+  }
+
+  /**
+   * Set the min and max size of the cropzone in the canvas pixels
+   * @param {?Object} limits - size limits, null removes the limits
+   *  @param {number} [limits.minWidth] - min width
+   *  @param {number} [limits.minHeight] - min height
+   *  @param {number} [limits.maxWidth] - max width
+   *  @param {number} [limits.maxHeight] - max height
+   * @example
+   * imageEditor.setCropSizeLimits({minWidth: 200, minHeight: 200});
+   */
+  setCropSizeLimits(limits) {
+    this._graphics.setCropSizeLimits(limits);
   }
 
   /**
@@ -971,6 +1697,18 @@ class ImageEditor {
    * @param {Object} option brush option
    *  @param {Number} option.width width
    *  @param {String} option.color color like 'FFFFFF', 'rgba(0, 0, 0, 0.5)'
+   *  @param {String} [option.type] brush type of 'FREE_DRAWING'. 'pencil', 'marker', 'spray', 'pattern' or 'highlighter'
+   *  @param {Number} [option.smoothing] distance to decimate the points of the stroke, a larger value makes it smoother
+   *  @param {Number} [option.density] dots per a spray chunk of the 'spray' brush
+   *  @param {Number} [option.dotWidth] dot width of the 'spray' brush
+   *  @param {HTMLImageElement|HTMLCanvasElement} [option.source] pattern of the 'pattern' brush, dots of the color by default
+   *  @param {Boolean} [option.pressure] whether the width of the 'pencil' brush follows the pressure and the tilt of the pointer,
+   *    the stroke is drawn as a filled outline
+   *  @param {Number} [option.minWidth] width at no pressure, a quarter of the brush width by default
+   *  @param {Number} [option.maxWidth] width at the full pressure, the brush width by default
+   *  @param {String} [option.lineType] line type of 'LINE_DRAWING'. 'straight', 'polyline', 'curve' or 'freehand'
+   *  @param {String} [option.lineStyle] stroke style of 'LINE_DRAWING'. 'solid', 'dashed' or 'dotted'
+   *  @param {Boolean} option.eraseBackground whether the eraser erases the background image, it's available with 'ERASER'
    * @example
    * imageEditor.startDrawingMode('FREE_DRAWING');
    * imageEditor.setBrush({
@@ -981,6 +1719,17 @@ class ImageEditor {
    *     width: 8,
    *     color: 'FFFFFF'
    * });
+   * // the overlapped strokes of the highlighter are not darkened
+   * imageEditor.setBrush({
+   *     type: 'highlighter',
+   *     color: 'rgba(255, 255, 0, 0.4)'
+   * });
+   * imageEditor.setBrush({
+   *     type: 'pencil',
+   *     pressure: true,
+   *     minWidth: 2,
+   *     maxWidth: 20
+   * });
    */
   setBrush(option) {
     this._graphics.setBrush(option);
@@ -988,7 +1737,8 @@ class ImageEditor {
 
   /**
    * Set states of current drawing shape
-   * @param {string} type - Shape type (ex: 'rect', 'circle', 'triangle')
+   * @param {string} type - Shape type
+   *   ('rect', 'circle', 'triangle', 'regularPolygon', 'star', 'blockArrow', 'speechBubble' or 'cappedLine')
    * @param {Object} [options] - Shape options
    *      @param {(ShapeFillOption | string)} [options.fill] - {@link ShapeFillOption} or
    *        Shape foreground color (ex: '#fff', 'transparent')
@@ -997,7 +1747,16 @@ class ImageEditor {
    *      @param {number} [options.width] - Width value (When type option is 'rect', this options can use)
    *      @param {number} [options.height] - Height value (When type option is 'rect', this options can use)
    *      @param {number} [options.rx] - Radius x value (When type option is 'circle', this options can use)
+   *        or corner radius x value (When type option is 'rect' or 'speechBubble', this options can use)
    *      @param {number} [options.ry] - Radius y value (When type option is 'circle', this options can use)
+   *        or corner radius y value (When type option is 'rect' or 'speechBubble', this options can use)
+   *      @param {number} [options.sides] - Count of the sides or the points
+   *        (When type option is 'regularPolygon' or 'star', this options can use)
+   *      @param {number} [options.innerRadius] - Ratio of the inner radius to the outer radius (0 ~ 1)
+   *        (When type option is 'star', this options can use)
+   *      @param {Object} [options.arrowType] - Caps of the line (When type option is 'cappedLine', this options can use)
+   *        @param {string} [options.arrowType.head] - Cap at the start point ('triangle' or 'chevron')
+   *        @param {string} [options.arrowType.tail] - Cap at the end point ('triangle' or 'chevron')
    *      @param {number} [options.isRegular] - Whether resizing shape has 1:1 ratio or not
    * @example
    * imageEditor.setDrawingShape('rect', {
@@ -1045,7 +1804,8 @@ class ImageEditor {
 
   /**
    * Add shape
-   * @param {string} type - Shape type (ex: 'rect', 'circle', 'triangle')
+   * @param {string} type - Shape type
+   *   ('rect', 'circle', 'triangle', 'regularPolygon', 'star', 'blockArrow', 'speechBubble' or 'cappedLine')
    * @param {Object} options - Shape options
    *      @param {(ShapeFillOption | string)} [options.fill] - {@link ShapeFillOption} or
    *        Shape foreground color (ex: '#fff', 'transparent')
@@ -1054,7 +1814,16 @@ class ImageEditor {
    *      @param {number} [options.width] - Width value (When type option is 'rect', this options can use)
    *      @param {number} [options.height] - Height value (When type option is 'rect', this options can use)
    *      @param {number} [options.rx] - Radius x value (When type option is 'circle', this options can use)
+   *        or corner radius x value (When type option is 'rect' or 'speechBubble', this options can use)
    *      @param {number} [options.ry] - Radius y value (When type option is 'circle', this options can use)
+   *        or corner radius y value (When type option is 'rect' or 'speechBubble', this options can use)
+   *      @param {number} [options.sides] - Count of the sides or the points
+   *        (When type option is 'regularPolygon' or 'star', this options can use)
+   *      @param {number} [options.innerRadius] - Ratio of the inner radius to the outer radius (0 ~ 1)
+   *        (When type option is 'star', this options can use)
+   *      @param {Object} [options.arrowType] - Caps of the line (When type option is 'cappedLine', this options can use)
+   *        @param {string} [options.arrowType.head] - Cap at the start point ('triangle' or 'chevron')
+   *        @param {string} [options.arrowType.tail] - Cap at the end point ('triangle' or 'chevron')
    *      @param {number} [options.left] - Shape x position
    *      @param {number} [options.top] - Shape y position
    *      @param {boolean} [options.isRegular] - Whether resizing shape has 1:1 ratio or not
@@ -1095,6 +1864,45 @@ class ImageEditor {
    * }).then(objectProps => {
    *     console.log(objectProps.id);
    * });
+   * @example
+   * imageEditor.addShape('star', {
+   *     fill: 'yellow',
+   *     width: 100,
+   *     height: 100,
+   *     sides: 5,
+   *     innerRadius: 0.4
+   * });
+   * @example
+   * imageEditor.addShape('speechBubble', { // The tail is dragged by its handle
+   *     fill: 'white',
+   *     stroke: 'black',
+   *     width: 200,
+   *     height: 100,
+   *     rx: 20,
+   *     ry: 20
+   * });
+   * @example
+   * imageEditor.addShape('rect', {
+   *     fill: {
+   *         type: 'gradient',
+   *         gradient: {
+   *             type: 'linear',
+   *             angle: 90,
+   *             colorStops: [{offset: 0, color: '#ff0000'}, {offset: 1, color: '#0000ff'}]
+   *         }
+   *     },
+   *     width: 100,
+   *     height: 200
+   * });
+   * @example
+   * imageEditor.addShape('circle', {
+   *     fill: {
+   *         type: 'pattern',
+   *         pattern: {source: 'img/pattern.png', repeat: 'repeat'}
+   *     },
+   *     rx: 50,
+   *     ry: 50
+   * });
    */
   addShape(type, options) {
     options = options || {};
@@ -1115,7 +1923,13 @@ class ImageEditor {
    *      @param {number} [options.width] - Width value (When type option is 'rect', this options can use)
    *      @param {number} [options.height] - Height value (When type option is 'rect', this options can use)
    *      @param {number} [options.rx] - Radius x value (When type option is 'circle', this options can use)
+   *        or corner radius x value (When type option is 'rect' or 'speechBubble', this options can use)
    *      @param {number} [options.ry] - Radius y value (When type option is 'circle', this options can use)
+   *        or corner radius y value (When type option is 'rect' or 'speechBubble', this options can use)
+   *      @param {number} [options.sides] - Count of the sides or the points
+   *        (When type option is 'regularPolygon' or 'star', this options can use)
+   *      @param {number} [options.innerRadius] - Ratio of the inner radius to the outer radius (0 ~ 1)
+   *        (When type option is 'star', this options can use)
    *      @param {boolean} [options.isRegular] - Whether resizing shape has 1:1 ratio or not
    * @param {boolean} isSilent - is silent execution or not
    * @returns {Promise}
@@ -1137,6 +1951,17 @@ class ImageEditor {
    *     rx: 10,
    *     ry: 100
    * });
+   * @example
+   * // call after selecting shape object on canvas
+   * imageEditor.changeShape(id, { // change fill to radial gradient
+   *     fill: {
+   *         type: 'gradient',
+   *         gradient: {
+   *             type: 'radial',
+   *             colorStops: [{offset: 0, color: '#ffffff'}, {offset: 0.5, color: '#ffff00'}, {offset: 1, color: '#ff0000'}]
+   *         }
+   *     }
+   * });
    */
   changeShape(id, options, isSilent) {
     const executeMethodName = isSilent ? 'executeSilent' : 'execute';
@@ -1149,15 +1974,31 @@ class ImageEditor {
    * @param {string} text - Initial input text
    * @param {Object} [options] Options for generating text
    *     @param {Object} [options.styles] Initial styles
-   *         @param {string} [options.styles.fill] Color
+   *         @param {(string | ShapeFillOption)} [options.styles.fill] Color or
+   *           gradient or pattern type {@link ShapeFillOption}
    *         @param {string} [options.styles.fontFamily] Font type for text
    *         @param {number} [options.styles.fontSize] Size
    *         @param {string} [options.styles.fontStyle] Type of inclination (normal / italic)
    *         @param {string} [options.styles.fontWeight] Type of thicker or thinner looking (normal / bold)
    *         @param {string} [options.styles.textAlign] Type of text align (left / center / right)
    *         @param {string} [options.styles.textDecoration] Type of line (underline / line-through / overline)
+   *         @param {number} [options.styles.lineHeight] Line height relative to the font size
+   *         @param {number} [options.styles.charSpacing] Letter spacing in thousandths of em
+   *         @param {string} [options.styles.stroke] Color of the outline
+   *         @param {number} [options.styles.strokeWidth] Width of the outline
+   *         @param {?Object} [options.styles.shadow] Drop shadow, null removes it
+   *             @param {string} [options.styles.shadow.color] Color of the shadow
+   *             @param {number} [options.styles.shadow.blur] Blur of the shadow
+   *             @param {number} [options.styles.shadow.offsetX] Horizontal offset of the shadow
+   *             @param {number} [options.styles.shadow.offsetY] Vertical offset of the shadow
+   *         @param {string} [options.styles.backgroundColor] Color of the background box
+   *         @param {number} [options.styles.backgroundPadding] Padding of the background box
+   *         @param {number} [options.styles.backgroundRadius] Corner radius of the background box
+   *         @param {number} [options.styles.curve] Angle of the arc along which the text is curved in degrees (-360 ~ 360)
    *     @param {{x: number, y: number}} [options.position] - Initial position
    *     @param {boolean} [options.autofocus] - text autofocus, default is true
+   *     @param {number} [options.width] - width of the text box which wraps the text,
+   *       the text is not wrapped if it is not given
    * @returns {Promise}
    * @example
    * imageEditor.addText('init text');
@@ -1175,6 +2016,14 @@ class ImageEditor {
    * }).then(objectProps => {
    *     console.log(objectProps.id);
    * });
+   * @example
+   * imageEditor.addText('wrapped long text', {
+   *     width: 200,
+   *     styles: {
+   *         lineHeight: 1.5,
+   *         charSpacing: 100
+   *     }
+   * });
    */
   addText(text, options) {
     text = text || '';
@@ -1201,24 +2050,74 @@ class ImageEditor {
    * Set style
    * @param {number} id - object id
    * @param {Object} styleObj - text styles
-   *     @param {string} [styleObj.fill] Color
+   *     @param {(string | ShapeFillOption)} [styleObj.fill] Color or
+   *       gradient or pattern type {@link ShapeFillOption}
    *     @param {string} [styleObj.fontFamily] Font type for text
    *     @param {number} [styleObj.fontSize] Size
    *     @param {string} [styleObj.fontStyle] Type of inclination (normal / italic)
    *     @param {string} [styleObj.fontWeight] Type of thicker or thinner looking (normal / bold)
    *     @param {string} [styleObj.textAlign] Type of text align (left / center / right)
    *     @param {string} [styleObj.textDecoration] Type of line (underline / line-through / overline)
+   *     @param {number} [styleObj.lineHeight] Line height relative to the font size
+   *     @param {number} [styleObj.charSpacing] Letter spacing in thousandths of em
+   *     @param {string} [styleObj.stroke] Color of the outline
+   *     @param {number} [styleObj.strokeWidth] Width of the outline
+   *     @param {?Object} [styleObj.shadow] Drop shadow, null removes it
+   *         @param {string} [styleObj.shadow.color] Color of the shadow
+   *         @param {number} [styleObj.shadow.blur] Blur of the shadow
+   *         @param {number} [styleObj.shadow.offsetX] Horizontal offset of the shadow
+   *         @param {number} [styleObj.shadow.offsetY] Vertical offset of the shadow
+   *     @param {string} [styleObj.backgroundColor] Color of the background box
+   *     @param {number} [styleObj.backgroundPadding] Padding of the background box
+   *     @param {number} [styleObj.backgroundRadius] Corner radius of the background box
+   *     @param {number} [styleObj.curve] Angle of the arc along which the text is curved in degrees (-360 ~ 360)
    * @param {boolean} isSilent - is silent execution or not
+   * @param {{start: number, end: number}} [range] - range of the characters to style,
+   *   the styles of the whole text are changed if it is not given.
+   *   'textAlign', 'lineHeight', 'charSpacing', 'shadow', 'curve' and the background box styles
+   *   are always applied to the whole text
    * @returns {Promise}
    * @example
    * imageEditor.changeTextStyle(id, {
    *     fontStyle: 'italic'
    * });
+   * // make the first word bold
+   * imageEditor.changeTextStyle(id, {
+   *     fontWeight: 'bold'
+   * }, false, {start: 0, end: 5});
+   * // caption with the outline, the drop shadow and the rounded background box
+   * imageEditor.changeTextStyle(id, {
+   *     stroke: '#000000',
+   *     strokeWidth: 4,
+   *     shadow: {color: 'rgba(0, 0, 0, 0.5)', blur: 10, offsetX: 5, offsetY: 5},
+   *     backgroundColor: '#ffffff',
+   *     backgroundPadding: 10,
+   *     backgroundRadius: 8
+   * });
+   * // text along the arc of the half circle
+   * imageEditor.changeTextStyle(id, {
+   *     curve: 180
+   * });
    */
-  changeTextStyle(id, styleObj, isSilent) {
+  changeTextStyle(id, styleObj, isSilent, range) {
     const executeMethodName = isSilent ? 'executeSilent' : 'execute';
 
-    return this[executeMethodName](commands.CHANGE_TEXT_STYLE, id, styleObj);
+    return this[executeMethodName](commands.CHANGE_TEXT_STYLE, id, styleObj, !!isSilent, range);
+  }
+
+  /**
+   * Load the web font through the FontFace API and re-measure the text objects once it is loaded
+   * @param {Object} font - font to load
+   *   @param {string} font.family - font family
+   *   @param {string} [font.url] - url of the font file, the font declared in the stylesheet is loaded without it
+   * @returns {Promise<void, ErrorMsg>}
+   * @example
+   * imageEditor.loadFont({family: 'Lobster', url: '/fonts/lobster.woff2'}).then(() => {
+   *     imageEditor.changeTextStyle(id, {fontFamily: 'Lobster'});
+   * });
+   */
+  loadFont(font) {
+    return this._graphics.loadFont(font);
   }
 
   /**
@@ -1241,6 +2140,27 @@ class ImageEditor {
     this.fire(events.TEXT_CHANGED, target);
   }
 
+  /**
+   * 'textSelectionChanged' event handler
+   * @param {Object} props - text selection properties
+   * @private
+   */
+  _onTextSelectionChanged(props) {
+    /**
+     * The event when the cursor or the selection of the text being edited is changed
+     * @event ImageEditor#textSelectionChanged
+     * @param {Object} props - text selection properties
+     *     @param {number} props.id - object id
+     *     @param {{start: number, end: number}} props.range - selected character range
+     *     @param {Object} props.styles - styles under the cursor or of the first selected character
+     * @example
+     * imageEditor.on('textSelectionChanged', function(props) {
+     *     console.log(props.styles.fontWeight);
+     * });
+     */
+    this.fire(events.TEXT_SELECTION_CHANGED, props);
+  }
+
   /**
    * 'iconCreateResize' event handler
    * @param {Object} originPointer origin pointer
@@ -1316,7 +2236,9 @@ class ImageEditor {
    */
   _onAddObject(objectProps) {
     const obj = this._graphics.getObject(objectProps.id);
-    this._invoker.fire(events.EXECUTE_COMMAND, getObjectType(obj.type));
+    if (!this._invoker.isBatching()) {
+      this._invoker.fire(events.EXECUTE_COMMAND, getObjectType(obj.type));
+    }
     this._pushAddObjectCommand(obj);
   }
 
@@ -1405,6 +2327,7 @@ class ImageEditor {
    *      @param {string} [options.fill] - Icon foreground color
    *      @param {number} [options.left] - Icon x position
    *      @param {number} [options.top] - Icon y position
+   *      @param {string} [options.path] - Icon path used instead of the registered path of the type
    * @returns {Promise<ObjectProps, ErrorMsg>}
    * @example
    * imageEditor.addIcon('arrow'); // The position is center on canvas
@@ -1427,10 +2350,15 @@ class ImageEditor {
   /**
    * Change icon color
    * @param {number} id - object id
-   * @param {string} color - Color for icon
+   * @param {(string | ShapeFillOption)} color - Color for icon or gradient or pattern type {@link ShapeFillOption}
    * @returns {Promise}
    * @example
    * imageEditor.changeIconColor(id, '#000000');
+   * @example
+   * imageEditor.changeIconColor(id, {
+   *     type: 'gradient',
+   *     gradient: {colorStops: [{offset: 0, color: '#000000'}, {offset: 1, color: '#ffffff'}]}
+   * });
    */
   changeIconColor(id, color) {
     return this.execute(commands.CHANGE_ICON_COLOR, id, color);
@@ -1496,6 +2424,117 @@ class ImageEditor {
     return this[executeMethodName](commands.APPLY_FILTER, type, options);
   }
 
+  /**
+   * Get the filter stack of canvas image in applying order
+   * @returns {Array.<FilterStackItem>} filter stack
+   * @example
+   * imageEditor.getFilterStack().forEach(filter => {
+   *     console.log(filter.id, filter.type, filter.visible);
+   * });
+   */
+  getFilterStack() {
+    return this._graphics.getFilterStack();
+  }
+
+  /**
+   * Insert a new filter into the filter stack. Unlike applyFilter, the same type of filter can be applied several times.
+   * @param {string} type - Filter type
+   * @param {object} [options] - Options to apply filter
+   * @param {number} [index] - Index of the stack. The filter is pushed on top of the stack by default.
+   * @returns {Promise<FilterResult, ErrorMsg>}
+   * @example
+   * imageEditor.insertFilter('brightness', {brightness: 0.2}, 0).then(obj => {
+   *     console.log('filterId: ', obj.id);
+   * });
+   */
+  insertFilter(type, options, index) {
+    return this.execute(commands.APPLY_FILTER, type, options || {}, false, { index });
+  }
+
+  /**
+   * Change options of a filter in the filter stack
+   * @param {number} id - Filter id
+   * @param {object} options - Options to apply filter
+   * @param {boolean} isSilent - is silent execution or not
+   * @returns {Promise<FilterResult, ErrorMsg>}
+   * @example
+   * imageEditor.updateFilter(filterId, {brightness: 0.5});
+   */
+  updateFilter(id, options, isSilent) {
+    const filter = this._getFilterStackItem(id);
+    const executeMethodName = isSilent ? 'executeSilent' : 'execute';
+
+    if (!filter) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    return this[executeMethodName](commands.APPLY_FILTER, filter.type, options, !!isSilent, {
+      id,
+    });
+  }
+
+  /**
+   * Remove a filter from the filter stack
+   * @param {number} id - Filter id
+   * @returns {Promise<FilterResult, ErrorMsg>}
+   * @example
+   * imageEditor.removeFilterById(filterId);
+   */
+  removeFilterById(id) {
+    const filter = this._getFilterStackItem(id);
+
+    if (!filter) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    return this.execute(commands.REMOVE_FILTER, filter.type, { id });
+  }
+
+  /**
+   * Move a filter to another index of the filter stack to change the applying order
+   * @param {number} id - Filter id
+   * @param {number} index - New index of the stack
+   * @returns {Promise<FilterResult, ErrorMsg>}
+   * @example
+   * // apply the filter first
+   * imageEditor.moveFilter(filterId, 0);
+   */
+  moveFilter(id, index) {
+    return this.execute(commands.MOVE_FILTER, id, index);
+  }
+
+  /**
+   * Show or hide a filter of the filter stack without removing it
+   * @param {number} id - Filter id
+   * @param {boolean} [visible] - Whether the filter is applied or not. If it is not given, the visibility is toggled.
+   * @returns {Promise<FilterResult, ErrorMsg>}
+   * @example
+   * imageEditor.toggleFilter(filterId, false);
+   */
+  toggleFilter(id, visible) {
+    const filter = this._getFilterStackItem(id);
+
+    if (!filter) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    return this.execute(
+      commands.TOGGLE_FILTER,
+      id,
+      isUndefined(visible) ? !filter.visible : visible
+    );
+  }
+
+  /**
+   * Get an item of the filter stack
+   * @param {number} id - Filter id
+   * @returns {FilterStackItem} filter stack item or undefined
+   * @private
+   */
+  _getFilterStackItem(id) {
+    return this.getFilterStack().filter((filter) => filter.id === id)[0];
+  }
+
   /**
    * Get data url
    * @param {Object} options - options for toDataURL
@@ -1518,6 +2557,39 @@ class ImageEditor {
     return this._graphics.toDataURL(options);
   }
 
+  /**
+   * Export the image as a blob without changing the editor
+   * @param {Object} [options] - export options
+   *   @param {string} [options.format='png'] - 'png', 'jpeg', 'webp' or 'svg'
+   *   @param {number} [options.quality=1] - quality level (0..1) of jpeg and webp
+   *   @param {number} [options.multiplier=1] - multiplier to scale by
+   *   @param {{left: number, top: number, width: number, height: number}} [options.region] - region of the canvas to export
+   *   @param {boolean|string} [options.background=true] - whether to include the background image.
+   *     A color string includes the background image and fills the transparent area. Jpeg is filled white by default.
+   *   @param {boolean} [options.includeObjects=true] - whether to include the objects
+   * @returns {Promise<Blob, ErrorMsg>}
+   * @example
+   * imageEditor.export({format: 'jpeg', quality: 0.8, multiplier: 2}).then(blob => {
+   *     upload(blob);
+   * });
+   * // the annotation layer only
+   * imageEditor.export({background: false});
+   * // a region without cropping
+   * imageEditor.export({region: {left: 10, top: 10, width: 100, height: 100}});
+   */
+  export(options = {}) {
+    const { format = 'png', region } = options;
+
+    if (!this._graphics.getCanvasImage()) {
+      return Promise.reject(rejectMessages.loadImage);
+    }
+    if (!exportMimeTypes[format] || (region && !(region.width > 0 && region.height > 0))) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    return this._graphics.exportImage(options);
+  }
+
   /**
    * Get image name
    * @returns {string} image name
@@ -1528,6 +2600,204 @@ class ImageEditor {
     return this._graphics.getImageName();
   }
 
+  /**
+   * Export the current editor state. It can be restored by {@link ImageEditor#importState}.
+   * @returns {DocumentState} serializable state
+   * @example
+   * var state = imageEditor.exportState();
+   * localStorage.setItem('editorState', JSON.stringify(state));
+   */
+  exportState() {
+    return makeDocumentState(this._graphics);
+  }
+
+  /**
+   * Import the editor state made by {@link ImageEditor#exportState}.
+   * The background image and objects are rebuilt by commands, and the undo/redo stacks are cleared.
+   * @param {DocumentState|string} state - state object or JSON string of it
+   * @returns {Promise<SizeChange, ErrorMsg>}
+   * @example
+   * imageEditor.importState(localStorage.getItem('editorState')).then(result => {
+   *      console.log('new : ' + result.newWidth + ', ' + result.newHeight);
+   * });
+   */
+  importState(state) {
+    if (isString(state)) {
+      try {
+        state = JSON.parse(state);
+      } catch (e) {
+        return Promise.reject(rejectMessages.invalidParameters);
+      }
+    }
+
+    if (!state || !state.image) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    const { imageName, image, objects = [] } = state;
+
+    this.stopDrawingMode();
+
+    return this.execute(commands.LOAD_IMAGE, imageName || 'image', image.src).then((sizeValue) =>
+      this._restoreImageState(image)
+        .then(() =>
+          this._restoreSequentially(objects, (objectState) => this._restoreObject(objectState))
+        )
+        .then(() => {
+          this.discardSelection();
+          this.clearUndoStack();
+          this.clearRedoStack();
+          this._clearHistory();
+
+          return sizeValue;
+        })
+    );
+  }
+
+  /**
+   * Run restoring tasks one by one
+   * @param {Array} states - states to restore
+   * @param {Function} restore - function returning promise for each state
+   * @returns {Promise}
+   * @private
+   */
+  _restoreSequentially(states, restore) {
+    return states.reduce((promise, state) => promise.then(() => restore(state)), Promise.resolve());
+  }
+
+  /**
+   * Restore flip, angle, dimensions and filters of the loaded background image
+   * @param {Object} imageState - image state
+   * @returns {Promise}
+   * @private
+   */
+  _restoreImageState(imageState) {
+    const { width, height, flipX, flipY, angle, filters = [] } = imageState;
+    const canvasImage = this._graphics.getCanvasImage();
+    const tasks = [];
+
+    if (flipX) {
+      tasks.push(() => this.execute(commands.FLIP_IMAGE, 'flipX'));
+    }
+    if (flipY) {
+      tasks.push(() => this.execute(commands.FLIP_IMAGE, 'flipY'));
+    }
+    if (angle) {
+      tasks.push(() => this.execute(commands.ROTATE_IMAGE, 'setAngle', angle));
+    }
+    // resizing should be after rotating, because rotating resets the scale of the image
+    if (width !== canvasImage.width || height !== canvasImage.height) {
+      tasks.push(() => this.execute(commands.RESIZE_IMAGE, { width, height }));
+    }
+    filters.forEach((filterState) => {
+      tasks.push(() => this._restoreFilter(filterState));
+    });
+
+    return this._restoreSequentially(tasks, (task) => task());
+  }
+
+  /**
+   * Restore a filter of the background image
+   * @param {Object} filterState - filter state
+   *  @param {string} filterState.type - filter type
+   *  @param {Object} filterState.options - filter options
+   *  @param {boolean} [filterState.visible] - whether the filter is applied or hidden
+   * @returns {Promise}
+   * @private
+   */
+  _restoreFilter({ type, options, visible }) {
+    const { mask } = options;
+    const promise = mask
+      ? this._restoreObject(mask).then(({ id }) =>
+          this.execute(commands.APPLY_FILTER, type, { maskObjId: id })
+        )
+      : this.insertFilter(type, extend({}, options));
+
+    return promise.then(({ id }) => visible === false && this.toggleFilter(id, false));
+  }
+
+  /**
+   * Restore the objects of a group and group them again
+   * @param {Object} groupState - group state
+   * @returns {Promise<ObjectProps, ErrorMsg>}
+   * @private
+   */
+  _restoreGroup(groupState) {
+    const ids = [];
+
+    return this._restoreSequentially(groupState.objects, (objectState) =>
+      this._restoreObject(objectState).then(({ id }) => ids.push(id))
+    ).then(() => this.execute(commands.GROUP_OBJECTS, ids));
+  }
+
+  /**
+   * Restore an object, the gradient or the pattern fill of the state is made before restoring it
+   * and the object is locked after restoring it
+   * @param {Object} objectState - object state
+   * @returns {Promise<ObjectProps, ErrorMsg>}
+   * @private
+   */
+  _restoreObject(objectState) {
+    const { type, fill, locked } = objectState;
+    let restoring;
+
+    // The shapes make the gradient or the pattern from the fill option by themselves
+    if (!includes(SHAPE_TYPE, type) && isGradientOrPatternFillOption(fill)) {
+      restoring = makeGradientOrPatternFill(fill).then((fabricFill) =>
+        this._restoreObjectByType(extend({}, objectState, { fill: fabricFill }))
+      );
+    } else {
+      restoring = this._restoreObjectByType(objectState);
+    }
+
+    return locked
+      ? restoring.then((objectProps) => this.lockObject(objectProps.id).then(() => objectProps))
+      : restoring;
+  }
+
+  /**
+   * Restore an object through the command of its type
+   * @param {Object} objectState - object state
+   * @returns {Promise<ObjectProps, ErrorMsg>}
+   * @private
+   */
+  _restoreObjectByType(objectState) {
+    const { type } = objectState;
+    const setRestProperties = (omittedKeys) => (objectProps) =>
+      this.execute(
+        commands.SET_OBJECT_PROPERTIES,
+        objectProps.id,
+        makeObjectPropertiesFromState(objectState, omittedKeys)
+      ).then(() => objectProps);
+    const restoreText = () =>
+      this.execute(commands.ADD_TEXT, objectState.text, {
+        position: { x: objectState.left, y: objectState.top },
+        autofocus: false,
+        width: type === 'textbox' ? objectState.width : null,
+      }).then(setRestProperties(['text']));
+    const restorers = {
+      shape: () =>
+        this.execute(commands.ADD_SHAPE, type, makeObjectPropertiesFromState(objectState)),
+      icon: () => this.execute(commands.ADD_ICON, type, makeObjectPropertiesFromState(objectState)),
+      'i-text': restoreText,
+      textbox: restoreText,
+      image: () =>
+        this.execute(commands.ADD_IMAGE_OBJECT, objectState.src).then(
+          setRestProperties(['src', 'filters', 'resizeFilter'])
+        ),
+      group: () => this._restoreGroup(objectState).then(setRestProperties(['objects'])),
+    };
+    const restore = restorers[includes(SHAPE_TYPE, type) ? 'shape' : type];
+
+    if (restore) {
+      return restore();
+    }
+
+    return enlivenObjectState(objectState)
+      .then((obj) => this.execute(commands.ADD_OBJECT, obj))
+      .then((obj) => this._graphics.createObjectProperties(obj));
+  }
+
   /**
    * Clear undoStack
    * @example
@@ -1577,6 +2847,30 @@ class ImageEditor {
     return this.execute(commands.RESIZE_CANVAS_DIMENSION, dimension);
   }
 
+  /**
+   * Change the canvas size of the document by adding or trimming the area around the image.
+   * Unlike {@link ImageEditor#resizeCanvasDimension}, the image is changed and the objects are moved with it.
+   * It is an API only feature, the resize menu of the UI does not change the canvas size.
+   * @param {{width: number, height: number}} size - Canvas size
+   * @param {Object} [options] - Options
+   *  @param {string} [options.anchor='center'] - Position of the image, 'top-left', 'top', 'top-right',
+   *   'left', 'center', 'right', 'bottom-left', 'bottom' or 'bottom-right'
+   *  @param {string} [options.fill='transparent'] - Color of the added area
+   * @returns {Promise<SizeChange, ErrorMsg>}
+   * @example
+   * // make a square product image from a rectangular photo
+   * var size = imageEditor.getCanvasSize();
+   * var length = Math.max(size.width, size.height);
+   * imageEditor.setCanvasSize({width: length, height: length}, {fill: '#ffffff'});
+   */
+  setCanvasSize(size, options) {
+    if (!size) {
+      return Promise.reject(rejectMessages.invalidParameters);
+    }
+
+    return this.execute(commands.SET_CANVAS_SIZE, size, options);
+  }
+
   /**
    * Destroy
    */
@@ -1758,11 +3052,199 @@ class ImageEditor {
   }
 
   /**
+   * Get the stacking order of an object
+   * @param {number} id - object id
+   * @returns {number} z-index of the object, 0 is the bottom, or -1 if the id is invalid
+   * @example
+   * var zIndex = imageEditor.getObjectZIndex(id);
+   */
+  getObjectZIndex(id) {
+    return this._graphics.getObjectZIndex(id);
+  }
+
+  /**
+   * Change the stacking order of an object
+   * @param {number} id - object id
+   * @param {number} index - z-index to move the object to, 0 is the bottom
+   * @returns {Promise<number, ErrorMsg>}
+   * @example
+   * imageEditor.setObjectZIndex(id, 0).then(zIndex => {
+   *     console.log(zIndex); // 0
+   * });
+   */
+  setObjectZIndex(id, index) {
+    return this.execute(commands.CHANGE_OBJECT_ORDER, id, index);
+  }
+
+  /**
+   * Move an object one step up in the stacking order
+   * @param {number} id - object id
+   * @returns {Promise<number, ErrorMsg>}
+   * @example
+   * imageEditor.bringForward(id);
+   */
+  bringForward(id) {
+    return this.setObjectZIndex(id, this.getObjectZIndex(id) + 1);
+  }
+
+  /**
+   * Move an object one step down in the stacking order
+   * @param {number} id - object id
+   * @returns {Promise<number, ErrorMsg>}
+   * @example
+   * imageEditor.sendBackward(id);
+   */
+  sendBackward(id) {
+    return this.setObjectZIndex(id, this.getObjectZIndex(id) - 1);
+  }
+
+  /**
+   * Move an object to the top of the stacking order
+   * @param {number} id - object id
+   * @returns {Promise<number, ErrorMsg>}
+   * @example
+   * imageEditor.bringToFront(id);
+   */
+  bringToFront(id) {
+    return this.setObjectZIndex(id, this._graphics.getObjects().length - 1);
+  }
+
+  /**
+   * Move an object to the bottom of the stacking order
+   * @param {number} id - object id
+   * @returns {Promise<number, ErrorMsg>}
+   * @example
+   * imageEditor.sendToBack(id);
+   */
+  sendToBack(id) {
+    return this.setObjectZIndex(id, 0);
+  }
+
+  /**
+   * Whether an object is locked
+   * @param {number} id - object id
+   * @returns {boolean} true if the object is locked
+   * @example
+   * imageEditor.isObjectLocked(id);
+   */
+  isObjectLocked(id) {
+    const targetObj = this._graphics.getObject(id);
+
+    return !!targetObj && this._graphics.isLockedObject(targetObj);
+  }
+
+  /**
+   * Lock an object. A locked object can not be selected, moved or removed by the user,
+   * and it is not removed by clearObjects.
+   * @param {number} id - object id
+   * @returns {Promise<ErrorMsg>}
+   * @example
+   * imageEditor.lockObject(id);
+   */
+  lockObject(id) {
+    return this.execute(commands.CHANGE_OBJECT_LOCK, id, true);
+  }
+
+  /**
+   * Unlock a locked object
+   * @param {number} id - object id
+   * @returns {Promise<ErrorMsg>}
+   * @example
+   * imageEditor.unlockObject(id);
+   */
+  unlockObject(id) {
+    return this.execute(commands.CHANGE_OBJECT_LOCK, id, false);
+  }
+
+  /**
+   * Hide an object
+   * @param {number} id - object id
+   * @returns {Promise<ErrorMsg>}
+   * @example
+   * imageEditor.hideObject(id);
+   */
+  hideObject(id) {
+    return this.execute(commands.CHANGE_OBJECT_VISIBLE, id, false);
+  }
+
+  /**
+   * Show a hidden object
+   * @param {number} id - object id
+   * @returns {Promise<ErrorMsg>}
+   * @example
+   * imageEditor.showObject(id);
+   */
+  showObject(id) {
+    return this.execute(commands.CHANGE_OBJECT_VISIBLE, id, true);
+  }
+
+  /**
+   * Group objects into a persistent group which has its own id.
+   * The group keeps its objects after the selection is cleared.
+   * @param {Array.<number>} ids - ids of the objects to group
+   * @returns {Promise<ObjectProps, ErrorMsg>}
+   * @example
+   * imageEditor.groupObjects([id1, id2]).then(groupProps => {
+   *     console.log(groupProps.id);
+   *     console.log(groupProps.type); // 'group'
+   * });
+   */
+  groupObjects(ids) {
+    return this.execute(commands.GROUP_OBJECTS, ids);
+  }
+
+  /**
+   * Break a persistent group into its objects
+   * @param {number} groupId - group id
+   * @returns {Promise<Array.<ObjectProps>, ErrorMsg>}
+   * @example
+   * imageEditor.ungroupObjects(groupId).then(objectProps => {
+   *     console.log(objectProps.map(props => props.id));
+   * });
+   */
+  ungroupObjects(groupId) {
+    return this.execute(commands.UNGROUP_OBJECTS, groupId);
+  }
+
+  /**
+   * Align objects to the edge or the center of the selection or the canvas
+   * @param {Array.<number>} ids - object ids
+   * @param {string} align - 'left', 'center', 'right', 'top', 'middle' or 'bottom'
+   * @param {string} [relativeTo='selection'] - 'selection' to align to the bounding box of the objects,
+   *   'canvas' to align to the canvas
+   * @returns {Promise<ErrorMsg>}
+   * @example
+   * imageEditor.alignObjects([id1, id2], 'left');
+   * imageEditor.alignObjects([id1], 'center', 'canvas');
+   */
+  alignObjects(ids, align, relativeTo = 'selection') {
+    return this.execute(commands.ARRANGE_OBJECTS, ids, { type: 'align', align, relativeTo });
+  }
+
+  /**
+   * Space objects evenly between the first and the last object
+   * @param {Array.<number>} ids - object ids
+   * @param {string} direction - 'horizontal' or 'vertical'
+   * @returns {Promise<ErrorMsg>}
+   * @example
+   * imageEditor.distributeObjects([id1, id2, id3], 'horizontal');
+   */
+  distributeObjects(ids, direction) {
+    return this.execute(commands.ARRANGE_OBJECTS, ids, { type: 'distribute', direction });
+  }
+
+  /**
+   * Resize the image by resampling its pixels, the objects are scaled proportionally
    * @param {object} dimensions - Image Dimensions
+   *  @param {number} [dimensions.width] - width, the current width by default
+   *  @param {number} [dimensions.height] - height, the current height by default
+   * @param {string} [algorithm='lanczos'] - Resampling algorithm, 'lanczos', 'bicubic' or 'stepDown'
    * @returns {Promise<ErrorMsg>}
+   * @example
+   * imageEditor.resize({width: 640, height: 480}, 'bicubic');
    */
-  resize(dimensions) {
-    return this.execute(commands.RESIZE_IMAGE, dimensions);
+  resize(dimensions, algorithm) {
+    return this.execute(commands.RESIZE_IMAGE, dimensions, algorithm);
   }
 }
 
@@ -1,9 +1,38 @@
 import isString from 'tui-code-snippet/type/isString';
 import CustomEvents from 'tui-code-snippet/customEvents/customEvents';
 import commandFactory from '@/factory/command';
+import Command from '@/interface/command';
 import { isFunction } from '@/util';
 import { eventNames, rejectMessages } from '@/consts';
 
+/**
+ * Make a command executing the commands in order and undoing them in reverse order
+ * @param {string} name - command name
+ * @param {Array.<Command>} commands - commands
+ * @returns {Command}
+ * @ignore
+ */
+function makeBatchCommand(name, commands) {
+  const runSequentially = (orderedCommands, run) =>
+    orderedCommands.reduce(
+      (promise, command) => promise.then(() => run(command)),
+      Promise.resolve()
+    );
+
+  return new Command(
+    {
+      name,
+      execute: () =>
+        runSequentially(commands, (command) => command.execute(...(command.args || []))),
+      undo: () =>
+        runSequentially(commands.slice().reverse(), (command) =>
+          command.undo(...(command.args || []))
+        ),
+    },
+    []
+  );
+}
+
 /**
  * Invoker
  * @class
@@ -33,6 +62,13 @@ class Invoker {
     this._isLocked = false;
 
     this._isSilent = false;
+
+    /**
+     * Commands executed while a batch runs, null when no batch runs
+     * @type {?Array.<Command>}
+     * @private
+     */
+    this._batchedCommands = null;
   }
 
   /**
@@ -56,7 +92,9 @@ class Invoker {
         if (!this._isSilent) {
           this.pushUndoStack(command);
 
-          this.fire(isRedo ? eventNames.AFTER_REDO : eventNames.EXECUTE_COMMAND, command);
+          if (!this.isBatching()) {
+            this.fire(isRedo ? eventNames.AFTER_REDO : eventNames.EXECUTE_COMMAND, command);
+          }
         }
         this.unlock();
         if (isFunction(command.executeCallback)) {
@@ -168,6 +206,64 @@ class Invoker {
     });
   }
 
+  /**
+   * Invoke the commands executed while a task runs as one command.
+   * The batch command undoes and redoes the commands at once.
+   * @param {string} name - name of the batch command
+   * @param {Function} task - function executing the commands and returning a promise
+   * @returns {Promise}
+   */
+  executeBatch(name, task) {
+    if (this._isLocked || this.isBatching()) {
+      return Promise.reject(rejectMessages.isLock);
+    }
+
+    const commands = [];
+    const endBatch = () => {
+      this._batchedCommands = null;
+
+      // the commands executed before a failure are undone at once, too
+      if (commands.length) {
+        const command = makeBatchCommand(name, commands);
+
+        this.pushUndoStack(command);
+        this.fire(eventNames.EXECUTE_COMMAND, command);
+        this.clearRedoStack();
+      }
+    };
+
+    this._batchedCommands = commands;
+
+    return task()
+      .then((value) => {
+        endBatch();
+
+        return value;
+      })
+      ['catch']((message) => {
+        endBatch();
+
+        return Promise.reject(message);
+      });
+  }
+
+  /**
+   * Return whether a batch runs
+   * @returns {boolean}
+   */
+  isBatching() {
+    return !!this._batchedCommands;
+  }
+
+  /**
+   * Return whether undo and redo are locked, they are locked while a command or a batch runs
+   * @returns {boolean}
+   * @private
+   */
+  _isUndoLocked() {
+    return this._isLocked || this.isBatching();
+  }
+
   /**
    * Undo command
    * @returns {Promise}
@@ -177,8 +273,9 @@ class Invoker {
     let promise;
     let message = '';
 
-    if (command && this._isLocked) {
-      this.pushUndoStack(command, true);
+    // put back to the undo stack directly, pushUndoStack adds the command to the running batch
+    if (command && this._isUndoLocked()) {
+      this._undoStack.push(command);
       command = null;
     }
     if (command) {
@@ -188,7 +285,7 @@ class Invoker {
       promise = this._invokeUndo(command);
     } else {
       message = rejectMessages.undo;
-      if (this._isLocked) {
+      if (this._isUndoLocked()) {
         message = `${message} Because ${rejectMessages.isLock}`;
       }
       promise = Promise.reject(message);
@@ -206,7 +303,7 @@ class Invoker {
     let promise;
     let message = '';
 
-    if (command && this._isLocked) {
+    if (command && this._isUndoLocked()) {
       this.pushRedoStack(command, true);
       command = null;
     }
@@ -217,7 +314,7 @@ class Invoker {
       promise = this._invokeExecution(command, true);
     } else {
       message = rejectMessages.redo;
-      if (this._isLocked) {
+      if (this._isUndoLocked()) {
         message = `${message} Because ${rejectMessages.isLock}`;
       }
       promise = Promise.reject(message);
@@ -232,6 +329,12 @@ class Invoker {
    * @param {boolean} [isSilent] - Fire event or not
    */
   pushUndoStack(command, isSilent) {
+    if (this.isBatching()) {
+      this._batchedCommands.push(command);
+
+      return;
+    }
+
     this._undoStack.push(command);
     if (!isSilent) {
       this._fireUndoStackChanged();
@@ -0,0 +1,224 @@
+import { isFunction } from '@/util';
+import { keyCodes } from '@/consts';
+
+const MODIFIER_KEYS = ['mod', 'ctrl', 'meta', 'alt', 'shift'];
+const NAMED_KEY_CODES = {
+  backspace: keyCodes.BACKSPACE,
+  delete: keyCodes.DEL,
+  escape: keyCodes.ESC,
+  space: keyCodes.SPACE,
+  arrowleft: keyCodes.ARROW_LEFT,
+  arrowright: keyCodes.ARROW_RIGHT,
+  arrowup: keyCodes.ARROW_UP,
+  arrowdown: keyCodes.ARROW_DOWN,
+  '/': keyCodes.SLASH,
+};
+const KEY_ALIASES = {
+  del: 'delete',
+  esc: 'escape',
+  left: 'arrowleft',
+  right: 'arrowright',
+  up: 'arrowup',
+  down: 'arrowdown',
+  cmd: 'meta',
+  control: 'ctrl',
+};
+const EDITABLE_TAG_NAMES = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+/**
+ * Get the key code of a key name
+ * @param {string} key - key name (ex: 'a', '1', 'escape')
+ * @returns {number} key code or undefined
+ * @private
+ */
+function getKeyCode(key) {
+  if (/^[a-z0-9]$/.test(key)) {
+    return key.toUpperCase().charCodeAt(0);
+  }
+
+  return NAMED_KEY_CODES[key];
+}
+
+/**
+ * Parse a key combo
+ * @param {string} combo - key combo (ex: 'mod+shift+z', 'arrowleft')
+ * @returns {?Object} parsed combo with the normalized combo string and the key code
+ * @private
+ */
+function parseCombo(combo) {
+  const keys = String(combo)
+    .toLowerCase()
+    .split('+')
+    .map((key) => KEY_ALIASES[key.trim()] || key.trim());
+  const key = keys.pop();
+  const keyCode = getKeyCode(key);
+  const modifiers = MODIFIER_KEYS.filter((modifier) => keys.indexOf(modifier) > -1);
+
+  if (!keyCode || modifiers.length !== keys.length) {
+    return null;
+  }
+
+  return {
+    combo: modifiers.concat(key).join('+'),
+    keyCode,
+    modifiers,
+  };
+}
+
+/**
+ * Whether the ctrl and meta keys of the keyboard event are matched with the modifiers
+ * @param {KeyboardEvent} event - keyboard event
+ * @param {Function} hasModifier - whether the combo has the modifier
+ * @returns {boolean}
+ * @private
+ */
+function isMatchedCommandKeys({ ctrlKey = false, metaKey = false }, hasModifier) {
+  if (hasModifier('mod')) {
+    return ctrlKey || metaKey;
+  }
+
+  return ctrlKey === hasModifier('ctrl') && metaKey === hasModifier('meta');
+}
+
+/**
+ * Whether the keyboard event is the key combo
+ * @param {KeyboardEvent} event - keyboard event
+ * @param {Object} parsedCombo - parsed combo
+ * @returns {boolean}
+ * @private
+ */
+function isMatchedEvent(event, { keyCode, modifiers }) {
+  const hasModifier = (modifier) => modifiers.indexOf(modifier) > -1;
+
+  return (
+    event.keyCode === keyCode &&
+    isMatchedCommandKeys(event, hasModifier) &&
+    !!event.shiftKey === hasModifier('shift') &&
+    !!event.altKey === hasModifier('alt')
+  );
+}
+
+/**
+ * Whether the event occurs in an editable element
+ * @param {Event} event - keyboard or clipboard event
+ * @returns {boolean}
+ * @private
+ */
+export function isEditingEvent({ target }) {
+  return (
+    !!target && (EDITABLE_TAG_NAMES.indexOf(target.tagName) > -1 || !!target.isContentEditable)
+  );
+}
+
+/**
+ * Keyboard shortcuts registry
+ * @class
+ * @param {Object.<string, Function>} actions - built-in actions which can be registered by name
+ * @param {Object.<string, string>} [descriptions] - descriptions of the built-in actions
+ * @ignore
+ */
+class Shortcuts {
+  constructor(actions, descriptions = {}) {
+    /**
+     * Built-in actions
+     * @type {Object.<string, Function>}
+     * @private
+     */
+    this._actions = actions;
+
+    /**
+     * Descriptions of the built-in actions
+     * @type {Object.<string, string>}
+     * @private
+     */
+    this._descriptions = descriptions;
+
+    /**
+     * Registered shortcuts in the order of registration
+     * @type {Array.<Object>}
+     * @private
+     */
+    this._shortcuts = [];
+  }
+
+  /**
+   * Register a shortcut, a shortcut of the same combo is replaced
+   * @param {string} combo - key combo joined by '+', 'mod' is the ctrl key or the meta(command) key
+   *   (ex: 'mod+shift+z', 'shift+arrowleft', 'delete')
+   * @param {string|Function} action - name of a built-in action or a function which receives the keyboard event.
+   *   The default action of the event is prevented unless the action returns false.
+   * @param {string} [description] - description of the shortcut
+   * @returns {boolean} whether the shortcut is registered
+   */
+  register(combo, action, description) {
+    const parsedCombo = parseCombo(combo);
+    const handler = isFunction(action) ? action : this._actions[action];
+
+    if (!parsedCombo || !handler) {
+      return false;
+    }
+
+    this.unregister(parsedCombo.combo);
+    this._shortcuts.push({
+      parsedCombo,
+      action,
+      handler,
+      description: description || this._descriptions[action] || '',
+    });
+
+    return true;
+  }
+
+  /**
+   * Unregister the shortcut of a combo
+   * @param {string} combo - key combo
+   * @returns {boolean} whether a shortcut is unregistered
+   */
+  unregister(combo) {
+    const parsedCombo = parseCombo(combo);
+    const { length } = this._shortcuts;
+
+    if (parsedCombo) {
+      this._shortcuts = this._shortcuts.filter(
+        (shortcut) => shortcut.parsedCombo.combo !== parsedCombo.combo
+      );
+    }
+
+    return this._shortcuts.length !== length;
+  }
+
+  /**
+   * Get the registered shortcuts
+   * @returns {Array.<{combo: string, action: (string|Function), description: string}>} shortcuts
+   */
+  list() {
+    return this._shortcuts.map(({ parsedCombo, action, description }) => ({
+      combo: parsedCombo.combo,
+      action,
+      description,
+    }));
+  }
+
+  /**
+   * Run the shortcut matched with the keyboard event
+   * @param {KeyboardEvent} event - keyboard event
+   * @returns {boolean} whether a shortcut is run
+   */
+  handle(event) {
+    const [shortcut] = this._shortcuts.filter(({ parsedCombo }) =>
+      isMatchedEvent(event, parsedCombo)
+    );
+
+    if (!shortcut || isEditingEvent(event)) {
+      return false;
+    }
+
+    if (shortcut.handler(event) !== false) {
+      event.preventDefault();
+    }
+
+    return true;
+  }
+}
+
+export default Shortcuts;
@@ -11,6 +11,8 @@ import {
 } from '@/consts';
 import mainContainer from '@/ui/template/mainContainer';
 import controls from '@/ui/template/controls';
+import shortcutsHelpTemplate from '@/ui/template/shortcutsHelp';
+import exportDialogTemplate from '@/ui/template/exportDialog';
 
 import Theme from '@/ui/theme/theme';
 import Shape from '@/ui/shape';
@@ -24,6 +26,8 @@ import Icon from '@/ui/icon';
 import Draw from '@/ui/draw';
 import Filter from '@/ui/filter';
 import History from '@/ui/history';
+import Layers from '@/ui/layers';
+import Align from '@/ui/align';
 import Locale from '@/ui/locale/locale';
 
 const SUB_UI_COMPONENT = {
@@ -42,6 +46,14 @@ const SUB_UI_COMPONENT = {
 const BI_EXPRESSION_MINSIZE_WHEN_TOP_POSITION = '1300';
 const HISTORY_MENU = 'history';
 const HISTORY_PANEL_CLASS_NAME = 'tie-panel-history';
+const LAYERS_MENU = 'layers';
+const LAYERS_PANEL_CLASS_NAME = 'tie-panel-layers';
+const ALIGN_MENU = 'align';
+const ALIGN_PANEL_CLASS_NAME = 'tie-panel-align';
+const SHORTCUTS_HELP_CLASS_NAME = 'tui-image-editor-shortcuts-help';
+const EXPORT_DIALOG_CLASS_NAME = 'tui-image-editor-export-dialog';
+const EXPORT_FORMATS = ['png', 'jpeg', 'webp', 'svg'];
+const LOSSY_EXPORT_FORMATS = ['jpeg', 'webp'];
 
 const CLASS_NAME_ON = 'on';
 const ZOOM_BUTTON_TYPE = {
@@ -62,6 +74,11 @@ const ZOOM_BUTTON_TYPE = {
  *   @param {Object} [options.uiSize] - ui size of editor
  *     @param {string} options.uiSize.width - width of ui
  *     @param {string} options.uiSize.height - height of ui
+ *   @param {Object} [options.crop] - crop menu options
+ *     @param {Array.<Object>} [options.crop.presets] - crop preset buttons
+ *     @param {Object} [options.crop.sizeLimits] - min and max size of the cropzone
+ *   @param {Object} [options.text] - text menu options
+ *     @param {Array.<Object>} [options.text.fonts] - fonts of the font picker
  * @param {Object} actions - ui action instance
  */
 class Ui {
@@ -81,6 +98,8 @@ class Ui {
     this._editorElement = null;
     this._menuBarElement = null;
     this._subMenuElement = null;
+    this._shortcutsHelpElement = null;
+    this._exportDialogElement = null;
     this._makeUiElement(element);
     this._setUiSize();
     this._initMenuEvent = false;
@@ -88,6 +107,7 @@ class Ui {
     this._makeSubMenu();
 
     this._attachHistoryEvent();
+    this._attachLayersEvent();
     this._attachZoomEvent();
   }
 
@@ -267,6 +287,8 @@ class Ui {
           height: '100%',
         },
         menuBarPosition: 'bottom',
+        crop: {},
+        text: {},
       },
       options
     );
@@ -306,6 +328,8 @@ class Ui {
         makeSvgIcon: this.theme.makeMenSvgIconSet.bind(this.theme),
         menuBarPosition: this.options.menuBarPosition,
         usageStatistics: this.options.usageStatistics,
+        cropOptions: this.options.crop,
+        textOptions: this.options.text,
       });
     });
   }
@@ -320,6 +344,18 @@ class Ui {
     this.on(eventNames.AFTER_REDO, this._selectNextHistory.bind(this));
   }
 
+  /**
+   * Attach layers event
+   * @private
+   */
+  _attachLayersEvent() {
+    const refreshLayers = () => this._layersMenu.refresh();
+
+    this.on(eventNames.EXECUTE_COMMAND, refreshLayers);
+    this.on(eventNames.AFTER_UNDO, refreshLayers);
+    this.on(eventNames.AFTER_REDO, refreshLayers);
+  }
+
   /**
    * Attach zoom event
    * @private
@@ -386,6 +422,12 @@ class Ui {
       locale: this._locale,
       makeSvgIcon: this.theme.makeMenSvgIconSet.bind(this.theme),
     });
+    this._layersMenu = new Layers(this._buttonElements[LAYERS_MENU], {
+      locale: this._locale,
+    });
+    this._alignMenu = new Align(this._buttonElements[ALIGN_MENU], {
+      locale: this._locale,
+    });
 
     this._activateZoomMenus();
   }
@@ -544,6 +586,38 @@ class Ui {
     historyButtonClassList.toggle('opened');
   }
 
+  /**
+   * Toggle layers menu
+   * @param {object} event - event object
+   */
+  toggleLayersMenu(event) {
+    const { target } = event;
+    const item = target.closest(`.${LAYERS_PANEL_CLASS_NAME}`);
+
+    if (item) {
+      return;
+    }
+
+    this._buttonElements[LAYERS_MENU].classList.toggle('opened');
+    this._layersMenu.refresh();
+  }
+
+  /**
+   * Toggle align menu, it is enabled only while more than one object is selected
+   * @param {object} event - event object
+   */
+  toggleAlignMenu(event) {
+    const { target } = event;
+    const item = target.closest(`.${ALIGN_PANEL_CLASS_NAME}`);
+    const alignButtonClassList = this._buttonElements[ALIGN_MENU].classList;
+
+    if (item || !alignButtonClassList.contains('enabled')) {
+      return;
+    }
+
+    alignButtonClassList.toggle('opened');
+  }
+
   /**
    * Add attribute for menu tooltip
    * @param {HTMLElement} element - menu element
@@ -562,7 +636,7 @@ class Ui {
    * @private
    */
   _addDownloadEvent() {
-    this.eventHandler.download = () => this._actions.main.download();
+    this.eventHandler.download = () => this.openExportDialog();
     forEach(this._buttonElements.download, (element) => {
       element.addEventListener('click', this.eventHandler.download);
     });
@@ -644,6 +718,15 @@ class Ui {
     });
   }
 
+  /**
+   * Get the root element of the ui which contains the menus and the editor area
+   * @returns {HTMLElement} root html element
+   * @ignore
+   */
+  getRootElement() {
+    return this._selectedElement;
+  }
+
   /**
    * Get editor area element
    * @returns {HTMLElement} editor area html element
@@ -667,9 +750,112 @@ class Ui {
     this._addMenuEvent();
     this._initMenu();
     this._historyMenu.addEvent(this._actions.history);
+    this._layersMenu.addEvent(this._actions.layers);
+    this._alignMenu.addEvent(this._actions.align);
     this._initMenuEvent = true;
   }
 
+  /**
+   * Whether the menu events are activated after the first image is loaded
+   * @returns {boolean}
+   * @ignore
+   */
+  isMenuEventActivated() {
+    return this._initMenuEvent;
+  }
+
+  /**
+   * Open or close the help of the keyboard shortcuts
+   * @param {Array.<{combo: string, description: string}>} shortcuts - registered shortcuts
+   * @ignore
+   */
+  toggleShortcutsHelp(shortcuts) {
+    if (this.closeShortcutsHelp()) {
+      return;
+    }
+
+    const element = document.createElement('div');
+
+    element.className = SHORTCUTS_HELP_CLASS_NAME;
+    element.innerHTML = shortcutsHelpTemplate({
+      locale: this._locale,
+      shortcuts: shortcuts.filter(({ description }) => !!description),
+    });
+    element.addEventListener('click', () => this.closeShortcutsHelp());
+
+    this._selectedElement.appendChild(element);
+    this._shortcutsHelpElement = element;
+  }
+
+  /**
+   * Close the help of the keyboard shortcuts
+   * @returns {boolean} whether the help is closed
+   * @ignore
+   */
+  closeShortcutsHelp() {
+    const element = this._shortcutsHelpElement;
+
+    if (!element) {
+      return false;
+    }
+
+    element.parentNode.removeChild(element);
+    this._shortcutsHelpElement = null;
+
+    return true;
+  }
+
+  /**
+   * Open the dialog to download the image with the format and the quality
+   * @ignore
+   */
+  openExportDialog() {
+    this.closeExportDialog();
+
+    const element = document.createElement('div');
+
+    element.className = EXPORT_DIALOG_CLASS_NAME;
+    element.innerHTML = exportDialogTemplate({ locale: this._locale, formats: EXPORT_FORMATS });
+
+    const formatElement = element.querySelector('.tie-export-format');
+    const qualityElement = element.querySelector('.tie-export-quality');
+
+    formatElement.addEventListener('change', () => {
+      qualityElement.disabled = LOSSY_EXPORT_FORMATS.indexOf(formatElement.value) < 0;
+    });
+    element.querySelector('.tie-export-cancel').addEventListener('click', () => {
+      this.closeExportDialog();
+    });
+    element.querySelector('.tie-export-download').addEventListener('click', () => {
+      const format = formatElement.value;
+      const quality = qualityElement.disabled ? 1 : Number(qualityElement.value);
+
+      this.closeExportDialog();
+      this._actions.main.download({ format, quality });
+    });
+
+    this._selectedElement.appendChild(element);
+    this._exportDialogElement = element;
+  }
+
+  /**
+   * Close the dialog to download the image
+   * @returns {boolean} whether the dialog is closed
+   * @ignore
+   */
+  closeExportDialog() {
+    const element = this._exportDialogElement;
+
+    if (!element) {
+      return false;
+    }
+
+    element.parentNode.removeChild(element);
+    this._exportDialogElement = null;
+
+    return true;
+  }
+
   /**
    * Remove ui event
    * @private
@@ -680,6 +866,8 @@ class Ui {
     this._removeLoadEvent();
     this._removeMainMenuEvent();
     this._historyMenu.removeEvent();
+    this._layersMenu.removeEvent();
+    this._alignMenu.removeEvent();
   }
 
   /**
@@ -692,6 +880,8 @@ class Ui {
     });
 
     this._historyMenu.destroy();
+    this._layersMenu.destroy();
+    this._alignMenu.destroy();
   }
 
   /**
@@ -0,0 +1,102 @@
+import extend from 'tui-code-snippet/object/extend';
+import Panel from '@/ui/panelMenu';
+import templateHtml from '@/ui/template/submenu/align';
+import { assignmentForDestroy } from '@/util';
+
+const onClassName = 'on';
+const ALIGN_ITEMS = [
+  { command: 'align', value: 'left', label: 'Align left' },
+  { command: 'align', value: 'center', label: 'Align center' },
+  { command: 'align', value: 'right', label: 'Align right' },
+  { command: 'align', value: 'top', label: 'Align top' },
+  { command: 'align', value: 'middle', label: 'Align middle' },
+  { command: 'align', value: 'bottom', label: 'Align bottom' },
+  { command: 'distribute', value: 'horizontal', label: 'Distribute horizontally' },
+  { command: 'distribute', value: 'vertical', label: 'Distribute vertically' },
+  { command: 'relativeTo', value: 'canvas', label: 'Align to canvas' },
+];
+
+/**
+ * Align ui class
+ * @class
+ * @ignore
+ */
+class Align extends Panel {
+  constructor(menuElement, { locale }) {
+    super(menuElement, { name: 'align' });
+
+    this.locale = locale;
+    this.relativeTo = 'selection';
+    this._eventHandler = {};
+
+    this._render();
+  }
+
+  /**
+   * Render the align items
+   * @private
+   */
+  _render() {
+    ALIGN_ITEMS.forEach((itemInfo) => {
+      const html = templateHtml(extend({ locale: this.locale }, itemInfo));
+
+      this.pushListItemElement(this.makeListItemElement(html));
+    });
+  }
+
+  /**
+   * onClick align menu event listener
+   * @param {MouseEvent} event - event object
+   * @private
+   */
+  _clickAlignItem(event) {
+    const button = event.target.closest('[data-command]');
+
+    if (!button) {
+      return;
+    }
+
+    const command = button.getAttribute('data-command');
+    const value = button.getAttribute('data-value');
+
+    if (command === 'relativeTo') {
+      this.relativeTo = this.relativeTo === value ? 'selection' : value;
+      button.classList[this.relativeTo === value ? 'add' : 'remove'](onClassName);
+    } else if (command === 'align') {
+      this._actions.align(value, this.relativeTo);
+    } else {
+      this._actions.distribute(value);
+    }
+  }
+
+  /**
+   * Destroys the instance.
+   */
+  destroy() {
+    this.removeEvent();
+
+    assignmentForDestroy(this);
+  }
+
+  /**
+   * Add event for align
+   * @param {Object} actions - actions for align
+   *   @param {Function} actions.align - align the selected objects
+   *   @param {Function} actions.distribute - distribute the selected objects
+   */
+  addEvent(actions) {
+    this._actions = actions;
+    this._eventHandler.click = (event) => this._clickAlignItem(event);
+    this.listElement.addEventListener('click', this._eventHandler.click);
+  }
+
+  /**
+   * Remove event
+   * @private
+   */
+  removeEvent() {
+    this.listElement.removeEventListener('click', this._eventHandler.click);
+  }
+}
+
+export default Align;
@@ -1,7 +1,28 @@
 import forEach from 'tui-code-snippet/collection/forEach';
+import extend from 'tui-code-snippet/object/extend';
+import Range from '@/ui/tools/range';
 import Submenu from '@/ui/submenuBase';
 import templateHtml from '@/ui/template/submenu/crop';
-import { assignmentForDestroy } from '@/util';
+import { assignmentForDestroy, toInteger } from '@/util';
+import { defaultStraightenRangeValues, defaultCropPresets } from '@/consts';
+
+/**
+ * Make the crop presets with the ratio and the output size
+ * @param {Array.<{label: string, ratio: number, width: number, height: number}>} presets - crop presets
+ * @returns {Array.<{label: string, ratio: ?number, outputSize: ?Object}>}
+ * @private
+ */
+function makeCropPresets(presets) {
+  return presets.map(({ label, ratio, width, height }) => {
+    const outputSize = width > 0 && height > 0 ? { width, height } : null;
+
+    return {
+      label,
+      ratio: ratio || (outputSize ? width / height : null),
+      outputSize,
+    };
+  });
+}
 
 /**
  * Crop ui class
@@ -9,25 +30,58 @@ import { assignmentForDestroy } from '@/util';
  * @ignore
  */
 class Crop extends Submenu {
-  constructor(subMenuElement, { locale, makeSvgIcon, menuBarPosition, usageStatistics }) {
+  constructor(
+    subMenuElement,
+    { locale, makeSvgIcon, menuBarPosition, usageStatistics, cropOptions = {} }
+  ) {
+    const presets = makeCropPresets(cropOptions.presets || defaultCropPresets);
+
     super(subMenuElement, {
       locale,
       name: 'crop',
       makeSvgIcon,
       menuBarPosition,
-      templateHtml,
+      templateHtml: (templateInfo) => templateHtml(extend({ presets }, templateInfo)),
       usageStatistics,
     });
 
     this.status = 'active';
 
+    /**
+     * Crop presets of the buttons
+     * @type {Array.<{label: string, ratio: ?number, outputSize: ?Object}>}
+     * @private
+     */
+    this._presets = presets;
+
+    /**
+     * Output size of the selected preset
+     * @type {?{width: number, height: number}}
+     * @private
+     */
+    this._outputSize = null;
+
     this._els = {
       apply: this.selector('.tie-crop-button .apply'),
       cancel: this.selector('.tie-crop-button .cancel'),
       preset: this.selector('.tie-crop-preset-button'),
+      rectInputs: {
+        left: this.selector('.tie-crop-left'),
+        top: this.selector('.tie-crop-top'),
+        width: this.selector('.tie-crop-width'),
+        height: this.selector('.tie-crop-height'),
+      },
+      straightenRange: new Range(
+        {
+          slider: this.selector('.tie-crop-straighten-range'),
+          input: this.selector('.tie-crop-straighten-range-value'),
+        },
+        defaultStraightenRangeValues
+      ),
     };
 
     this.defaultPresetButton = this._els.preset.querySelector('.preset-none');
+    this._setPresetButtonActive();
   }
 
   /**
@@ -35,6 +89,7 @@ class Crop extends Submenu {
    */
   destroy() {
     this._removeEvent();
+    this._els.straightenRange.destroy();
 
     assignmentForDestroy(this);
   }
@@ -44,23 +99,32 @@ class Crop extends Submenu {
    * @param {Object} actions - actions for crop
    *   @param {Function} actions.crop - crop action
    *   @param {Function} actions.cancel - cancel action
-   *   @param {Function} actions.preset - draw rectzone at a predefined ratio
+   *   @param {Function} actions.preset - draw rectzone at a predefined ratio, no ratio is free
+   *   @param {Function} actions.straighten - rotate the image under the cropzone
+   *   @param {Function} actions.setRect - set the cropzone to the rect
+   *   @param {Function} actions.getRect - get the cropzone rect
    */
   addEvent(actions) {
     const apply = this._applyEventHandler.bind(this);
     const cancel = this._cancelEventHandler.bind(this);
     const cropzonePreset = this._cropzonePresetEventHandler.bind(this);
+    const changeRect = this._changeRectInputHandler.bind(this);
 
     this.eventHandler = {
       apply,
       cancel,
       cropzonePreset,
+      changeRect,
     };
 
     this.actions = actions;
     this._els.apply.addEventListener('click', apply);
     this._els.cancel.addEventListener('click', cancel);
     this._els.preset.addEventListener('click', cropzonePreset);
+    forEach(this._els.rectInputs, (input) => {
+      input.addEventListener('change', changeRect);
+    });
+    this._els.straightenRange.on('change', this._changeStraightenRange.bind(this));
   }
 
   /**
@@ -71,10 +135,53 @@ class Crop extends Submenu {
     this._els.apply.removeEventListener('click', this.eventHandler.apply);
     this._els.cancel.removeEventListener('click', this.eventHandler.cancel);
     this._els.preset.removeEventListener('click', this.eventHandler.cropzonePreset);
+    forEach(this._els.rectInputs, (input) => {
+      input.removeEventListener('change', this.eventHandler.changeRect);
+    });
+    this._els.straightenRange.off();
+  }
+
+  /**
+   * Change the straighten angle by the range
+   * @param {number} value - straighten angle
+   * @private
+   */
+  _changeStraightenRange(value) {
+    this.actions.straighten(toInteger(value));
+    this.changeApplyButtonStatus(true);
+  }
+
+  /**
+   * Set the cropzone to the rect of the inputs, the inputs are restored if the rect is out of the canvas
+   * @private
+   */
+  _changeRectInputHandler() {
+    const rect = {};
+
+    forEach(this._els.rectInputs, (input, key) => {
+      rect[key] = Number(input.value);
+    });
+
+    if (this.actions.setRect(rect)) {
+      this._outputSize = null;
+      this._setPresetButtonActive();
+    } else {
+      this.setRectValues(this.actions.getRect());
+    }
+  }
+
+  /**
+   * Set the values of the rect inputs
+   * @param {?{left: number, top: number, width: number, height: number}} rect - cropzone rect, null clears the inputs
+   */
+  setRectValues(rect) {
+    forEach(this._els.rectInputs, (input, key) => {
+      input.value = rect ? Math.round(rect[key]) : '';
+    });
   }
 
   _applyEventHandler() {
-    this.actions.crop();
+    this.actions.crop(this._outputSize);
     this._els.apply.classList.remove('active');
   }
 
@@ -86,10 +193,11 @@ class Crop extends Submenu {
   _cropzonePresetEventHandler(event) {
     const button = event.target.closest('.tui-image-editor-button.preset');
     if (button) {
-      const [presetType] = button.className.match(/preset-[^\s]+/);
+      const { ratio, outputSize } = this._presets[button.getAttribute('data-preset-index')];
 
+      this._outputSize = outputSize;
       this._setPresetButtonActive(button);
-      this.actions.preset(presetType);
+      this.actions.preset(ratio);
     }
   }
 
@@ -106,6 +214,9 @@ class Crop extends Submenu {
   changeStandbyMode() {
     this.actions.stopDrawingMode();
     this._setPresetButtonActive();
+    this._els.straightenRange.value = 0;
+    this._outputSize = null;
+    this.setRectValues(null);
   }
 
   /**
@@ -6,6 +6,7 @@ import { assignmentForDestroy, getRgb } from '@/util';
 import { defaultDrawRangeValues, eventNames, selectorNames } from '@/consts';
 
 const DRAW_OPACITY = 0.7;
+const HIGHLIGHTER_OPACITY = 0.4;
 
 /**
  * Draw ui class
@@ -25,6 +26,11 @@ class Draw extends Submenu {
 
     this._els = {
       lineSelectButton: this.selector('.tie-draw-line-select-button'),
+      brushSelect: this.selector('.tie-draw-brush'),
+      smoothingSelect: this.selector('.tie-draw-smoothing'),
+      pressureCheckbox: this.selector('.tie-draw-pressure'),
+      lineTypeSelect: this.selector('.tie-draw-line-type'),
+      lineStyleSelect: this.selector('.tie-draw-line-style'),
       drawColorPicker: new Colorpicker(this.selector('.tie-draw-color'), {
         defaultColor: '#00a9ff',
         toggleDirection: this.toggleDirection,
@@ -42,6 +48,11 @@ class Draw extends Submenu {
     this.type = null;
     this.color = this._els.drawColorPicker.color;
     this.width = this._els.drawRange.value;
+    this.brush = this._els.brushSelect.value;
+    this.smoothing = Number(this._els.smoothingSelect.value);
+    this.pressure = this._els.pressureCheckbox.checked;
+    this.lineType = this._els.lineTypeSelect.value;
+    this.lineStyle = this._els.lineStyleSelect.value;
 
     this.colorPickerInputBox = this._els.drawColorPicker.colorpickerElement.querySelector(
       selectorNames.COLOR_PICKER_INPUT_BOX
@@ -66,9 +77,15 @@ class Draw extends Submenu {
    */
   addEvent(actions) {
     this.eventHandler.changeDrawType = this._changeDrawType.bind(this);
+    this.eventHandler.changeBrush = this._changeBrush.bind(this);
 
     this.actions = actions;
     this._els.lineSelectButton.addEventListener('click', this.eventHandler.changeDrawType);
+    this._els.brushSelect.addEventListener('change', this.eventHandler.changeBrush);
+    this._els.smoothingSelect.addEventListener('change', this.eventHandler.changeBrush);
+    this._els.pressureCheckbox.addEventListener('change', this.eventHandler.changeBrush);
+    this._els.lineTypeSelect.addEventListener('change', this.eventHandler.changeBrush);
+    this._els.lineStyleSelect.addEventListener('change', this.eventHandler.changeBrush);
     this._els.drawColorPicker.on('change', this._changeDrawColor.bind(this));
     this._els.drawRange.on('change', this._changeDrawRange.bind(this));
 
@@ -88,6 +105,11 @@ class Draw extends Submenu {
    */
   _removeEvent() {
     this._els.lineSelectButton.removeEventListener('click', this.eventHandler.changeDrawType);
+    this._els.brushSelect.removeEventListener('change', this.eventHandler.changeBrush);
+    this._els.smoothingSelect.removeEventListener('change', this.eventHandler.changeBrush);
+    this._els.pressureCheckbox.removeEventListener('change', this.eventHandler.changeBrush);
+    this._els.lineTypeSelect.removeEventListener('change', this.eventHandler.changeBrush);
+    this._els.lineStyleSelect.removeEventListener('change', this.eventHandler.changeBrush);
     this._els.drawColorPicker.off();
     this._els.drawRange.off();
 
@@ -105,9 +127,17 @@ class Draw extends Submenu {
    * set draw mode - action runner
    */
   setDrawMode() {
+    const isHighlighter = this.type === 'free' && this.brush === 'highlighter';
+    const opacity = isHighlighter ? HIGHLIGHTER_OPACITY : DRAW_OPACITY;
+
     this.actions.setDrawMode(this.type, {
       width: this.width,
-      color: getRgb(this.color, DRAW_OPACITY),
+      color: getRgb(this.color, opacity),
+      type: this.brush,
+      smoothing: this.smoothing,
+      pressure: this.pressure,
+      lineType: this.lineType,
+      lineStyle: this.lineStyle,
     });
   }
 
@@ -169,6 +199,23 @@ class Draw extends Submenu {
     }
   }
 
+  /**
+   * Change brush type, smoothing or pressure of the free drawing and line type or style of the line drawing
+   * @private
+   */
+  _changeBrush() {
+    this.brush = this._els.brushSelect.value;
+    this.smoothing = Number(this._els.smoothingSelect.value);
+    this.pressure = this._els.pressureCheckbox.checked;
+    this.lineType = this._els.lineTypeSelect.value;
+    this.lineStyle = this._els.lineStyleSelect.value;
+    if (!this.type) {
+      this.changeStartMode();
+    } else {
+      this.setDrawMode();
+    }
+  }
+
   /**
    * Change drawing Range
    * @param {number} value - select drawing range
@@ -5,6 +5,7 @@ import Colorpicker from '@/ui/tools/colorpicker';
 import Range from '@/ui/tools/range';
 import Submenu from '@/ui/submenuBase';
 import templateHtml from '@/ui/template/submenu/filter';
+import filterStackItemHtml from '@/ui/template/submenu/filterStackItem';
 import { toInteger, toCamelCase, assignmentForDestroy } from '@/util';
 import { defaultFilterRangeValues as FILTER_RANGE, eventNames, selectorNames } from '@/consts';
 
@@ -49,6 +50,23 @@ const filterNameMap = {
   hue: 'hue',
   gamma: 'gamma',
 };
+const FILTER_LABELS = {
+  grayscale: 'Grayscale',
+  invert: 'Invert',
+  sepia: 'Sepia',
+  vintage: 'Sepia2',
+  blur: 'Blur',
+  sharpen: 'Sharpen',
+  emboss: 'Emboss',
+  removeWhite: 'Remove White',
+  brightness: 'Brightness',
+  noise: 'Noise',
+  pixelate: 'Pixelate',
+  colorFilter: 'Color Filter',
+  tint: 'Tint',
+  multiply: 'Multiply',
+  blend: 'Blend',
+};
 const RANGE_INSTANCE_NAMES = [
   'removewhiteDistanceRange',
   'colorfilterThresholdRange',
@@ -74,9 +92,11 @@ class Filter extends Submenu {
       usageStatistics,
     });
 
+    this.locale = locale;
     this.selectBoxShow = false;
+    this.selectedFilterId = null;
+    this.stack = [];
 
-    this.checkedMap = {};
     this._makeControlElement();
   }
 
@@ -90,21 +110,29 @@ class Filter extends Submenu {
     assignmentForDestroy(this);
   }
 
+  /**
+   * Executed when the menu starts.
+   */
+  changeStartMode() {
+    this.renderFilterStack(this.actions.getFilterStack());
+  }
+
   /**
    * Remove event for filter
    */
   _removeEvent() {
     forEach(FILTER_OPTIONS, (filter) => {
-      const filterCheckElement = this.selector(`.tie-${filter}`);
+      const addButton = this.selector(`.tie-${filter}`);
       const filterNameCamelCase = toCamelCase(filter);
 
-      filterCheckElement.removeEventListener('change', this.eventHandler[filterNameCamelCase]);
+      addButton.removeEventListener('click', this.eventHandler[filterNameCamelCase]);
     });
 
     forEach([...RANGE_INSTANCE_NAMES, ...COLORPICKER_INSTANCE_NAMES], (instanceName) => {
       this._els[instanceName].off();
     });
 
+    this._els.filterStack.removeEventListener('click', this.eventHandler.clickFilterStack);
     this._els.blendType.removeEventListener('change', this.eventHandler.changeBlendFilter);
     this._els.blendType.removeEventListener('click', this.eventHandler.changeBlendFilter);
 
@@ -126,39 +154,46 @@ class Filter extends Submenu {
 
   /**
    * Add event for filter
-   * @param {Object} actions - actions for crop
-   *   @param {Function} actions.applyFilter - apply filter option
+   * @param {Object} actions - actions for filter
+   *   @param {Function} actions.getFilterStack - get the filter stack
+   *   @param {Function} actions.insertFilter - insert a filter into the stack
+   *   @param {Function} actions.updateFilter - change options of a filter in the stack
+   *   @param {Function} actions.removeFilter - remove a filter from the stack
+   *   @param {Function} actions.moveFilter - move a filter in the stack
+   *   @param {Function} actions.toggleFilter - show or hide a filter in the stack
    */
-  addEvent({ applyFilter }) {
-    const changeFilterState = (filterName) =>
-      this._changeFilterState.bind(this, applyFilter, filterName);
-    const changeFilterStateForRange = (filterName) => (value, isLast) =>
-      this._changeFilterState(applyFilter, filterName, isLast);
+  addEvent(actions) {
+    const changeFilterOption = (filterName) => this._changeFilterOption.bind(this, filterName);
+    const changeFilterOptionForRange = (filterName) => (value, isLast) =>
+      this._changeFilterOption(filterName, isLast);
 
+    this.actions = actions;
     this.eventHandler = {
-      changeBlendFilter: changeFilterState('blend'),
+      changeBlendFilter: changeFilterOption('blend'),
       blandTypeClick: (event) => event.stopPropagation(),
+      clickFilterStack: this._onClickFilterStack.bind(this),
     };
 
     forEach(FILTER_OPTIONS, (filter) => {
-      const filterCheckElement = this.selector(`.tie-${filter}`);
+      const addButton = this.selector(`.tie-${filter}`);
       const filterNameCamelCase = toCamelCase(filter);
-      this.checkedMap[filterNameCamelCase] = filterCheckElement;
-      this.eventHandler[filterNameCamelCase] = changeFilterState(filterNameCamelCase);
+      this.eventHandler[filterNameCamelCase] = this._addFilter.bind(this, filterNameCamelCase);
 
-      filterCheckElement.addEventListener('change', this.eventHandler[filterNameCamelCase]);
+      addButton.addEventListener('click', this.eventHandler[filterNameCamelCase]);
     });
 
-    this._els.removewhiteDistanceRange.on('change', changeFilterStateForRange('removeWhite'));
-    this._els.colorfilterThresholdRange.on('change', changeFilterStateForRange('colorFilter'));
-    this._els.pixelateRange.on('change', changeFilterStateForRange('pixelate'));
-    this._els.noiseRange.on('change', changeFilterStateForRange('noise'));
-    this._els.brightnessRange.on('change', changeFilterStateForRange('brightness'));
+    this._els.filterStack.addEventListener('click', this.eventHandler.clickFilterStack);
+
+    this._els.removewhiteDistanceRange.on('change', changeFilterOptionForRange('removeWhite'));
+    this._els.colorfilterThresholdRange.on('change', changeFilterOptionForRange('colorFilter'));
+    this._els.pixelateRange.on('change', changeFilterOptionForRange('pixelate'));
+    this._els.noiseRange.on('change', changeFilterOptionForRange('noise'));
+    this._els.brightnessRange.on('change', changeFilterOptionForRange('brightness'));
 
     this._els.filterBlendColor.on('change', this.eventHandler.changeBlendFilter);
-    this._els.filterMultiplyColor.on('change', changeFilterState('multiply'));
-    this._els.filterTintColor.on('change', changeFilterState('tint'));
-    this._els.tintOpacity.on('change', changeFilterStateForRange('tint'));
+    this._els.filterMultiplyColor.on('change', changeFilterOption('multiply'));
+    this._els.filterTintColor.on('change', changeFilterOption('tint'));
+    this._els.tintOpacity.on('change', changeFilterOptionForRange('tint'));
     this._els.filterMultiplyColor.on('changeShow', this.colorPickerChangeShow.bind(this));
     this._els.filterTintColor.on('changeShow', this.colorPickerChangeShow.bind(this));
     this._els.filterBlendColor.on('changeShow', this.colorPickerChangeShow.bind(this));
@@ -177,35 +212,71 @@ class Filter extends Submenu {
   }
 
   /**
-   * Set filter for undo changed
-   * @param {Object} changedFilterInfos - changed command infos
-   *   @param {string} type - filter type
-   *   @param {string} action - add or remove
-   *   @param {Object} options - filter options
+   * Render the filter stack as a list, the last applied filter on top
+   * @param {Array.<Object>} stack - filter stack in applying order
    */
-  setFilterState(changedFilterInfos) {
-    const { type, options, action } = changedFilterInfos;
-    const filterName = this._getFilterNameFromOptions(type, options);
-    const isRemove = action === 'remove';
+  renderFilterStack(stack) {
+    const { filterStack } = this._els;
+    const hasSelectedFilter = stack.some(({ id }) => id === this.selectedFilterId);
 
-    if (!isRemove) {
-      this._setFilterState(filterName, options);
+    if (!hasSelectedFilter) {
+      this.selectedFilterId = null;
     }
 
-    this.checkedMap[filterName].checked = !isRemove;
+    filterStack.innerHTML = stack
+      .slice()
+      .reverse()
+      .map(({ id, type, options, visible }) =>
+        filterStackItemHtml({
+          locale: this.locale,
+          id,
+          name: this._getFilterLabel(type, options),
+          visible,
+          selected: id === this.selectedFilterId,
+        })
+      )
+      .join('');
+
+    this.stack = stack;
   }
 
   /**
-   * Init all filter's checkbox to unchecked state
+   * Select a filter of the stack to edit its options
+   * @param {number} id - filter id
    */
-  initFilterCheckBoxState() {
-    forEach(
-      this.checkedMap,
-      (filter) => {
-        filter.checked = false;
-      },
-      this
-    );
+  selectFilterStackItem(id) {
+    const item = this._getStackItem(id);
+
+    this.selectedFilterId = item ? id : null;
+    if (item) {
+      this._setFilterState(this._getFilterNameFromOptions(item.type, item.options), item.options);
+    }
+    this.renderFilterStack(this.stack);
+  }
+
+  /**
+   * Get the item of the rendered stack
+   * @param {number} id - filter id
+   * @returns {Object} stack item or undefined
+   * @private
+   */
+  _getStackItem(id) {
+    const [item] = this.stack.filter((stackItem) => stackItem.id === id);
+
+    return item;
+  }
+
+  /**
+   * Get the label of a filter for the stack list
+   * @param {string} type - filter type
+   * @param {Object} options - filter options
+   * @returns {string} label
+   * @private
+   */
+  _getFilterLabel(type, options) {
+    const filterName = this._getFilterNameFromOptions(type, options);
+
+    return FILTER_LABELS[filterName] || filterName.replace(/^[a-z]/, ($0) => $0.toUpperCase());
   }
 
   /**
@@ -249,35 +320,95 @@ class Filter extends Submenu {
     if (type === 'removeColor') {
       filterName = isExisty(options.useAlpha) ? 'removeWhite' : 'colorFilter';
     } else if (type === 'blendColor') {
-      filterName = {
-        add: 'blend',
-        multiply: 'multiply',
-        tint: 'tint',
-      }[options.mode];
+      filterName =
+        {
+          multiply: 'multiply',
+          tint: 'tint',
+        }[options.mode] || 'blend';
     }
 
     return filterName;
   }
 
   /**
-   * Add event for filter
-   * @param {Function} applyFilter - actions for firter
+   * Add a filter on top of the stack with the current options of its controls
    * @param {string} filterName - filter name
-   * @param {boolean} [isLast] - Is last change
+   * @private
    */
-  _changeFilterState(applyFilter, filterName, isLast = true) {
-    const apply = this.checkedMap[filterName].checked;
+  _addFilter(filterName) {
     const type = filterNameMap[filterName];
 
-    const checkboxGroup = this.checkedMap[filterName].closest('.tui-image-editor-checkbox-group');
-    if (checkboxGroup) {
-      if (apply) {
-        checkboxGroup.classList.remove('tui-image-editor-disabled');
-      } else {
-        checkboxGroup.classList.add('tui-image-editor-disabled');
+    this.actions.insertFilter(type, this._getFilterOption(filterName)).then(({ id }) => {
+      this.selectedFilterId = id;
+      this.renderFilterStack(this.actions.getFilterStack());
+    });
+  }
+
+  /**
+   * Change options of the selected filter when its controls are changed
+   * @param {string} filterName - filter name of the changed controls
+   * @param {boolean} [isLast] - Is last change
+   * @private
+   */
+  _changeFilterOption(filterName, isLast = true) {
+    const item = this.selectedFilterId && this._getStackItem(this.selectedFilterId);
+
+    if (!item || this._getFilterNameFromOptions(item.type, item.options) !== filterName) {
+      return;
+    }
+
+    this.actions.updateFilter(item.id, this._getFilterOption(filterName), !isLast).then(() => {
+      this.renderFilterStack(this.actions.getFilterStack());
+    });
+  }
+
+  /**
+   * Click event listener of the filter stack list
+   * @param {MouseEvent} event - click event
+   * @private
+   */
+  _onClickFilterStack(event) {
+    const { target } = event;
+    const itemElement = target.closest('.tui-image-editor-filter-stack-item');
+
+    if (!itemElement) {
+      return;
+    }
+
+    const id = Number.parseInt(itemElement.getAttribute('data-id'), 10);
+    const command = target.closest('[data-command]');
+
+    if (command) {
+      this._runStackCommand(command.getAttribute('data-command'), id);
+    } else {
+      this.selectFilterStackItem(id);
+    }
+  }
+
+  /**
+   * Run a command of the filter stack item
+   * @param {string} command - 'toggle', 'up', 'down' or 'remove'
+   * @param {number} id - filter id
+   * @private
+   */
+  _runStackCommand(command, id) {
+    const index = this.stack.indexOf(this._getStackItem(id));
+    let promise;
+
+    if (command === 'toggle') {
+      promise = this.actions.toggleFilter(id);
+    } else if (command === 'remove') {
+      promise = this.actions.removeFilter(id);
+    } else {
+      const toIndex = command === 'up' ? index + 1 : index - 1;
+
+      if (toIndex < 0 || toIndex >= this.stack.length) {
+        return;
       }
+      promise = this.actions.moveFilter(id, toIndex);
     }
-    applyFilter(apply, type, this._getFilterOption(filterName), !isLast);
+
+    promise.then(() => this.renderFilterStack(this.actions.getFilterStack()));
   }
 
   /**
@@ -371,6 +502,7 @@ class Filter extends Submenu {
         usageStatistics: this.usageStatistics,
       }),
       blurRange: FILTER_RANGE.blurFilterRange,
+      filterStack: this.selector('.tie-filter-stack'),
     };
 
     this._els.tintOpacity = this._pickerWithRange(this._els.filterTintColor.pickerControl);
@@ -0,0 +1,258 @@
+import Panel from '@/ui/panelMenu';
+import templateHtml from '@/ui/template/submenu/layers';
+import { assignmentForDestroy } from '@/util';
+
+const layerClassName = 'layers-item';
+const selectedClassName = 'selected-item';
+const hiddenClassName = 'hidden-item';
+const dragOverClassName = 'drag-over';
+const LAYER_NAMES = {
+  'i-text': 'Text',
+  textbox: 'Text',
+  icon: 'Icon',
+  path: 'Draw',
+  line: 'Draw',
+  arrowPolyline: 'Draw',
+  arrowCurve: 'Draw',
+  image: 'Image',
+  group: 'Group',
+  rect: 'Shape',
+  circle: 'Shape',
+  triangle: 'Shape',
+  regularPolygon: 'Shape',
+  star: 'Shape',
+  blockArrow: 'Shape',
+  speechBubble: 'Shape',
+  cappedLine: 'Shape',
+};
+
+/**
+ * Layers ui class
+ * @class
+ * @ignore
+ */
+class Layers extends Panel {
+  constructor(menuElement, { locale }) {
+    super(menuElement, { name: 'layers' });
+    menuElement.classList.add('enabled');
+
+    this.menuElement = menuElement;
+    this.locale = locale;
+    this._eventHandler = {};
+    this._layers = [];
+    this._draggingId = null;
+  }
+
+  /**
+   * Render the objects of the canvas as layers, the top-most object first
+   * @param {Array.<Object>} layers - layer infos in stacking order, the bottom-most object first
+   *   @param {number} layers.id - object id
+   *   @param {number} layers.zIndex - z-index of the object
+   *   @param {string} layers.type - object type
+   *   @param {string} layers.thumbnail - data url of the object thumbnail
+   *   @param {boolean} layers.locked - whether the object is locked
+   *   @param {boolean} layers.visible - whether the object is visible
+   *   @param {boolean} layers.selected - whether the object is selected
+   */
+  render(layers) {
+    this.deleteListItemElement(0, this.getListLength());
+    this._layers = layers;
+
+    layers
+      .slice()
+      .reverse()
+      .forEach((layer) => {
+        const html = templateHtml({
+          locale: this.locale,
+          name: LAYER_NAMES[layer.type] || layer.type,
+          thumbnail: layer.thumbnail,
+          locked: layer.locked,
+          visible: layer.visible,
+        });
+        const item = this.makeListItemElement(html);
+
+        item.setAttribute('data-id', layer.id);
+        item.setAttribute('draggable', 'true');
+        if (!layer.visible) {
+          item.classList.add(hiddenClassName);
+        }
+        if (layer.selected) {
+          item.classList.add(selectedClassName);
+        }
+
+        this.pushListItemElement(item);
+      });
+  }
+
+  /**
+   * Render the layers again only if the panel is opened
+   */
+  refresh() {
+    if (this._actions && this.isOpened()) {
+      this.render(this._actions.getLayers());
+    }
+  }
+
+  /**
+   * Whether the panel is opened
+   * @returns {boolean}
+   */
+  isOpened() {
+    return this.menuElement.classList.contains('opened');
+  }
+
+  /**
+   * Get the layer info of the list item
+   * @param {HTMLElement} target - element in the list item
+   * @returns {Object} layer info or undefined
+   * @private
+   */
+  _getLayer(target) {
+    const item = target.closest(`.${layerClassName}`);
+    const id = item && Number.parseInt(item.getAttribute('data-id'), 10);
+
+    return this._layers.filter((layer) => layer.id === id)[0];
+  }
+
+  /**
+   * onClick layers menu event listener
+   * @param {MouseEvent} event - event object
+   * @private
+   */
+  _clickLayerItem(event) {
+    const { target } = event;
+    const layer = this._getLayer(target);
+    const command = target.closest('[data-command]');
+
+    if (!layer) {
+      return;
+    }
+
+    if (!command) {
+      this._actions.select(layer.id);
+      this.refresh();
+    } else if (command.getAttribute('data-command') === 'lock') {
+      this._actions.setLock(layer.id, !layer.locked);
+    } else {
+      this._actions.setVisible(layer.id, !layer.visible);
+    }
+  }
+
+  /**
+   * onDragStart layers menu event listener
+   * @param {DragEvent} event - event object
+   * @private
+   */
+  _dragStartLayerItem(event) {
+    const layer = this._getLayer(event.target);
+
+    this._draggingId = layer ? layer.id : null;
+    if (layer && event.dataTransfer) {
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', String(layer.id));
+    }
+  }
+
+  /**
+   * onDragOver layers menu event listener
+   * @param {DragEvent} event - event object
+   * @private
+   */
+  _dragOverLayerItem(event) {
+    const item = event.target.closest(`.${layerClassName}`);
+
+    if (item && this._draggingId !== null) {
+      event.preventDefault();
+      this._clearDragOver();
+      item.classList.add(dragOverClassName);
+    }
+  }
+
+  /**
+   * onDrop layers menu event listener
+   * @param {DragEvent} event - event object
+   * @private
+   */
+  _dropLayerItem(event) {
+    const layer = this._getLayer(event.target);
+    const draggingId = this._draggingId;
+
+    event.preventDefault();
+    this._clearDragOver();
+    this._draggingId = null;
+
+    if (layer && draggingId !== null && layer.id !== draggingId) {
+      this._actions.setObjectZIndex(draggingId, layer.zIndex);
+    }
+  }
+
+  /**
+   * Remove the drop indicator of the list items
+   * @private
+   */
+  _clearDragOver() {
+    this.items.forEach((item) => item.classList.remove(dragOverClassName));
+  }
+
+  /**
+   * Add layers menu event
+   * @private
+   */
+  _addLayersEventListener() {
+    this._eventHandler.click = (event) => this._clickLayerItem(event);
+    this._eventHandler.dragstart = (event) => this._dragStartLayerItem(event);
+    this._eventHandler.dragover = (event) => this._dragOverLayerItem(event);
+    this._eventHandler.drop = (event) => this._dropLayerItem(event);
+    this._eventHandler.dragend = () => {
+      this._draggingId = null;
+      this._clearDragOver();
+    };
+
+    ['click', 'dragstart', 'dragover', 'drop', 'dragend'].forEach((eventName) => {
+      this.listElement.addEventListener(eventName, this._eventHandler[eventName]);
+    });
+  }
+
+  /**
+   * Remove layers menu event
+   * @private
+   */
+  _removeLayersEventListener() {
+    ['click', 'dragstart', 'dragover', 'drop', 'dragend'].forEach((eventName) => {
+      this.listElement.removeEventListener(eventName, this._eventHandler[eventName]);
+    });
+  }
+
+  /**
+   * Destroys the instance.
+   */
+  destroy() {
+    this.removeEvent();
+
+    assignmentForDestroy(this);
+  }
+
+  /**
+   * Add event for layers
+   * @param {Object} actions - actions for layers
+   *   @param {Function} actions.getLayers - get layer infos of the objects
+   *   @param {Function} actions.select - select an object
+   *   @param {Function} actions.setObjectZIndex - change the stacking order of an object
+   *   @param {Function} actions.setLock - lock or unlock an object
+   *   @param {Function} actions.setVisible - show or hide an object
+   */
+  addEvent(actions) {
+    this._actions = actions;
+    this._addLayersEventListener();
+  }
+
+  /**
+   * Remove event
+   * @private
+   */
+  removeEvent() {
+    this._removeLayersEventListener();
+  }
+}
+
+export default Layers;
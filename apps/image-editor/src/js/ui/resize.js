@@ -1,3 +1,4 @@
+import forEach from 'tui-code-snippet/collection/forEach';
 import Submenu from '@/ui/submenuBase';
 import templateHtml from '@/ui/template/submenu/resize';
 import { assignmentForDestroy, toInteger } from '@/util';
@@ -31,6 +32,20 @@ class Resize extends Submenu {
      */
     this._originalDimensions = null;
 
+    /**
+     * Unit of the dimension values, 'px' or '%' of the original dimensions
+     * @type {string}
+     * @private
+     */
+    this._unit = 'px';
+
+    /**
+     * Dimension limits in pixels
+     * @type {Object}
+     * @private
+     */
+    this._limits = null;
+
     this._els = {
       widthRange: new Range(
         {
@@ -47,6 +62,9 @@ class Resize extends Submenu {
         defaultResizePixelValues
       ),
       lockAspectRatio: this.selector('.tie-lock-aspect-ratio'),
+      unit: this.selector('.tie-resize-unit'),
+      unitLabels: this.subMenuElement.querySelectorAll('.tie-resize-unit-label'),
+      algorithm: this.selector('.tie-resize-algorithm'),
       apply: this.selector('.tie-resize-button .apply'),
       cancel: this.selector('.tie-resize-button .cancel'),
     };
@@ -81,13 +99,36 @@ class Resize extends Submenu {
 
   /**
    * Set dimension limits
-   * @param {object} limits - expect dimension limits for change
+   * @param {object} limits - expect dimension limits in pixels for change
    */
   setLimit(limits) {
-    this._els.widthRange.min = this.calcMinValue(limits.minWidth);
-    this._els.heightRange.min = this.calcMinValue(limits.minHeight);
-    this._els.widthRange.max = this.calcMaxValue(limits.maxWidth);
-    this._els.heightRange.max = this.calcMaxValue(limits.maxHeight);
+    const toUnit = (value, side, round) => round(this._toUnit(value, side));
+
+    this._limits = limits;
+    this._els.widthRange.min = toUnit(this.calcMinValue(limits.minWidth), 'width', Math.ceil);
+    this._els.heightRange.min = toUnit(this.calcMinValue(limits.minHeight), 'height', Math.ceil);
+    this._els.widthRange.max = toUnit(this.calcMaxValue(limits.maxWidth), 'width', Math.floor);
+    this._els.heightRange.max = toUnit(this.calcMaxValue(limits.maxHeight), 'height', Math.floor);
+  }
+
+  /**
+   * Set the unit of the dimension values
+   * @param {string} unit - 'px' or '%' of the original dimensions
+   */
+  setUnit(unit) {
+    const { width, height } = this.actions.getCurrentDimensions();
+
+    this._unit = unit;
+    this._els.unit.value = unit;
+    forEach(this._els.unitLabels, (label) => {
+      label.textContent = unit;
+    });
+
+    if (this._limits) {
+      this.setLimit(this._limits);
+    }
+    this.setWidthValue(width);
+    this.setHeightValue(height);
   }
 
   /**
@@ -118,11 +159,11 @@ class Resize extends Submenu {
 
   /**
    * Set width value
-   * @param {number} value - expect value for widthRange change
+   * @param {number} value - expect value in pixels for widthRange change
    * @param {boolean} trigger - fire change event control
    */
   setWidthValue(value, trigger = false) {
-    this._els.widthRange.value = value;
+    this._els.widthRange.value = this._toUnit(value, 'width');
     if (trigger) {
       this._els.widthRange.trigger('change');
     }
@@ -130,11 +171,11 @@ class Resize extends Submenu {
 
   /**
    * Set height value
-   * @param {number} value - expect value for heightRange change
+   * @param {number} value - expect value in pixels for heightRange change
    * @param {boolean} trigger - fire change event control
    */
   setHeightValue(value, trigger = false) {
-    this._els.heightRange.value = value;
+    this._els.heightRange.value = this._toUnit(value, 'height');
     if (trigger) {
       this._els.heightRange.trigger('change');
     }
@@ -152,7 +193,7 @@ class Resize extends Submenu {
   /**
    * Add event for resize
    * @param {Object} actions - actions for resize
-   *   @param {Function} actions.resize - resize action
+   *   @param {Function} actions.resize - resize action with the resampling algorithm
    *   @param {Function} actions.preview - preview action
    *   @param {Function} actions.getCurrentDimensions - Get current dimensions action
    *   @param {Function} actions.modeChange - change mode
@@ -167,15 +208,18 @@ class Resize extends Submenu {
 
     const apply = this._applyEventHandler.bind(this);
     const cancel = this._cancelEventHandler.bind(this);
+    const changeUnit = this._changeUnitHandler.bind(this);
 
     this.eventHandler = {
       apply,
       cancel,
+      changeUnit,
     };
 
     this.actions = actions;
     this._els.apply.addEventListener('click', apply);
     this._els.cancel.addEventListener('click', cancel);
+    this._els.unit.addEventListener('change', changeUnit);
   }
 
   /**
@@ -184,7 +228,7 @@ class Resize extends Submenu {
    * @private
    */
   _changeWidthRangeHandler(value) {
-    this.actions.preview('width', toInteger(value), this._lockState);
+    this.actions.preview('width', toInteger(this._toPixel(value, 'width')), this._lockState);
   }
 
   /**
@@ -193,7 +237,46 @@ class Resize extends Submenu {
    * @private
    */
   _changeHeightRangeHandler(value) {
-    this.actions.preview('height', toInteger(value), this._lockState);
+    this.actions.preview('height', toInteger(this._toPixel(value, 'height')), this._lockState);
+  }
+
+  /**
+   * Change the unit of the dimension values
+   * @param {Event} event - unit select change event
+   * @private
+   */
+  _changeUnitHandler(event) {
+    this.setUnit(event.target.value);
+  }
+
+  /**
+   * Convert the pixels to the value of the current unit
+   * @param {number} value - value in pixels
+   * @param {string} side - 'width' or 'height'
+   * @returns {number}
+   * @private
+   */
+  _toUnit(value, side) {
+    if (this._unit !== '%') {
+      return value;
+    }
+
+    return (value / this._originalDimensions[side]) * 100;
+  }
+
+  /**
+   * Convert the value of the current unit to the pixels
+   * @param {number} value - value in the current unit
+   * @param {string} side - 'width' or 'height'
+   * @returns {number}
+   * @private
+   */
+  _toPixel(value, side) {
+    if (this._unit !== '%') {
+      return value;
+    }
+
+    return (value * this._originalDimensions[side]) / 100;
   }
 
   /**
@@ -213,10 +296,11 @@ class Resize extends Submenu {
   _removeEvent() {
     this._els.apply.removeEventListener('click', this.eventHandler.apply);
     this._els.cancel.removeEventListener('click', this.eventHandler.cancel);
+    this._els.unit.removeEventListener('change', this.eventHandler.changeUnit);
   }
 
   _applyEventHandler() {
-    this.actions.resize();
+    this.actions.resize(null, this._els.algorithm.value);
     this._els.apply.classList.remove('active');
   }
 
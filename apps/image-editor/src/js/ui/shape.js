@@ -1,17 +1,49 @@
 import forEachArray from 'tui-code-snippet/collection/forEachArray';
+import isString from 'tui-code-snippet/type/isString';
 import Colorpicker from '@/ui/tools/colorpicker';
 import Range from '@/ui/tools/range';
 import Submenu from '@/ui/submenuBase';
 import templateHtml from '@/ui/template/submenu/shape';
-import { toInteger, assignmentForDestroy } from '@/util';
-import { defaultShapeStrokeValues, eventNames, selectorNames } from '@/consts';
+import { readBlobAsDataURL } from '@/helper/clipboardHelper';
+import { toInteger, assignmentForDestroy, includes, isSupportFileApi } from '@/util';
+import {
+  defaultShapeStrokeValues,
+  defaultGradientAngleValues,
+  defaultShapeCornerRadiusValues,
+  defaultShapeSidesValues,
+  defaultShapeInnerRadiusValues,
+  eventNames,
+  selectorNames,
+  SHAPE_FILL_TYPE,
+  SHAPE_TYPE,
+} from '@/consts';
 
 const SHAPE_DEFAULT_OPTION = {
   stroke: '#ffbb3b',
   fill: '',
   strokeWidth: 3,
+  rx: defaultShapeCornerRadiusValues.value,
+  ry: defaultShapeCornerRadiusValues.value,
+  sides: defaultShapeSidesValues.value,
+  innerRadius: defaultShapeInnerRadiusValues.value / 100,
 };
 
+/**
+ * Shape types which have each property
+ * @type {Object.<string, Array.<string>>}
+ */
+const SHAPE_PROPERTY_TYPES = {
+  cornerRadius: ['rect', 'speechBubble'],
+  sides: ['regularPolygon', 'star'],
+  innerRadius: ['star'],
+};
+
+/**
+ * Value of the fill type select which fills the shape with the color
+ * @type {string}
+ */
+const COLOR_FILL_TYPE = 'color';
+
 /**
  * Shape ui class
  * @class
@@ -30,9 +62,46 @@ class Shape extends Submenu {
     this.type = null;
     this.options = SHAPE_DEFAULT_OPTION;
 
+    /**
+     * Type of the selected shape object
+     * @type {string}
+     * @private
+     */
+    this._activeShapeType = null;
+
+    /**
+     * Fill type of the fill type select, 'color' or the gradient type
+     * @type {string}
+     * @private
+     */
+    this._fillType = COLOR_FILL_TYPE;
+
+    /**
+     * Fill color which is the start color of the gradient
+     * @type {string}
+     * @private
+     */
+    this._fillColor = '';
+
+    /**
+     * End color of the gradient
+     * @type {string}
+     * @private
+     */
+    this._gradientColor = '#ffffff';
+
+    /**
+     * Angle of the linear gradient
+     * @type {number}
+     * @private
+     */
+    this._gradientAngle = defaultGradientAngleValues.value;
+
     this._els = {
       shapeSelectButton: this.selector('.tie-shape-button'),
       shapeColorButton: this.selector('.tie-shape-color-button'),
+      fillTypeSelect: this.selector('.tie-shape-fill-type'),
+      patternImageButton: this.selector('.tie-shape-pattern-file'),
       strokeRange: new Range(
         {
           slider: this.selector('.tie-stroke-range'),
@@ -40,6 +109,34 @@ class Shape extends Submenu {
         },
         defaultShapeStrokeValues
       ),
+      gradientAngleRange: new Range(
+        {
+          slider: this.selector('.tie-gradient-angle-range'),
+          input: this.selector('.tie-gradient-angle-range-value'),
+        },
+        defaultGradientAngleValues
+      ),
+      cornerRadiusRange: new Range(
+        {
+          slider: this.selector('.tie-corner-radius-range'),
+          input: this.selector('.tie-corner-radius-range-value'),
+        },
+        defaultShapeCornerRadiusValues
+      ),
+      sidesRange: new Range(
+        {
+          slider: this.selector('.tie-sides-range'),
+          input: this.selector('.tie-sides-range-value'),
+        },
+        defaultShapeSidesValues
+      ),
+      innerRadiusRange: new Range(
+        {
+          slider: this.selector('.tie-inner-radius-range'),
+          input: this.selector('.tie-inner-radius-range-value'),
+        },
+        defaultShapeInnerRadiusValues
+      ),
       fillColorpicker: new Colorpicker(this.selector('.tie-color-fill'), {
         defaultColor: '',
         toggleDirection: this.toggleDirection,
@@ -50,10 +147,16 @@ class Shape extends Submenu {
         toggleDirection: this.toggleDirection,
         usageStatistics: this.usageStatistics,
       }),
+      gradientColorpicker: new Colorpicker(this.selector('.tie-color-gradient'), {
+        defaultColor: this._gradientColor,
+        toggleDirection: this.toggleDirection,
+        usageStatistics: this.usageStatistics,
+      }),
     };
 
     this.colorPickerControls.push(this._els.fillColorpicker);
     this.colorPickerControls.push(this._els.strokeColorpicker);
+    this.colorPickerControls.push(this._els.gradientColorpicker);
 
     this.colorPickerInputBoxes = [];
     this.colorPickerInputBoxes.push(
@@ -66,6 +169,11 @@ class Shape extends Submenu {
         selectorNames.COLOR_PICKER_INPUT_BOX
       )
     );
+    this.colorPickerInputBoxes.push(
+      this._els.gradientColorpicker.colorpickerElement.querySelector(
+        selectorNames.COLOR_PICKER_INPUT_BOX
+      )
+    );
   }
 
   /**
@@ -74,8 +182,13 @@ class Shape extends Submenu {
   destroy() {
     this._removeEvent();
     this._els.strokeRange.destroy();
+    this._els.gradientAngleRange.destroy();
+    this._els.cornerRadiusRange.destroy();
+    this._els.sidesRange.destroy();
+    this._els.innerRadiusRange.destroy();
     this._els.fillColorpicker.destroy();
     this._els.strokeColorpicker.destroy();
+    this._els.gradientColorpicker.destroy();
 
     assignmentForDestroy(this);
   }
@@ -88,14 +201,24 @@ class Shape extends Submenu {
    */
   addEvent(actions) {
     this.eventHandler.shapeTypeSelected = this._changeShapeHandler.bind(this);
+    this.eventHandler.changeFillType = this._changeFillTypeHandler.bind(this);
+    this.eventHandler.loadPatternFile = this._loadPatternFile.bind(this);
     this.actions = actions;
 
     this._els.shapeSelectButton.addEventListener('click', this.eventHandler.shapeTypeSelected);
+    this._els.fillTypeSelect.addEventListener('change', this.eventHandler.changeFillType);
+    this._els.patternImageButton.addEventListener('change', this.eventHandler.loadPatternFile);
     this._els.strokeRange.on('change', this._changeStrokeRangeHandler.bind(this));
+    this._els.gradientAngleRange.on('change', this._changeGradientAngleRangeHandler.bind(this));
+    this._els.cornerRadiusRange.on('change', this._changeCornerRadiusRangeHandler.bind(this));
+    this._els.sidesRange.on('change', this._changeSidesRangeHandler.bind(this));
+    this._els.innerRadiusRange.on('change', this._changeInnerRadiusRangeHandler.bind(this));
     this._els.fillColorpicker.on('change', this._changeFillColorHandler.bind(this));
     this._els.strokeColorpicker.on('change', this._changeStrokeColorHandler.bind(this));
+    this._els.gradientColorpicker.on('change', this._changeGradientColorHandler.bind(this));
     this._els.fillColorpicker.on('changeShow', this.colorPickerChangeShow.bind(this));
     this._els.strokeColorpicker.on('changeShow', this.colorPickerChangeShow.bind(this));
+    this._els.gradientColorpicker.on('changeShow', this.colorPickerChangeShow.bind(this));
 
     forEachArray(
       this.colorPickerInputBoxes,
@@ -113,9 +236,16 @@ class Shape extends Submenu {
    */
   _removeEvent() {
     this._els.shapeSelectButton.removeEventListener('click', this.eventHandler.shapeTypeSelected);
+    this._els.fillTypeSelect.removeEventListener('change', this.eventHandler.changeFillType);
+    this._els.patternImageButton.removeEventListener('change', this.eventHandler.loadPatternFile);
     this._els.strokeRange.off();
+    this._els.gradientAngleRange.off();
+    this._els.cornerRadiusRange.off();
+    this._els.sidesRange.off();
+    this._els.innerRadiusRange.off();
     this._els.fillColorpicker.off();
     this._els.strokeColorpicker.off();
+    this._els.gradientColorpicker.off();
 
     forEachArray(
       this.colorPickerInputBoxes,
@@ -133,14 +263,43 @@ class Shape extends Submenu {
    *   @param {string} strokeWidth - stroke width
    *   @param {string} strokeColor - stroke color
    *   @param {string} fillColor - fill color
+   *   @param {?ShapeFillOption} [fillOption] - gradient or pattern type fill option of the selected shape object
+   *   @param {string} [shapeType] - type of the selected shape object
+   *   @param {number} [rx] - corner radius of the selected shape object
+   *   @param {number} [sides] - count of the sides of the selected shape object
+   *   @param {number} [innerRadius] - inner radius ratio of the selected shape object
    */
-  setShapeStatus({ strokeWidth, strokeColor, fillColor }) {
+  setShapeStatus({
+    strokeWidth,
+    strokeColor,
+    fillColor,
+    fillOption,
+    shapeType,
+    rx,
+    sides,
+    innerRadius,
+  }) {
     this._els.strokeRange.value = strokeWidth;
     this._els.strokeColorpicker.color = strokeColor;
-    this._els.fillColorpicker.color = fillColor;
     this.options.stroke = strokeColor;
-    this.options.fill = fillColor;
     this.options.strokeWidth = strokeWidth;
+    this._activeShapeType = shapeType || null;
+
+    if (fillOption) {
+      this._setFillOptionStatus(fillOption);
+    } else {
+      this._setFillColorStatus(fillColor);
+    }
+
+    if (this._hasShapeProperty('cornerRadius')) {
+      this._els.cornerRadiusRange.value = rx;
+    }
+    if (this._hasShapeProperty('sides')) {
+      this._els.sidesRange.value = sides;
+    }
+    if (this._hasShapeProperty('innerRadius')) {
+      this._els.innerRadiusRange.value = innerRadius * 100;
+    }
 
     this.actions.setDrawingShape(this.type, { strokeWidth });
   }
@@ -158,9 +317,9 @@ class Shape extends Submenu {
   changeStandbyMode() {
     this.type = null;
     this.actions.changeSelectableAll(true);
-    this._els.shapeSelectButton.classList.remove('circle');
-    this._els.shapeSelectButton.classList.remove('triangle');
-    this._els.shapeSelectButton.classList.remove('rect');
+    forEachArray(SHAPE_TYPE, (shapeType) => {
+      this._els.shapeSelectButton.classList.remove(shapeType);
+    });
   }
 
   /**
@@ -202,7 +361,7 @@ class Shape extends Submenu {
     if (button) {
       this.actions.stopDrawingMode();
       this.actions.discardSelection();
-      const shapeType = this.getButtonType(button, ['circle', 'triangle', 'rect']);
+      const shapeType = this.getButtonType(button, SHAPE_TYPE);
 
       if (this.type === shapeType) {
         this.changeStandbyMode();
@@ -235,17 +394,222 @@ class Shape extends Submenu {
     this.actions.setDrawingShape(this.type, this.options);
   }
 
+  /**
+   * Change corner radius range
+   * @param {number} value - corner radius range value
+   * @param {boolean} isLast - Is last change
+   * @private
+   */
+  _changeCornerRadiusRangeHandler(value, isLast) {
+    const radius = toInteger(value);
+
+    this.options.rx = radius;
+    this.options.ry = radius;
+    this._changeShapeProperty('cornerRadius', { rx: radius, ry: radius }, isLast);
+  }
+
+  /**
+   * Change sides range
+   * @param {number} value - sides range value
+   * @param {boolean} isLast - Is last change
+   * @private
+   */
+  _changeSidesRangeHandler(value, isLast) {
+    this.options.sides = toInteger(value);
+    this._changeShapeProperty('sides', { sides: this.options.sides }, isLast);
+  }
+
+  /**
+   * Change inner radius range
+   * @param {number} value - inner radius range value in percent
+   * @param {boolean} isLast - Is last change
+   * @private
+   */
+  _changeInnerRadiusRangeHandler(value, isLast) {
+    this.options.innerRadius = toInteger(value) / 100;
+    this._changeShapeProperty('innerRadius', { innerRadius: this.options.innerRadius }, isLast);
+  }
+
+  /**
+   * Whether the selected shape object has the property or not
+   * @param {string} propertyName - property name of SHAPE_PROPERTY_TYPES
+   * @returns {boolean}
+   * @private
+   */
+  _hasShapeProperty(propertyName) {
+    return includes(SHAPE_PROPERTY_TYPES[propertyName], this._activeShapeType);
+  }
+
+  /**
+   * Change the property of the selected shape object which has it and of the drawing shape
+   * @param {string} propertyName - property name of SHAPE_PROPERTY_TYPES
+   * @param {Object} props - properties to change
+   * @param {boolean} isLast - Is last change
+   * @private
+   */
+  _changeShapeProperty(propertyName, props, isLast) {
+    if (this._hasShapeProperty(propertyName)) {
+      this.actions.changeShape(props, !isLast);
+    }
+
+    this.actions.setDrawingShape(this.type, this.options);
+  }
+
+  /**
+   * Set the status of the fill controls from the fill color
+   * @param {string} fillColor - fill color
+   * @private
+   */
+  _setFillColorStatus(fillColor) {
+    this._fillColor = isString(fillColor) ? fillColor : '';
+    this._els.fillColorpicker.color = fillColor;
+    this.options.fill = fillColor;
+    this._setFillType(COLOR_FILL_TYPE);
+  }
+
+  /**
+   * Set the status of the fill controls from the gradient or pattern type fill option
+   * @param {ShapeFillOption} fillOption - gradient or pattern type fill option
+   * @private
+   */
+  _setFillOptionStatus(fillOption) {
+    this.options.fill = fillOption;
+
+    if (fillOption.type !== SHAPE_FILL_TYPE.GRADIENT) {
+      this._setFillType(COLOR_FILL_TYPE);
+
+      return;
+    }
+
+    const { type, angle, colorStops } = fillOption.gradient;
+
+    this._fillColor = colorStops[0].color;
+    this._gradientColor = colorStops[colorStops.length - 1].color;
+    this._gradientAngle = angle;
+    this._els.fillColorpicker.color = this._fillColor;
+    this._els.gradientColorpicker.color = this._gradientColor;
+    this._els.gradientAngleRange.value = angle;
+    this._setFillType(type);
+  }
+
+  /**
+   * Set the fill type and the value of the fill type select
+   * @param {string} fillType - 'color', 'linear' or 'radial'
+   * @private
+   */
+  _setFillType(fillType) {
+    this._fillType = fillType;
+    this._els.fillTypeSelect.value = fillType;
+  }
+
+  /**
+   * Make the fill option from the fill controls
+   * @returns {(ShapeFillOption | string)} gradient type fill option or fill color
+   * @private
+   */
+  _makeFillOption() {
+    const color = this._fillColor || 'transparent';
+
+    if (this._fillType === COLOR_FILL_TYPE) {
+      return color;
+    }
+
+    return {
+      type: SHAPE_FILL_TYPE.GRADIENT,
+      gradient: {
+        type: this._fillType,
+        angle: this._gradientAngle,
+        colorStops: [
+          { offset: 0, color },
+          { offset: 1, color: this._gradientColor || 'transparent' },
+        ],
+      },
+    };
+  }
+
+  /**
+   * Change the fill of the selected shape object and of the drawing shape
+   * @param {boolean} [isSilent] - is silent execution or not
+   * @private
+   */
+  _changeFill(isSilent) {
+    const fill = this._makeFillOption();
+
+    this.options.fill = fill;
+    this.actions.changeShape({ fill }, isSilent);
+  }
+
   /**
    * Change shape color
    * @param {string} color - fill color
    * @private
    */
   _changeFillColorHandler(color) {
-    color = color || 'transparent';
-    this.options.fill = color;
-    this.actions.changeShape({
-      fill: color,
-    });
+    this._fillColor = color;
+    this._changeFill();
+  }
+
+  /**
+   * Change the end color of the gradient
+   * @param {string} color - end color of the gradient
+   * @private
+   */
+  _changeGradientColorHandler(color) {
+    this._gradientColor = color;
+
+    if (this._fillType !== COLOR_FILL_TYPE) {
+      this._changeFill();
+    }
+  }
+
+  /**
+   * Change the fill type
+   * @param {Event} event - change event of the fill type select
+   * @private
+   */
+  _changeFillTypeHandler(event) {
+    this._fillType = event.target.value;
+    this._changeFill();
+  }
+
+  /**
+   * Change gradient angle range
+   * @param {number} value - gradient angle range value
+   * @param {boolean} isLast - Is last change
+   * @private
+   */
+  _changeGradientAngleRangeHandler(value, isLast) {
+    this._gradientAngle = toInteger(value);
+
+    if (this._fillType === 'linear') {
+      this._changeFill(!isLast);
+    }
+  }
+
+  /**
+   * Load the image file and fill the shape with the pattern of it
+   * @param {Event} event - change event of the file input
+   * @private
+   */
+  _loadPatternFile(event) {
+    if (!isSupportFileApi()) {
+      alert('This browser does not support file-api');
+    }
+
+    const [file] = event.target.files;
+
+    if (file) {
+      // The data url is kept in the exported state unlike the object url
+      readBlobAsDataURL(file).then((source) => {
+        const fill = {
+          type: SHAPE_FILL_TYPE.PATTERN,
+          pattern: { source },
+        };
+
+        this.options.fill = fill;
+        this.actions.changeShape({ fill });
+      });
+    }
   }
 
   /**
@@ -0,0 +1,27 @@
+/**
+ * @param {Object} exportInfo - export dialog info for make template
+ *   @param {Locale} locale - Translate text
+ *   @param {Array.<string>} formats - export formats
+ * @returns {string}
+ */
+export default ({ locale, formats }) => `
+    <div class="tui-image-editor-export-dialog-content">
+        <h3>${locale.localize('Download')}</h3>
+        <label>
+            <span>${locale.localize('Format')}</span>
+            <select class="tie-export-format">
+                ${formats
+                  .map((format) => `<option value="${format}">${format.toUpperCase()}</option>`)
+                  .join('')}
+            </select>
+        </label>
+        <label>
+            <span>${locale.localize('Quality')}</span>
+            <input class="tie-export-quality" type="range" min="0.1" max="1" step="0.1" value="0.9" disabled>
+        </label>
+        <div class="tui-image-editor-export-dialog-buttons">
+            <button class="tie-export-cancel">${locale.localize('Cancel')}</button>
+            <button class="tie-export-download">${locale.localize('Download')}</button>
+        </div>
+    </div>
+`;
@@ -0,0 +1,23 @@
+/**
+ * @param {Object} helpInfo - shortcuts help info for make template
+ *   @param {Locale} locale - Translate text
+ *   @param {Array.<{combo: string, description: string}>} shortcuts - registered shortcuts
+ * @returns {string}
+ */
+export default ({ locale, shortcuts }) => `
+    <div class="tui-image-editor-shortcuts-help-content">
+        <h3>${locale.localize('Keyboard shortcuts')}</h3>
+        <ul>
+            ${shortcuts
+              .map(
+                ({ combo, description }) => `
+                <li>
+                    <kbd>${combo}</kbd>
+                    <span>${locale.localize(description)}</span>
+                </li>
+            `
+              )
+              .join('')}
+        </ul>
+    </div>
+`;
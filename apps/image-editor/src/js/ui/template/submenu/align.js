@@ -0,0 +1,13 @@
+/**
+ * @param {Object} itemInfo - align item info for make template
+ *   @param {Locale} locale - Translate text
+ *   @param {string} command - command of the item ('align', 'distribute' or 'relativeTo')
+ *   @param {string} value - value of the command
+ *   @param {string} label - item label
+ * @returns {string}
+ */
+export default ({ locale, command, value, label }) => `
+    <button type="button" data-command="${command}" data-value="${value}">
+        ${locale.localize(label)}
+    </button>
+`;
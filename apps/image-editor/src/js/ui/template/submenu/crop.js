@@ -2,56 +2,44 @@
  * @param {Object} submenuInfo - submenu info for make template
  *   @param {Locale} locale - Translate text
  *   @param {Function} makeSvgIcon - svg icon generator
+ *   @param {Array.<{label: string, ratio: ?number}>} presets - crop presets
  * @returns {string}
  */
-export default ({ locale, makeSvgIcon }) => `
+export default ({ locale, makeSvgIcon, presets }) => `
     <ul class="tui-image-editor-submenu-item">
         <li class="tie-crop-preset-button">
-            <div class="tui-image-editor-button preset preset-none active">
+            ${presets
+              .map(
+                ({ label, ratio }, index) => `
+            <div class="tui-image-editor-button preset ${ratio ? '' : 'preset-none'}"
+                data-preset-index="${index}">
                 <div>
-                    ${makeSvgIcon(['normal', 'active'], 'shape-rectangle', true)}
+                    ${makeSvgIcon(['normal', 'active'], ratio ? 'crop' : 'shape-rectangle', true)}
                 </div>
-                <label> ${locale.localize('Custom')} </label>
-            </div>
-            <div class="tui-image-editor-button preset preset-square">
-                <div>
-                    ${makeSvgIcon(['normal', 'active'], 'crop', true)}
-                </div>
-                <label> ${locale.localize('Square')} </label>
-            </div>
-            <div class="tui-image-editor-button preset preset-3-2">
-                <div>
-                    ${makeSvgIcon(['normal', 'active'], 'crop', true)}
-                </div>
-                <label> ${locale.localize('3:2')} </label>
-            </div>
-            <div class="tui-image-editor-button preset preset-4-3">
-                <div>
-                    ${makeSvgIcon(['normal', 'active'], 'crop', true)}
-                </div>
-                <label> ${locale.localize('4:3')} </label>
-            </div>
-            <div class="tui-image-editor-button preset preset-5-4">
-                <div>
-                    ${makeSvgIcon(['normal', 'active'], 'crop', true)}
-                </div>
-                <label> ${locale.localize('5:4')} </label>
-            </div>
-            <div class="tui-image-editor-button preset preset-7-5">
-                <div>
-                    ${makeSvgIcon(['normal', 'active'], 'crop', true)}
-                </div>
-                <label> ${locale.localize('7:5')} </label>
-            </div>
-            <div class="tui-image-editor-button preset preset-16-9">
-                <div>
-                    ${makeSvgIcon(['normal', 'active'], 'crop', true)}
-                </div>
-                <label> ${locale.localize('16:9')} </label>
-            </div>
+                <label> ${locale.localize(label)} </label>
+            </div>`
+              )
+              .join('')}
         </li>
         <li class="tui-image-editor-partition tui-image-editor-newline">
         </li>
+        <li class="tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">${locale.localize('Straighten')}</label>
+            <div class="tie-crop-straighten-range"></div>
+            <input class="tie-crop-straighten-range-value tui-image-editor-range-value" value="0" />
+        </li>
+        <li class="tui-image-editor-partition tui-image-editor-newline">
+        </li>
+        <li class="tie-crop-rect tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">X</label>
+            <input class="tie-crop-left tui-image-editor-range-value" value="" />
+            <label class="range">Y</label>
+            <input class="tie-crop-top tui-image-editor-range-value" value="" />
+            <label class="range">${locale.localize('Width')}</label>
+            <input class="tie-crop-width tui-image-editor-range-value" value="" />
+            <label class="range">${locale.localize('Height')}</label>
+            <input class="tie-crop-height tui-image-editor-range-value" value="" />
+        </li>
         <li class="tui-image-editor-partition only-left-right">
             <div></div>
         </li>
@@ -33,6 +33,54 @@ export default ({ locale, makeSvgIcon }) => `
         <li class="tui-image-editor-partition only-left-right">
             <div></div>
         </li>
+        <li class="tui-image-editor-submenu-align">
+            <div class="tui-image-editor-draw-brush-options">
+                <label>
+                    <span>${locale.localize('Brush')}</span>
+                    <select class="tie-draw-brush">
+                        <option value="pencil">${locale.localize('Pencil')}</option>
+                        <option value="marker">${locale.localize('Marker')}</option>
+                        <option value="spray">${locale.localize('Spray')}</option>
+                        <option value="pattern">${locale.localize('Pattern')}</option>
+                        <option value="highlighter">${locale.localize('Highlighter')}</option>
+                    </select>
+                </label>
+                <label>
+                    <span>${locale.localize('Smoothing')}</span>
+                    <select class="tie-draw-smoothing">
+                        <option value="0.4">${locale.localize('Low')}</option>
+                        <option value="3">${locale.localize('Medium')}</option>
+                        <option value="8">${locale.localize('High')}</option>
+                    </select>
+                </label>
+                <div class="tui-image-editor-checkbox">
+                    <label>
+                        <input type="checkbox" class="tie-draw-pressure">
+                        <span>${locale.localize('Pressure')}</span>
+                    </label>
+                </div>
+                <label>
+                    <span>${locale.localize('Line')}</span>
+                    <select class="tie-draw-line-type">
+                        <option value="straight">${locale.localize('Straight')}</option>
+                        <option value="polyline">${locale.localize('Polyline')}</option>
+                        <option value="curve">${locale.localize('Curve')}</option>
+                        <option value="freehand">${locale.localize('Freehand')}</option>
+                    </select>
+                </label>
+                <label>
+                    <span>${locale.localize('Style')}</span>
+                    <select class="tie-draw-line-style">
+                        <option value="solid">${locale.localize('Solid')}</option>
+                        <option value="dashed">${locale.localize('Dashed')}</option>
+                        <option value="dotted">${locale.localize('Dotted')}</option>
+                    </select>
+                </label>
+            </div>
+        </li>
+        <li class="tui-image-editor-partition only-left-right">
+            <div></div>
+        </li>
         <li class="tui-image-editor-newline tui-image-editor-range-wrap">
             <label class="range">${locale.localize('Range')}</label>
             <div class="tie-draw-range"></div>
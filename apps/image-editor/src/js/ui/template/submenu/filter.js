@@ -4,88 +4,67 @@
  */
 export default ({ locale }) => `
     <ul class="tui-image-editor-submenu-item">
+        <li class="tui-image-editor-submenu-align">
+            <div class="tui-image-editor-filter-stack-wrap">
+                <label>${locale.localize('Filter Stack')}</label>
+                <ul class="tie-filter-stack tui-image-editor-filter-stack"></ul>
+            </div>
+        </li>
+        <li class="tui-image-editor-partition">
+            <div></div>
+        </li>
         <li class="tui-image-editor-submenu-align">
             <div class="tui-image-editor-checkbox-wrap fixed-width">
-                <div class="tui-image-editor-checkbox">
-                    <label>
-                        <input type="checkbox" class="tie-grayscale">
-                        <span>${locale.localize('Grayscale')}</span>
-                    </label>
-                </div>
-                <div class="tui-image-editor-checkbox">
-                    <label>
-                        <input type="checkbox" class="tie-invert">
-                        <span>${locale.localize('Invert')}</span>
-                    </label>
-                </div>
-                <div class="tui-image-editor-checkbox">
-                    <label>
-                        <input type="checkbox" class="tie-sepia">
-                        <span>${locale.localize('Sepia')}</span>
-                    </label>
-                </div>
-                <div class="tui-image-editor-checkbox">
-                    <label>
-                        <input type="checkbox" class="tie-vintage">
-                        <span>${locale.localize('Sepia2')}</span>
-                    </label>
-                </div>
-                <div class="tui-image-editor-checkbox">
-                    <label>
-                        <input type="checkbox" class="tie-blur">
-                        <span>${locale.localize('Blur')}</span>
-                    </label>
-                </div>
-                <div class="tui-image-editor-checkbox">
-                    <label>
-                        <input type="checkbox" class="tie-sharpen">
-                        <span>${locale.localize('Sharpen')}</span>
-                    </label>
-                </div>
-                <div class="tui-image-editor-checkbox">
-                    <label>
-                        <input type="checkbox" class="tie-emboss">
-                        <span>${locale.localize('Emboss')}</span>
-                    </label>
-                </div>
+                <button type="button" class="tui-image-editor-filter-add tie-grayscale">${locale.localize(
+                  'Grayscale'
+                )}</button>
+                <button type="button" class="tui-image-editor-filter-add tie-invert">${locale.localize(
+                  'Invert'
+                )}</button>
+                <button type="button" class="tui-image-editor-filter-add tie-sepia">${locale.localize(
+                  'Sepia'
+                )}</button>
+                <button type="button" class="tui-image-editor-filter-add tie-vintage">${locale.localize(
+                  'Sepia2'
+                )}</button>
+                <button type="button" class="tui-image-editor-filter-add tie-blur">${locale.localize(
+                  'Blur'
+                )}</button>
+                <button type="button" class="tui-image-editor-filter-add tie-sharpen">${locale.localize(
+                  'Sharpen'
+                )}</button>
+                <button type="button" class="tui-image-editor-filter-add tie-emboss">${locale.localize(
+                  'Emboss'
+                )}</button>
             </div>
         </li>
         <li class="tui-image-editor-partition">
             <div></div>
         </li>
         <li class="tui-image-editor-submenu-align">
-            <div class="tui-image-editor-checkbox-group tui-image-editor-disabled" style="margin-bottom: 7px;">
+            <div class="tui-image-editor-checkbox-group" style="margin-bottom: 7px;">
                 <div class="tui-image-editor-checkbox-wrap">
-                    <div class="tui-image-editor-checkbox">
-                        <label>
-                            <input type="checkbox" class="tie-remove-white">
-                            <span>${locale.localize('Remove White')}</span>
-                        </label>
-                    </div>
+                    <button type="button" class="tui-image-editor-filter-add tie-remove-white">${locale.localize(
+                      'Remove White'
+                    )}</button>
                 </div>
                 <div class="tui-image-editor-newline tui-image-editor-range-wrap short">
                     <label>${locale.localize('Distance')}</label>
                     <div class="tie-removewhite-distance-range"></div>
                 </div>
             </div>
-            <div class="tui-image-editor-checkbox-group tui-image-editor-disabled">
-                <div class="tui-image-editor-checkbox">
-                    <label>
-                        <input type="checkbox" class="tie-brightness">
-                        <span>${locale.localize('Brightness')}</span>
-                    </label>
-                </div>
+            <div class="tui-image-editor-checkbox-group">
+                <button type="button" class="tui-image-editor-filter-add tie-brightness">${locale.localize(
+                  'Brightness'
+                )}</button>
                 <div class="tui-image-editor-range-wrap short">
                     <div class="tie-brightness-range"></div>
                 </div>
             </div>
-            <div class="tui-image-editor-checkbox-group tui-image-editor-disabled">
-                <div class="tui-image-editor-checkbox">
-                    <label>
-                        <input type="checkbox" class="tie-noise">
-                        <span>${locale.localize('Noise')}</span>
-                    </label>
-                </div>
+            <div class="tui-image-editor-checkbox-group">
+                <button type="button" class="tui-image-editor-filter-add tie-noise">${locale.localize(
+                  'Noise'
+                )}</button>
                 <div class="tui-image-editor-range-wrap short">
                     <div class="tie-noise-range"></div>
                 </div>
@@ -95,25 +74,19 @@ export default ({ locale }) => `
             <div></div>
         </li>
         <li class="tui-image-editor-submenu-align">
-            <div class="tui-image-editor-checkbox-group tui-image-editor-disabled">
-                <div class="tui-image-editor-checkbox">
-                    <label>
-                        <input type="checkbox" class="tie-pixelate">
-                        <span>${locale.localize('Pixelate')}</span>
-                    </label>
-                </div>
+            <div class="tui-image-editor-checkbox-group">
+                <button type="button" class="tui-image-editor-filter-add tie-pixelate">${locale.localize(
+                  'Pixelate'
+                )}</button>
                 <div class="tui-image-editor-range-wrap short">
                     <div class="tie-pixelate-range"></div>
                 </div>
             </div>
-            <div class="tui-image-editor-checkbox-group tui-image-editor-disabled">
+            <div class="tui-image-editor-checkbox-group">
                 <div class="tui-image-editor-newline tui-image-editor-checkbox-wrap">
-                    <div class="tui-image-editor-checkbox">
-                        <label>
-                            <input type="checkbox" class="tie-color-filter">
-                            <span>${locale.localize('Color Filter')}</span>
-                        </label>
-                    </div>
+                    <button type="button" class="tui-image-editor-filter-add tie-color-filter">${locale.localize(
+                      'Color Filter'
+                    )}</button>
                 </div>
                 <div class="tui-image-editor-newline tui-image-editor-range-wrap short">
                     <label>${locale.localize('Threshold')}</label>
@@ -127,30 +100,21 @@ export default ({ locale }) => `
         <li>
             <div class="filter-color-item">
                 <div class="tie-filter-tint-color" title="${locale.localize('Tint')}"></div>
-                <div class="tui-image-editor-checkbox">
-                    <label>
-                        <input type="checkbox" class="tie-tint">
-                        <span></span>
-                    </label>
-                </div>
+                <button type="button" class="tui-image-editor-filter-add tie-tint" title="${locale.localize(
+                  'Tint'
+                )}">+</button>
             </div>
             <div class="filter-color-item">
                 <div class="tie-filter-multiply-color" title="${locale.localize('Multiply')}"></div>
-                <div class="tui-image-editor-checkbox">
-                    <label>
-                        <input type="checkbox" class="tie-multiply">
-                        <span></span>
-                    </label>
-                </div>
+                <button type="button" class="tui-image-editor-filter-add tie-multiply" title="${locale.localize(
+                  'Multiply'
+                )}">+</button>
             </div>
             <div class="filter-color-item">
                 <div class="tie-filter-blend-color" title="${locale.localize('Blend')}"></div>
-                <div class="tui-image-editor-checkbox">
-                    <label>
-                        <input type="checkbox" class="tie-blend">
-                        <span></span>
-                    </label>
-                </div>
+                <button type="button" class="tui-image-editor-filter-add tie-blend" title="${locale.localize(
+                  'Blend'
+                )}">+</button>
             </div>
         </li>
     </ul>
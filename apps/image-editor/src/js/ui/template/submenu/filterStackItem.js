@@ -0,0 +1,33 @@
+/**
+ * @param {Object} itemInfo - filter stack item info for make template
+ *   @param {Locale} locale - Translate text
+ *   @param {number} id - filter id
+ *   @param {string} name - filter name
+ *   @param {boolean} visible - whether the filter is applied
+ *   @param {boolean} selected - whether the item is selected to edit
+ * @returns {string}
+ */
+export default ({ locale, id, name, visible, selected }) => {
+  const classNames = ['tui-image-editor-filter-stack-item'];
+
+  if (!visible) {
+    classNames.push('hidden-item');
+  }
+  if (selected) {
+    classNames.push('selected-item');
+  }
+
+  return `
+    <li class="${classNames.join(' ')}" data-id="${id}">
+        <span class="filter-stack-item-name">${locale.localize(name)}</span>
+        <button type="button" data-command="toggle">
+            ${locale.localize(visible ? 'Hide' : 'Show')}
+        </button>
+        <button type="button" data-command="up" title="${locale.localize('Up')}">&uarr;</button>
+        <button type="button" data-command="down" title="${locale.localize('Down')}">&darr;</button>
+        <button type="button" data-command="remove" title="${locale.localize('Remove')}">
+            &times;
+        </button>
+    </li>
+  `;
+};
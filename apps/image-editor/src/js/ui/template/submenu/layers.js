@@ -0,0 +1,21 @@
+/**
+ * @param {Object} layerInfo - layer info for make template
+ *   @param {Locale} locale - Translate text
+ *   @param {string} name - layer name
+ *   @param {string} thumbnail - data url of the object thumbnail
+ *   @param {boolean} locked - whether the object is locked
+ *   @param {boolean} visible - whether the object is visible
+ * @returns {string}
+ */
+export default ({ locale, name, thumbnail, locked, visible }) => `
+    <div class="tui-image-editor-layers-item">
+        <img src="${thumbnail}" alt="" draggable="false">
+        <span class="tui-image-editor-layers-item-name">${locale.localize(name)}</span>
+        <button type="button" data-command="visible" class="${visible ? '' : 'on'}">
+            ${locale.localize(visible ? 'Hide' : 'Show')}
+        </button>
+        <button type="button" data-command="lock" class="${locked ? 'on' : ''}">
+            ${locale.localize(locked ? 'Unlock' : 'Lock')}
+        </button>
+    </div>
+`;
@@ -10,11 +10,11 @@ export default ({ locale, makeSvgIcon }) => `
             <div class="tui-image-editor-range-wrap tui-image-editor-newline">
                 <label class="range">${locale.localize('Width')}&nbsp;</label>
                 <div class="tie-width-range"></div>
-                <input class="tie-width-range-value tui-image-editor-range-value" value="0" /> <label>px</label>
+                <input class="tie-width-range-value tui-image-editor-range-value" value="0" /> <label class="tie-resize-unit-label">px</label>
                 <div class="tui-image-editor-partition tui-image-editor-newline"></div>
                 <label class="range">${locale.localize('Height')}</label>
                 <div class="tie-height-range"></div>
-                <input class="tie-height-range-value tui-image-editor-range-value" value="0" /> <label>px</label>
+                <input class="tie-height-range-value tui-image-editor-range-value" value="0" /> <label class="tie-resize-unit-label">px</label>
             </div>
         </li>
         <li class="tui-image-editor-partition tui-image-editor-newline"></li>
@@ -35,6 +35,29 @@ export default ({ locale, makeSvgIcon }) => `
         <li class="tui-image-editor-partition only-left-right">
             <div></div>
         </li>
+        <li class="tui-image-editor-submenu-align">
+            <div class="tui-image-editor-resize-options">
+                <label>
+                    <span>${locale.localize('Unit')}</span>
+                    <select class="tie-resize-unit">
+                        <option value="px">px</option>
+                        <option value="%">%</option>
+                    </select>
+                </label>
+                <label>
+                    <span>${locale.localize('Resampling')}</span>
+                    <select class="tie-resize-algorithm">
+                        <option value="lanczos">${locale.localize('Lanczos')}</option>
+                        <option value="bicubic">${locale.localize('Bicubic')}</option>
+                        <option value="stepDown">${locale.localize('Step-down bilinear')}</option>
+                    </select>
+                </label>
+            </div>
+        </li>
+        <li class="tui-image-editor-partition tui-image-editor-newline"></li>
+        <li class="tui-image-editor-partition only-left-right">
+            <div></div>
+        </li>
         <li class="tui-image-editor-partition tui-image-editor-newline"></li>
         <li class="tie-resize-button action">
             <div class="tui-image-editor-button apply">
@@ -25,6 +25,30 @@ export default ({ locale, makeSvgIcon }) => `
                 </div>
                 <label> ${locale.localize('Triangle')} </label>
             </div>
+            <div class="tui-image-editor-button regularPolygon">
+                <div>
+                    ${makeSvgIcon(['normal', 'active'], 'icon-polygon', true)}
+                </div>
+                <label> ${locale.localize('Polygon')} </label>
+            </div>
+            <div class="tui-image-editor-button star">
+                <div>
+                    ${makeSvgIcon(['normal', 'active'], 'icon-star', true)}
+                </div>
+                <label> ${locale.localize('Star')} </label>
+            </div>
+            <div class="tui-image-editor-button blockArrow">
+                <div>
+                    ${makeSvgIcon(['normal', 'active'], 'icon-arrow', true)}
+                </div>
+                <label> ${locale.localize('Arrow')} </label>
+            </div>
+            <div class="tui-image-editor-button speechBubble">
+                <div>
+                    ${makeSvgIcon(['normal', 'active'], 'icon-bubble', true)}
+                </div>
+                <label> ${locale.localize('Bubble')} </label>
+            </div>
         </li>
         <li class="tui-image-editor-partition">
             <div></div>
@@ -32,6 +56,31 @@ export default ({ locale, makeSvgIcon }) => `
         <li class="tie-shape-color-button">
             <div class="tie-color-fill" title="${locale.localize('Fill')}"></div>
             <div class="tie-color-stroke" title="${locale.localize('Stroke')}"></div>
+            <div class="tie-color-gradient" title="${locale.localize('Gradient')}"></div>
+        </li>
+        <li class="tui-image-editor-partition only-left-right">
+            <div></div>
+        </li>
+        <li class="tui-image-editor-submenu-align">
+            <div class="tui-image-editor-shape-fill-options">
+                <label>
+                    <span>${locale.localize('Fill')}</span>
+                    <select class="tie-shape-fill-type">
+                        <option value="color">${locale.localize('Color')}</option>
+                        <option value="linear">${locale.localize('Linear')}</option>
+                        <option value="radial">${locale.localize('Radial')}</option>
+                    </select>
+                </label>
+            </div>
+        </li>
+        <li>
+            <div class="tui-image-editor-button">
+                <div>
+                    <input type="file" accept="image/*" class="tie-shape-pattern-file">
+                    ${makeSvgIcon(['normal', 'active'], 'mask-load', true)}
+                </div>
+                <label> ${locale.localize('Pattern')} </label>
+            </div>
         </li>
         <li class="tui-image-editor-partition only-left-right">
             <div></div>
@@ -41,5 +90,25 @@ export default ({ locale, makeSvgIcon }) => `
             <div class="tie-stroke-range"></div>
             <input class="tie-stroke-range-value tui-image-editor-range-value" value="0" />
         </li>
+        <li class="tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">${locale.localize('Gradient angle')}</label>
+            <div class="tie-gradient-angle-range"></div>
+            <input class="tie-gradient-angle-range-value tui-image-editor-range-value" value="0" />
+        </li>
+        <li class="tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">${locale.localize('Corner radius')}</label>
+            <div class="tie-corner-radius-range"></div>
+            <input class="tie-corner-radius-range-value tui-image-editor-range-value" value="0" />
+        </li>
+        <li class="tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">${locale.localize('Sides')}</label>
+            <div class="tie-sides-range"></div>
+            <input class="tie-sides-range-value tui-image-editor-range-value" value="0" />
+        </li>
+        <li class="tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">${locale.localize('Inner radius')}</label>
+            <div class="tie-inner-radius-range"></div>
+            <input class="tie-inner-radius-range-value tui-image-editor-range-value" value="0" />
+        </li>
     </ul>
 `;
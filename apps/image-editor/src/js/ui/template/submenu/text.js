@@ -2,9 +2,10 @@
  * @param {Object} submenuInfo - submenu info for make template
  *   @param {Locale} locale - Translate text
  *   @param {Function} makeSvgIcon - svg icon generator
+ *   @param {Array.<{family: string, label: ?string}>} fonts - fonts of the font picker
  * @returns {string}
  */
-export default ({ locale, makeSvgIcon }) => `
+export default ({ locale, makeSvgIcon, fonts }) => `
     <ul class="tui-image-editor-submenu-item">
         <li class="tie-text-effect-button">
             <div class="tui-image-editor-button bold">
@@ -29,6 +30,26 @@ export default ({ locale, makeSvgIcon }) => `
         <li class="tui-image-editor-partition">
             <div></div>
         </li>
+        <li class="tui-image-editor-submenu-align">
+            <div class="tui-image-editor-text-font-options">
+                <label>
+                    <span>${locale.localize('Font')}</span>
+                    <select class="tie-text-font-family">
+                        ${fonts
+                          .map(
+                            ({ family, label }, index) => `
+                        <option value="${index}" style="font-family: '${family}'">${
+                              label || family
+                            }</option>`
+                          )
+                          .join('')}
+                    </select>
+                </label>
+            </div>
+        </li>
+        <li class="tui-image-editor-partition">
+            <div></div>
+        </li>
         <li class="tie-text-align-button">
             <div class="tui-image-editor-button left">
                 <div>
@@ -52,8 +73,11 @@ export default ({ locale, makeSvgIcon }) => `
         <li class="tui-image-editor-partition">
             <div></div>
         </li>
-        <li>
+        <li class="tie-text-color-button">
             <div class="tie-text-color" title="${locale.localize('Color')}"></div>
+            <div class="tie-text-stroke-color" title="${locale.localize('Outline')}"></div>
+            <div class="tie-text-shadow-color" title="${locale.localize('Shadow')}"></div>
+            <div class="tie-text-background-color" title="${locale.localize('Background')}"></div>
         </li>
         <li class="tui-image-editor-partition only-left-right">
             <div></div>
@@ -63,5 +87,40 @@ export default ({ locale, makeSvgIcon }) => `
             <div class="tie-text-range"></div>
             <input class="tie-text-range-value tui-image-editor-range-value" value="0" />
         </li>
+        <li class="tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">${locale.localize('Line height')}</label>
+            <div class="tie-text-line-height-range"></div>
+            <input class="tie-text-line-height-range-value tui-image-editor-range-value" value="0" />
+        </li>
+        <li class="tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">${locale.localize('Letter spacing')}</label>
+            <div class="tie-text-char-spacing-range"></div>
+            <input class="tie-text-char-spacing-range-value tui-image-editor-range-value" value="0" />
+        </li>
+        <li class="tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">${locale.localize('Outline')}</label>
+            <div class="tie-text-stroke-range"></div>
+            <input class="tie-text-stroke-range-value tui-image-editor-range-value" value="0" />
+        </li>
+        <li class="tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">${locale.localize('Shadow')}</label>
+            <div class="tie-text-shadow-range"></div>
+            <input class="tie-text-shadow-range-value tui-image-editor-range-value" value="0" />
+        </li>
+        <li class="tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">${locale.localize('Padding')}</label>
+            <div class="tie-text-padding-range"></div>
+            <input class="tie-text-padding-range-value tui-image-editor-range-value" value="0" />
+        </li>
+        <li class="tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">${locale.localize('Corner radius')}</label>
+            <div class="tie-text-radius-range"></div>
+            <input class="tie-text-radius-range-value tui-image-editor-range-value" value="0" />
+        </li>
+        <li class="tui-image-editor-newline tui-image-editor-range-wrap">
+            <label class="range">${locale.localize('Curve')}</label>
+            <div class="tie-text-curve-range"></div>
+            <input class="tie-text-curve-range-value tui-image-editor-range-value" value="0" />
+        </li>
     </ul>
 `;
@@ -1,9 +1,38 @@
+import isNumber from 'tui-code-snippet/type/isNumber';
+import forEach from 'tui-code-snippet/collection/forEach';
+import forEachArray from 'tui-code-snippet/collection/forEachArray';
+import extend from 'tui-code-snippet/object/extend';
 import Range from '@/ui/tools/range';
 import Colorpicker from '@/ui/tools/colorpicker';
 import Submenu from '@/ui/submenuBase';
 import templateHtml from '@/ui/template/submenu/text';
 import { assignmentForDestroy } from '@/util';
-import { defaultTextRangeValues, eventNames, selectorNames } from '@/consts';
+import {
+  defaultTextRangeValues,
+  defaultLineHeightRangeValues,
+  defaultCharSpacingRangeValues,
+  defaultTextStrokeRangeValues,
+  defaultTextShadowRangeValues,
+  defaultTextPaddingRangeValues,
+  defaultTextRadiusRangeValues,
+  defaultTextCurveRangeValues,
+  defaultTextFonts,
+  eventNames,
+  selectorNames,
+} from '@/consts';
+
+const SHADOW_OFFSET_RATIO = 0.5;
+
+/**
+ * Names of the range elements by the text effect styles
+ * @type {Object.<string, string>}
+ */
+const TEXT_EFFECT_RANGES = {
+  strokeWidth: 'strokeRange',
+  backgroundPadding: 'paddingRange',
+  backgroundRadius: 'radiusRange',
+  curve: 'curveRange',
+};
 
 /**
  * Crop ui class
@@ -11,15 +40,27 @@ import { defaultTextRangeValues, eventNames, selectorNames } from '@/consts';
  * @ignore
  */
 class Text extends Submenu {
-  constructor(subMenuElement, { locale, makeSvgIcon, menuBarPosition, usageStatistics }) {
+  constructor(
+    subMenuElement,
+    { locale, makeSvgIcon, menuBarPosition, usageStatistics, textOptions = {} }
+  ) {
+    const fonts = textOptions.fonts || defaultTextFonts;
+
     super(subMenuElement, {
       locale,
       name: 'text',
       makeSvgIcon,
       menuBarPosition,
-      templateHtml,
+      templateHtml: (templateInfo) => templateHtml(extend({ fonts }, templateInfo)),
       usageStatistics,
     });
+
+    /**
+     * Fonts of the font picker
+     * @type {Array.<{family: string, url: ?string, label: ?string}>}
+     * @private
+     */
+    this._fonts = fonts;
     this.effect = {
       bold: false,
       italic: false,
@@ -29,6 +70,7 @@ class Text extends Submenu {
     this._els = {
       textEffectButton: this.selector('.tie-text-effect-button'),
       textAlignButton: this.selector('.tie-text-align-button'),
+      fontSelect: this.selector('.tie-text-font-family'),
       textColorpicker: new Colorpicker(this.selector('.tie-text-color'), {
         defaultColor: '#ffbb3b',
         toggleDirection: this.toggleDirection,
@@ -41,10 +83,79 @@ class Text extends Submenu {
         },
         defaultTextRangeValues
       ),
+      lineHeightRange: new Range(
+        {
+          slider: this.selector('.tie-text-line-height-range'),
+          input: this.selector('.tie-text-line-height-range-value'),
+        },
+        defaultLineHeightRangeValues
+      ),
+      charSpacingRange: new Range(
+        {
+          slider: this.selector('.tie-text-char-spacing-range'),
+          input: this.selector('.tie-text-char-spacing-range-value'),
+        },
+        defaultCharSpacingRangeValues
+      ),
+      strokeColorpicker: new Colorpicker(this.selector('.tie-text-stroke-color'), {
+        defaultColor: '',
+        toggleDirection: this.toggleDirection,
+        usageStatistics: this.usageStatistics,
+      }),
+      shadowColorpicker: new Colorpicker(this.selector('.tie-text-shadow-color'), {
+        defaultColor: '',
+        toggleDirection: this.toggleDirection,
+        usageStatistics: this.usageStatistics,
+      }),
+      backgroundColorpicker: new Colorpicker(this.selector('.tie-text-background-color'), {
+        defaultColor: '',
+        toggleDirection: this.toggleDirection,
+        usageStatistics: this.usageStatistics,
+      }),
+      strokeRange: new Range(
+        {
+          slider: this.selector('.tie-text-stroke-range'),
+          input: this.selector('.tie-text-stroke-range-value'),
+        },
+        defaultTextStrokeRangeValues
+      ),
+      shadowRange: new Range(
+        {
+          slider: this.selector('.tie-text-shadow-range'),
+          input: this.selector('.tie-text-shadow-range-value'),
+        },
+        defaultTextShadowRangeValues
+      ),
+      paddingRange: new Range(
+        {
+          slider: this.selector('.tie-text-padding-range'),
+          input: this.selector('.tie-text-padding-range-value'),
+        },
+        defaultTextPaddingRangeValues
+      ),
+      radiusRange: new Range(
+        {
+          slider: this.selector('.tie-text-radius-range'),
+          input: this.selector('.tie-text-radius-range-value'),
+        },
+        defaultTextRadiusRangeValues
+      ),
+      curveRange: new Range(
+        {
+          slider: this.selector('.tie-text-curve-range'),
+          input: this.selector('.tie-text-curve-range-value'),
+        },
+        defaultTextCurveRangeValues
+      ),
     };
 
-    this.colorPickerInputBox = this._els.textColorpicker.colorpickerElement.querySelector(
-      selectorNames.COLOR_PICKER_INPUT_BOX
+    this.colorPickerControls.push(this._els.textColorpicker);
+    this.colorPickerControls.push(this._els.strokeColorpicker);
+    this.colorPickerControls.push(this._els.shadowColorpicker);
+    this.colorPickerControls.push(this._els.backgroundColorpicker);
+
+    this.colorPickerInputBoxes = this.colorPickerControls.map((colorpicker) =>
+      colorpicker.colorpickerElement.querySelector(selectorNames.COLOR_PICKER_INPUT_BOX)
     );
   }
 
@@ -54,7 +165,17 @@ class Text extends Submenu {
   destroy() {
     this._removeEvent();
     this._els.textColorpicker.destroy();
+    this._els.strokeColorpicker.destroy();
+    this._els.shadowColorpicker.destroy();
+    this._els.backgroundColorpicker.destroy();
     this._els.textRange.destroy();
+    this._els.lineHeightRange.destroy();
+    this._els.charSpacingRange.destroy();
+    this._els.strokeRange.destroy();
+    this._els.shadowRange.destroy();
+    this._els.paddingRange.destroy();
+    this._els.radiusRange.destroy();
+    this._els.curveRange.destroy();
 
     assignmentForDestroy(this);
   }
@@ -63,29 +184,46 @@ class Text extends Submenu {
    * Add event for text
    * @param {Object} actions - actions for text
    *   @param {Function} actions.changeTextStyle - change text style
+   *   @param {Function} actions.changeTextFont - load the font and change the font of the text
    */
   addEvent(actions) {
     const setTextEffect = this._setTextEffectHandler.bind(this);
     const setTextAlign = this._setTextAlignHandler.bind(this);
+    const changeFont = this._changeFontHandler.bind(this);
 
     this.eventHandler = {
       setTextEffect,
       setTextAlign,
+      changeFont,
     };
 
     this.actions = actions;
     this._els.textEffectButton.addEventListener('click', setTextEffect);
     this._els.textAlignButton.addEventListener('click', setTextAlign);
+    this._els.fontSelect.addEventListener('change', changeFont);
     this._els.textRange.on('change', this._changeTextRnageHandler.bind(this));
+    this._els.lineHeightRange.on('change', this._changeLineHeightHandler.bind(this));
+    this._els.charSpacingRange.on('change', this._changeCharSpacingHandler.bind(this));
+    this._els.strokeRange.on('change', this._changeStrokeRangeHandler.bind(this));
+    this._els.shadowRange.on('change', this._changeShadowHandler.bind(this));
+    this._els.paddingRange.on('change', this._changePaddingHandler.bind(this));
+    this._els.radiusRange.on('change', this._changeRadiusHandler.bind(this));
+    this._els.curveRange.on('change', this._changeCurveHandler.bind(this));
     this._els.textColorpicker.on('change', this._changeColorHandler.bind(this));
+    this._els.strokeColorpicker.on('change', this._changeStrokeColorHandler.bind(this));
+    this._els.shadowColorpicker.on('change', this._changeShadowHandler.bind(this));
+    this._els.backgroundColorpicker.on('change', this._changeBackgroundColorHandler.bind(this));
+    this.colorPickerControls.forEach((colorpicker) => {
+      colorpicker.on('changeShow', this.colorPickerChangeShow.bind(this));
+    });
 
-    this.colorPickerInputBox.addEventListener(
-      eventNames.FOCUS,
-      this._onStartEditingInputBox.bind(this)
-    );
-    this.colorPickerInputBox.addEventListener(
-      eventNames.BLUR,
-      this._onStopEditingInputBox.bind(this)
+    forEachArray(
+      this.colorPickerInputBoxes,
+      (inputBox) => {
+        inputBox.addEventListener(eventNames.FOCUS, this._onStartEditingInputBox.bind(this));
+        inputBox.addEventListener(eventNames.BLUR, this._onStopEditingInputBox.bind(this));
+      },
+      this
     );
   }
 
@@ -94,20 +232,28 @@ class Text extends Submenu {
    * @private
    */
   _removeEvent() {
-    const { setTextEffect, setTextAlign } = this.eventHandler;
+    const { setTextEffect, setTextAlign, changeFont } = this.eventHandler;
 
     this._els.textEffectButton.removeEventListener('click', setTextEffect);
     this._els.textAlignButton.removeEventListener('click', setTextAlign);
+    this._els.fontSelect.removeEventListener('change', changeFont);
     this._els.textRange.off();
-    this._els.textColorpicker.off();
-
-    this.colorPickerInputBox.removeEventListener(
-      eventNames.FOCUS,
-      this._onStartEditingInputBox.bind(this)
-    );
-    this.colorPickerInputBox.removeEventListener(
-      eventNames.BLUR,
-      this._onStopEditingInputBox.bind(this)
+    this._els.lineHeightRange.off();
+    this._els.charSpacingRange.off();
+    this._els.strokeRange.off();
+    this._els.shadowRange.off();
+    this._els.paddingRange.off();
+    this._els.radiusRange.off();
+    this._els.curveRange.off();
+    this.colorPickerControls.forEach((colorpicker) => colorpicker.off());
+
+    forEachArray(
+      this.colorPickerInputBoxes,
+      (inputBox) => {
+        inputBox.removeEventListener(eventNames.FOCUS, this._onStartEditingInputBox.bind(this));
+        inputBox.removeEventListener(eventNames.BLUR, this._onStopEditingInputBox.bind(this));
+      },
+      this
     );
   }
 
@@ -153,6 +299,34 @@ class Text extends Submenu {
     this._els.textRange.value = value;
   }
 
+  /**
+   * Get the selected font of the font picker
+   * @returns {{family: string, url: ?string, label: ?string}} - font
+   */
+  get font() {
+    return this._fonts[this._els.fontSelect.value] || this._fonts[0];
+  }
+
+  /**
+   * Get the selected font family
+   * @returns {string} - font family
+   */
+  get fontFamily() {
+    return this.font.family;
+  }
+
+  /**
+   * Select the font of the font family in the font picker, it is not changed for the unknown font
+   * @param {string} family - font family
+   */
+  set fontFamily(family) {
+    const index = this._fonts.map((font) => font.family).indexOf(family);
+
+    if (index > -1) {
+      this._els.fontSelect.value = String(index);
+    }
+  }
+
   /**
    * get font style
    * @returns {string} - font style
@@ -178,14 +352,73 @@ class Text extends Submenu {
   }
 
   setTextStyleStateOnAction(textStyle = {}) {
-    const { fill, fontSize, fontStyle, fontWeight, textDecoration, textAlign } = textStyle;
+    const {
+      fill,
+      fontSize,
+      fontFamily,
+      fontStyle,
+      fontWeight,
+      textDecoration,
+      underline,
+      textAlign,
+    } = textStyle;
 
     this.textColor = fill;
     this.fontSize = fontSize;
+    this.fontFamily = fontFamily;
     this.setEffectState('italic', fontStyle);
     this.setEffectState('bold', fontWeight);
-    this.setEffectState('underline', textDecoration);
+    this.setEffectState('underline', underline ? 'underline' : textDecoration);
     this.setAlignState(`tie-text-align-${textAlign}`);
+    this.setSpacingState(textStyle);
+    this.setTextEffectState(textStyle);
+  }
+
+  /**
+   * Set the colorpickers and the ranges of the outline, the shadow, the background box and the curve
+   * @param {Object} textStyle - text style
+   */
+  setTextEffectState(textStyle) {
+    const { stroke, shadow, backgroundColor } = textStyle;
+
+    this._els.strokeColorpicker.color = stroke || '';
+    this._els.shadowColorpicker.color = shadow ? shadow.color : '';
+    this._els.backgroundColorpicker.color = backgroundColor || '';
+    if (shadow) {
+      this._els.shadowRange.value = shadow.blur;
+    }
+    forEach(TEXT_EFFECT_RANGES, (rangeName, key) => {
+      if (isNumber(textStyle[key])) {
+        this._els[rangeName].value = textStyle[key];
+      }
+    });
+  }
+
+  /**
+   * Make the shadow style from the shadow colorpicker and range,
+   * the offset of the shadow is proportional to its blur
+   * @returns {?{color: string, blur: number, offsetX: number, offsetY: number}} shadow style,
+   *   null if the shadow color is not selected
+   */
+  makeShadowStyle() {
+    const { color } = this._els.shadowColorpicker;
+    const blur = this._els.shadowRange.value;
+    const offset = blur * SHADOW_OFFSET_RATIO;
+
+    return color ? { color, blur, offsetX: offset, offsetY: offset } : null;
+  }
+
+  /**
+   * Set the line height and the letter spacing ranges
+   * @param {{lineHeight: ?number, charSpacing: ?number}} textStyle - text style
+   */
+  setSpacingState({ lineHeight, charSpacing }) {
+    if (isNumber(lineHeight)) {
+      this._els.lineHeightRange.value = lineHeight;
+    }
+    if (isNumber(charSpacing)) {
+      this._els.charSpacingRange.value = charSpacing;
+    }
   }
 
   setEffectState(effectName, value) {
@@ -263,6 +496,102 @@ class Text extends Submenu {
     );
   }
 
+  /**
+   * line height change handler
+   * @param {number} value - range value
+   * @param {boolean} isLast - Is last change
+   * @private
+   */
+  _changeLineHeightHandler(value, isLast) {
+    this.actions.changeTextStyle({ lineHeight: value }, !isLast);
+  }
+
+  /**
+   * letter spacing change handler
+   * @param {number} value - range value
+   * @param {boolean} isLast - Is last change
+   * @private
+   */
+  _changeCharSpacingHandler(value, isLast) {
+    this.actions.changeTextStyle({ charSpacing: value }, !isLast);
+  }
+
+  /**
+   * font picker change handler, the font is applied after it is loaded
+   * @private
+   */
+  _changeFontHandler() {
+    this.actions.changeTextFont(this.font);
+  }
+
+  /**
+   * outline width change handler
+   * @param {number} value - range value
+   * @param {boolean} isLast - Is last change
+   * @private
+   */
+  _changeStrokeRangeHandler(value, isLast) {
+    this.actions.changeTextStyle({ strokeWidth: value }, !isLast);
+  }
+
+  /**
+   * shadow change handler of the shadow colorpicker and range
+   * @param {string|number} value - color or range value
+   * @param {boolean} [isLast] - Is last change
+   * @private
+   */
+  _changeShadowHandler(value, isLast = true) {
+    this.actions.changeTextStyle({ shadow: this.makeShadowStyle() }, !isLast);
+  }
+
+  /**
+   * background padding change handler
+   * @param {number} value - range value
+   * @param {boolean} isLast - Is last change
+   * @private
+   */
+  _changePaddingHandler(value, isLast) {
+    this.actions.changeTextStyle({ backgroundPadding: value }, !isLast);
+  }
+
+  /**
+   * background corner radius change handler
+   * @param {number} value - range value
+   * @param {boolean} isLast - Is last change
+   * @private
+   */
+  _changeRadiusHandler(value, isLast) {
+    this.actions.changeTextStyle({ backgroundRadius: value }, !isLast);
+  }
+
+  /**
+   * curve change handler
+   * @param {number} value - range value
+   * @param {boolean} isLast - Is last change
+   * @private
+   */
+  _changeCurveHandler(value, isLast) {
+    this.actions.changeTextStyle({ curve: value }, !isLast);
+  }
+
+  /**
+   * change outline color handler
+   * @param {string} color - change color string
+   * @private
+   */
+  _changeStrokeColorHandler(color) {
+    this.actions.changeTextStyle({ stroke: color || null });
+  }
+
+  /**
+   * change background color handler
+   * @param {string} color - change color string
+   * @private
+   */
+  _changeBackgroundColorHandler(color) {
+    this.actions.changeTextStyle({ backgroundColor: color || '' });
+  }
+
   /**
    * change color handler
    * @param {string} color - change color string
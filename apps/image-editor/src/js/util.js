@@ -11,6 +11,7 @@ import {
   historyNames,
   SHAPE_FILL_TYPE,
   SHAPE_TYPE,
+  DRAWING_TYPE,
   emptyCropRectValues,
 } from '@/consts';
 
@@ -338,7 +339,7 @@ export function includes(targetArray, compareValue) {
 /**
  * Get fill type
  * @param {Object | string} fillOption - shape fill option
- * @returns {string} 'color' or 'filter'
+ * @returns {string} 'color', 'filter', 'gradient' or 'pattern'
  */
 export function getFillTypeFromOption(fillOption = {}) {
   return pick(fillOption, 'type') || SHAPE_FILL_TYPE.COLOR;
@@ -347,12 +348,16 @@ export function getFillTypeFromOption(fillOption = {}) {
 /**
  * Get fill type of shape type object
  * @param {fabric.Object} shapeObj - fabric object
- * @returns {string} 'transparent' or 'color' or 'filter'
+ * @returns {string} 'color', 'filter', 'gradient' or 'pattern'
  */
 export function getFillTypeFromObject(shapeObj) {
   const { fill = {} } = shapeObj;
+  if (fill.colorStops) {
+    return SHAPE_FILL_TYPE.GRADIENT;
+  }
   if (fill.source) {
-    return SHAPE_FILL_TYPE.FILTER;
+    // The filter type fill is drawn from the pattern canvas, the image pattern has the image element
+    return isString(fill.source.src) ? SHAPE_FILL_TYPE.PATTERN : SHAPE_FILL_TYPE.FILTER;
   }
 
   return SHAPE_FILL_TYPE.COLOR;
@@ -376,13 +381,14 @@ export function getObjectType(type) {
   if (includes(SHAPE_TYPE, type)) {
     return 'Shape';
   }
+  if (includes(DRAWING_TYPE, type)) {
+    return 'Draw';
+  }
 
   switch (type) {
     case 'i-text':
+    case 'textbox':
       return 'Text';
-    case 'path':
-    case 'line':
-      return 'Draw';
     case 'activeSelection':
       return 'Group';
     default:
@@ -440,23 +446,39 @@ export function isSilentCommand(command) {
 // eslint-disable-next-line complexity, require-jsdoc
 export function getHistoryTitle(command) {
   const {
+    CROP,
     FLIP_IMAGE,
     ROTATE_IMAGE,
     ADD_TEXT,
     APPLY_FILTER,
     REMOVE_FILTER,
+    MOVE_FILTER,
+    TOGGLE_FILTER,
     CHANGE_SHAPE,
     CHANGE_ICON_COLOR,
     CHANGE_TEXT_STYLE,
     CLEAR_OBJECTS,
     ADD_IMAGE_OBJECT,
     REMOVE_OBJECT,
+    CUT_OBJECT,
+    PASTE_OBJECTS,
     RESIZE_IMAGE,
+    SET_CANVAS_SIZE,
+    CHANGE_OBJECT_ORDER,
+    CHANGE_OBJECT_LOCK,
+    CHANGE_OBJECT_VISIBLE,
+    GROUP_OBJECTS,
+    UNGROUP_OBJECTS,
+    ARRANGE_OBJECTS,
+    ERASE,
   } = commandNames;
   const { name, args } = command;
   let historyInfo;
 
   switch (name) {
+    case CROP:
+      historyInfo = { name: historyNames.CROP };
+      break;
     case FLIP_IMAGE:
       historyInfo = { name, detail: args[1] === 'reset' ? args[1] : args[1].slice(4) };
       break;
@@ -469,6 +491,12 @@ export function getHistoryTitle(command) {
     case REMOVE_FILTER:
       historyInfo = { name: historyNames.REMOVE_FILTER, detail: 'Remove' };
       break;
+    case MOVE_FILTER:
+      historyInfo = { name: historyNames.MOVE_FILTER, detail: 'Move' };
+      break;
+    case TOGGLE_FILTER:
+      historyInfo = { name: historyNames.TOGGLE_FILTER, detail: args[2] ? 'Show' : 'Hide' };
+      break;
     case CHANGE_SHAPE:
       historyInfo = { name: historyNames.CHANGE_SHAPE, detail: 'Change' };
       break;
@@ -481,6 +509,12 @@ export function getHistoryTitle(command) {
     case REMOVE_OBJECT:
       historyInfo = { name: historyNames.REMOVE_OBJECT, detail: args[2] };
       break;
+    case CUT_OBJECT:
+      historyInfo = { name: historyNames.CUT_OBJECT, detail: 'Cut' };
+      break;
+    case PASTE_OBJECTS:
+      historyInfo = { name: historyNames.PASTE_OBJECTS };
+      break;
     case CLEAR_OBJECTS:
       historyInfo = { name: historyNames.CLEAR_OBJECTS, detail: 'All' };
       break;
@@ -490,9 +524,39 @@ export function getHistoryTitle(command) {
     case ADD_TEXT:
       historyInfo = { name: historyNames.ADD_TEXT };
       break;
+    case CHANGE_OBJECT_ORDER:
+      historyInfo = { name: historyNames.CHANGE_OBJECT_ORDER, detail: 'Order' };
+      break;
+    case CHANGE_OBJECT_LOCK:
+      historyInfo = { name: historyNames.CHANGE_OBJECT_LOCK, detail: args[2] ? 'Lock' : 'Unlock' };
+      break;
+    case CHANGE_OBJECT_VISIBLE:
+      historyInfo = { name: historyNames.CHANGE_OBJECT_VISIBLE, detail: args[2] ? 'Show' : 'Hide' };
+      break;
+    case GROUP_OBJECTS:
+      historyInfo = { name: historyNames.GROUP_OBJECTS, detail: 'Group' };
+      break;
+    case UNGROUP_OBJECTS:
+      historyInfo = { name: historyNames.UNGROUP_OBJECTS, detail: 'Ungroup' };
+      break;
+    case ARRANGE_OBJECTS:
+      historyInfo = {
+        name: historyNames.ARRANGE_OBJECTS,
+        detail: toStartOfCapital(args[2].align || args[2].direction),
+      };
+      break;
     case RESIZE_IMAGE:
       historyInfo = { name: historyNames.RESIZE, detail: `${~~args[1].width}x${~~args[1].height}` };
       break;
+    case SET_CANVAS_SIZE:
+      historyInfo = {
+        name: historyNames.SET_CANVAS_SIZE,
+        detail: `${~~args[1].width}x${~~args[1].height}`,
+      };
+      break;
+    case ERASE:
+      historyInfo = { name: historyNames.ERASE, detail: 'Erase' };
+      break;
 
     default:
       historyInfo = { name };
@@ -530,7 +594,7 @@ export function getHelpMenuBarPosition(position) {
  * @param {string} str - string to change
  * @returns {string}
  */
-function toStartOfCapital(str) {
+export function toStartOfCapital(str) {
   return str.replace(/[a-z]/, (first) => first.toUpperCase());
 }
 
@@ -1,5 +1,6 @@
 import { fabric } from 'fabric';
 import ImageEditor from '@/imageEditor';
+import { rejectMessages } from '@/consts';
 
 import '@/command/loadImage';
 
@@ -95,6 +96,29 @@ describe('UI', () => {
       expect(clearUndoStackSpy).toHaveBeenCalled();
       expect(resizeEditorSpy).toHaveBeenCalled();
     });
+
+    it('should download nothing when there is no image to export', async () => {
+      imageEditorMock._graphics.setCanvasImage('', null);
+      jest.spyOn(window, 'open');
+
+      await expect(mainAction.download()).resolves.toBeNull();
+      expect(window.open).not.toHaveBeenCalled();
+    });
+
+    it('should revoke the url of the image opened in the new window after loading it', async () => {
+      const newWindowDocument = document.implementation.createHTMLDocument('');
+      jest.spyOn(imageEditorMock, 'export').mockReturnValue(Promise.resolve(new Blob([])));
+      jest.spyOn(window, 'open').mockReturnValue({ document: newWindowDocument });
+      global.URL.createObjectURL = jest.fn(() => 'blob:image');
+      global.URL.revokeObjectURL = jest.fn();
+
+      await mainAction.download();
+      const image = newWindowDocument.querySelector('img');
+      image.onload();
+
+      expect(image.src).toBe('blob:image');
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:image');
+    });
   });
 
   describe('shapeAction', () => {
@@ -157,6 +181,117 @@ describe('UI', () => {
       expect(stopDrawingModeSpy).toHaveBeenCalled();
       expect(imageEditorMock.ui.changeMenu).toHaveBeenCalled();
     });
+
+    it('should set the cropzone by the rect inputs and restore the invalid rect', () => {
+      const { crop } = imageEditorMock.ui;
+      const { width: widthInput } = crop._els.rectInputs;
+      const rect = { left: 1, top: 2, width: 30.4, height: 40 };
+      jest
+        .spyOn(imageEditorMock, 'setCropzoneRect')
+        .mockReturnValueOnce(true)
+        .mockReturnValueOnce(false);
+      jest.spyOn(imageEditorMock, 'getCropzoneRect').mockReturnValue(rect);
+      imageEditorMock.ui.activeMenuEvent();
+      crop.setRectValues(rect);
+
+      widthInput.value = '50';
+      widthInput.dispatchEvent(new Event('change'));
+      widthInput.value = '5000';
+      widthInput.dispatchEvent(new Event('change'));
+
+      expect(imageEditorMock.setCropzoneRect).toHaveBeenCalledWith({
+        left: 1,
+        top: 2,
+        width: 50,
+        height: 40,
+      });
+      expect(widthInput.value).toBe('30');
+    });
+
+    it('should highlight the free preset when the crop menu is made', () => {
+      const imageEditor = new ImageEditor(document.createElement('div'), {
+        includeUI: {
+          loadImage: false,
+          menu: ['crop'],
+          crop: { presets: [{ label: 'Square', ratio: 1 }, { label: 'Custom' }] },
+        },
+        usageStatistics: false,
+      });
+      const presetButtons = imageEditor.ui.crop._els.preset.querySelectorAll('.preset');
+
+      expect(presetButtons[0].classList.contains('active')).toBe(false);
+      expect(presetButtons[1].classList.contains('active')).toBe(true);
+
+      imageEditor.destroy();
+    });
+
+    it('should crop with the ratio and the output size of the custom preset', () => {
+      const imageEditor = new ImageEditor(document.createElement('div'), {
+        includeUI: {
+          loadImage: false,
+          menu: ['crop'],
+          crop: {
+            presets: [{ label: 'Custom' }, { label: 'Card', width: 1200, height: 630 }],
+            sizeLimits: { minWidth: 100 },
+          },
+        },
+        usageStatistics: false,
+      });
+      const cropRect = { left: 0, top: 0, width: 200, height: 105 };
+      const presetButtons = imageEditor.ui.crop._els.preset.querySelectorAll('.preset');
+      jest.spyOn(imageEditor, 'setCropzoneRect').mockImplementation(() => {});
+      jest.spyOn(imageEditor, 'getCropzoneRect').mockReturnValue(cropRect);
+      jest.spyOn(imageEditor, 'crop').mockReturnValue(new Promise(() => {}));
+      imageEditor.ui.activeMenuEvent();
+
+      presetButtons[1].click();
+      imageEditor.ui.crop._els.apply.click();
+
+      expect(presetButtons).toHaveLength(2);
+      expect(presetButtons[0].classList.contains('preset-none')).toBe(true);
+      expect(imageEditor.setCropzoneRect).toHaveBeenCalledWith(1200 / 630);
+      expect(imageEditor.crop).toHaveBeenCalledWith(cropRect, { width: 1200, height: 630 });
+      expect(imageEditor._graphics.getComponent('CROPPER')._sizeLimits).toEqual({
+        minWidth: 100,
+      });
+
+      imageEditor.destroy();
+    });
+  });
+
+  describe('resizeAction', () => {
+    it('should preview the percentage of the original dimensions and resize with the algorithm', () => {
+      const imageEditor = new ImageEditor(document.createElement('div'), {
+        includeUI: { loadImage: false, menu: ['resize'] },
+        usageStatistics: false,
+      });
+      const { resize: resizeMenu } = imageEditor.ui;
+      jest.spyOn(imageEditor._graphics, 'getCurrentDimensions').mockReturnValue({
+        width: 400,
+        height: 200,
+      });
+      jest.spyOn(imageEditor._graphics, 'resize').mockReturnValue(new Promise(() => {}));
+      jest.spyOn(imageEditor, 'resize').mockReturnValue(new Promise(() => {}));
+      imageEditor.ui.activeMenuEvent();
+      jest.spyOn(resizeMenu.actions, 'modeChange').mockImplementation(() => {});
+      resizeMenu.changeStartMode();
+
+      resizeMenu._els.unit.value = '%';
+      resizeMenu._els.unit.dispatchEvent(new Event('change'));
+
+      expect(resizeMenu._els.widthRange).toMatchObject({ value: 100, min: 8, max: 100 });
+      expect(resizeMenu._els.unitLabels[0].textContent).toBe('%');
+
+      resizeMenu._els.widthRange.value = 50;
+      resizeMenu._els.widthRange.trigger('change');
+      resizeMenu._els.algorithm.value = 'bicubic';
+      resizeMenu._els.apply.click();
+
+      expect(imageEditor._graphics.resize).toHaveBeenCalledWith({ width: 200, height: 200 });
+      expect(imageEditor.resize).toHaveBeenCalledWith({ width: 400, height: 200 }, 'bicubic');
+
+      imageEditor.destroy();
+    });
   });
 
   describe('flipAction', () => {
@@ -221,6 +356,35 @@ describe('UI', () => {
 
       expect(imageEditorMock.changeTextStyle).toHaveBeenCalledWith(10, { fontSize: 10 }, undefined);
     });
+
+    it('should change the font family after the font is loaded', async () => {
+      const font = { family: 'Lobster', url: 'lobster.woff2' };
+      imageEditorMock.activeObjectId = 10;
+      imageEditorMock.loadFont = jest.fn(() => Promise.resolve());
+      imageEditorMock.changeTextStyle = jest.fn();
+
+      await textAction.changeTextFont(font);
+
+      expect(imageEditorMock.loadFont).toHaveBeenCalledWith(font);
+      expect(imageEditorMock.changeTextStyle).toHaveBeenCalledWith(
+        10,
+        { fontFamily: 'Lobster' },
+        undefined
+      );
+    });
+
+    it('should reset the font picker to the font of the text when the font is not loaded', async () => {
+      imageEditorMock.activeObjectId = 10;
+      imageEditorMock.loadFont = jest.fn(() => Promise.reject(rejectMessages.loadingFontFailed));
+      imageEditorMock.changeTextStyle = jest.fn();
+      jest.spyOn(imageEditorMock._graphics, 'getObject').mockReturnValue({ fontFamily: 'Georgia' });
+      imageEditorMock.ui.text.fontFamily = 'Arial';
+
+      await expect(textAction.changeTextFont({ family: 'Arial' })).resolves.toBeNull();
+
+      expect(imageEditorMock.changeTextStyle).not.toHaveBeenCalled();
+      expect(imageEditorMock.ui.text.fontFamily).toBe('Georgia');
+    });
   });
 
   describe('maskAction', () => {
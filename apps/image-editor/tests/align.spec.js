@@ -0,0 +1,46 @@
+import Align from '@/ui/align';
+
+describe('align', () => {
+  let align, actions;
+
+  const clickItem = (command, value) => {
+    align.listElement
+      .querySelector(`[data-command="${command}"][data-value="${value}"]`)
+      .dispatchEvent(new MouseEvent('click', { bubbles: true }));
+  };
+
+  beforeEach(() => {
+    align = new Align(document.createElement('div'), { locale: { localize: (name) => name } });
+    actions = {
+      align: jest.fn(),
+      distribute: jest.fn(),
+    };
+    align.addEvent(actions);
+  });
+
+  afterEach(() => {
+    align.destroy();
+  });
+
+  it('should align the selection relative to the selection by default', () => {
+    clickItem('align', 'left');
+
+    expect(actions.align).toHaveBeenCalledWith('left', 'selection');
+  });
+
+  it('should align the selection relative to the canvas when the option is on', () => {
+    clickItem('relativeTo', 'canvas');
+    clickItem('align', 'middle');
+    clickItem('relativeTo', 'canvas');
+    clickItem('align', 'bottom');
+
+    expect(actions.align).toHaveBeenNthCalledWith(1, 'middle', 'canvas');
+    expect(actions.align).toHaveBeenNthCalledWith(2, 'bottom', 'selection');
+  });
+
+  it('should distribute the selection', () => {
+    clickItem('distribute', 'vertical');
+
+    expect(actions.distribute).toHaveBeenCalledWith('vertical');
+  });
+});
@@ -1,4 +1,6 @@
 import ArrowLine from '@/extension/arrowLine';
+import ArrowPolyline from '@/extension/arrowPolyline';
+import ArrowCurve from '@/extension/arrowCurve';
 
 describe('ArrowLine', () => {
   let ctx, arrowLine, linePath;
@@ -52,3 +54,118 @@ describe('ArrowLine', () => {
     expect(ctx.closePath).toBeCalledTimes(1);
   });
 });
+
+describe('ArrowPolyline', () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = {
+      lineWidth: 1,
+      beginPath: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      closePath: jest.fn(),
+      quadraticCurveTo: jest.fn(),
+    };
+  });
+
+  it('should draw the head on the first segment and the tail on the last segment', () => {
+    const polyline = new ArrowPolyline(
+      [
+        { x: 0, y: 0 },
+        { x: 10, y: 0 },
+        { x: 10, y: 10 },
+      ],
+      { arrowType: { head: 'chevron', tail: 'chevron' } }
+    );
+    jest.spyOn(polyline, '_drawChevronPath');
+    jest.spyOn(polyline, '_renderStroke').mockImplementation(() => {});
+
+    polyline._render(ctx);
+
+    expect(polyline._drawChevronPath).toHaveBeenCalledWith('head', {
+      fromX: -5,
+      fromY: -5,
+      toX: 5,
+      toY: -5,
+    });
+    expect(polyline._drawChevronPath).toHaveBeenCalledWith('tail', {
+      fromX: 5,
+      fromY: -5,
+      toX: 5,
+      toY: 5,
+    });
+  });
+
+  it('should draw the decorators of the dashed line with the solid stroke', () => {
+    const strokeDashArray = [6, 4];
+    const polyline = new ArrowPolyline(
+      [
+        { x: 0, y: 0 },
+        { x: 10, y: 10 },
+      ],
+      { arrowType: { tail: 'triangle' }, strokeDashArray }
+    );
+    const dashArrays = [];
+    jest.spyOn(polyline, '_renderStroke').mockImplementation(function () {
+      dashArrays.push(this.strokeDashArray);
+    });
+
+    polyline._render(ctx);
+
+    expect(dashArrays).toEqual([strokeDashArray, null]);
+    expect(polyline.strokeDashArray).toBe(strokeDashArray);
+    expect(ctx.closePath).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('ArrowCurve', () => {
+  let curve;
+
+  beforeEach(() => {
+    curve = new ArrowCurve(
+      [
+        { x: 0, y: 0 },
+        { x: 50, y: 0 },
+        { x: 100, y: 0 },
+      ],
+      { strokeWidth: 0, arrowType: { tail: 'chevron' } }
+    );
+  });
+
+  it('should draw the quadratic curve through the control point', () => {
+    const ctx = {
+      lineWidth: 1,
+      beginPath: jest.fn(),
+      moveTo: jest.fn(),
+      lineTo: jest.fn(),
+      quadraticCurveTo: jest.fn(),
+    };
+    jest.spyOn(curve, '_renderStroke').mockImplementation(() => {});
+
+    curve._render(ctx);
+
+    expect(ctx.quadraticCurveTo).toHaveBeenCalledWith(0, 0, 50, 0);
+  });
+
+  it('should move the control point by its handle and keep the start point', () => {
+    const { actionHandler } = curve.controls.curve;
+
+    const changed = actionHandler({}, { target: curve }, 50, 50);
+
+    expect(changed).toBe(true);
+    expect(curve.points[1]).toEqual({ x: 50, y: 50 });
+    expect(curve.getCenterPoint()).toMatchObject({ x: 50, y: 25 });
+    expect(curve.points[0]).toEqual({ x: 0, y: 0 });
+  });
+
+  it('should be cloned as the curve', async () => {
+    const cloned = await new Promise((resolve) => {
+      curve.clone(resolve);
+    });
+
+    expect(cloned).toBeInstanceOf(ArrowCurve);
+    expect(cloned.points).toEqual(curve.points);
+    expect(cloned.arrowType).toEqual({ tail: 'chevron' });
+  });
+});
@@ -0,0 +1,238 @@
+import { fabric } from 'fabric';
+import ImageEditor from '@/imageEditor';
+import { parseClipboardText } from '@/helper/clipboardHelper';
+import { rejectMessages } from '@/consts';
+import { getHistoryTitle } from '@/util';
+
+import '@/command/loadImage';
+import '@/command/addShape';
+import '@/command/addObject';
+import '@/command/addImageObject';
+import '@/command/removeObject';
+import '@/command/cutObject';
+import '@/command/setObjectProperties';
+
+function createImageElement(width = 100, height = 100) {
+  const element = document.createElement('canvas');
+  element.width = width;
+  element.height = height;
+
+  return element;
+}
+
+function createImage() {
+  return new fabric.Image(createImageElement());
+}
+
+function createClipboardData(data = {}, files = []) {
+  return {
+    items: files.map((file) => ({ kind: 'file', type: file.type, getAsFile: () => file })),
+    getData: jest.fn((type) => data[type] || ''),
+    setData: jest.fn((type, value) => {
+      data[type] = value;
+    }),
+  };
+}
+
+function createClipboardEvent(clipboardData, target = document.body) {
+  return { target, clipboardData, preventDefault: jest.fn() };
+}
+
+describe('Clipboard', () => {
+  let imageEditor, graphics, rect;
+
+  beforeEach(async () => {
+    jest
+      .spyOn(fabric.util, 'loadImage')
+      .mockImplementation((url, callback, context) => callback.call(context, createImageElement()));
+    imageEditor = new ImageEditor(document.createElement('div'), { usageStatistics: false });
+    graphics = imageEditor._graphics;
+    imageEditor._onDocumentMouseDown({ target: graphics.getCanvas().upperCanvasEl });
+
+    await imageEditor.loadImageFromURL(createImage(), 'sampleImage');
+    const { id } = await imageEditor.addShape('rect', {
+      left: 30,
+      top: 40,
+      width: 20,
+      height: 10,
+      fill: '#ff0000',
+    });
+    rect = graphics.getObject(id);
+    graphics.setActiveObject(rect);
+  });
+
+  afterEach(() => {
+    imageEditor.destroy();
+    jest.restoreAllMocks();
+  });
+
+  it('should copy the active object to the clipboard data as the object states', async () => {
+    const clipboardData = createClipboardData();
+
+    const objectStates = await imageEditor.copyToClipboard(clipboardData);
+    const [text] = clipboardData.setData.mock.calls[0].slice(1);
+
+    expect(parseClipboardText(text)).toEqual(objectStates);
+    expect(objectStates).toEqual([
+      expect.objectContaining({ type: 'rect', left: 30, top: 40, fill: '#ff0000' }),
+    ]);
+    expect(graphics.targetObjectForCopyPaste).toBe(rect);
+  });
+
+  it('should reject copying without the active object', async () => {
+    imageEditor.discardSelection();
+
+    await expect(imageEditor.copyToClipboard()).rejects.toBe(rejectMessages.noActiveObject);
+  });
+
+  it('should paste the copied objects to another editor at the same position', async () => {
+    const clipboardData = createClipboardData();
+    const otherEditor = new ImageEditor(document.createElement('div'), {
+      usageStatistics: false,
+    });
+    await otherEditor.loadImageFromURL(createImage(), 'otherImage');
+    await imageEditor.copyToClipboard(clipboardData);
+
+    const [{ id }] = await otherEditor.pasteFromClipboard(clipboardData);
+    const pastedObject = otherEditor._graphics.getObject(id);
+
+    expect(pastedObject).toMatchObject({ type: 'rect', left: 30, top: 40, fill: '#ff0000' });
+    expect(otherEditor._graphics.getActiveObject()).toBe(pastedObject);
+
+    otherEditor.destroy();
+  });
+
+  it('should paste the object copied in the same editor with the offset', async () => {
+    const clipboardData = createClipboardData();
+    await imageEditor.copyToClipboard(clipboardData);
+
+    await imageEditor.pasteFromClipboard(clipboardData);
+
+    expect(graphics.getObjects()).toHaveLength(2);
+    expect(graphics.getActiveObject()).toMatchObject({ left: 40, top: 50 });
+  });
+
+  it('should remove the cut object and restore it by undo', async () => {
+    const clipboardData = createClipboardData();
+
+    await imageEditor.cutToClipboard(clipboardData);
+
+    expect(graphics.getObjects()).toHaveLength(0);
+    expect(parseClipboardText(clipboardData.getData('text/plain'))).toHaveLength(1);
+
+    await imageEditor.undo();
+
+    expect(graphics.getObjects()).toEqual([rect]);
+  });
+
+  it('should cut the selected objects without grouping them', async () => {
+    const { id } = await imageEditor.addShape('rect', { left: 80, top: 60, width: 20, height: 10 });
+    const other = graphics.getObject(id);
+    graphics.setActiveObject(graphics.getActiveSelectionFromObjects([rect, other]));
+
+    await imageEditor.cutToClipboard(createClipboardData());
+
+    expect(graphics.getObjects()).toHaveLength(0);
+    expect(Object.values(graphics._objects).some((obj) => obj.type === 'group')).toBe(false);
+
+    await imageEditor.undo();
+
+    expect(graphics.getObjects()).toEqual([rect, other]);
+    expect(rect).toMatchObject({ left: 30, top: 40 });
+    expect(other).toMatchObject({ left: 80, top: 60 });
+  });
+
+  it('should not cut the locked object', async () => {
+    graphics.setObjectLock(graphics.getObjectId(rect), true);
+
+    await expect(imageEditor.cutToClipboard()).rejects.toBe(rejectMessages.noActiveObject);
+    expect(graphics.getObjects()).toEqual([rect]);
+  });
+
+  it('should undo the pasted objects at once', async () => {
+    const clipboardData = createClipboardData();
+    const otherEditor = new ImageEditor(document.createElement('div'), {
+      usageStatistics: false,
+    });
+    await otherEditor.loadImageFromURL(createImage(), 'otherImage');
+    otherEditor.clearUndoStack();
+    const { id } = await imageEditor.addShape('rect', { left: 80, top: 60, width: 20, height: 10 });
+    graphics.setActiveObject(
+      graphics.getActiveSelectionFromObjects([rect, graphics.getObject(id)])
+    );
+    await imageEditor.copyToClipboard(clipboardData);
+
+    await otherEditor.pasteFromClipboard(clipboardData);
+
+    expect(otherEditor._graphics.getObjects()).toHaveLength(2);
+
+    await otherEditor.undo();
+
+    expect(otherEditor._graphics.getObjects()).toHaveLength(0);
+    expect(otherEditor.isEmptyUndoStack()).toBe(true);
+
+    await otherEditor.redo();
+
+    expect(otherEditor._graphics.getObjects()).toHaveLength(2);
+
+    otherEditor.destroy();
+  });
+
+  it('should undo the objects pasted in the same editor at once', async () => {
+    const clipboardData = createClipboardData();
+    const { id } = await imageEditor.addShape('rect', { left: 80, top: 60, width: 20, height: 10 });
+    graphics.setActiveObject(
+      graphics.getActiveSelectionFromObjects([rect, graphics.getObject(id)])
+    );
+    await imageEditor.copyToClipboard(clipboardData);
+    const executeCommandSpy = jest.fn();
+    imageEditor._invoker.on('executeCommand', executeCommandSpy);
+
+    await imageEditor.pasteFromClipboard(clipboardData);
+
+    expect(graphics.getObjects()).toHaveLength(4);
+    expect(executeCommandSpy).toHaveBeenCalledTimes(1);
+    expect(getHistoryTitle(executeCommandSpy.mock.calls[0][0])).toEqual({ name: 'Paste' });
+
+    await imageEditor.undo();
+
+    expect(graphics.getObjects()).toHaveLength(2);
+  });
+
+  it('should add the pasted image as an image object', async () => {
+    const image = new File(['image'], 'image.png', { type: 'image/png' });
+
+    const { type } = await imageEditor.pasteFromClipboard(createClipboardData({}, [image]));
+
+    expect(type).toBe('image');
+    expect(graphics.getObjects()).toHaveLength(2);
+  });
+
+  it('should replace the background image with the pasted image by the option', async () => {
+    const image = new File(['image'], 'pasted.png', { type: 'image/png' });
+
+    await imageEditor.pasteFromClipboard(createClipboardData({}, [image]), {
+      replaceBackground: true,
+    });
+
+    expect(imageEditor.getImageName()).toBe('pasted.png');
+  });
+
+  it('should reject pasting the clipboard without the contents to paste', async () => {
+    await expect(
+      imageEditor.pasteFromClipboard(createClipboardData({ 'text/plain': 'text' }))
+    ).rejects.toBe(rejectMessages.invalidParameters);
+  });
+
+  it('should handle the clipboard events except in the editable elements', () => {
+    const copyEvent = createClipboardEvent(createClipboardData());
+    const inputEvent = createClipboardEvent(createClipboardData(), document.createElement('input'));
+
+    imageEditor._onCopy(inputEvent);
+    imageEditor._onCopy(copyEvent);
+
+    expect(inputEvent.preventDefault).not.toHaveBeenCalled();
+    expect(copyEvent.preventDefault).toHaveBeenCalled();
+    expect(copyEvent.clipboardData.setData).toHaveBeenCalledWith('text/plain', expect.any(String));
+  });
+});
@@ -2,8 +2,8 @@ import { fabric } from 'fabric';
 import Graphics from '@/graphics';
 import Invoker from '@/invoker';
 import commandFactory from '@/factory/command';
-import { stamp, hasStamp } from '@/util';
-import { commandNames as commands } from '@/consts';
+import { stamp, hasStamp, getHistoryTitle } from '@/util';
+import { commandNames as commands, rejectMessages } from '@/consts';
 
 import addObjectCommand from '@/command/addObject';
 import changeSelectionCommand from '@/command/changeSelection';
@@ -17,6 +17,19 @@ import changeShapeCommand from '@/command/changeShape';
 import clearObjectsCommand from '@/command/clearObjects';
 import removeObjectCommand from '@/command/removeObject';
 import resizeCommand from '@/command/resize';
+import setCanvasSizeCommand from '@/command/setCanvasSize';
+import applyFilterCommand from '@/command/applyFilter';
+import removeFilterCommand from '@/command/removeFilter';
+import moveFilterCommand from '@/command/moveFilter';
+import toggleFilterCommand from '@/command/toggleFilter';
+import changeObjectOrderCommand from '@/command/changeObjectOrder';
+import changeObjectLockCommand from '@/command/changeObjectLock';
+import changeObjectVisibleCommand from '@/command/changeObjectVisible';
+import groupObjectsCommand from '@/command/groupObjects';
+import ungroupObjectsCommand from '@/command/ungroupObjects';
+import arrangeObjectsCommand from '@/command/arrangeObjects';
+import ArrowCurve from '@/extension/arrowCurve';
+import SpeechBubble from '@/extension/speechBubble';
 
 import img1 from 'fixtures/sampleImage.jpg';
 import img2 from 'fixtures/TOAST UI Component.png';
@@ -37,6 +50,17 @@ describe('commandFactory', () => {
     commandFactory.register(clearObjectsCommand);
     commandFactory.register(removeObjectCommand);
     commandFactory.register(resizeCommand);
+    commandFactory.register(setCanvasSizeCommand);
+    commandFactory.register(applyFilterCommand);
+    commandFactory.register(removeFilterCommand);
+    commandFactory.register(moveFilterCommand);
+    commandFactory.register(toggleFilterCommand);
+    commandFactory.register(changeObjectOrderCommand);
+    commandFactory.register(changeObjectLockCommand);
+    commandFactory.register(changeObjectVisibleCommand);
+    commandFactory.register(groupObjectsCommand);
+    commandFactory.register(ungroupObjectsCommand);
+    commandFactory.register(arrangeObjectsCommand);
   });
 
   beforeEach(() => {
@@ -192,6 +216,40 @@ describe('commandFactory', () => {
         angle: 10,
       });
     });
+
+    it('should restore the curve changed by the control point handle', async () => {
+      const curve = new ArrowCurve(
+        [
+          { x: 0, y: 0 },
+          { x: 25, y: 0 },
+          { x: 50, y: 0 },
+        ],
+        { strokeWidth: 0 }
+      );
+      graphics._addFabricObject(curve);
+      const { points, pathOffset, left, top, height } = curve;
+      graphics._onMouseDown({ target: curve });
+
+      curve.controls.curve.actionHandler({}, { target: curve }, 25, 40);
+      await invoker.execute(commands.CHANGE_SELECTION, graphics, []);
+      await invoker.undo();
+
+      expect(curve.points).toEqual(points);
+      expect(curve).toMatchObject({ pathOffset, left, top, height });
+    });
+
+    it('should restore the tail moved by the tail handle', async () => {
+      const bubble = new SpeechBubble({ left: 50, top: 50, width: 100, height: 60 });
+      graphics._addFabricObject(bubble);
+      const { tailX, tailY } = bubble;
+      graphics._onMouseDown({ target: bubble });
+
+      bubble.controls.tail.actionHandler({}, { target: bubble }, 150, 20);
+      await invoker.execute(commands.CHANGE_SELECTION, graphics, []);
+      await invoker.undo();
+
+      expect(bubble).toMatchObject({ tailX, tailY });
+    });
   });
 
   describe('loadImageCommand', () => {
@@ -351,6 +409,59 @@ describe('commandFactory', () => {
 
       expect(textObject).toMatchObject({ fontSize, underline });
     });
+
+    it('should restore the styles of the characters in the range', async () => {
+      await invoker.execute(
+        commands.CHANGE_TEXT_STYLE,
+        graphics,
+        textObjectId,
+        { fontWeight: 'bold' },
+        false,
+        { start: 0, end: 2 }
+      );
+      const textObject = graphics.getObject(textObjectId);
+
+      expect(textObject.getStyleAtPosition(1)).toEqual({ fontWeight: 'bold' });
+
+      await invoker.undo();
+
+      expect(textObject.styles).toEqual({});
+    });
+
+    it('should restore the text effects', async () => {
+      await invoker.execute(commands.CHANGE_TEXT_STYLE, graphics, textObjectId, {
+        shadow: { color: '#000000', blur: 10 },
+        backgroundColor: '#ffffff',
+        curve: 120,
+      });
+      await invoker.undo();
+
+      const textObject = graphics.getObject(textObjectId);
+
+      expect(textObject).toMatchObject({ shadow: null, backgroundColor: '', curve: 0, path: null });
+    });
+
+    it('should set and restore the gradient fill of the text', async () => {
+      await invoker.execute(commands.CHANGE_TEXT_STYLE, graphics, textObjectId, {
+        fill: {
+          type: 'gradient',
+          gradient: {
+            type: 'radial',
+            colorStops: [
+              { offset: 0, color: '#ffffff' },
+              { offset: 1, color: '#000000' },
+            ],
+          },
+        },
+      });
+      const textObject = graphics.getObject(textObjectId);
+
+      expect(textObject.fill).toMatchObject({ type: 'radial', gradientUnits: 'percentage' });
+
+      await invoker.undo();
+
+      expect(textObject.fill).toBe('#000000');
+    });
   });
 
   describe('rotateCommand', () => {
@@ -408,6 +519,28 @@ describe('commandFactory', () => {
 
       expect(shapeObject.strokeWidth).toBe(defaultStrokeWidth);
     });
+
+    it('should restore the gradient fill', async () => {
+      const gradientFill = {
+        type: 'gradient',
+        gradient: {
+          type: 'linear',
+          angle: 90,
+          colorStops: [
+            { offset: 0, color: '#ff0000' },
+            { offset: 1, color: '#0000ff' },
+          ],
+        },
+      };
+      await invoker.execute(commands.CHANGE_SHAPE, graphics, shapeObjectId, { fill: gradientFill });
+      await invoker.execute(commands.CHANGE_SHAPE, graphics, shapeObjectId, { fill: '#00ff00' });
+      await invoker.undo();
+
+      const shapeObject = graphics.getObject(shapeObjectId);
+
+      expect(shapeObject.fill).toBeInstanceOf(fabric.Gradient);
+      expect(graphics.createObjectProperties(shapeObject).fill).toEqual(gradientFill);
+    });
   });
 
   describe('clearCommand', () => {
@@ -513,6 +646,13 @@ describe('commandFactory', () => {
   describe('resizeCommand', () => {
     const newDimensions = { width: 20, height: 20 };
 
+    beforeEach(() => {
+      const element = document.createElement('canvas');
+      element.width = dimensions.width;
+      element.height = dimensions.height;
+      mockImage.setElement(element);
+    });
+
     it('should resize image', async () => {
       await invoker.execute(commands.RESIZE_IMAGE, graphics, newDimensions);
 
@@ -521,6 +661,21 @@ describe('commandFactory', () => {
       expect({ width: width * scaleX, height: height * scaleY }).toEqual(newDimensions);
     });
 
+    it('should resample the pixels of the image and scale the objects', async () => {
+      const rect = new fabric.Rect({ left: 50, top: 10, width: 10, height: 10 });
+      canvas.add(rect);
+
+      await invoker.execute(commands.RESIZE_IMAGE, graphics, { width: 20, height: 50 }, 'bicubic');
+
+      expect(mockImage.getElement()).toMatchObject({ width: 20, height: 50 });
+      expect(rect).toMatchObject({ left: 10, top: 5, scaleX: 0.2, scaleY: 0.5 });
+
+      await invoker.undo();
+
+      expect(mockImage.getElement()).toMatchObject(dimensions);
+      expect(rect).toMatchObject({ left: 50, top: 10, scaleX: 1, scaleY: 1 });
+    });
+
     it('should restore dimensions of image', async () => {
       await invoker.execute(commands.RESIZE_IMAGE, graphics, newDimensions);
       await invoker.undo();
@@ -530,4 +685,357 @@ describe('commandFactory', () => {
       expect({ width: width * scaleX, height: height * scaleY }).toEqual(dimensions);
     });
   });
+
+  describe('setCanvasSizeCommand', () => {
+    beforeEach(() => {
+      const element = document.createElement('canvas');
+      element.width = dimensions.width;
+      element.height = dimensions.height;
+      mockImage.setElement(element);
+    });
+
+    it('should pad the image at the anchor and move the objects with it', async () => {
+      const rect = new fabric.Rect({ left: 10, top: 10, width: 10, height: 10 });
+      canvas.add(rect);
+
+      const sizeChange = await invoker.execute(
+        commands.SET_CANVAS_SIZE,
+        graphics,
+        { width: 160, height: 140 },
+        { anchor: 'bottom-right', fill: '#ffffff' }
+      );
+
+      expect(sizeChange).toEqual({ oldWidth: 100, oldHeight: 100, newWidth: 160, newHeight: 140 });
+      expect(graphics.getCanvasImage()).toMatchObject({ width: 160, height: 140 });
+      expect(rect).toMatchObject({ left: 70, top: 50 });
+
+      await invoker.undo();
+
+      expect(graphics.getCanvasImage()).toBe(mockImage);
+      expect(rect).toMatchObject({ left: 10, top: 10 });
+    });
+
+    it('should have its own history title apart from the image resize', async () => {
+      const executeCommandSpy = jest.fn();
+      invoker.on('executeCommand', executeCommandSpy);
+
+      await invoker.execute(commands.SET_CANVAS_SIZE, graphics, { width: 160, height: 140 });
+      await invoker.execute(commands.RESIZE_IMAGE, graphics, { width: 80, height: 70 });
+      const [[setCanvasSize], [resizeImage]] = executeCommandSpy.mock.calls;
+
+      expect(getHistoryTitle(setCanvasSize)).toEqual({ name: 'Canvas', detail: '160x140' });
+      expect(getHistoryTitle(resizeImage)).toEqual({ name: 'Resize', detail: '80x70' });
+    });
+
+    it('should reject the invalid anchor or size', async () => {
+      await expect(
+        invoker.execute(commands.SET_CANVAS_SIZE, graphics, { width: 100, height: 0 })
+      ).rejects.toBe(rejectMessages.invalidParameters);
+      await expect(
+        invoker.execute(
+          commands.SET_CANVAS_SIZE,
+          graphics,
+          { width: 100, height: 100 },
+          { anchor: 'middle' }
+        )
+      ).rejects.toBe(rejectMessages.invalidParameters);
+    });
+  });
+
+  describe('filterStackCommand', () => {
+    let filterId;
+    const getStackIds = () => graphics.getFilterStack().map(({ id }) => id);
+
+    beforeEach(async () => {
+      jest.spyOn(mockImage, 'applyFilters').mockReturnValue({});
+
+      ({ id: filterId } = await invoker.execute(
+        commands.APPLY_FILTER,
+        graphics,
+        'blur',
+        { blur: 0.1 },
+        false,
+        { index: 0 }
+      ));
+    });
+
+    it('should insert a filter and remove it on undo with the same id on redo', async () => {
+      await invoker.undo();
+
+      expect(getStackIds()).toEqual([]);
+
+      await invoker.redo();
+
+      expect(getStackIds()).toEqual([filterId]);
+    });
+
+    it('should restore options of the filter on undo', async () => {
+      await invoker.execute(commands.APPLY_FILTER, graphics, 'blur', { blur: 0.5 }, false, {
+        id: filterId,
+      });
+      await invoker.undo();
+
+      expect(graphics.getFilterStack()[0].options).toEqual({ blur: 0.1 });
+    });
+
+    it('should restore the position of the moved filter on undo', async () => {
+      const { id } = await invoker.execute(commands.APPLY_FILTER, graphics, 'invert', {}, false, {
+        index: 1,
+      });
+
+      await invoker.execute(commands.MOVE_FILTER, graphics, id, 0);
+
+      expect(getStackIds()).toEqual([id, filterId]);
+
+      await invoker.undo();
+
+      expect(getStackIds()).toEqual([filterId, id]);
+    });
+
+    it('should restore visibility of the filter on undo', async () => {
+      await invoker.execute(commands.TOGGLE_FILTER, graphics, filterId, false);
+
+      expect(graphics.getFilterStack()[0].visible).toBe(false);
+
+      await invoker.undo();
+
+      expect(graphics.getFilterStack()[0].visible).toBe(true);
+    });
+
+    it('should restore the removed filter at its index on undo', async () => {
+      await invoker.execute(commands.REMOVE_FILTER, graphics, 'blur', { id: filterId });
+
+      expect(getStackIds()).toEqual([]);
+
+      await invoker.undo();
+
+      expect(getStackIds()).toEqual([filterId]);
+    });
+  });
+
+  describe('changeObjectOrderCommand', () => {
+    let objects;
+
+    beforeEach(() => {
+      objects = [new fabric.Rect(), new fabric.Rect(), new fabric.Rect()];
+      canvas.add(...objects);
+    });
+
+    it('should move the object to the z-index', async () => {
+      const index = await invoker.execute(
+        commands.CHANGE_OBJECT_ORDER,
+        graphics,
+        stamp(objects[0]),
+        2
+      );
+
+      expect(index).toBe(2);
+      expect(graphics.getObjects()).toEqual([objects[1], objects[2], objects[0]]);
+    });
+
+    it('should restore the stacking order on undo', async () => {
+      await invoker.execute(commands.CHANGE_OBJECT_ORDER, graphics, stamp(objects[2]), 0);
+      await invoker.undo();
+
+      expect(graphics.getObjects()).toEqual(objects);
+    });
+
+    it('should reject the z-index out of range', async () => {
+      await expect(
+        invoker.execute(commands.CHANGE_OBJECT_ORDER, graphics, stamp(objects[0]), 3)
+      ).rejects.toBe(rejectMessages.invalidParameters);
+    });
+  });
+
+  describe('changeObjectLockCommand', () => {
+    let object;
+
+    beforeEach(() => {
+      object = new fabric.Rect();
+      canvas.add(object);
+    });
+
+    it('should make the object unselectable', async () => {
+      await invoker.execute(commands.CHANGE_OBJECT_LOCK, graphics, stamp(object), true);
+
+      expect(graphics.isLockedObject(object)).toBe(true);
+      expect(object.selectable).toBe(false);
+    });
+
+    it('should unlock the object on undo', async () => {
+      await invoker.execute(commands.CHANGE_OBJECT_LOCK, graphics, stamp(object), true);
+      await invoker.undo();
+
+      expect(graphics.isLockedObject(object)).toBe(false);
+      expect(object.selectable).toBe(true);
+    });
+
+    it('should not be cleared by clearObjects', async () => {
+      const unlockedObject = new fabric.Rect();
+      canvas.add(unlockedObject);
+
+      await invoker.execute(commands.CHANGE_OBJECT_LOCK, graphics, stamp(object), true);
+      await invoker.execute(commands.CLEAR_OBJECTS, graphics);
+
+      expect(graphics.getObjects()).toEqual([object]);
+    });
+  });
+
+  describe('changeObjectVisibleCommand', () => {
+    let object;
+
+    beforeEach(() => {
+      object = new fabric.Rect();
+      canvas.add(object);
+    });
+
+    it('should hide the object and show it again on undo', async () => {
+      await invoker.execute(commands.CHANGE_OBJECT_VISIBLE, graphics, stamp(object), false);
+
+      expect(object.visible).toBe(false);
+
+      await invoker.undo();
+
+      expect(object.visible).toBe(true);
+    });
+
+    it('should reject the invalid object id', async () => {
+      await expect(
+        invoker.execute(commands.CHANGE_OBJECT_VISIBLE, graphics, -1, false)
+      ).rejects.toBe(rejectMessages.noObject);
+    });
+  });
+
+  describe('groupObjectsCommand', () => {
+    let objects, ids;
+
+    beforeEach(() => {
+      objects = [
+        new fabric.Rect({ left: 10, top: 10, width: 10, height: 10 }),
+        new fabric.Rect({ left: 30, top: 30, width: 10, height: 10 }),
+        new fabric.Rect({ left: 50, top: 50, width: 10, height: 10 }),
+      ];
+      canvas.add(...objects);
+      ids = [stamp(objects[2]), stamp(objects[0])];
+    });
+
+    it('should group the objects into a persistent group', async () => {
+      const { id, type } = await invoker.execute(commands.GROUP_OBJECTS, graphics, ids);
+      const group = graphics.getObject(id);
+
+      expect(type).toBe('group');
+      expect(group.getObjects()).toEqual([objects[0], objects[2]]);
+      expect(graphics.getObjects()).toEqual([objects[1], group]);
+
+      graphics.discardSelection();
+
+      expect(graphics.getObject(id)).toBe(group);
+    });
+
+    it('should keep the id of the group on redo', async () => {
+      const { id } = await invoker.execute(commands.GROUP_OBJECTS, graphics, ids);
+      await invoker.undo();
+
+      expect(graphics.getObjects()).toEqual(objects);
+      expect(objects[0]).toMatchObject({ left: 10, top: 10 });
+
+      await invoker.redo();
+
+      expect(graphics.getObject(id).getObjects()).toEqual([objects[0], objects[2]]);
+    });
+
+    it('should ungroup the objects and group them again on undo', async () => {
+      const { id } = await invoker.execute(commands.GROUP_OBJECTS, graphics, ids);
+      await invoker.execute(commands.UNGROUP_OBJECTS, graphics, id);
+
+      expect(graphics.getObjects()).toEqual([objects[1], objects[0], objects[2]]);
+      expect(objects[2]).toMatchObject({ left: 50, top: 50 });
+
+      await invoker.undo();
+
+      expect(graphics.getObjects()).toEqual([objects[1], graphics.getObject(id)]);
+    });
+
+    it('should flip and rotate the group as a whole', async () => {
+      const { id } = await invoker.execute(commands.GROUP_OBJECTS, graphics, ids);
+      const group = graphics.getObject(id);
+
+      await invoker.execute(commands.FLIP_IMAGE, graphics, 'flipX');
+      await invoker.execute(commands.ROTATE_IMAGE, graphics, 'rotate', 90);
+
+      expect(group).toMatchObject({ flipX: true, angle: 90 });
+      expect(objects[0]).toMatchObject({ flipX: false, angle: 0 });
+    });
+
+    it('should reject less than two objects', async () => {
+      await expect(
+        invoker.execute(commands.GROUP_OBJECTS, graphics, [stamp(objects[0])])
+      ).rejects.toBe(rejectMessages.invalidParameters);
+    });
+  });
+
+  describe('arrangeObjectsCommand', () => {
+    let objects, ids;
+
+    const getCentersX = () => objects.map((obj) => obj.getCenterPoint().x);
+    const getCentersY = () => objects.map((obj) => obj.getCenterPoint().y);
+
+    beforeEach(() => {
+      objects = [
+        new fabric.Rect({ left: 10, top: 40, width: 10, height: 10, strokeWidth: 0 }),
+        new fabric.Rect({ left: 50, top: 10, width: 20, height: 20, strokeWidth: 0 }),
+        new fabric.Rect({ left: 25, top: 20, width: 10, height: 30, strokeWidth: 0 }),
+      ];
+      canvas.add(...objects);
+      ids = objects.map((obj) => stamp(obj));
+    });
+
+    it('should align the objects to the edge of the selection', async () => {
+      await invoker.execute(commands.ARRANGE_OBJECTS, graphics, ids, {
+        type: 'align',
+        align: 'right',
+        relativeTo: 'selection',
+      });
+
+      expect(getCentersX()).toEqual([65, 60, 65]);
+    });
+
+    it('should align the objects to the center of the canvas', async () => {
+      await invoker.execute(commands.ARRANGE_OBJECTS, graphics, ids, {
+        type: 'align',
+        align: 'middle',
+        relativeTo: 'canvas',
+      });
+
+      const middle = canvas.height / 2;
+
+      expect(getCentersY()).toEqual([middle, middle, middle]);
+    });
+
+    it('should space the objects evenly', async () => {
+      await invoker.execute(commands.ARRANGE_OBJECTS, graphics, ids, {
+        type: 'distribute',
+        direction: 'horizontal',
+      });
+
+      expect(getCentersX()).toEqual([15, 60, 35]);
+    });
+
+    it('should restore the positions on undo', async () => {
+      await invoker.execute(commands.ARRANGE_OBJECTS, graphics, ids, {
+        type: 'align',
+        align: 'left',
+        relativeTo: 'canvas',
+      });
+      await invoker.undo();
+
+      expect(getCentersX()).toEqual([15, 60, 30]);
+    });
+
+    it('should reject the invalid arrangement', async () => {
+      await expect(
+        invoker.execute(commands.ARRANGE_OBJECTS, graphics, ids, { type: 'align', align: 'up' })
+      ).rejects.toBe(rejectMessages.invalidParameters);
+    });
+  });
 });
@@ -1,7 +1,41 @@
 import { fabric } from 'fabric';
 import Graphics from '@/graphics';
-import Cropper from '@/component/cropper';
-import { eventNames, CROPZONE_DEFAULT_OPTIONS } from '@/consts';
+import ImageEditor from '@/imageEditor';
+import Cropper, { fitRectInImage } from '@/component/cropper';
+import { eventNames, commandNames, CROPZONE_DEFAULT_OPTIONS } from '@/consts';
+
+import '@/command/loadImage';
+import '@/command/crop';
+
+function createImage(width = 200, height = 100) {
+  const element = document.createElement('canvas');
+  element.width = width;
+  element.height = height;
+
+  return new fabric.Image(element, {
+    originX: 'center',
+    originY: 'center',
+    left: width / 2,
+    top: height / 2,
+  });
+}
+
+function expectRectInImage({ left, top, width, height }, image) {
+  const center = image.getCenterPoint();
+  const radian = fabric.util.degreesToRadians(-image.angle);
+
+  [
+    [left, top],
+    [left + width, top],
+    [left + width, top + height],
+    [left, top + height],
+  ].forEach(([x, y]) => {
+    const point = fabric.util.rotateVector({ x: x - center.x, y: y - center.y }, radian);
+
+    expect(Math.abs(point.x)).toBeLessThanOrEqual(image.width / 2 + 0.001);
+    expect(Math.abs(point.y)).toBeLessThanOrEqual(image.height / 2 + 0.001);
+  });
+}
 
 describe('Cropper', () => {
   let cropper, graphics, canvas;
@@ -254,6 +288,27 @@ describe('Cropper', () => {
         url: expect.any(String),
       });
     });
+
+    it('should resample the cropped image to the output size', () => {
+      const canvasElements = [];
+      const { createCanvasElement } = fabric.util;
+      jest.spyOn(fabric.util, 'createCanvasElement').mockImplementation(() => {
+        const element = createCanvasElement();
+        canvasElements.push(element);
+
+        return element;
+      });
+
+      const { url } = cropper.getCroppedImageData(
+        { left: 0, top: 0, width: 20, height: 10 },
+        { width: 1200, height: 630 }
+      );
+
+      expect(url).toMatch(/^data:image\/png/);
+      expect(canvasElements).toContainEqual(expect.objectContaining({ width: 1200, height: 630 }));
+
+      fabric.util.createCanvasElement.mockRestore();
+    });
   });
 
   describe('presets - setCropzoneRect()', () => {
@@ -323,6 +378,27 @@ describe('Cropper', () => {
       expect(setSpy).toHaveBeenCalledWith(expect.objectContaining({ width: 408 }));
     });
 
+    it('should limit the size of the preset rect in the center of the canvas', () => {
+      jest.spyOn(canvas, 'getWidth').mockReturnValue(400);
+      jest.spyOn(canvas, 'getHeight').mockReturnValue(300);
+      cropper.setSizeLimits({ maxWidth: 100 });
+
+      cropper.setCropzoneRect(2);
+
+      expect(cropper._cropzone).toMatchObject({ left: 150, top: 125, width: 100, height: 50 });
+    });
+
+    it('should limit the size of the rect drawn by the mouse', () => {
+      jest.spyOn(canvas, 'getPointer').mockReturnValue({ x: 60, y: 45 });
+      cropper.setSizeLimits({ minWidth: 50, minHeight: 40 });
+      cropper._startX = 80;
+      cropper._startY = 60;
+
+      cropper._onFabricMouseMove({ e: {} });
+
+      expect(cropper._cropzone).toMatchObject({ left: 30, top: 20, width: 50, height: 40 });
+    });
+
     it('should remove cropzone of cropper when falsy is passed', () => {
       cropper.setCropzoneRect();
       expect(cropper.getCropzoneRect()).toBeNull();
@@ -335,6 +411,83 @@ describe('Cropper', () => {
     });
   });
 
+  describe('rect - setCropzoneRect()', () => {
+    beforeEach(() => {
+      jest.spyOn(canvas, 'getWidth').mockReturnValue(300);
+      jest.spyOn(canvas, 'getHeight').mockReturnValue(200);
+      cropper.start();
+    });
+
+    afterEach(() => {
+      cropper.end();
+    });
+
+    it('should set the cropzone to the rect and free the ratio', () => {
+      const fireSpy = jest.spyOn(graphics, 'fire');
+      cropper.setCropzoneRect(16 / 9);
+
+      expect(cropper.setCropzoneRect({ left: 10, top: 20, width: 100, height: 50 })).toBe(true);
+
+      expect(cropper._cropzone).toMatchObject({ presetRatio: null, width: 100, height: 50 });
+      expect(fireSpy).toHaveBeenLastCalledWith(eventNames.CROPZONE_CHANGED, {
+        left: 10,
+        top: 20,
+        width: 100,
+        height: 50,
+      });
+    });
+
+    it('should not set the cropzone to the rect out of the canvas', () => {
+      cropper.setCropzoneRect({ left: 10, top: 20, width: 100, height: 50 });
+
+      expect(cropper.setCropzoneRect({ left: 250, top: 0, width: 100, height: 50 })).toBe(false);
+      expect(cropper.setCropzoneRect({ left: 0, top: 0, width: 0, height: 50 })).toBe(false);
+      expect(cropper.setCropzoneRect({ left: '0', top: 0, width: 10, height: 50 })).toBe(false);
+
+      expect(cropper.getCropzoneRect()).toEqual({ left: 10, top: 20, width: 100, height: 50 });
+    });
+
+    it('should move the cropzone in the canvas', () => {
+      cropper.setCropzoneRect({ left: 10, top: 20, width: 100, height: 50 });
+
+      cropper.moveCropzone(-20, 10);
+
+      expect(cropper.getCropzoneRect()).toEqual({ left: 0, top: 30, width: 100, height: 50 });
+    });
+
+    it('should resize the cropzone keeping the preset ratio', () => {
+      cropper.setCropzoneRect(1);
+      const { width } = cropper.getCropzoneRect();
+
+      cropper.resizeCropzone(-10, 0);
+
+      expect(cropper.getCropzoneRect()).toMatchObject({ width: width - 10, height: width - 10 });
+    });
+
+    it('should not move the empty cropzone', () => {
+      expect(cropper.moveCropzone(1, 0)).toBe(false);
+      expect(cropper.resizeCropzone(1, 0)).toBe(false);
+    });
+  });
+
+  describe('setGuide()', () => {
+    it('should draw the guide lines at the golden ratio', () => {
+      cropper.start();
+      cropper._cropzone.set({ left: 0, top: 0, width: 100, height: 100 });
+      const ctx = canvas.getContext();
+      jest.spyOn(cropper._cropzone, '_caculateInnerPosition');
+
+      expect(cropper.setGuide('golden')).toBe(true);
+      expect(cropper.setGuide('diagonal')).toBe(false);
+      cropper._cropzone._renderCropzone(ctx);
+
+      const [[, size]] = cropper._cropzone._caculateInnerPosition.mock.calls;
+      expect(size).toBeCloseTo(38.197);
+
+      cropper.end();
+    });
+  });
+
   describe('end()', () => {
     it('should set cropzone of cropper to null', () => {
       cropper.start();
@@ -360,6 +513,191 @@ describe('Cropper', () => {
     });
   });
 
+  describe('straighten()', () => {
+    let image;
+
+    beforeEach(() => {
+      image = createImage();
+      canvas.setDimensions({ width: 200, height: 100 }, { backstoreOnly: true });
+      canvas.setBackgroundImage(image);
+      graphics.setCanvasImage('image', image);
+      cropper.start();
+    });
+
+    afterEach(() => {
+      cropper.end();
+    });
+
+    it('should rotate the image and fit the whole canvas rect inside the rotated image', () => {
+      cropper.straighten(10);
+      const rect = cropper.getCropzoneRect();
+
+      expect(image.angle).toBe(10);
+      expect(rect.width).toBeCloseTo(150.15, 1);
+      expect(rect.width / rect.height).toBeCloseTo(2);
+      expect(rect.left + rect.width / 2).toBeCloseTo(100);
+      expectRectInImage(rect, image);
+    });
+
+    it('should fit the cropzone from the rect before straightening', () => {
+      cropper.setCropzoneRect(1);
+      const originalRect = cropper.getCropzoneRect();
+
+      cropper.straighten(-20);
+      cropper.straighten(0);
+
+      expect(cropper.getCropzoneRect()).toEqual(originalRect);
+    });
+
+    it('should fit the cropzone changed by the user after straightening', () => {
+      cropper.straighten(30);
+      cropper._cropzone.set({ left: 0, top: 0, width: 40, height: 40 });
+
+      cropper.straighten(30);
+      const rect = cropper.getCropzoneRect();
+
+      expect(rect.width).toBeCloseTo(rect.height);
+      expect(rect.width).toBeLessThan(40);
+      expectRectInImage(rect, image);
+    });
+
+    it('should limit the angle and restore the image angle when the cropper ends', () => {
+      expect(cropper.straighten(60)).toBe(45);
+      expect(cropper.getStraightenAngle()).toBe(45);
+
+      cropper.end();
+
+      expect(image.angle).toBe(0);
+      expect(cropper.getStraightenAngle()).toBe(0);
+    });
+  });
+
+  describe('fitRectInImage()', () => {
+    it('should move the rect to the center of the image when its center is out of the image', () => {
+      const image = createImage(100, 100);
+      image.set({ angle: 45 });
+
+      const rect = fitRectInImage({ left: 0, top: 0, width: 10, height: 10 }, image);
+
+      expect(rect.left + rect.width / 2).toBeCloseTo(50);
+      expect(rect.top + rect.height / 2).toBeCloseTo(50);
+      expect(rect.width).toBeCloseTo(10);
+    });
+  });
+
+  describe('setCropShape()', () => {
+    beforeEach(() => {
+      cropper.start();
+    });
+
+    afterEach(() => {
+      cropper.end();
+    });
+
+    it('should set the shape of the cropzone', () => {
+      expect(cropper.setCropShape({ type: 'roundRect', radius: 10 })).toBe(true);
+
+      expect(cropper.getCropShape()).toEqual({ type: 'roundRect', radius: 10, path: null });
+      expect(cropper._cropzone.cropShape).toEqual({ type: 'roundRect', radius: 10 });
+    });
+
+    it('should keep the shape if the shape options are invalid', () => {
+      expect(cropper.setCropShape({ type: 'star' })).toBe(false);
+      expect(cropper.setCropShape({ type: 'path', path: '' })).toBe(false);
+
+      expect(cropper.getCropShape().type).toBe('rect');
+    });
+
+    it('should not set the path which has the commands not simplified by fabric', () => {
+      // fabric.js before 4.3 keeps the relative, the horizontal and the vertical commands
+      const spy = jest.spyOn(fabric.util, 'makePathSimpler').mockImplementation((path) => path);
+
+      expect(cropper.setCropShape({ type: 'path', path: 'M 10 10 h 20 v 20 z' })).toBe(false);
+      expect(cropper.setCropShape({ type: 'path', path: 'M 10 10 L 30 10 L 20 30 z' })).toBe(true);
+
+      spy.mockRestore();
+    });
+
+    it('should fill the outside of the shape on the overlay with the even-odd rule', () => {
+      const ctx = canvas.getContext();
+      cropper.setCropShape({ type: 'ellipse' });
+      jest.spyOn(ctx, 'fill');
+      jest.spyOn(ctx, 'bezierCurveTo').mockClear();
+
+      cropper._cropzone._fillOuterRect(ctx, 'black');
+
+      expect(ctx.bezierCurveTo).toHaveBeenCalledTimes(4);
+      expect(ctx.fill).toHaveBeenCalledWith('evenodd');
+    });
+
+    it('should scale the path to the cropzone', () => {
+      const ctx = canvas.getContext();
+      jest.spyOn(ctx, 'lineTo');
+      cropper._cropzone.set({ left: 0, top: 0, width: 100, height: 50 });
+      cropper.setCropShape({ type: 'path', path: 'M 10 10 L 30 10 L 20 30 Z' });
+
+      cropper._cropzone._fillOuterRect(ctx, 'black');
+
+      expect(ctx.lineTo).toHaveBeenLastCalledWith(0, 25);
+    });
+
+    it('should clip the cropped image with the shape', () => {
+      const clippedContexts = [];
+      const { createCanvasElement } = fabric.util;
+      jest.spyOn(fabric.util, 'createCanvasElement').mockImplementation(() => {
+        const element = createCanvasElement();
+        const ctx = element.getContext('2d');
+        jest.spyOn(ctx, 'clip');
+        clippedContexts.push(ctx);
+
+        return element;
+      });
+      jest.spyOn(cropper._cropzone, 'isValid').mockReturnValue(true);
+      cropper.setCropShape({ type: 'ellipse' });
+
+      const { url } = cropper.getCroppedImageData(cropper.getCropzoneRect());
+
+      expect(url).toMatch(/^data:image\/png/);
+      expect(clippedContexts.some((ctx) => ctx.clip.mock.calls.length)).toBe(true);
+
+      fabric.util.createCanvasElement.mockRestore();
+    });
+  });
+
+  describe('crop with straightening', () => {
+    let imageEditor;
+
+    beforeEach(async () => {
+      imageEditor = new ImageEditor(document.createElement('div'), { usageStatistics: false });
+      await imageEditor.loadImageFromURL(createImage(), 'image');
+      imageEditor.clearUndoStack();
+    });
+
+    afterEach(() => {
+      imageEditor.destroy();
+    });
+
+    it('should crop by one undoable command with the image before straightening', async () => {
+      const { _graphics: editorGraphics } = imageEditor;
+      const originalImage = editorGraphics.getCanvasImage();
+      imageEditor.startDrawingMode('CROPPER');
+      imageEditor.straighten(15);
+      jest.spyOn(editorGraphics, 'getCroppedImageData').mockReturnValue({
+        imageName: 'image',
+        url: createImage(100, 50),
+      });
+
+      await imageEditor.crop(imageEditor.getCropzoneRect());
+
+      expect(imageEditor._invoker._undoStack.map(({ name }) => name)).toEqual([commandNames.CROP]);
+      expect(originalImage.angle).toBe(0);
+
+      await imageEditor.undo();
+
+      expect(editorGraphics.getCanvasImage()).toBe(originalImage);
+    });
+  });
+
   describe('canvas event delegator', () => {
     it('The event of an object with an eventDelegator must fire the graphics.fire registered with the trigger.', () => {
       cropper.start();
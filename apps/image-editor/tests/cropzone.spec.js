@@ -113,4 +113,38 @@ describe('Cropzone', () => {
       expect(width / height).toEqual(presetRatio);
     });
   });
+
+  it('should limit the size in the size limits while resizing', () => {
+    const sizeLimits = { minWidth: 30, minHeight: 20, maxWidth: 60, maxHeight: 50 };
+    const cropzone = new Cropzone(canvas, { ...options, width: 40, height: 40, sizeLimits }, {});
+
+    expect(cropzone._resizeCropZone({ x: 15, y: 15 }, 'br')).toEqual({
+      left: 10,
+      top: 10,
+      width: 30,
+      height: 20,
+    });
+    expect(cropzone._resizeCropZone({ x: 200, y: 200 }, 'br')).toEqual({
+      left: 10,
+      top: 10,
+      width: 60,
+      height: 50,
+    });
+  });
+
+  it('should limit the size keeping the preset ratio', () => {
+    const sizeLimits = { minWidth: 40 };
+    const cropzone = new Cropzone(
+      canvas,
+      { ...options, width: 50, height: 25, presetRatio: 2, sizeLimits },
+      {}
+    );
+
+    expect(cropzone._resizeCropZone({ x: 20, y: 20 }, 'br')).toEqual({
+      left: 10,
+      top: 10,
+      width: 40,
+      height: 20,
+    });
+  });
 });
@@ -0,0 +1,281 @@
+import { fabric } from 'fabric';
+import ImageEditor from '@/imageEditor';
+import ArrowLine from '@/extension/arrowLine';
+import ArrowCurve from '@/extension/arrowCurve';
+import { rejectMessages } from '@/consts';
+import { stamp } from '@/util';
+
+import '@/command/loadImage';
+import '@/command/addIcon';
+import '@/command/addShape';
+import '@/command/addText';
+import '@/command/addObject';
+import '@/command/addImageObject';
+import '@/command/applyFilter';
+import '@/command/flip';
+import '@/command/rotate';
+import '@/command/resize';
+import '@/command/setObjectProperties';
+import '@/command/groupObjects';
+import '@/command/changeIconColor';
+import '@/command/changeObjectLock';
+
+function createImageElement(width = 100, height = 100) {
+  const element = document.createElement('canvas');
+  element.width = width;
+  element.height = height;
+
+  return element;
+}
+
+function createImage() {
+  return new fabric.Image(createImageElement());
+}
+
+describe('Document state', () => {
+  let imageEditor, canvas;
+
+  beforeEach(async () => {
+    jest
+      .spyOn(fabric.util, 'loadImage')
+      .mockImplementation((url, callback, context) => callback.call(context, createImageElement()));
+    imageEditor = new ImageEditor(document.createElement('div'), { usageStatistics: false });
+    canvas = imageEditor._graphics.getCanvas();
+
+    await imageEditor.loadImageFromURL(createImage(), 'sampleImage');
+  });
+
+  afterEach(() => {
+    imageEditor.destroy();
+  });
+
+  describe('exportState()', () => {
+    it('should contain the background image with its transformations', async () => {
+      await imageEditor.flipX();
+      await imageEditor.setAngle(90);
+      await imageEditor.resize({ width: 50, height: 80 });
+
+      const { version, imageName, image } = imageEditor.exportState();
+
+      expect(version).toBe(1);
+      expect(imageName).toBe('sampleImage');
+      expect(image).toMatchObject({
+        src: expect.stringContaining('data:image/png'),
+        width: 50,
+        height: 80,
+        flipX: true,
+        flipY: false,
+        angle: 90,
+      });
+    });
+
+    it('should contain the applied filters in order', async () => {
+      await imageEditor.applyFilter('blur', { blur: 0.3 });
+      await imageEditor.applyFilter('Grayscale');
+
+      const { filters } = imageEditor.exportState().image;
+
+      expect(filters).toEqual([
+        { type: 'blur', options: { blur: 0.3 }, visible: true },
+        { type: 'grayscale', options: {}, visible: true },
+      ]);
+    });
+
+    it('should contain the objects in stacking order with their custom properties', async () => {
+      await imageEditor.addShape('rect', {
+        width: 10,
+        height: 20,
+        fill: { type: 'filter', filter: [{ pixelate: 10 }] },
+      });
+      await imageEditor.addIcon('arrow', { left: 10, top: 10 });
+      canvas.add(new ArrowLine([0, 0, 10, 10], { arrowType: { head: 'chevron' } }));
+
+      const { objects } = imageEditor.exportState();
+
+      expect(objects).toHaveLength(3);
+      expect(objects[0]).toMatchObject({
+        type: 'rect',
+        fill: { type: 'filter', filter: [{ pixelate: 10 }] },
+      });
+      expect(objects[1]).toMatchObject({ type: 'icon', path: expect.stringMatching(/^M 0 90/) });
+      expect(objects[2]).toMatchObject({ type: 'line', arrowType: { head: 'chevron' } });
+    });
+
+    it('should contain the lock state of the objects', async () => {
+      const { id } = await imageEditor.addShape('rect', { width: 10, height: 20 });
+      await imageEditor.addIcon('arrow', { left: 10, top: 10 });
+      await imageEditor.lockObject(id);
+
+      const [rect, icon] = imageEditor.exportState().objects;
+
+      expect(rect.locked).toBe(true);
+      expect(icon).not.toHaveProperty('locked');
+    });
+
+    it('should be serializable as JSON', async () => {
+      await imageEditor.addText('text', { position: { x: 10, y: 10 }, autofocus: false });
+      await imageEditor.applyFilter('blur', { blur: 0.1 });
+
+      const state = imageEditor.exportState();
+
+      expect(JSON.parse(JSON.stringify(state))).toEqual(state);
+    });
+  });
+
+  describe('importState()', () => {
+    let targetEditor;
+
+    beforeEach(() => {
+      targetEditor = new ImageEditor(document.createElement('div'), { usageStatistics: false });
+    });
+
+    afterEach(() => {
+      targetEditor.destroy();
+    });
+
+    it('should restore the background image with its transformations and filters', async () => {
+      await imageEditor.flipY();
+      await imageEditor.setAngle(30);
+      await imageEditor.resize({ width: 60, height: 70 });
+      await imageEditor.applyFilter('blur', { blur: 0.2 });
+
+      await targetEditor.importState(imageEditor.exportState());
+
+      const canvasImage = targetEditor._graphics.getCanvasImage();
+      expect(targetEditor.getImageName()).toBe('sampleImage');
+      expect(canvasImage).toMatchObject({ flipX: false, flipY: true, angle: 30 });
+      expect(canvasImage.width * canvasImage.scaleX).toBe(60);
+      expect(canvasImage.height * canvasImage.scaleY).toBe(70);
+      expect(targetEditor.hasFilter('blur')).toBe(true);
+    });
+
+    it('should rebuild editable objects from the state', async () => {
+      await imageEditor.addShape('circle', { rx: 10, ry: 20, fill: '#ff0000', left: 30, top: 40 });
+      await imageEditor.addText('hello', { position: { x: 15, y: 25 }, autofocus: false });
+      canvas.add(new ArrowLine([0, 0, 10, 10], { arrowType: { tail: 'triangle' } }));
+
+      await targetEditor.importState(JSON.stringify(imageEditor.exportState()));
+
+      const [circle, text, line] = targetEditor._graphics.getObjects();
+      expect(circle).toMatchObject({ type: 'circle', rx: 10, ry: 20, fill: '#ff0000' });
+      expect(text).toMatchObject({ type: 'i-text', text: 'hello', left: 15, top: 25 });
+      expect(line).toBeInstanceOf(ArrowLine);
+      expect(line.arrowType).toEqual({ tail: 'triangle' });
+      expect(targetEditor.getObjectProperties(stamp(line), 'type')).toEqual({ type: 'line' });
+    });
+
+    it('should rebuild the gradient and the pattern fills of the text and the icon', async () => {
+      const gradientFill = {
+        type: 'gradient',
+        gradient: {
+          type: 'linear',
+          angle: 90,
+          colorStops: [
+            { offset: 0, color: '#ff0000' },
+            { offset: 1, color: '#0000ff' },
+          ],
+        },
+      };
+      const patternFill = {
+        type: 'pattern',
+        pattern: { source: 'pattern.png', repeat: 'repeat-x' },
+      };
+      fabric.util.loadImage.mockImplementation((url, callback, context) => {
+        const image = new Image();
+        image.src = url;
+        callback.call(context, url === 'pattern.png' ? image : createImageElement());
+      });
+      await imageEditor.addText('hello', {
+        styles: { fill: gradientFill },
+        position: { x: 15, y: 25 },
+        autofocus: false,
+      });
+      const { id: iconId } = await imageEditor.addIcon('arrow', { left: 40, top: 40 });
+      await imageEditor.changeIconColor(iconId, patternFill);
+
+      const state = JSON.parse(JSON.stringify(imageEditor.exportState()));
+      await targetEditor.importState(state);
+
+      const [text, icon] = targetEditor._graphics.getObjects();
+      expect(state.objects[0].fill).toEqual(gradientFill);
+      expect(text.fill).toBeInstanceOf(fabric.Gradient);
+      expect(text.fill.colorStops).toEqual(gradientFill.gradient.colorStops);
+      expect(icon.fill).toBeInstanceOf(fabric.Pattern);
+      expect(icon.fill.repeat).toBe('repeat-x');
+    });
+
+    it('should rebuild the curved line with its points', async () => {
+      const points = [
+        { x: 0, y: 0 },
+        { x: 20, y: 40 },
+        { x: 60, y: 10 },
+      ];
+      canvas.add(
+        new ArrowCurve(points, { arrowType: { head: 'chevron' }, strokeDashArray: [6, 4] })
+      );
+
+      await targetEditor.importState(JSON.stringify(imageEditor.exportState()));
+
+      const [curve] = targetEditor._graphics.getObjects();
+      expect(curve).toBeInstanceOf(ArrowCurve);
+      expect(curve).toMatchObject({ points, strokeDashArray: [6, 4] });
+      expect(curve.arrowType).toEqual({ head: 'chevron' });
+    });
+
+    it('should rebuild the persistent groups with their objects', async () => {
+      const { id: rectId } = await imageEditor.addShape('rect', { width: 10, height: 20 });
+      const { id: iconId } = await imageEditor.addIcon('arrow', { left: 40, top: 40 });
+      const { left, top } = await imageEditor.groupObjects([rectId, iconId]);
+
+      await targetEditor.importState(imageEditor.exportState());
+
+      const [group] = targetEditor._graphics.getObjects();
+      expect(group).toMatchObject({ type: 'group', left, top });
+      expect(group.getObjects().map(({ type }) => type)).toEqual(['rect', 'icon']);
+    });
+
+    it('should restore the icons without registering their paths', async () => {
+      const { id } = await imageEditor.addIcon('arrow', { left: 10, top: 10 });
+      const [{ path }] = imageEditor.exportState().objects;
+      const iconComp = targetEditor._graphics.getComponent('ICON');
+      jest.spyOn(iconComp, 'registerPaths');
+
+      await targetEditor.importState(imageEditor.exportState());
+
+      const [icon] = targetEditor._graphics.getObjects();
+      expect(icon.path).toEqual(imageEditor._graphics.getObject(id).path);
+      expect(iconComp.registerPaths).not.toHaveBeenCalled();
+      expect(iconComp.getPath(path)).toBeNull();
+    });
+
+    it('should restore the locked objects locked', async () => {
+      const { id } = await imageEditor.addShape('rect', { width: 10, height: 20 });
+      await imageEditor.lockObject(id);
+
+      await targetEditor.importState(imageEditor.exportState());
+
+      const [rect] = targetEditor._graphics.getObjects();
+      expect(targetEditor._graphics.isLockedObject(rect)).toBe(true);
+      expect(rect.selectable).toBe(false);
+      expect(rect).not.toHaveProperty('locked');
+    });
+
+    it('should clear the undo and redo stacks after restoring', async () => {
+      await imageEditor.addIcon('arrow', { left: 10, top: 10 });
+
+      await targetEditor.importState(imageEditor.exportState());
+
+      expect(targetEditor.isEmptyUndoStack()).toBe(true);
+      expect(targetEditor.isEmptyRedoStack()).toBe(true);
+    });
+
+    it('should reject an invalid state', async () => {
+      await expect(targetEditor.importState('{invalid')).rejects.toBe(
+        rejectMessages.invalidParameters
+      );
+      await expect(targetEditor.importState({ objects: [] })).rejects.toBe(
+        rejectMessages.invalidParameters
+      );
+    });
+  });
+});
@@ -34,7 +34,7 @@ describe('DrawingMode', () => {
   });
 
   it('should enter all drawing mode with startDrawingMode in consecutive order', () => {
-    ['CROPPER', 'FREE_DRAWING', 'LINE_DRAWING', 'TEXT', 'SHAPE', 'RESIZE'].forEach(
+    ['CROPPER', 'FREE_DRAWING', 'LINE_DRAWING', 'TEXT', 'SHAPE', 'RESIZE', 'ERASER'].forEach(
       (drawingMode) => {
         imageEditor.startDrawingMode(drawingMode);
 
@@ -0,0 +1,137 @@
+import { fabric } from 'fabric';
+import Graphics from '@/graphics';
+import Invoker from '@/invoker';
+import '@/command/erase';
+import { commandNames, componentNames, eventNames, rejectMessages } from '@/consts';
+
+describe('Eraser', () => {
+  let graphics, canvas, eraser, rect, path;
+
+  beforeEach(() => {
+    graphics = new Graphics(document.createElement('canvas'));
+    canvas = graphics.getCanvas();
+    canvas.setDimensions({ width: 200, height: 200 }, { backstoreOnly: true });
+    eraser = graphics.getComponent(componentNames.ERASER);
+    rect = new fabric.Rect({ left: 10, top: 10, width: 50, height: 50, strokeWidth: 0 });
+    canvas.add(rect);
+    path = new fabric.Path('M 0 35 L 100 35', { strokeWidth: 10 });
+    graphics.setCanvasImage('image', new fabric.Image(document.createElement('canvas')));
+  });
+
+  it('should replace the brush while erasing and restore it at the end', () => {
+    const brush = canvas.freeDrawingBrush;
+
+    graphics.startDrawingMode('ERASER', { width: 30, eraseBackground: true });
+
+    expect(canvas.isDrawingMode).toBe(true);
+    expect(canvas.freeDrawingBrush).not.toBe(brush);
+    expect(canvas.freeDrawingBrush.width).toBe(30);
+    expect(eraser.eraseBackground).toBe(true);
+
+    graphics.stopDrawingMode();
+
+    expect(canvas.isDrawingMode).toBe(false);
+    expect(canvas.freeDrawingBrush).toBe(brush);
+  });
+
+  it('should fire the eraser path created event instead of adding the drawn path', () => {
+    const spy = jest.fn();
+    graphics.on(eventNames.ERASER_PATH_CREATED, spy);
+    graphics.startDrawingMode('ERASER', { eraseBackground: true });
+    const brush = canvas.freeDrawingBrush;
+
+    brush._points = [new fabric.Point(0, 0), new fabric.Point(50, 50)];
+    brush._finalizeAndAddPath();
+
+    expect(canvas.getObjects()).toEqual([rect]);
+    expect(spy).toHaveBeenCalledWith({
+      path: expect.any(fabric.Path),
+      eraseBackground: true,
+    });
+  });
+
+  it('should erase the overlapped objects with an inverted clip path in their coordinates', () => {
+    const other = new fabric.Rect({ left: 150, top: 150, width: 20, height: 20 });
+    canvas.add(other);
+
+    const erased = eraser.erase(path, false);
+    const [stroke] = rect.clipPath.getObjects();
+
+    expect(erased).toEqual([{ object: rect, clipPath: undefined }]);
+    expect(rect.clipPath).toEqual(expect.any(fabric.Group));
+    expect(rect.clipPath.inverted).toBe(true);
+    expect(stroke.stroke).toBe('#000');
+    expect(rect.clipPath.getCenterPoint()).toMatchObject({ x: 15, y: 0 });
+    expect(other.clipPath).toBeUndefined();
+    expect(graphics.getCanvasImage().clipPath).toBeUndefined();
+  });
+
+  it('should add the strokes to the clip path and erase the background image', () => {
+    eraser.erase(path, false);
+    eraser.erase(path, true);
+
+    expect(rect.clipPath.getObjects()).toHaveLength(2);
+    expect(graphics.getCanvasImage().clipPath.getObjects()).toHaveLength(1);
+  });
+
+  it('should keep the erased strokes in the copied object', async () => {
+    eraser.erase(path, false);
+    const [erasedStroke] = rect.clipPath.getObjects();
+    const erasedStrokeCenter = erasedStroke.getCenterPoint();
+    const copied = await new Promise((resolve) => {
+      rect.clone(resolve);
+    });
+    canvas.remove(rect);
+    canvas.add(copied);
+
+    eraser.erase(path, false);
+    const [copiedStroke] = copied.clipPath.getObjects();
+
+    expect(copied.clipPath.getObjects()).toHaveLength(2);
+    expect(
+      fabric.util.transformPoint(
+        copiedStroke.getCenterPoint(),
+        copied.clipPath.calcTransformMatrix()
+      )
+    ).toEqual(fabric.util.transformPoint(erasedStrokeCenter, rect.clipPath.calcTransformMatrix()));
+  });
+
+  it('should not erase the locked or hidden objects', () => {
+    const hidden = new fabric.Rect({ left: 0, top: 0, width: 50, height: 50, visible: false });
+    canvas.add(hidden);
+    graphics.setObjectLock(graphics.getObjectId(rect), true);
+
+    expect(eraser.erase(path, false)).toEqual([]);
+  });
+
+  describe('eraseCommand', () => {
+    let invoker;
+
+    beforeEach(() => {
+      invoker = new Invoker();
+    });
+
+    it('should restore the clip paths on undo', async () => {
+      await invoker.execute(commandNames.ERASE, graphics, path, false);
+      await invoker.execute(commandNames.ERASE, graphics, path, false);
+
+      expect(rect.clipPath.getObjects()).toHaveLength(2);
+
+      await invoker.undo();
+
+      expect(rect.clipPath.getObjects()).toHaveLength(1);
+
+      await invoker.undo();
+
+      expect(rect.clipPath).toBeUndefined();
+    });
+
+    it('should reject when there is no object to erase', async () => {
+      rect.set('visible', false);
+
+      await expect(invoker.execute(commandNames.ERASE, graphics, path, false)).rejects.toBe(
+        rejectMessages.noObject
+      );
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { fabric } from 'fabric';
+import ImageEditor from '@/imageEditor';
+import { rejectMessages } from '@/consts';
+
+import '@/command/loadImage';
+import '@/command/addShape';
+
+function createImage(width = 100, height = 80) {
+  const element = document.createElement('canvas');
+  element.width = width;
+  element.height = height;
+
+  return new fabric.Image(element);
+}
+
+describe('export()', () => {
+  let imageEditor, canvas, rect, renderedStates;
+
+  beforeEach(async () => {
+    imageEditor = new ImageEditor(document.createElement('div'), { usageStatistics: false });
+    canvas = imageEditor._graphics.getCanvas();
+    renderedStates = [];
+
+    await imageEditor.loadImageFromURL(createImage(), 'sampleImage');
+    const { id } = await imageEditor.addShape('rect', { left: 15, top: 15, width: 10, height: 10 });
+    rect = imageEditor._graphics.getObject(id);
+
+    const { toCanvasElement } = canvas;
+    jest.spyOn(canvas, 'toCanvasElement').mockImplementation((...args) => {
+      renderedStates.push({
+        backgroundImage: canvas.backgroundImage,
+        backgroundColor: canvas.backgroundColor,
+        viewportTransform: canvas.viewportTransform,
+        rectVisible: rect.visible,
+      });
+
+      return toCanvasElement.apply(canvas, args);
+    });
+  });
+
+  afterEach(() => {
+    imageEditor.destroy();
+  });
+
+  it('should export the whole canvas as a png blob by default', async () => {
+    canvas.setViewportTransform([2, 0, 0, 2, -50, -40]);
+
+    const blob = await imageEditor.export();
+
+    expect(blob.type).toBe('image/png');
+    expect(canvas.toCanvasElement).toHaveBeenCalledWith(1, undefined);
+    expect(renderedStates[0]).toMatchObject({
+      backgroundImage: imageEditor._graphics.getCanvasImage(),
+      viewportTransform: [1, 0, 0, 1, 0, 0],
+      rectVisible: true,
+    });
+    expect(canvas.viewportTransform).toEqual([2, 0, 0, 2, -50, -40]);
+  });
+
+  it('should export the region with the multiplier and fill the background of jpeg', async () => {
+    const region = { left: 10, top: 10, width: 20, height: 30 };
+
+    const blob = await imageEditor.export({ format: 'jpeg', quality: 0.5, multiplier: 2, region });
+
+    expect(blob.type).toBe('image/jpeg');
+    expect(canvas.toCanvasElement).toHaveBeenCalledWith(2, region);
+    expect(renderedStates[0].backgroundColor).toBe('#ffffff');
+    expect(canvas.backgroundColor).toBe('');
+  });
+
+  it('should export only the objects without the background image', async () => {
+    await imageEditor.export({ background: false });
+
+    expect(renderedStates[0]).toMatchObject({ backgroundImage: null, rectVisible: true });
+    expect(canvas.backgroundImage).toBe(imageEditor._graphics.getCanvasImage());
+  });
+
+  it('should export only the background image with the background color', async () => {
+    await imageEditor.export({ background: '#000000', includeObjects: false });
+
+    expect(renderedStates[0]).toMatchObject({ backgroundColor: '#000000', rectVisible: false });
+    expect(rect.visible).toBe(true);
+  });
+
+  it('should export the canvas as a svg blob', async () => {
+    jest.spyOn(canvas, 'toSVG');
+
+    const blob = await imageEditor.export({
+      format: 'svg',
+      multiplier: 2,
+      region: { left: 10, top: 10, width: 20, height: 30 },
+    });
+
+    expect(blob.type).toBe('image/svg+xml');
+    expect(canvas.toSVG).toHaveBeenCalledWith({
+      width: 40,
+      height: 60,
+      viewBox: { x: 10, y: 10, width: 20, height: 30 },
+    });
+  });
+
+  it('should reject when the canvas is failed to export', async () => {
+    canvas.toCanvasElement.mockReturnValue({ toBlob: (callback) => callback(null) });
+
+    await expect(imageEditor.export()).rejects.toBe(rejectMessages.exportingImageFailed);
+  });
+
+  it('should reject the invalid options', async () => {
+    await expect(imageEditor.export({ format: 'gif' })).rejects.toBe(
+      rejectMessages.invalidParameters
+    );
+    await expect(
+      imageEditor.export({ region: { left: 0, top: 0, width: 0, height: 10 } })
+    ).rejects.toBe(rejectMessages.invalidParameters);
+  });
+});
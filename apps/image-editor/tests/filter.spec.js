@@ -1,6 +1,7 @@
 import { fabric } from 'fabric';
 import Graphics from '@/graphics';
 import Filter from '@/component/filter';
+import { rejectMessages } from '@/consts';
 
 import img from 'fixtures/sampleImage.jpg';
 
@@ -26,4 +27,56 @@ describe('Filter', () => {
 
     expect(filter.hasFilter('colorFilter')).toBe(false);
   });
+
+  describe('stack', () => {
+    let blurId, grayscaleId;
+
+    beforeEach(async () => {
+      await filter.remove('colorFilter');
+      ({ id: blurId } = await filter.insert('blur', { blur: 0.1 }));
+      ({ id: grayscaleId } = await filter.insert('grayscale', {}));
+    });
+
+    it('should list filters in applying order with their ids', () => {
+      expect(filter.getStack()).toEqual([
+        { id: blurId, type: 'blur', options: { blur: 0.1 }, visible: true },
+        { id: grayscaleId, type: 'grayscale', options: {}, visible: true },
+      ]);
+    });
+
+    it('should insert the same filter type more than once at the index', async () => {
+      const { id } = await filter.insert('blur', { blur: 0.5 }, 0);
+
+      expect(filter.getStack().map((item) => item.id)).toEqual([id, blurId, grayscaleId]);
+    });
+
+    it('should update options of a filter by id', async () => {
+      await filter.update(blurId, { blur: 0.4 });
+
+      expect(filter.getFilterById(blurId).blur).toBe(0.4);
+    });
+
+    it('should move a filter to the index', async () => {
+      await filter.move(grayscaleId, 0);
+
+      expect(filter.getIndex(grayscaleId)).toBe(0);
+      await expect(filter.move(grayscaleId, 2)).rejects.toBe(rejectMessages.invalidParameters);
+    });
+
+    it('should not apply a hidden filter', async () => {
+      const sourceImg = graphics.getCanvasImage();
+
+      await filter.setVisible(blurId, false);
+
+      expect(filter.getStack()[0].visible).toBe(false);
+      expect(sourceImg.applyFilters).toHaveBeenLastCalledWith([filter.getFilterById(grayscaleId)]);
+    });
+
+    it('should remove a filter by id', async () => {
+      await filter.removeById(blurId);
+
+      expect(filter.getFilterById(blurId)).toBeNull();
+      expect(filter.getStack()).toHaveLength(1);
+    });
+  });
 });
@@ -0,0 +1,144 @@
+import { fabric } from 'fabric';
+import Graphics from '@/graphics';
+import { componentNames, drawingModes } from '@/consts';
+
+describe('FreeDrawing', () => {
+  let graphics, canvas, freeDrawing;
+
+  beforeEach(() => {
+    graphics = new Graphics(document.createElement('canvas'));
+    canvas = graphics.getCanvas();
+    freeDrawing = graphics.getComponent(componentNames.FREE_DRAWING);
+  });
+
+  it('should draw with the pencil brush by default', () => {
+    graphics.startDrawingMode(drawingModes.FREE_DRAWING, { width: 20, color: '#ff0000' });
+
+    expect(canvas.freeDrawingBrush).toBeInstanceOf(fabric.PencilBrush);
+    expect(canvas.freeDrawingBrush).toMatchObject({
+      brushType: 'pencil',
+      width: 20,
+      color: 'rgba(255,0,0,1)',
+      decimate: 0.4,
+    });
+  });
+
+  it('should change the brush by the type and keep the width and color', () => {
+    graphics.startDrawingMode(drawingModes.FREE_DRAWING, { width: 20, color: '#ff0000' });
+    graphics.setBrush({ type: 'spray', density: 40, dotWidth: 3 });
+
+    expect(canvas.freeDrawingBrush).toBeInstanceOf(fabric.SprayBrush);
+    expect(canvas.freeDrawingBrush).toMatchObject({
+      width: 20,
+      color: 'rgba(255,0,0,1)',
+      density: 40,
+      dotWidth: 3,
+    });
+  });
+
+  it('should ignore an unknown brush type', () => {
+    graphics.startDrawingMode(drawingModes.FREE_DRAWING, { type: 'marker' });
+    graphics.setBrush({ type: 'crayon' });
+
+    expect(freeDrawing.type).toBe('marker');
+    expect(canvas.freeDrawingBrush).toMatchObject({ strokeLineCap: 'square' });
+  });
+
+  it('should set the smoothing to the decimation of the stroke', () => {
+    graphics.startDrawingMode(drawingModes.FREE_DRAWING, { smoothing: 8 });
+
+    expect(canvas.freeDrawingBrush.decimate).toBe(8);
+  });
+
+  it('should draw the pattern brush with the dots of the color by default', () => {
+    const source = document.createElement('canvas');
+    graphics.startDrawingMode(drawingModes.FREE_DRAWING, { type: 'pattern' });
+
+    expect(canvas.freeDrawingBrush.source).toEqual(expect.any(HTMLCanvasElement));
+
+    graphics.setBrush({ source });
+
+    expect(canvas.freeDrawingBrush.source).toBe(source);
+  });
+
+  it('should create the opaque highlighter path which does not darken the overlapped one', () => {
+    graphics.startDrawingMode(drawingModes.FREE_DRAWING, {
+      type: 'highlighter',
+      color: 'rgba(255, 255, 0, 0.4)',
+    });
+    const path = canvas.freeDrawingBrush.createPath('M 0 0 L 10 10');
+
+    expect(path).toMatchObject({
+      stroke: 'rgba(255,255,153,1)',
+      globalCompositeOperation: 'darken',
+    });
+  });
+
+  describe('pressure', () => {
+    let brush;
+
+    /**
+     * Make a synthetic pointer event, jsdom has no PointerEvent
+     * @param {string} type - event type
+     * @param {Object} props - pointer properties
+     * @returns {Event}
+     */
+    function makePointerEvent(type, props) {
+      return Object.assign(new MouseEvent(type), props);
+    }
+
+    beforeEach(() => {
+      graphics.startDrawingMode(drawingModes.FREE_DRAWING, {
+        pressure: true,
+        minWidth: 2,
+        maxWidth: 10,
+        smoothing: 0,
+      });
+      brush = canvas.freeDrawingBrush;
+    });
+
+    it('should map the pressure and the tilt of the pointer to the width', () => {
+      expect(brush.getSampleWidth(makePointerEvent('pointermove', { pressure: 0 }))).toBe(2);
+      expect(brush.getSampleWidth(makePointerEvent('pointermove', { pressure: 1 }))).toBe(10);
+      expect(
+        brush.getSampleWidth(makePointerEvent('pointermove', { pressure: 1, tiltX: 90 }))
+      ).toBe(15);
+    });
+
+    it('should use the last pointer event on the canvas for the mouse events', () => {
+      canvas.upperCanvasEl.dispatchEvent(makePointerEvent('pointermove', { pressure: 0.25 }));
+
+      expect(brush.getSampleWidth(new MouseEvent('mousemove'))).toBe(4);
+
+      graphics.stopDrawingMode();
+      canvas.upperCanvasEl.dispatchEvent(makePointerEvent('pointermove', { pressure: 1 }));
+
+      expect(brush.getSampleWidth(new MouseEvent('mousemove'))).toBe(4);
+    });
+
+    it('should add the variable width stroke as a filled outline path', () => {
+      const spy = jest.fn();
+      canvas.on('path:created', spy);
+
+      brush.onMouseDown(new fabric.Point(0, 0), {
+        e: makePointerEvent('pointerdown', { pressure: 0 }),
+      });
+      brush.onMouseMove(new fabric.Point(50, 0), {
+        e: makePointerEvent('pointermove', { pressure: 1 }),
+      });
+      brush.onMouseUp({ e: makePointerEvent('pointerup', {}) });
+
+      const [[{ path }]] = spy.mock.calls;
+
+      expect(path).toMatchObject({ fill: freeDrawing.oColor.toRgba(), stroke: null });
+      expect(path.getBoundingRect(true, true)).toMatchObject({ height: 10 });
+    });
+
+    it('should use the brush width for the default width range', () => {
+      graphics.setBrush({ width: 20, minWidth: null, maxWidth: null });
+
+      expect(brush.getSampleWidth(makePointerEvent('pointermove', { pressure: 0 }))).toBe(5);
+      expect(brush.getSampleWidth(makePointerEvent('pointermove', { pressure: 1 }))).toBe(20);
+    });
+  });
+});
@@ -200,5 +200,92 @@ describe('Graphics', () => {
 
       expect(canvas.getObjects()).toHaveLength(3);
     });
+
+    it('should keep the lock and visibility of the copied object', async () => {
+      targetObject1.set('visible', false);
+      graphics.setObjectLock(stamp(targetObject1), true);
+      graphics.targetObjectForCopyPaste = targetObject1;
+
+      await graphics.pasteObject();
+
+      const [, , pastedObject] = canvas.getObjects();
+      expect(graphics.isLockedObject(pastedObject)).toBe(true);
+      expect(pastedObject).toMatchObject({ selectable: false, visible: false });
+      expect(graphics.getActiveObject()).toBeFalsy();
+    });
+
+    it('should duplicate the persistent group with its objects', async () => {
+      const group = graphics.groupObjects([targetObject1, targetObject2]);
+      graphics.setActiveObject(group);
+      graphics.resetTargetObjectForCopyPaste();
+
+      await graphics.pasteObject();
+
+      const [, pastedGroup] = canvas.getObjects();
+      expect(pastedGroup.type).toBe('group');
+      expect(pastedGroup.getObjects()).toHaveLength(2);
+      expect(pastedGroup.getObjects()).not.toContain(targetObject1);
+      expect(graphics.createObjectProperties(pastedGroup).type).toBe('group');
+    });
+  });
+
+  describe('locked object', () => {
+    let lockedObject, object;
+
+    beforeEach(() => {
+      lockedObject = new fabric.Object({});
+      object = new fabric.Object({});
+      canvas.add(lockedObject, object);
+      graphics.setObjectLock(stamp(lockedObject), true);
+    });
+
+    it('should keep unselectable when all objects become selectable', () => {
+      graphics.changeSelectableAll(true);
+
+      expect(lockedObject.selectable).toBe(false);
+      expect(object.selectable).toBe(true);
+    });
+
+    it('should be excluded from the active selection', () => {
+      const selection = graphics.getActiveSelectionFromObjects([lockedObject, object]);
+
+      expect(selection.getObjects()).toEqual([object]);
+    });
+
+    it('should not be ready to remove', () => {
+      graphics.setActiveObject(lockedObject);
+
+      expect(graphics.isReadyRemoveObject()).toBe(false);
+    });
+
+    it('should keep the unlocked objects in the active selection while they are not selectable', () => {
+      const hiddenObject = new fabric.Object({ visible: false });
+      canvas.add(hiddenObject);
+      graphics.changeSelectableAll(false);
+
+      const selection = graphics.getActiveSelectionFromObjects([
+        lockedObject,
+        object,
+        hiddenObject,
+      ]);
+
+      expect(selection.getObjects()).toEqual([object]);
+    });
+
+    it('should restore the selectable state changed while it is locked on unlocking', () => {
+      graphics.changeSelectableAll(false);
+      graphics.setObjectLock(stamp(lockedObject), false);
+
+      expect(lockedObject).toMatchObject({ selectable: false, hoverCursor: 'crosshair' });
+      expect(graphics.isLockedObject(lockedObject)).toBe(false);
+    });
+
+    it('should restore the selectable state before locking on unlocking', () => {
+      object.set({ selectable: false, hoverCursor: 'crosshair' });
+      graphics.setObjectLock(stamp(object), true);
+      graphics.setObjectLock(stamp(object), false);
+
+      expect(object).toMatchObject({ selectable: false, hoverCursor: 'crosshair' });
+    });
   });
 });
@@ -3,6 +3,9 @@ import ImageEditor from '@/imageEditor';
 import * as util from '@/util';
 import { eventNames, keyCodes } from '@/consts';
 
+import '@/command/changeObjectLock';
+import '@/command/removeObject';
+
 const { OBJECT_ROTATED } = eventNames;
 
 describe('ImageEditor', () => {
@@ -41,6 +44,19 @@ describe('ImageEditor', () => {
       expect(preventDefaultSpy).not.toHaveBeenCalled();
     });
 
+    it('should not remove the locked object by the delete key', async () => {
+      const canvas = imageEditor._graphics.getCanvas();
+      const obj = new fabric.Object({});
+      canvas.add(obj);
+      await imageEditor.lockObject(util.stamp(obj));
+      imageEditor._graphics.setActiveObject(obj);
+
+      imageEditor._onKeyDown({ keyCode: keyCodes.DEL, preventDefault: jest.fn() });
+      imageEditor.removeActiveObject();
+
+      expect(canvas.getObjects()).toEqual([obj]);
+    });
+
     it('should be fire at object is rotated', () => {
       const canvas = imageEditor._graphics.getCanvas();
       const obj = new fabric.Object({});
@@ -39,6 +39,47 @@ describe('Invoker', () => {
     expect(callbackSpy).toHaveBeenCalled();
   });
 
+  it('should undo and redo the commands executed in a batch at once', async () => {
+    const calls = [];
+    const makeCommand = (name) =>
+      new Command({
+        execute: jest.fn(() => {
+          calls.push(`execute ${name}`);
+
+          return Promise.resolve();
+        }),
+        undo: jest.fn(() => {
+          calls.push(`undo ${name}`);
+
+          return Promise.resolve();
+        }),
+      });
+    const executeCommandSpy = jest.fn();
+    invoker.on('executeCommand', executeCommandSpy);
+
+    await invoker.executeBatch('batch', () =>
+      invoker.execute(makeCommand('a')).then(() => invoker.execute(makeCommand('b')))
+    );
+    calls.length = 0;
+    await invoker.undo();
+    await invoker.redo();
+
+    expect(executeCommandSpy).toHaveBeenCalledTimes(1);
+    expect(executeCommandSpy).toHaveBeenCalledWith(expect.objectContaining({ name: 'batch' }));
+    expect(invoker.isEmptyUndoStack()).toBe(false);
+    expect(calls).toEqual(['undo b', 'undo a', 'execute a', 'execute b']);
+  });
+
+  it('should keep the commands executed before the batch fails undoable', async () => {
+    await expect(
+      invoker.executeBatch('batch', () => invoker.execute(cmd).then(() => Promise.reject('fail')))
+    ).rejects.toBe('fail');
+    await invoker.undo();
+
+    expect(cmd.undo).toHaveBeenCalledTimes(1);
+    expect(invoker.isBatching()).toBe(false);
+  });
+
   describe('invoker.customEvents', () => {
     let spyEvents;
 
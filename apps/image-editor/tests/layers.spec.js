@@ -0,0 +1,82 @@
+import Layers from '@/ui/layers';
+
+describe('layers', () => {
+  let layers, menuElement, actions;
+
+  const makeLayer = (id, zIndex, props = {}) => ({
+    id,
+    zIndex,
+    type: 'rect',
+    thumbnail: 'data:image/png;base64,',
+    locked: false,
+    visible: true,
+    selected: false,
+    ...props,
+  });
+
+  beforeEach(() => {
+    menuElement = document.createElement('div');
+    layers = new Layers(menuElement, { locale: { localize: (name) => name } });
+    actions = {
+      getLayers: jest.fn(() => [makeLayer(1, 0), makeLayer(2, 1, { visible: false })]),
+      select: jest.fn(),
+      setObjectZIndex: jest.fn(),
+      setLock: jest.fn(),
+      setVisible: jest.fn(),
+    };
+    layers.addEvent(actions);
+  });
+
+  afterEach(() => {
+    layers.destroy();
+  });
+
+  it('should render the top-most object first', () => {
+    layers.render(actions.getLayers());
+
+    const ids = layers.items.map((item) => item.getAttribute('data-id'));
+
+    expect(ids).toEqual(['2', '1']);
+    expect(layers.items[0].classList.contains('hidden-item')).toBe(true);
+  });
+
+  it('should refresh the list only when the panel is opened', () => {
+    layers.refresh();
+
+    expect(actions.getLayers).not.toHaveBeenCalled();
+
+    menuElement.classList.add('opened');
+    layers.refresh();
+
+    expect(layers.getListLength()).toBe(2);
+  });
+
+  it('should toggle lock and visibility of the clicked layer', () => {
+    layers.render(actions.getLayers());
+    const [topItem] = layers.items;
+
+    topItem.querySelector('[data-command="lock"]').click();
+    topItem.querySelector('[data-command="visible"]').click();
+
+    expect(actions.setLock).toHaveBeenCalledWith(2, true);
+    expect(actions.setVisible).toHaveBeenCalledWith(2, true);
+  });
+
+  it('should select the object of the clicked layer', () => {
+    layers.render(actions.getLayers());
+
+    layers.items[1].querySelector('span').click();
+
+    expect(actions.select).toHaveBeenCalledWith(1);
+  });
+
+  it('should move the dragged object to z-index of the dropped layer', () => {
+    layers.render(actions.getLayers());
+    const [topItem, bottomItem] = layers.items;
+
+    layers._dragStartLayerItem({ target: bottomItem });
+    layers._dropLayerItem({ target: topItem, preventDefault: jest.fn() });
+
+    expect(actions.setObjectZIndex).toHaveBeenCalledWith(1, 1);
+  });
+});
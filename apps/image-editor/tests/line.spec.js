@@ -61,4 +61,137 @@ describe('Line', () => {
 
     expect(line.fire).toHaveBeenCalledWith(eventNames.OBJECT_ADDED, expect.any(Object));
   });
+
+  describe('line types', () => {
+    function mouseDownAt(x, y) {
+      canvas.getPointer.mockReturnValue({ x, y });
+      line._onFabricMouseDown(fEvent);
+    }
+
+    function mouseMoveTo(x, y) {
+      canvas.getPointer.mockReturnValue({ x, y });
+      line._onFabricMouseMove(fEvent);
+    }
+
+    beforeEach(() => {
+      line._line = null;
+      line.fire = jest.fn();
+    });
+
+    afterEach(() => {
+      line.end();
+    });
+
+    it('should add the points of the polyline by the clicks and finish it by the double click', () => {
+      line.start({ lineType: 'polyline' });
+      mouseDownAt(10, 10);
+      mouseMoveTo(40, 10);
+      mouseDownAt(40, 10);
+      mouseDownAt(40, 40);
+      mouseDownAt(40, 40);
+
+      expect(line.fire).not.toHaveBeenCalled();
+
+      line._onFabricDoubleClick();
+      const [polyline] = canvas.getObjects();
+
+      expect(polyline.type).toBe('arrowPolyline');
+      expect(polyline.points).toEqual([
+        { x: 10, y: 10 },
+        { x: 40, y: 10 },
+        { x: 40, y: 40 },
+      ]);
+      expect(line.fire).toHaveBeenCalledWith(
+        eventNames.ADD_OBJECT,
+        expect.objectContaining({ startPosition: { x: 10, y: 10 }, endPosition: { x: 40, y: 40 } })
+      );
+      expect(line.fire).toHaveBeenCalledWith(eventNames.OBJECT_ADDED, expect.any(Object));
+    });
+
+    it('should remove the polyline which has less than two points when it is finished', () => {
+      line.start({ lineType: 'polyline' });
+      mouseDownAt(10, 10);
+      mouseDownAt(10, 10);
+      line._onFabricDoubleClick();
+
+      expect(canvas.getObjects()).toHaveLength(0);
+      expect(line.fire).not.toHaveBeenCalled();
+    });
+
+    it('should keep the control point of the curve at the middle while drawing', () => {
+      line.start({ lineType: 'curve' });
+      mouseDownAt(10, 10);
+      mouseMoveTo(50, 30);
+      const [curve] = canvas.getObjects();
+
+      expect(curve.type).toBe('arrowCurve');
+      expect(curve.points).toEqual([
+        { x: 10, y: 10 },
+        { x: 30, y: 20 },
+        { x: 50, y: 30 },
+      ]);
+    });
+
+    it('should replace the freehand line with the straight line from its start to its end', () => {
+      const arrowType = { head: 'chevron', tail: null };
+      line.start({ width: 4, lineType: 'freehand', lineStyle: 'dashed', arrowType });
+      mouseDownAt(10, 10);
+      mouseMoveTo(20, 40);
+      mouseMoveTo(45, 30);
+      mouseMoveTo(60, 50);
+      const [freehandLine] = canvas.getObjects();
+
+      expect(freehandLine.points).toEqual(
+        expect.arrayContaining([
+          { x: 20, y: 40 },
+          { x: 45, y: 30 },
+        ])
+      );
+      expect(line.fire).not.toHaveBeenCalled();
+
+      line._onFabricMouseUp(fEvent);
+      const objects = canvas.getObjects();
+
+      expect(objects).toHaveLength(1);
+      expect(objects[0].type).toBe('line');
+      expect(objects[0]).toMatchObject({
+        x1: 10,
+        y1: 10,
+        x2: 60,
+        y2: 50,
+        strokeDashArray: [12, 8],
+      });
+      expect(objects[0].arrowType).toEqual(arrowType);
+      expect(line.fire).toHaveBeenCalledWith(
+        eventNames.ADD_OBJECT,
+        expect.objectContaining({ startPosition: { x: 10, y: 10 }, endPosition: { x: 60, y: 50 } })
+      );
+      expect(line.fire).toHaveBeenCalledWith(eventNames.OBJECT_ADDED, expect.any(Object));
+    });
+
+    it('should remove the freehand line which ends at its start', () => {
+      line.start({ lineType: 'freehand' });
+      mouseDownAt(10, 10);
+      mouseMoveTo(30, 30);
+      mouseMoveTo(10, 10);
+      line._onFabricMouseUp(fEvent);
+
+      expect(canvas.getObjects()).toHaveLength(0);
+      expect(line.fire).not.toHaveBeenCalled();
+    });
+
+    it('should set the dash array by the line style', () => {
+      line.start({ width: 4, lineStyle: 'dashed' });
+      mouseDownAt(10, 10);
+      const [dashedLine] = canvas.getObjects();
+      line._onFabricMouseUp();
+
+      line.setBrush({ lineStyle: 'dotted' });
+      mouseDownAt(20, 20);
+      const [, dottedLine] = canvas.getObjects();
+
+      expect(dashedLine.strokeDashArray).toEqual([12, 8]);
+      expect(dottedLine).toMatchObject({ strokeDashArray: [0, 8], strokeLineCap: 'round' });
+    });
+  });
 });
@@ -66,6 +66,26 @@ describe('Promise API', () => {
     expect(object).toMatchObject({ fill: '#FFFF00' });
   });
 
+  it('should support Promise(changeIconColor) with the gradient type fill option', async () => {
+    await imageEditor.addIcon('arrow', { left: 10, top: 10 });
+    await imageEditor.changeIconColor(activeObjectId, {
+      type: 'gradient',
+      gradient: {
+        colorStops: [
+          { offset: 0, color: '#FFFF00' },
+          { offset: 1, color: '#0000FF' },
+        ],
+      },
+    });
+
+    const [object] = canvas.getObjects();
+    expect(object.fill).toBeInstanceOf(fabric.Gradient);
+    expect(imageEditor._graphics.createObjectProperties(object).fill).toMatchObject({
+      type: 'gradient',
+      gradient: { type: 'linear', angle: 0 },
+    });
+  });
+
   it('should support Promise(addShape)', async () => {
     await imageEditor.addShape('rect', { width: 100, height: 100, fill: '#FFFF00' });
 
@@ -1,6 +1,7 @@
 import { fabric } from 'fabric';
 import Graphics from '@/graphics';
 import Resize from '@/component/resize';
+import { rejectMessages } from '@/consts';
 
 describe('Resize', () => {
   let graphics, resize, mockImage;
@@ -82,3 +83,82 @@ describe('Resize', () => {
     expect(obj).toBeUndefined();
   });
 });
+
+describe('resample()', () => {
+  let graphics, resize, canvasImage;
+
+  function createCanvasElement(width, height) {
+    const element = document.createElement('canvas');
+    element.width = width;
+    element.height = height;
+
+    return element;
+  }
+
+  beforeEach(() => {
+    graphics = new Graphics(document.createElement('canvas'));
+    resize = new Resize(graphics);
+    canvasImage = new fabric.Image(createCanvasElement(100, 80));
+    graphics.setCanvasImage('mockImage', canvasImage);
+    graphics.getCanvas().setBackgroundImage(canvasImage);
+  });
+
+  it('should replace the element of the image with the resampled one', async () => {
+    resize.resize({ width: 50, height: 40 });
+
+    await resize.resample({ width: 50, height: 40 }, 'bicubic');
+
+    expect(canvasImage.getElement()).toMatchObject({ width: 50, height: 40 });
+    expect(canvasImage).toMatchObject({ width: 50, height: 40, scaleX: 1, scaleY: 1 });
+    expect(resize.getCurrentDimensions()).toEqual({ width: 50, height: 40 });
+  });
+
+  it('should scale the objects proportionally and restore them', async () => {
+    const rect = new fabric.Rect({ left: 20, top: 40, width: 10, height: 10 });
+    graphics.getCanvas().add(rect);
+
+    const { element, dimensions, objects } = await resize.resample({ width: 50 }, 'stepDown');
+
+    expect(rect).toMatchObject({ left: 10, top: 40, scaleX: 0.5, scaleY: 1 });
+
+    resize.restoreObjects(objects);
+    await resize.setImageElement(element, dimensions);
+
+    expect(rect).toMatchObject({ left: 20, top: 40, scaleX: 1, scaleY: 1 });
+    expect(canvasImage).toMatchObject({ width: 100, height: 80 });
+  });
+
+  it('should keep the color of the uniform image with the lanczos kernel', async () => {
+    const ctx = createCanvasElement(1, 1).getContext('2d');
+    const pixels = new Uint8ClampedArray(100 * 80 * 4).map((value, index) =>
+      index % 4 === 3 ? 255 : 120
+    );
+    jest.spyOn(ctx.constructor.prototype, 'getImageData').mockReturnValue({ data: pixels });
+    const putImageDataSpy = jest.spyOn(ctx.constructor.prototype, 'putImageData');
+
+    await resize.resample({ width: 30, height: 20 });
+
+    const [[imageData]] = putImageDataSpy.mock.calls;
+    expect(imageData.data).toHaveLength(30 * 20 * 4);
+    expect([...imageData.data.slice(0, 8)]).toEqual([120, 120, 120, 255, 120, 120, 120, 255]);
+
+    jest.restoreAllMocks();
+  });
+
+  it('should halve the image until the size is reached with the step-down bilinear', async () => {
+    const ctx = createCanvasElement(1, 1).getContext('2d');
+    const drawImageSpy = jest.spyOn(ctx.constructor.prototype, 'drawImage').mockClear();
+
+    await resize.resample({ width: 20, height: 16 }, 'stepDown');
+
+    expect(drawImageSpy.mock.calls.map(([, , , width]) => width)).toEqual([50, 25, 20]);
+
+    jest.restoreAllMocks();
+  });
+
+  it('should reject the unknown algorithm', async () => {
+    await expect(resize.resample({ width: 20 }, 'nearest')).rejects.toBe(
+      rejectMessages.invalidParameters
+    );
+  });
+});
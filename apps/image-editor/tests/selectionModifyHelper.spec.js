@@ -64,5 +64,15 @@ describe('selectionModifyHelper', () => {
         scaleY: obj1.scaleY,
       });
     });
+
+    it('should copy the properties changed by the custom handles', () => {
+      obj1.handleProperties = ['points'];
+      obj1.points = [{ x: 1, y: 2 }];
+
+      const result = makeSelectionUndoDatum(1, obj1, true);
+      obj1.points[0].x = 10;
+
+      expect(result.points).toEqual([{ x: 1, y: 2 }]);
+    });
   });
 });
@@ -1,8 +1,11 @@
 import { fabric } from 'fabric';
 import Graphics from '@/graphics';
 import Shape from '@/component/shape';
+import ArrowLine from '@/extension/arrowLine';
+import CappedLine from '@/extension/cappedLine';
 import { resize } from '@/helper/shapeResizeHelper';
 import { getFillImageFromShape, getCachedCanvasImageElement } from '@/helper/shapeFilterFillHelper';
+import { rejectMessages } from '@/consts';
 
 describe('Shape', () => {
   let canvas, graphics, mockImage, fEvent, shape, shapeObj;
@@ -386,4 +389,309 @@ describe('Shape', () => {
 
     expect(shapeObj).toMatchObject({ width: 200, height: 200 });
   });
+
+  describe('polygon and callout types', () => {
+    it.each(['regularPolygon', 'star', 'blockArrow', 'speechBubble'])(
+      'should be created on canvas(%s)',
+      async (type) => {
+        await shape.add(type, { width: 100, height: 80 });
+        [shapeObj] = canvas.getObjects();
+
+        expect(shapeObj).toMatchObject({ type, width: 100, height: 80 });
+      }
+    );
+
+    it('should make the vertices of the regular polygon by the sides', async () => {
+      await shape.add('regularPolygon', { width: 100, height: 100, sides: 6 });
+      [shapeObj] = canvas.getObjects();
+      const points = shapeObj.getLocalPoints();
+
+      expect(points).toHaveLength(6);
+      expect(points[0].x).toBeCloseTo(0);
+      expect(points[0].y).toBeCloseTo(-50);
+    });
+
+    it('should make the inner vertices of the star by the inner radius', async () => {
+      await shape.add('star', { width: 100, height: 100, sides: 5, innerRadius: 0.4 });
+      [shapeObj] = canvas.getObjects();
+      const points = shapeObj.getLocalPoints();
+      const [, { x, y }] = points;
+
+      expect(points).toHaveLength(10);
+      expect(Math.sqrt(x * x + y * y)).toBeCloseTo(20);
+    });
+
+    it('should change the sides and the inner radius of the star', async () => {
+      await shape.add('star', { width: 100, height: 100 });
+      [shapeObj] = canvas.getObjects();
+
+      await shape.change(shapeObj, { sides: 8, innerRadius: 0.7 });
+
+      expect(shapeObj).toMatchObject({ sides: 8, innerRadius: 0.7 });
+      expect(shapeObj.getLocalPoints()).toHaveLength(16);
+    });
+
+    it('should make the rounded rectangle with the corner radius', async () => {
+      await shape.add('rect', { width: 100, height: 100, rx: 10, ry: 10 });
+      [shapeObj] = canvas.getObjects();
+
+      expect(shapeObj).toMatchObject({ rx: 10, ry: 10 });
+      expect(shape.makeShapePropertiesForUserEvent(shapeObj)).toEqual({ rx: 10, ry: 10 });
+    });
+
+    it('should move the tail of the speech bubble to the pointer by its handle', async () => {
+      await shape.add('speechBubble', {
+        left: 100,
+        top: 100,
+        width: 200,
+        height: 100,
+        originX: 'center',
+        originY: 'center',
+      });
+      [shapeObj] = canvas.getObjects();
+
+      shapeObj.controls.tail.actionHandler({}, { target: shapeObj }, 150, 250);
+
+      expect(shapeObj.tailX).toBeCloseTo(0.25);
+      expect(shapeObj.tailY).toBeCloseTo(1.5);
+      expect(shapeObj.getTailPoint()).toEqual({ x: 50, y: 150 });
+    });
+
+    it('should insert the tail into the edge which it comes out of', async () => {
+      await shape.add('speechBubble', { width: 200, height: 100, tailX: 1, tailY: 0.1 });
+      [shapeObj] = canvas.getObjects();
+      const commands = shapeObj.makePathCommands();
+
+      expect(commands).toContainEqual(['L', 200, 10]);
+      expect(commands[commands.length - 1]).toEqual(['Z']);
+    });
+
+    it('should keep the properties of the shape when it is cloned', async () => {
+      await shape.add('speechBubble', { width: 200, height: 100, rx: 20, ry: 10, tailX: 0.6 });
+      [shapeObj] = canvas.getObjects();
+
+      const cloned = await new Promise((resolve) => {
+        shapeObj.clone(resolve);
+      });
+
+      expect(cloned).toMatchObject({ type: 'speechBubble', rx: 20, ry: 10, tailX: 0.6 });
+    });
+
+    it('should fill the star with the filter type fill', async () => {
+      getCachedCanvasImageElement(canvas, true);
+      await shape.add('star', {
+        width: 100,
+        height: 100,
+        fill: { type: 'filter', filter: [{ pixelate: 20 }] },
+      });
+      [shapeObj] = canvas.getObjects();
+
+      expect(getFillImageFromShape(shapeObj).filters).not.toHaveLength(0);
+    });
+
+    it('should resize the new shape types by the width and the height with the mouse', async () => {
+      shape._withShiftKey = true;
+      jest.spyOn(canvas, 'getPointer').mockReturnValue({ x: 100, y: 200 });
+      await shape.add('blockArrow', { left: 0, top: 0 });
+      [shapeObj] = canvas.getObjects();
+
+      shape._onFabricMouseMove({ e: {} });
+      shape._onFabricMouseUp();
+
+      expect(shapeObj).toMatchObject({ width: 200, height: 200 });
+    });
+  });
+
+  describe('cappedLine type', () => {
+    const arrowType = { head: 'chevron', tail: 'triangle' };
+
+    it('should be created as the arrow line with the caps and the stroke options', async () => {
+      await shape.add('cappedLine', {
+        width: 100,
+        height: 50,
+        stroke: '#ff0000',
+        strokeWidth: 3,
+        arrowType,
+      });
+      [shapeObj] = canvas.getObjects();
+
+      expect(shapeObj).toBeInstanceOf(ArrowLine);
+      expect(shapeObj).toMatchObject({
+        type: 'cappedLine',
+        width: 100,
+        height: 50,
+        stroke: '#ff0000',
+        strokeWidth: 3,
+        arrowType,
+      });
+      expect(shape.makeShapePropertiesForUserEvent(shapeObj)).toEqual({ arrowType });
+    });
+
+    it('should go from the start point to the pointer when drawing with the mouse', async () => {
+      shape._withShiftKey = false;
+      shape._startPoint = { x: 100, y: 100 };
+      jest.spyOn(canvas, 'getPointer').mockReturnValue({ x: 20, y: 160 });
+      await shape.add('cappedLine', {
+        left: 100,
+        top: 100,
+        width: 0,
+        height: 0,
+        strokeWidth: 0,
+        arrowType,
+      });
+      [shapeObj] = canvas.getObjects();
+
+      shape._onFabricMouseMove(fEvent);
+      shape._onFabricMouseUp();
+      const { x1, y1, x2, y2 } = shapeObj.calcLinePoints();
+      const toCanvasPoint = (x, y) =>
+        fabric.util.transformPoint(new fabric.Point(x, y), shapeObj.calcTransformMatrix());
+      const start = toCanvasPoint(x1, y1);
+      const end = toCanvasPoint(x2, y2);
+
+      expect(shapeObj).toMatchObject({ width: 80, height: 60, flipX: true, flipY: false });
+      expect(start.x).toBeCloseTo(100);
+      expect(start.y).toBeCloseTo(100);
+      expect(end.x).toBeCloseTo(20);
+      expect(end.y).toBeCloseTo(160);
+    });
+
+    it('should be restored with its points and caps from the object', () => {
+      const restored = new CappedLine({ x1: -40, y1: -30, x2: 40, y2: 30, flipY: true, arrowType });
+
+      expect(restored).toMatchObject({ width: 80, height: 60, flipY: true, arrowType });
+    });
+  });
+
+  describe('Fill - gradient and pattern type', () => {
+    const gradientFill = {
+      type: 'gradient',
+      gradient: {
+        type: 'linear',
+        angle: 90,
+        colorStops: [
+          { offset: 0, color: '#ff0000' },
+          { offset: 0.5, color: '#00ff00' },
+          { offset: 1, color: '#0000ff' },
+        ],
+      },
+    };
+    const patternFill = {
+      type: 'pattern',
+      pattern: { source: 'data:image/png;base64,pattern', repeat: 'repeat-x' },
+    };
+
+    function mockLoadImage(isError) {
+      jest.spyOn(fabric.util, 'loadImage').mockImplementation((src, callback) => {
+        const img = document.createElement('img');
+        img.src = src;
+        callback(img, isError);
+      });
+    }
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should fill the shape with the gradient sized to the shape', async () => {
+      await shape.add('rect', { width: 100, height: 50, fill: gradientFill });
+      [shapeObj] = canvas.getObjects();
+
+      expect(shapeObj.fill).toBeInstanceOf(fabric.Gradient);
+      expect(shapeObj.fill).toMatchObject({
+        type: 'linear',
+        gradientUnits: 'percentage',
+        colorStops: gradientFill.gradient.colorStops,
+      });
+      expect(shapeObj.fill.coords.x1).toBeCloseTo(0.5);
+      expect(shapeObj.fill.coords.y1).toBeCloseTo(0);
+      expect(shapeObj.fill.coords.x2).toBeCloseTo(0.5);
+      expect(shapeObj.fill.coords.y2).toBeCloseTo(1);
+    });
+
+    it('should make the gradient type fill property for the user event', async () => {
+      const objectProps = await shape.add('circle', { rx: 50, ry: 50, fill: gradientFill });
+      [shapeObj] = canvas.getObjects();
+
+      expect(objectProps.fill).toEqual(gradientFill);
+      expect(shape.makeFillPropertyForUserEvent(shapeObj)).toEqual(gradientFill);
+    });
+
+    it('should change the fill to the radial gradient', async () => {
+      await shape.add('star', { width: 100, height: 100, fill: '#ffffff' });
+      [shapeObj] = canvas.getObjects();
+
+      await shape.change(shapeObj, {
+        fill: { type: 'gradient', gradient: { type: 'radial', colorStops: [] } },
+      });
+
+      expect(shapeObj.fill).toMatchObject({
+        type: 'radial',
+        coords: { x1: 0.5, y1: 0.5, r1: 0, x2: 0.5, y2: 0.5, r2: 0.5 },
+      });
+    });
+
+    it('should fill the shape with the pattern after the image is loaded', async () => {
+      mockLoadImage(false);
+
+      const objectProps = await shape.add('rect', { width: 100, height: 50, fill: patternFill });
+      [shapeObj] = canvas.getObjects();
+
+      expect(shapeObj.fill).toBeInstanceOf(fabric.Pattern);
+      expect(shapeObj.fill.repeat).toBe('repeat-x');
+      expect(objectProps.fill).toEqual(patternFill);
+    });
+
+    it('should not add the shape when the pattern image is failed to load', async () => {
+      mockLoadImage(true);
+
+      await expect(shape.add('rect', { width: 100, height: 50, fill: patternFill })).rejects.toBe(
+        rejectMessages.loadingImageFailed
+      );
+      expect(canvas.getObjects()).toHaveLength(0);
+    });
+
+    it('should not add the drawing shape when the pattern image is failed to load', async () => {
+      const { fill } = shape._options;
+      mockLoadImage(true);
+      jest.spyOn(canvas, 'getPointer').mockReturnValue({ x: 200, y: 120 });
+      jest.spyOn(shape, 'fire');
+      shape.setStates('rect', { fill: patternFill });
+      shape._shapeObj = null;
+      shape._withShiftKey = false;
+      shape._startPoint = { x: 100, y: 100 };
+
+      shape._onFabricMouseMove(fEvent);
+      shape._onFabricMouseMove(fEvent);
+      await new Promise((resolve) => {
+        setTimeout(resolve);
+      });
+      shape.setStates('rect', { fill });
+
+      expect(fabric.util.loadImage).toHaveBeenCalledTimes(1);
+      expect(canvas.getObjects()).toHaveLength(0);
+      expect(shape.fire).not.toHaveBeenCalled();
+    });
+
+    it('should change the fill to the pattern', async () => {
+      mockLoadImage(false);
+      await shape.add('triangle', { width: 100, height: 50, fill: '#ffffff' });
+      [shapeObj] = canvas.getObjects();
+
+      await shape.change(shapeObj, { fill: patternFill });
+
+      expect(shape.makeFillPropertyForUserEvent(shapeObj)).toEqual(patternFill);
+    });
+
+    it('should be rejected when the pattern image is failed to load', async () => {
+      mockLoadImage(true);
+      await shape.add('rect', { width: 100, height: 50, fill: '#ffffff' });
+      [shapeObj] = canvas.getObjects();
+
+      await expect(shape.change(shapeObj, { fill: patternFill })).rejects.toBe(
+        rejectMessages.loadingImageFailed
+      );
+      expect(shapeObj.fill).toBe('#ffffff');
+    });
+  });
 });
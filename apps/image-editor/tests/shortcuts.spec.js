@@ -0,0 +1,232 @@
+import { fabric } from 'fabric';
+import Shortcuts from '@/shortcuts';
+import ImageEditor from '@/imageEditor';
+import { keyCodes } from '@/consts';
+
+import '@/command/changeSelection';
+import '@/command/addObject';
+
+function makeKeyEvent(keyCode, modifiers = {}) {
+  return Object.assign({ keyCode, preventDefault: jest.fn() }, modifiers);
+}
+
+describe('Shortcuts', () => {
+  let shortcuts, actions;
+
+  beforeEach(() => {
+    actions = {
+      undo: jest.fn(),
+      copy: jest.fn(() => false),
+    };
+    shortcuts = new Shortcuts(actions, { undo: 'Undo' });
+  });
+
+  it('should register the shortcuts with the normalized combos', () => {
+    const custom = jest.fn();
+
+    shortcuts.register('Shift+Mod+Z', 'undo');
+    shortcuts.register('esc', custom, 'Close');
+
+    expect(shortcuts.list()).toEqual([
+      { combo: 'mod+shift+z', action: 'undo', description: 'Undo' },
+      { combo: 'escape', action: custom, description: 'Close' },
+    ]);
+  });
+
+  it('should not register the shortcut of an invalid combo or an unknown action', () => {
+    expect(shortcuts.register('mod+unknown', 'undo')).toBe(false);
+    expect(shortcuts.register('hyper+z', 'undo')).toBe(false);
+    expect(shortcuts.register('mod+z', 'unknown')).toBe(false);
+    expect(shortcuts.list()).toEqual([]);
+  });
+
+  it('should replace and unregister the shortcut of the combo', () => {
+    shortcuts.register('mod+z', 'copy');
+    shortcuts.register('mod+z', 'undo');
+
+    expect(shortcuts.list()).toEqual([{ combo: 'mod+z', action: 'undo', description: 'Undo' }]);
+    expect(shortcuts.unregister('MOD+Z')).toBe(true);
+    expect(shortcuts.unregister('mod+z')).toBe(false);
+    expect(shortcuts.list()).toEqual([]);
+  });
+
+  it('should run the shortcut only when the modifiers are matched', () => {
+    shortcuts.register('mod+z', 'undo');
+
+    shortcuts.handle(makeKeyEvent(keyCodes.Z));
+    shortcuts.handle(makeKeyEvent(keyCodes.Z, { ctrlKey: true, shiftKey: true }));
+    expect(actions.undo).not.toHaveBeenCalled();
+
+    shortcuts.handle(makeKeyEvent(keyCodes.Z, { ctrlKey: true }));
+    shortcuts.handle(makeKeyEvent(keyCodes.Z, { metaKey: true }));
+    expect(actions.undo).toHaveBeenCalledTimes(2);
+  });
+
+  it('should prevent the default action unless the action returns false', () => {
+    const undoEvent = makeKeyEvent(keyCodes.Z, { ctrlKey: true });
+    const copyEvent = makeKeyEvent(keyCodes.C, { ctrlKey: true });
+    shortcuts.register('mod+z', 'undo');
+    shortcuts.register('mod+c', 'copy');
+
+    shortcuts.handle(undoEvent);
+    shortcuts.handle(copyEvent);
+
+    expect(undoEvent.preventDefault).toHaveBeenCalled();
+    expect(actions.copy).toHaveBeenCalled();
+    expect(copyEvent.preventDefault).not.toHaveBeenCalled();
+  });
+
+  it('should not run the shortcut while typing in an editable element', () => {
+    shortcuts.register('mod+z', 'undo');
+
+    const handled = shortcuts.handle(
+      makeKeyEvent(keyCodes.Z, { ctrlKey: true, target: document.createElement('textarea') })
+    );
+
+    expect(handled).toBe(false);
+    expect(actions.undo).not.toHaveBeenCalled();
+  });
+});
+
+describe('ImageEditor shortcuts', () => {
+  let imageEditor, graphics, canvas, obj;
+
+  beforeEach(() => {
+    imageEditor = new ImageEditor(document.createElement('div'), { usageStatistics: false });
+    graphics = imageEditor._graphics;
+    canvas = graphics.getCanvas();
+    obj = new fabric.Rect({ left: 10, top: 20, width: 10, height: 10 });
+    canvas.add(obj);
+    imageEditor._onDocumentMouseDown({ target: canvas.upperCanvasEl });
+  });
+
+  afterEach(() => {
+    imageEditor.destroy();
+  });
+
+  it('should register the default shortcuts', () => {
+    const combos = imageEditor.shortcuts.list().map(({ combo }) => combo);
+
+    expect(combos).toEqual(
+      expect.arrayContaining(['mod+c', 'mod+shift+z', 'delete', 'shift+arrowleft', 'escape'])
+    );
+  });
+
+  it('should not register the default shortcuts with the option', () => {
+    const editor = new ImageEditor(document.createElement('div'), {
+      usageStatistics: false,
+      shortcuts: false,
+    });
+
+    expect(editor.shortcuts.list()).toEqual([]);
+
+    editor.destroy();
+  });
+
+  it('should not handle the keys while the other part of the page has the focus', () => {
+    const event = makeKeyEvent(keyCodes.ARROW_RIGHT, { target: document.body });
+    graphics.setActiveObject(obj);
+
+    imageEditor._onDocumentMouseDown({ target: document.body });
+    imageEditor._onKeyDown(event);
+
+    expect(obj.left).toBe(10);
+    expect(event.preventDefault).not.toHaveBeenCalled();
+
+    imageEditor._onKeyDown(makeKeyEvent(keyCodes.ARROW_RIGHT, { target: canvas.upperCanvasEl }));
+
+    expect(obj.left).toBe(11);
+  });
+
+  it('should register the single letter menu shortcuts only with the option', () => {
+    const makeCombos = (options) => {
+      const editor = new ImageEditor(
+        document.createElement('div'),
+        Object.assign({ usageStatistics: false, includeUI: { menu: ['crop', 'shape'] } }, options)
+      );
+      const combos = editor.shortcuts.list().map(({ combo }) => combo);
+      editor.destroy();
+
+      return combos;
+    };
+
+    expect(makeCombos({})).not.toContain('c');
+    expect(makeCombos({ menuShortcuts: true })).toContain('c');
+  });
+
+  it('should nudge the active object and undo it', async () => {
+    graphics.setActiveObject(obj);
+
+    imageEditor._onKeyDown(makeKeyEvent(keyCodes.ARROW_RIGHT));
+    imageEditor._onKeyDown(makeKeyEvent(keyCodes.ARROW_DOWN, { shiftKey: true }));
+
+    expect(obj).toMatchObject({ left: 11, top: 30 });
+
+    await imageEditor.undo();
+
+    expect(obj).toMatchObject({ left: 11, top: 20 });
+  });
+
+  it('should move the cropzone by the arrow keys and resize it with the shift key', () => {
+    const cropzoneChanged = jest.fn();
+    imageEditor.on('cropzoneChanged', cropzoneChanged);
+    imageEditor.startDrawingMode('CROPPER');
+    imageEditor.setCropzoneRect({ left: 10, top: 10, width: 50, height: 40 });
+
+    imageEditor._onKeyDown(makeKeyEvent(keyCodes.ARROW_RIGHT));
+    imageEditor._onKeyDown(makeKeyEvent(keyCodes.ARROW_DOWN, { shiftKey: true }));
+
+    expect(imageEditor.getCropzoneRect()).toEqual({ left: 11, top: 10, width: 50, height: 41 });
+    expect(cropzoneChanged).toHaveBeenLastCalledWith(imageEditor.getCropzoneRect());
+  });
+
+  it('should not nudge the locked object', () => {
+    graphics.setActiveObject(obj);
+    graphics.setObjectLock(graphics.getObjectId(obj), true);
+
+    imageEditor._onKeyDown(makeKeyEvent(keyCodes.ARROW_LEFT));
+
+    expect(obj.left).toBe(10);
+  });
+
+  it('should select all objects and deselect them', () => {
+    const other = new fabric.Rect({ left: 50, top: 50, width: 10, height: 10 });
+    canvas.add(other);
+
+    imageEditor._onKeyDown(makeKeyEvent(65, { ctrlKey: true }));
+
+    expect(graphics.getActiveObjects().getObjects()).toEqual([obj, other]);
+
+    imageEditor._onKeyDown(makeKeyEvent(keyCodes.ESC));
+
+    expect(graphics.getActiveObject()).toBeFalsy();
+  });
+
+  it('should duplicate the active object without changing the object to paste', async () => {
+    const other = new fabric.Rect({ left: 50, top: 50, width: 10, height: 10 });
+    canvas.add(other);
+    graphics.setActiveObject(other);
+    imageEditor._onCopy({ target: document.body, preventDefault: jest.fn() });
+    graphics.setActiveObject(obj);
+    const duplicateSpy = jest.spyOn(graphics, 'duplicateActiveObject');
+
+    imageEditor._onKeyDown(makeKeyEvent(68, { metaKey: true }));
+    await duplicateSpy.mock.results[0].value;
+
+    expect(graphics.getObjects()).toHaveLength(3);
+    expect(graphics.targetObjectForCopyPaste).toBe(other);
+  });
+
+  it('should run a custom shortcut instead of the default one', () => {
+    const custom = jest.fn();
+    imageEditor.shortcuts.register('mod+a', custom);
+    imageEditor.shortcuts.unregister('escape');
+    graphics.setActiveObject(obj);
+
+    imageEditor._onKeyDown(makeKeyEvent(65, { ctrlKey: true }));
+    imageEditor._onKeyDown(makeKeyEvent(keyCodes.ESC));
+
+    expect(custom).toHaveBeenCalled();
+    expect(graphics.getActiveObject()).toBe(obj);
+  });
+});
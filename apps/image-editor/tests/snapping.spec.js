@@ -0,0 +1,131 @@
+import { fabric } from 'fabric';
+import Graphics from '@/graphics';
+import ImageEditor from '@/imageEditor';
+import { componentNames } from '@/consts';
+
+describe('Snapping', () => {
+  let graphics, canvas, snapping, target;
+
+  beforeEach(() => {
+    graphics = new Graphics(document.createElement('canvas'));
+    canvas = graphics.getCanvas();
+    canvas.setDimensions({ width: 200, height: 200 }, { backstoreOnly: true });
+    snapping = graphics.getComponent(componentNames.SNAPPING);
+    target = new fabric.Rect({ left: 0, top: 0, width: 20, height: 20, strokeWidth: 0 });
+    canvas.add(target);
+  });
+
+  it('should not snap the object when it is disabled', () => {
+    target.set({ left: 3, top: 98 });
+    canvas.fire('object:moving', { target });
+
+    expect(target).toMatchObject({ left: 3, top: 98 });
+  });
+
+  it('should snap the moving object to the edges and center of the canvas', () => {
+    graphics.enableSnapping({ objects: false });
+    target.set({ left: 3, top: 88 });
+    canvas.fire('object:moving', { target });
+
+    expect(target).toMatchObject({ left: 0, top: 90 });
+    expect(snapping.getGuides()).toEqual({ x: [0], y: [100] });
+  });
+
+  it('should snap the moving object to the canvas image regardless of the zoom', () => {
+    const element = document.createElement('canvas');
+    element.width = 120;
+    element.height = 80;
+    graphics.setCanvasImage('image', new fabric.Image(element, { left: 60, top: 40 }));
+    canvas.zoomToPoint({ x: 100, y: 100 }, 2);
+    graphics.enableSnapping({ objects: false });
+    target.set({ left: 98.5, top: 29 });
+    canvas.fire('object:moving', { target });
+
+    expect(target).toMatchObject({ left: 100, top: 30 });
+    expect(snapping.getGuides()).toEqual({ x: [120], y: [40] });
+  });
+
+  it('should snap the moving object to the edges and centers of other objects', () => {
+    canvas.add(new fabric.Rect({ left: 100, top: 150, width: 40, height: 40, strokeWidth: 0 }));
+    graphics.enableSnapping({ canvas: false });
+    target.set({ left: 117, top: 52 });
+    canvas.fire('object:moving', { target });
+
+    expect(target).toMatchObject({ left: 120, top: 52 });
+    expect(snapping.getGuides()).toEqual({ x: [120], y: [] });
+  });
+
+  it('should snap the moving object to the grid', () => {
+    graphics.enableSnapping({ grid: 30, canvas: false, objects: false });
+    target.set({ left: 33, top: 56 });
+    canvas.fire('object:moving', { target });
+
+    expect(target).toMatchObject({ left: 30, top: 60 });
+  });
+
+  it('should snap the scaling edge of the object', () => {
+    graphics.enableSnapping({ objects: false });
+    target.set({ scaleX: 4.9 });
+    canvas.fire('object:scaling', {
+      target,
+      transform: {
+        corner: 'mr',
+        originX: 'left',
+        originY: 'top',
+        original: { scaleX: 1, scaleY: 1 },
+      },
+    });
+
+    expect(target.scaleX).toBeCloseTo(5);
+    expect(target).toMatchObject({ left: 0, scaleY: 1 });
+  });
+
+  it('should keep the ratio of the scales when the corner control scales the object', () => {
+    graphics.enableSnapping({ objects: false });
+    target.set({ scaleX: 4.9, scaleY: 4.9 });
+    canvas.fire('object:scaling', {
+      target,
+      transform: {
+        corner: 'br',
+        originX: 'left',
+        originY: 'top',
+        original: { scaleX: 1, scaleY: 1 },
+      },
+    });
+
+    expect(target.scaleX).toBeCloseTo(5);
+    expect(target.scaleY).toBeCloseTo(5);
+  });
+
+  it('should stop snapping and remove the guide lines when it is disabled', () => {
+    graphics.enableSnapping({ threshold: 10 });
+    target.set({ left: 5, top: 5 });
+    canvas.fire('object:moving', { target });
+    graphics.disableSnapping();
+
+    target.set({ left: 5, top: 5 });
+    canvas.fire('object:moving', { target });
+
+    expect(graphics.isSnappingEnabled()).toBe(false);
+    expect(graphics.getSnappingOptions().threshold).toBe(10);
+    expect(target).toMatchObject({ left: 5, top: 5 });
+    expect(snapping.getGuides()).toEqual({ x: [], y: [] });
+  });
+
+  it('should enable snapping with the editor option', () => {
+    const imageEditor = new ImageEditor(document.createElement('div'), {
+      usageStatistics: false,
+      snapping: { grid: 10 },
+    });
+
+    expect(imageEditor.isSnappingEnabled()).toBe(true);
+    expect(imageEditor.getSnappingOptions()).toEqual({
+      grid: 10,
+      objects: true,
+      canvas: true,
+      threshold: 5,
+    });
+
+    imageEditor.destroy();
+  });
+});
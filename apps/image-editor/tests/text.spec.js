@@ -1,6 +1,7 @@
 import { fabric } from 'fabric';
 import Graphics from '@/graphics';
 import Text from '@/component/text';
+import { rejectMessages } from '@/consts';
 
 describe('Text', () => {
   let canvas, graphics, mockImage, text;
@@ -115,6 +116,215 @@ describe('Text', () => {
     });
   });
 
+  it('should make the text box wrapping the text when the width is given', async () => {
+    const { id } = await text.add('wrap the long text', { width: 40, autofocus: false });
+    const textbox = graphics.getObject(id);
+
+    expect(textbox).toBeInstanceOf(fabric.Textbox);
+    expect(textbox).toMatchObject({ type: 'textbox', width: 40 });
+  });
+
+  describe('setStyle() with the character range', () => {
+    let activeObj;
+
+    beforeEach(async () => {
+      const { id } = await text.add('hello world', {
+        styles: { fill: '#000000', fontWeight: 'normal' },
+        autofocus: false,
+      });
+      activeObj = graphics.getObject(id);
+    });
+
+    it('should apply the styles only to the characters in the range', async () => {
+      await text.setStyle(activeObj, { fontWeight: 'bold', fill: '#ff0000' }, { start: 0, end: 5 });
+
+      expect(activeObj.fontWeight).toBe('normal');
+      expect(activeObj.getStyleAtPosition(4)).toEqual({ fontWeight: 'bold', fill: '#ff0000' });
+      expect(activeObj.getStyleAtPosition(6)).toEqual({});
+    });
+
+    it('should turn off the style when all characters in the range already have it', async () => {
+      await text.setStyle(activeObj, { fontWeight: 'bold' }, { start: 0, end: 5 });
+      await text.setStyle(activeObj, { fontWeight: 'bold' }, { start: 0, end: 5 });
+
+      expect(activeObj.getStyleAtPosition(0, true).fontWeight).toBe('normal');
+    });
+
+    it('should apply the line height and the text align to the whole text', async () => {
+      await text.setStyle(activeObj, { lineHeight: 2, textAlign: 'center' }, { start: 0, end: 5 });
+
+      expect(activeObj).toMatchObject({ lineHeight: 2, textAlign: 'center' });
+      expect(activeObj.styles).toEqual({});
+    });
+
+    it('should replace the styles of the characters when the style of the whole text is changed', async () => {
+      await text.setStyle(activeObj, { fill: '#ff0000' }, { start: 0, end: 5 });
+      await text.setStyle(activeObj, { fill: '#00ff00' });
+
+      expect(activeObj.fill).toBe('#00ff00');
+      expect(activeObj.getStyleAtPosition(0)).toEqual({});
+    });
+
+    it('should get the style under the cursor', async () => {
+      await text.setStyle(activeObj, { fontWeight: 'bold' }, { start: 6, end: 11 });
+      activeObj.set({ selectionStart: 8, selectionEnd: 8 });
+
+      expect(text.getSelectionStyle(activeObj)).toMatchObject({
+        fontWeight: 'bold',
+        fill: '#000000',
+        textAlign: 'left',
+      });
+    });
+
+    it('should get the selected range only while editing', () => {
+      activeObj.selectionStart = 0;
+      activeObj.selectionEnd = 5;
+
+      expect(text.getSelectionRange(activeObj)).toBeNull();
+
+      activeObj.isEditing = true;
+
+      expect(text.getSelectionRange(activeObj)).toEqual({ start: 0, end: 5 });
+    });
+  });
+
+  describe('setStyle() with the text effects', () => {
+    let activeObj;
+
+    beforeEach(async () => {
+      const { id } = await text.add('hello world', { autofocus: false });
+      activeObj = graphics.getObject(id);
+    });
+
+    it('should apply the outline, the shadow and the background box', async () => {
+      await text.setStyle(activeObj, {
+        stroke: '#ffffff',
+        strokeWidth: 4,
+        shadow: { color: '#000000', blur: 10, offsetX: 5, offsetY: 5 },
+        backgroundColor: '#ffff00',
+        backgroundPadding: 10,
+        backgroundRadius: 8,
+      });
+
+      expect(activeObj).toMatchObject({
+        stroke: '#ffffff',
+        strokeWidth: 4,
+        paintFirst: 'stroke',
+        backgroundColor: '#ffff00',
+        backgroundPadding: 10,
+        backgroundRadius: 8,
+      });
+      expect(activeObj.shadow).toBeInstanceOf(fabric.Shadow);
+      expect(activeObj.shadow).toMatchObject({ color: '#000000', blur: 10, offsetX: 5 });
+    });
+
+    it('should not turn off the numeric style when the same value is set again', async () => {
+      await text.setStyle(activeObj, { strokeWidth: 4 });
+      await text.setStyle(activeObj, { strokeWidth: 4 });
+
+      expect(activeObj.strokeWidth).toBe(4);
+    });
+
+    it('should curve the text along the arc and remove the path without the curve', async () => {
+      await text.setStyle(activeObj, { curve: 180 });
+
+      expect(activeObj.path).toBeInstanceOf(fabric.Path);
+      expect(activeObj.toObject().path).toBeNull();
+
+      await text.setStyle(activeObj, { curve: 0 });
+
+      expect(activeObj.path).toBeNull();
+    });
+
+    it('should keep the text effects when the text object is cloned', async () => {
+      await text.setStyle(activeObj, {
+        shadow: { color: '#000000', blur: 10 },
+        backgroundPadding: 10,
+        backgroundRadius: 8,
+        curve: -90,
+      });
+
+      const cloned = await new Promise((resolve) => {
+        activeObj.clone(resolve);
+      });
+
+      expect(cloned).toMatchObject({ backgroundPadding: 10, backgroundRadius: 8, curve: -90 });
+      expect(cloned.shadow).toMatchObject({ color: '#000000', blur: 10 });
+      expect(cloned.path).toBeInstanceOf(fabric.Path);
+    });
+
+    it('should keep the text effects of the text box when it is cloned', async () => {
+      const { id } = await text.add('hello world', { autofocus: false, width: 100 });
+      const textbox = graphics.getObject(id);
+      await text.setStyle(textbox, { backgroundPadding: 10, backgroundRadius: 8 });
+
+      const cloned = await new Promise((resolve) => {
+        textbox.clone(resolve);
+      });
+
+      expect(cloned.type).toBe('textbox');
+      expect(cloned).toMatchObject({ width: 100, backgroundPadding: 10, backgroundRadius: 8 });
+    });
+
+    it('should not change the texts which are not created by the editor', () => {
+      const fabricText = new fabric.IText('hello world');
+
+      expect(fabricText.curve).toBeUndefined();
+      expect(fabricText.toObject()).not.toHaveProperty('backgroundPadding');
+    });
+  });
+
+  describe('loadFont()', () => {
+    let fontFace;
+
+    beforeEach(() => {
+      fontFace = { load: jest.fn(() => Promise.resolve(fontFace)) };
+      global.FontFace = jest.fn(() => fontFace);
+      document.fonts = { add: jest.fn(), load: jest.fn(() => Promise.resolve([])) };
+    });
+
+    afterEach(() => {
+      delete global.FontFace;
+      delete document.fonts;
+    });
+
+    it('should load the font file with FontFace and re-measure the text objects', async () => {
+      const { id } = await text.add('hello', { autofocus: false });
+      const textObj = graphics.getObject(id);
+      jest.spyOn(textObj, 'initDimensions');
+
+      await text.loadFont({ family: 'Lobster', url: 'lobster.woff2' });
+
+      expect(global.FontFace).toHaveBeenCalledWith('Lobster', 'url(lobster.woff2)');
+      expect(document.fonts.add).toHaveBeenCalledWith(fontFace);
+      expect(textObj.initDimensions).toHaveBeenCalled();
+    });
+
+    it('should load the font only once', async () => {
+      const font = { family: 'Pacifico', url: 'pacifico.woff2' };
+
+      await text.loadFont(font);
+      await text.loadFont(font);
+
+      expect(global.FontFace).toHaveBeenCalledTimes(1);
+    });
+
+    it('should load the font declared in the stylesheet without the url', async () => {
+      await text.loadFont({ family: 'Roboto' });
+
+      expect(global.FontFace).not.toHaveBeenCalled();
+      expect(document.fonts.load).toHaveBeenCalledWith('16px "Roboto"');
+    });
+
+    it('should reject when the font is not loaded', async () => {
+      fontFace.load = jest.fn(() => Promise.reject(new Error('network error')));
+
+      await expect(text.loadFont({ family: 'Broken', url: 'broken.woff2' })).rejects.toBe(
+        rejectMessages.loadingFontFailed
+      );
+    });
+  });
+
   it('should change size of selected text object', () => {
     const obj = new fabric.Text('test');
     const scale = 10;
@@ -88,6 +88,20 @@ const imageEditor = new ImageEditor('#container', {
       height: '700px',
     },
     menuBarPosition: 'bottom',
+    crop: {
+      presets: [
+        { label: 'Custom' },
+        { label: '9:16', ratio: 9 / 16 },
+        { label: 'Card', width: 1200, height: 630 },
+      ],
+      sizeLimits: { minWidth: 100, minHeight: 100 },
+    },
+    text: {
+      fonts: [
+        { family: 'Noto Sans' },
+        { family: 'Lobster', url: 'fonts/lobster.woff2', label: 'Lobster' },
+      ],
+    },
   },
   cssMaxWidth: 700,
   cssMaxHeight: 500,
@@ -95,6 +109,11 @@ const imageEditor = new ImageEditor('#container', {
     cornerSize: 20,
     rotatingPointOffset: 70,
   },
+  snapping: {
+    grid: 10,
+    threshold: 8,
+  },
+  menuShortcuts: true,
 });
 
 imageEditor.addIcon('arrow');
@@ -122,6 +141,41 @@ imageEditor.addShape('rect', {
   isRegular: true,
 });
 
+imageEditor.addShape('star', {
+  fill: 'yellow',
+  width: 100,
+  height: 100,
+  sides: 5,
+  innerRadius: 0.4,
+});
+
+imageEditor.addShape('cappedLine', {
+  stroke: 'red',
+  strokeWidth: 3,
+  width: 100,
+  height: 50,
+  arrowType: {
+    head: 'chevron',
+    tail: 'triangle',
+  },
+});
+
+imageEditor.addShape('rect', {
+  fill: {
+    type: 'gradient',
+    gradient: {
+      type: 'linear',
+      angle: 90,
+      colorStops: [
+        { offset: 0, color: '#ff0000' },
+        { offset: 1, color: '#0000ff' },
+      ],
+    },
+  },
+  width: 100,
+  height: 200,
+});
+
 imageEditor
   .addShape('circle', {
     fill: 'red',
@@ -150,6 +204,14 @@ imageEditor
   .then((objectProps) => {
     console.log(objectProps.id);
   });
+imageEditor.addText('wrapped text', {
+  width: 200,
+  autofocus: false,
+  styles: {
+    lineHeight: 1.5,
+    charSpacing: 100,
+  },
+});
 
 imageEditor.applyFilter('Grayscale');
 imageEditor
@@ -161,8 +223,24 @@ imageEditor
     console.log(`actType: ${obj.action}`);
   });
 
+imageEditor.insertFilter('blur', { blur: 0.1 }, 0).then((obj) => {
+  const filterId = obj.id as number;
+
+  imageEditor.updateFilter(filterId, { blur: 0.3 }, true);
+  imageEditor.moveFilter(filterId, 0);
+  imageEditor.toggleFilter(filterId);
+  imageEditor.removeFilterById(filterId);
+});
+imageEditor.getFilterStack().forEach((filter) => {
+  console.log(filter.id, filter.type, filter.options, filter.visible);
+});
+
 imageEditor.changeCursor('crosshair');
 imageEditor.changeIconColor(0, '#000000');
+imageEditor.changeIconColor(0, {
+  type: 'pattern',
+  pattern: { source: 'img/pattern.png', repeat: 'repeat-x' },
+});
 imageEditor.changeSelectableAll(false);
 imageEditor.changeShape(0, {
   fill: 'red',
@@ -172,16 +250,50 @@ imageEditor.changeShape(0, {
   ry: 100,
 });
 
+imageEditor.loadFont({ family: 'Lobster', url: 'fonts/lobster.woff2' }).then(() => {
+  imageEditor.changeTextStyle(0, { fontFamily: 'Lobster' });
+});
 imageEditor.changeText(0, 'change text');
 imageEditor.changeTextStyle(0, {
   fontStyle: 'italic',
 });
+imageEditor.changeTextStyle(
+  0,
+  {
+    fontWeight: 'bold',
+    lineHeight: 1.5,
+  },
+  false,
+  { start: 0, end: 4 }
+);
+imageEditor.changeTextStyle(0, {
+  stroke: '#000000',
+  strokeWidth: 4,
+  shadow: { color: 'rgba(0, 0, 0, 0.5)', blur: 10, offsetX: 5, offsetY: 5 },
+  backgroundColor: '#ffffff',
+  backgroundPadding: 10,
+  backgroundRadius: 8,
+  curve: 180,
+});
+imageEditor.changeTextStyle(0, {
+  fill: {
+    type: 'gradient',
+    gradient: {
+      type: 'radial',
+      colorStops: [
+        { offset: 0, color: '#ffffff' },
+        { offset: 1, color: '#000000' },
+      ],
+    },
+  },
+});
 
 imageEditor.clearObjects();
 imageEditor.clearRedoStack();
 imageEditor.clearUndoStack();
 
 imageEditor.crop(imageEditor.getCropzoneRect());
+imageEditor.crop(imageEditor.getCropzoneRect(), { width: 1200, height: 630 });
 imageEditor.deactivateAll();
 imageEditor.destroy();
 imageEditor.discardSelection();
@@ -198,9 +310,34 @@ imageEditor
 imageEditor.flipY();
 imageEditor.getCanvasSize();
 imageEditor.getCropzoneRect();
+imageEditor.getCropShape();
 imageEditor.getDrawingMode();
 imageEditor.getImageName();
 imageEditor.getObjectPosition(0, 'left', 'top');
+imageEditor.getObjectZIndex(0);
+imageEditor.setObjectZIndex(0, 1).then((zIndex) => console.log(zIndex));
+imageEditor.bringForward(0);
+imageEditor.sendBackward(0);
+imageEditor.bringToFront(0);
+imageEditor.sendToBack(0);
+imageEditor.lockObject(0);
+imageEditor.unlockObject(0);
+imageEditor.isObjectLocked(0);
+imageEditor.hideObject(0);
+imageEditor.showObject(0);
+imageEditor.groupObjects([0, 1]).then((props) => console.log(props.id));
+imageEditor.ungroupObjects(0).then((props) => console.log(props.length));
+imageEditor.alignObjects([0, 1], 'left');
+imageEditor.alignObjects([0], 'middle', 'canvas');
+imageEditor.distributeObjects([0, 1, 2], 'horizontal');
+imageEditor.enableSnapping({ objects: false, canvas: true });
+imageEditor.disableSnapping();
+imageEditor.isSnappingEnabled();
+imageEditor.getSnappingOptions().threshold;
+imageEditor.shortcuts.register('mod+e', () => false, 'Export');
+imageEditor.shortcuts.register('shift+delete', 'remove');
+imageEditor.shortcuts.unregister('mod+a');
+imageEditor.shortcuts.list().forEach(({ combo, description }) => console.log(combo, description));
 imageEditor.getObjectProperties(0, 'left');
 imageEditor.getObjectProperties(0, ['left', 'top', 'width', 'height']);
 imageEditor.getObjectProperties(0, {
@@ -210,7 +347,27 @@ imageEditor.getObjectProperties(0, {
   opacity: null,
 });
 
+imageEditor.export({ format: 'jpeg', quality: 0.8, multiplier: 2 }).then((blob) => {
+  console.log(blob.size);
+});
+imageEditor.export({
+  region: { left: 10, top: 10, width: 100, height: 100 },
+  background: false,
+  includeObjects: true,
+});
+const documentState = imageEditor.exportState();
+console.log(documentState.image.filters.length);
 imageEditor.hasFilter('filterType');
+imageEditor.importState(documentState).then((result) => {
+  console.log(`new: ${result.newWidth}, ${result.newHeight}`);
+});
+imageEditor.importState(JSON.stringify(documentState));
+imageEditor.copyToClipboard().then((objectStates) => {
+  console.log(objectStates.length);
+});
+imageEditor.cutToClipboard();
+imageEditor.pasteFromClipboard();
+imageEditor.pasteFromClipboard(null, { replaceBackground: true });
 imageEditor.isEmptyRedoStack();
 imageEditor.isEmptyUndoStack();
 let fileObj: any;
@@ -244,6 +401,7 @@ imageEditor.resetFlip().then((status) => {
   console.log(`angle : ${status.angle}`);
 });
 
+imageEditor.resize({ width: 320 }, 'bicubic');
 imageEditor.resizeCanvasDimension({
   width: 300,
   height: 300,
@@ -258,7 +416,39 @@ imageEditor.setBrush({
   width: 20,
   color: '#FFFFFF',
 });
+imageEditor.setBrush({
+  width: 30,
+  eraseBackground: true,
+});
+imageEditor.setBrush({
+  type: 'spray',
+  density: 30,
+  dotWidth: 3,
+});
+imageEditor.setBrush({
+  type: 'pencil',
+  pressure: true,
+  minWidth: 2,
+  maxWidth: 16,
+});
+imageEditor.setBrush({
+  type: 'pattern',
+  source: document.createElement('canvas'),
+  smoothing: 4,
+});
+imageEditor
+  .setCanvasSize({ width: 500, height: 500 }, { anchor: 'top-left', fill: '#ffffff' })
+  .then((sizeChange) => {
+    console.log(sizeChange.newWidth, sizeChange.newHeight);
+  });
 imageEditor.setCropzoneRect(1 / 1);
+imageEditor.setCropzoneRect({ left: 10, top: 10, width: 200, height: 100 });
+imageEditor.setCropzoneGuide('golden');
+imageEditor.setCropSizeLimits({ maxWidth: 1000 });
+imageEditor.setCropSizeLimits(null);
+imageEditor.setCropShape({ type: 'ellipse' });
+imageEditor.setCropShape({ type: 'roundRect', radius: 20 });
+imageEditor.setCropShape({ type: 'icon', name: 'arrow' });
 imageEditor.setDrawingShape('rect', {
   fill: 'red',
   width: 100,
@@ -301,7 +491,33 @@ imageEditor.startDrawingMode('FREE_DRWARING', {
   width: 10,
   color: 'rgba(255, 0, 0, 0.5)',
 });
+imageEditor.startDrawingMode('FREE_DRAWING', {
+  type: 'highlighter',
+  color: 'rgba(255, 255, 0, 0.4)',
+});
+imageEditor.startDrawingMode('LINE_DRAWING', {
+  width: 8,
+  lineType: 'polyline',
+  lineStyle: 'dashed',
+  arrowType: {
+    head: null,
+    tail: 'triangle',
+  },
+});
+imageEditor.setBrush({
+  lineType: 'curve',
+  lineStyle: 'dotted',
+});
+imageEditor.setBrush({
+  lineType: 'freehand',
+});
+imageEditor.startDrawingMode('ERASER', {
+  width: 20,
+  eraseBackground: false,
+});
 imageEditor.stopDrawingMode();
+imageEditor.straighten(5);
+imageEditor.getStraightenAngle();
 imageEditor.toDataURL();
 imageEditor.undo();
 
@@ -48,6 +48,7 @@ describe('UI', () => {
       jest.spyOn(ui, 'resizeEditor');
       ui.shape.changeStandbyMode = jest.fn();
       jest.spyOn(ui.filter, 'changeStartMode');
+      ui.filter.actions = { getFilterStack: jest.fn().mockReturnValue([]) };
       ui._actions.main = { changeSelectableAll: jest.fn() };
       ui.resizeEditor = jest.fn();
 
@@ -119,6 +120,79 @@ describe('UI', () => {
     });
   });
 
+  describe('toggleShortcutsHelp()', () => {
+    it('should open and close the help of the keyboard shortcuts', () => {
+      const shortcuts = [
+        { combo: 'mod+z', description: 'Undo' },
+        { combo: 'mod+e', description: '' },
+      ];
+
+      ui.toggleShortcutsHelp(shortcuts);
+
+      const items = ui._selectedElement.querySelectorAll('.tui-image-editor-shortcuts-help li');
+      expect(items).toHaveLength(1);
+      expect(items[0].textContent).toContain('mod+z');
+
+      ui.toggleShortcutsHelp(shortcuts);
+
+      expect(ui._selectedElement.querySelector('.tui-image-editor-shortcuts-help')).toBeNull();
+      expect(ui.closeShortcutsHelp()).toBe(false);
+    });
+  });
+
+  describe('openExportDialog()', () => {
+    it('should download with the selected format and quality', () => {
+      const download = jest.fn();
+      ui._actions = { main: { download } };
+
+      ui.openExportDialog();
+
+      const dialog = ui._selectedElement.querySelector('.tui-image-editor-export-dialog');
+      const format = dialog.querySelector('.tie-export-format');
+      const quality = dialog.querySelector('.tie-export-quality');
+      format.value = 'jpeg';
+      format.dispatchEvent(new Event('change'));
+      quality.value = '0.5';
+      dialog.querySelector('.tie-export-download').click();
+
+      expect(quality.disabled).toBe(false);
+      expect(download).toHaveBeenCalledWith({ format: 'jpeg', quality: 0.5 });
+      expect(ui._selectedElement.querySelector('.tui-image-editor-export-dialog')).toBeNull();
+    });
+
+    it('should close the dialog without downloading', () => {
+      const download = jest.fn();
+      ui._actions = { main: { download } };
+
+      ui.openExportDialog();
+      ui._selectedElement.querySelector('.tie-export-cancel').click();
+
+      expect(download).not.toHaveBeenCalled();
+      expect(ui.closeExportDialog()).toBe(false);
+    });
+  });
+
+  describe('shape pattern file', () => {
+    it('should fill the shape with the data url of the file', async () => {
+      const changeShape = jest.fn();
+      ui.shape.actions = { changeShape };
+
+      ui.shape._loadPatternFile({
+        target: { files: [new Blob(['pattern'], { type: 'image/png' })] },
+      });
+      await new Promise((resolve) => {
+        setTimeout(resolve, 50);
+      });
+
+      expect(changeShape).toHaveBeenCalledWith({
+        fill: {
+          type: 'pattern',
+          pattern: { source: expect.stringMatching(/^data:image\/png;base64,/) },
+        },
+      });
+    });
+  });
+
   describe('_setEditorPosition()', () => {
     beforeEach(() => {
       ui._editorElement = document.createElement('div');